@@ -1,13 +1,28 @@
 require('dotenv').config();
+const crypto = require('crypto');
 const express = require('express');
 const { getAuth } = require('./utils/auth');
 const { GmailService } = require('./services/gmailService');
-const { ClassPassProcessor } = require('./processors/classPassProcessor');
-const { WebResosProcessor } = require('./processors/webResosProcessor');
+const { createBookingProcessors, reprocessBookingEmail } = require('./processors/bookingSources');
+const { createBookingFeed } = require('./services/bookingFeedService');
+const { NotificationOutboxService } = require('./services/notificationOutboxService');
+const { createLineWebhook, verifySignature } = require('./services/lineWebhookService');
+const { CustomerMatchReviewService } = require('./services/customerMatchReviewService');
+const { CustomerMergeService } = require('./services/customerMergeService');
 const { supabase } = require('./lib/supabase');
 
 const app = express();
 const port = process.env.PORT || 8080;
+let lineWebhook;
+const matchReviews = new CustomerMatchReviewService(supabase);
+const customerMerges = new CustomerMergeService(supabase);
+
+// Keep the raw body for LINE webhook signature verification
+app.use(express.json({
+    verify: (req, res, buf) => {
+        req.rawBody = buf;
+    }
+}));
 
 const MAX_RETRIES = 3;
 const RETRY_DELAY = 60 * 1000;
@@ -45,10 +60,9 @@ async function initializeServices(retryCount = 0) {
 
 async function processLeadsWithRetry(processors, retryCount = 0) {
     try {
-        await Promise.all([
-            processors.classPass.processEmails(),
-            processors.webResos.processEmails()
-        ]);
+        await Promise.all(
+            Object.values(processors).map(processor => processor.processEmails())
+        );
         return true;
     } catch (error) {
         if (retryCount < MAX_RETRIES) {
@@ -66,12 +80,11 @@ async function processLeadsWithRetry(processors, retryCount = 0) {
 async function processLeads() {
     try {
         const gmailService = await initializeServices();
-        const processors = {
-            classPass: new ClassPassProcessor(gmailService, supabase),
-            webResos: new WebResosProcessor(gmailService, supabase)
-        };
+        const processors = createBookingProcessors(gmailService, supabase);
 
-        log('INFO', 'Starting booking automation - processing ClassPass and ResOS emails');
+        log('INFO', 'Starting booking automation', {
+            sources: Object.keys(processors)
+        });
         await processLeadsWithRetry(processors);
         log('INFO', 'Booking automation completed successfully');
         return true;
@@ -85,6 +98,8 @@ async function processLeads() {
 }
 
 let processingLoop;
+let bookingFeed;
+let notificationWorker;
 async function startProcessing() {
     let consecutiveFailures = 0;
     const MAX_CONSECUTIVE_FAILURES = 5;
@@ -120,12 +135,229 @@ async function startProcessing() {
     }
 }
 
+// The LINE webhook dispatcher is created on first use, so a missing
+// LINE_CHANNEL_ACCESS_TOKEN only disables the webhook, not the whole server
+function getLineWebhook() {
+    if (!lineWebhook) {
+        try {
+            lineWebhook = createLineWebhook(supabase);
+        } catch (error) {
+            log('ERROR', 'LINE webhook is not available', { error: error.message });
+            return null;
+        }
+    }
+    return lineWebhook;
+}
+
+// Staff routes require the ADMIN_API_SECRET shared secret in the x-admin-secret header
+function requireAdminSecret(req, res, next) {
+    const secret = process.env.ADMIN_API_SECRET;
+    const provided = req.get('x-admin-secret') || '';
+    const digest = value => crypto.createHash('sha256').update(value).digest();
+
+    if (!secret || !crypto.timingSafeEqual(digest(provided), digest(secret))) {
+        return res.status(401).json({ error: 'unauthorized' });
+    }
+    next();
+}
+
 app.get('/', (req, res) => {
     res.status(200).send('OK');
 });
 
+// Reprocess a booking email with staff-corrected fields
+// Body: { requestedBy, overrides: { numberOfPeople, bay, ... }, sourceType? }
+app.post('/emails/:gmailMessageId/reprocess', requireAdminSecret, async (req, res) => {
+    const { gmailMessageId } = req.params;
+    const { overrides, requestedBy, sourceType } = req.body || {};
+
+    try {
+        const gmailService = await initializeServices();
+        const record = await reprocessBookingEmail(
+            gmailService,
+            supabase,
+            gmailMessageId,
+            overrides,
+            requestedBy,
+            sourceType
+        );
+
+        res.status(200).json({
+            gmailMessageId,
+            actionTaken: record ? record.action_taken : null,
+            bookingId: record ? record.booking_id : null,
+            errorMessage: record ? record.error_message : null
+        });
+    } catch (error) {
+        log('ERROR', 'Error reprocessing email with overrides', {
+            gmailMessageId,
+            requestedBy,
+            error: error.message,
+            stack: error.stack
+        });
+        const statusByCode = { INVALID_OVERRIDE: 400, NOT_RESUBMITTABLE: 409, BOOKING_EXISTS: 409 };
+        res.status(statusByCode[error.code] || 500).json({ error: error.message });
+    }
+});
+
+const REVIEW_STATUS_BY_CODE = {
+    INVALID_REVIEW_CUSTOMER: 400,
+    REVIEW_NOT_FOUND: 404,
+    REVIEW_ALREADY_RESOLVED: 409,
+    DUPLICATE_PHONE: 409
+};
+
+// Customer matches waiting for staff review (bookings linked by name only)
+// Query: ?status=pending|confirmed|split
+app.get('/customer-match-reviews', requireAdminSecret, async (req, res) => {
+    const status = req.query.status || 'pending';
+    if (!['pending', 'confirmed', 'split'].includes(status)) {
+        return res.status(400).json({ error: `Unknown review status: ${status}` });
+    }
+
+    try {
+        res.status(200).json({ reviews: await matchReviews.listReviews(status) });
+    } catch (error) {
+        log('ERROR', 'Error listing customer match reviews', {
+            status,
+            error: error.message
+        });
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Confirm the customer of a reviewed match (relinks the bookings if it is not the provisional one)
+// Body: { customerId, resolvedBy }
+app.post('/customer-match-reviews/:reviewId/confirm', requireAdminSecret, async (req, res) => {
+    const { reviewId } = req.params;
+    const { customerId, resolvedBy } = req.body || {};
+
+    if (!customerId || !resolvedBy) {
+        return res.status(400).json({ error: 'customerId and resolvedBy are required' });
+    }
+
+    try {
+        const { review, relinked } = await matchReviews.confirm(reviewId, customerId, resolvedBy);
+        res.status(200).json({ review, relinked });
+    } catch (error) {
+        log('ERROR', 'Error confirming customer match', {
+            reviewId,
+            customerId,
+            resolvedBy,
+            error: error.message
+        });
+        res.status(REVIEW_STATUS_BY_CODE[error.code] || 500).json({ error: error.message });
+    }
+});
+
+// Split the bookings of a reviewed match into a new customer
+// Body: { resolvedBy }
+app.post('/customer-match-reviews/:reviewId/split', requireAdminSecret, async (req, res) => {
+    const { reviewId } = req.params;
+    const { resolvedBy } = req.body || {};
+
+    if (!resolvedBy) {
+        return res.status(400).json({ error: 'resolvedBy is required' });
+    }
+
+    try {
+        const { review, customer } = await matchReviews.split(reviewId, resolvedBy);
+        res.status(200).json({ review, customerId: customer.id, customerCode: customer.customer_code });
+    } catch (error) {
+        log('ERROR', 'Error splitting customer match', {
+            reviewId,
+            resolvedBy,
+            error: error.message
+        });
+        res.status(REVIEW_STATUS_BY_CODE[error.code] || 500).json({ error: error.message });
+    }
+});
+
+const PROPOSAL_STATUS_BY_CODE = { PROPOSAL_NOT_FOUND: 404, PROPOSAL_ALREADY_RESOLVED: 409, CUSTOMER_INACTIVE: 409 };
+
+// Customers proposed for merging (one booking's phone and email matched both)
+// Query: ?status=pending|merged|rejected
+app.get('/customer-merge-proposals', requireAdminSecret, async (req, res) => {
+    const status = req.query.status || 'pending';
+    if (!['pending', 'merged', 'rejected'].includes(status)) {
+        return res.status(400).json({ error: `Unknown proposal status: ${status}` });
+    }
+
+    try {
+        res.status(200).json({ proposals: await customerMerges.listProposals(status) });
+    } catch (error) {
+        log('ERROR', 'Error listing customer merge proposals', {
+            status,
+            error: error.message
+        });
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Merge or reject a proposal
+// Body: { resolvedBy }
+app.post('/customer-merge-proposals/:proposalId/:decision(merge|reject)', requireAdminSecret, async (req, res) => {
+    const { proposalId, decision } = req.params;
+    const { resolvedBy } = req.body || {};
+
+    if (!resolvedBy) {
+        return res.status(400).json({ error: 'resolvedBy is required' });
+    }
+
+    try {
+        if (decision === 'merge') {
+            const { proposal, movedBookings } = await customerMerges.merge(proposalId, resolvedBy);
+            return res.status(200).json({ proposal, movedBookings });
+        }
+        res.status(200).json({ proposal: await customerMerges.reject(proposalId, resolvedBy) });
+    } catch (error) {
+        log('ERROR', 'Error resolving customer merge proposal', {
+            proposalId,
+            decision,
+            resolvedBy,
+            error: error.message
+        });
+        res.status(PROPOSAL_STATUS_BY_CODE[error.code] || 500).json({ error: error.message });
+    }
+});
+
+// LINE Messaging API webhook: verifies X-Line-Signature and dispatches the events
+// (see src/services/lineWebhookService.js for the registered handlers)
+app.post('/line/webhook', async (req, res) => {
+    if (!verifySignature(req.rawBody, req.get('x-line-signature'), process.env.LINE_CHANNEL_SECRET)) {
+        log('WARNING', 'Rejected LINE webhook request with invalid signature');
+        return res.status(401).json({ error: 'invalid signature' });
+    }
+
+    const dispatcher = getLineWebhook();
+    if (!dispatcher) {
+        return res.status(503).json({ error: 'LINE webhook is not configured' });
+    }
+
+    const events = (req.body && req.body.events) || [];
+    const handled = await dispatcher.dispatch(events);
+    log('DEBUG', 'LINE webhook processed', { events: events.length, handled });
+
+    // LINE retries webhooks that do not answer 200, so failures are only logged
+    res.status(200).json({});
+});
+
 const server = app.listen(port, () => {
     log('INFO', 'Server started', { port });
+
+    // Deliver queued LINE notifications (set NOTIFICATION_WORKER_ENABLED=false
+    // when src/scripts/runNotificationWorker.js runs elsewhere)
+    if (process.env.NOTIFICATION_WORKER_ENABLED !== 'false') {
+        notificationWorker = new NotificationOutboxService(supabase);
+        notificationWorker.start();
+    }
+
+    // Announce bookings changed by other channels (lengolf-forms, staff) on LINE
+    if (process.env.BOOKING_FEED_ENABLED === 'true') {
+        bookingFeed = createBookingFeed(supabase);
+        bookingFeed.start();
+    }
+
     processingLoop = startProcessing().catch(error => {
         log('CRITICAL', 'Fatal error in processing', {
             error: error.message,
@@ -137,6 +369,12 @@ const server = app.listen(port, () => {
 
 async function shutdown() {
     log('INFO', 'Shutting down gracefully');
+    if (bookingFeed) {
+        bookingFeed.stop().catch(error => log('ERROR', 'Failed to stop booking feed', { error: error.message }));
+    }
+    if (notificationWorker) {
+        notificationWorker.stop().catch(error => log('ERROR', 'Failed to stop notification worker', { error: error.message }));
+    }
     server.close(() => {
         log('INFO', 'Server closed');
         process.exit(0);
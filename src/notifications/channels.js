@@ -0,0 +1,149 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const { DEFAULT_TIMEOUT_MS, withRetry } = require('./policy');
+const { log } = require('../utils/logging');
+
+/**
+ * Notification channels
+ *
+ * A channel delivers rendered notification content:
+ *
+ *   { eventType, source, subject, text, lineMessages, data }
+ *
+ * LINE channels send `lineMessages` (rendered in the channel's `format`, 'flex'
+ * or 'text'); email sends `subject` and `text`; webhooks post everything.
+ * Channels throw on failure after the policy's in-call retries. send() takes
+ * { retryKey }, a UUID identifying the logical message across redeliveries,
+ * which LINE channels pass on as X-Line-Retry-Key.
+ */
+
+/**
+ * LinePushChannel - Push to one LINE group (or room/user)
+ */
+class LinePushChannel {
+  /**
+   * @param {string} name - Channel name (e.g. 'line:WEBRESOS')
+   * @param {object} lineClient - LineClient
+   * @param {string} to - Group ID
+   * @param {string} format - 'flex' or 'text'
+   */
+  constructor(name, lineClient, to, format = 'flex') {
+    if (!to) {
+      throw new Error(`LINE group ID for ${name} is required`);
+    }
+    this.name = name;
+    this.type = 'line';
+    this.lineClient = lineClient;
+    this.to = to;
+    this.format = format;
+  }
+
+  async send(content, { retryKey } = {}) {
+    await this.lineClient.push(this.to, content.lineMessages, { retryKey });
+  }
+}
+
+/**
+ * LineMulticastChannel - Send to a list of LINE users (1:1 chats with the bot)
+ */
+class LineMulticastChannel {
+  /**
+   * @param {string} name - Channel name
+   * @param {object} lineClient - LineClient
+   * @param {Array<string>} userIds - LINE user IDs
+   * @param {string} format - 'flex' or 'text'
+   */
+  constructor(name, lineClient, userIds, format = 'flex') {
+    if (!userIds || userIds.length === 0) {
+      throw new Error(`LINE user IDs for ${name} are required`);
+    }
+    this.name = name;
+    this.type = 'line';
+    this.lineClient = lineClient;
+    this.userIds = userIds;
+    this.format = format;
+  }
+
+  async send(content, { retryKey } = {}) {
+    await this.lineClient.multicast(this.userIds, content.lineMessages, { retryKey });
+  }
+}
+
+/**
+ * EmailChannel - Plain-text email through the automation's Gmail account
+ */
+class EmailChannel {
+  /**
+   * @param {string} name - Channel name
+   * @param {Function} getGmail - async () => GmailService (authenticated on first use)
+   * @param {Array<string>} recipients - Email addresses
+   */
+  constructor(name, getGmail, recipients) {
+    if (!recipients || recipients.length === 0) {
+      throw new Error(`Email recipients for ${name} are required`);
+    }
+    this.name = name;
+    this.type = 'email';
+    this.getGmail = getGmail;
+    this.recipients = recipients;
+  }
+
+  async send(content) {
+    const gmail = await this.getGmail();
+    await withRetry(() => gmail.sendEmail(this.recipients, content.subject, content.text), {
+      label: `email ${this.name}`
+    });
+  }
+}
+
+/**
+ * WebhookChannel - POST the notification as JSON
+ * With a secret, the body is signed: X-Notification-Signature is the base64
+ * HMAC-SHA256 of the raw body keyed by the secret.
+ */
+class WebhookChannel {
+  /**
+   * @param {string} name - Channel name
+   * @param {string} url - Endpoint
+   * @param {string|null} secret - Signing secret
+   */
+  constructor(name, url, secret = null) {
+    if (!url) {
+      throw new Error(`Webhook URL for ${name} is required`);
+    }
+    this.name = name;
+    this.type = 'webhook';
+    this.url = url;
+    this.secret = secret;
+  }
+
+  async send(content) {
+    const body = JSON.stringify({
+      event: content.eventType,
+      source: content.source,
+      subject: content.subject,
+      text: content.text,
+      data: content.data,
+      sentAt: new Date().toISOString()
+    });
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.secret) {
+      headers['X-Notification-Signature'] = crypto.createHmac('sha256', this.secret).update(body).digest('base64');
+    }
+
+    try {
+      await withRetry(() => axios.post(this.url, body, { headers, timeout: DEFAULT_TIMEOUT_MS }), {
+        label: `webhook ${this.name}`
+      });
+    } catch (error) {
+      log('ERROR', 'Notification webhook failed', {
+        channel: this.name,
+        status: error.response?.status,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+}
+
+module.exports = { LinePushChannel, LineMulticastChannel, EmailChannel, WebhookChannel };
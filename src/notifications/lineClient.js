@@ -0,0 +1,276 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const { LIMITS, DEFAULT_TIMEOUT_MS, truncate, withRetry } = require('./policy');
+const { log } = require('../utils/logging');
+
+/**
+ * Build a text message
+ * @param {string} text - Text (cut to LINE's 5000 characters)
+ * @returns {object} - LINE message
+ */
+function textMessage(text) {
+  return { type: 'text', text: truncate(text, LIMITS.text) };
+}
+
+/**
+ * Build a Flex message
+ * @param {string} altText - Shown in push notifications, chat lists and clients without Flex (cut to 400 characters)
+ * @param {object} contents - Flex bubble or carousel
+ * @returns {object} - LINE message
+ */
+function flexMessage(altText, contents) {
+  return { type: 'flex', altText: truncate(altText, LIMITS.altText), contents };
+}
+
+/**
+ * Build a buttons template message (postback/uri actions, at most 4)
+ * @param {string} text - Prompt (cut to 160 characters)
+ * @param {Array<object>} actions - LINE actions
+ * @returns {object} - LINE message
+ */
+function buttonsMessage(text, actions) {
+  const prompt = truncate(text, LIMITS.buttonsText);
+  return { type: 'template', altText: prompt, template: { type: 'buttons', text: prompt, actions } };
+}
+
+/**
+ * Derive the retry key of one request of a multi-request send (multicast batches)
+ * from the send's key, so every request keeps a stable UUID of its own
+ * @param {string} retryKey - Retry key of the send (UUID)
+ * @param {number} index - Request number (0 uses the key itself)
+ * @returns {string} - UUID
+ */
+function requestRetryKey(retryKey, index) {
+  if (index === 0) {
+    return retryKey;
+  }
+  const hex = crypto.createHash('sha256').update(`${retryKey}:${index}`).digest('hex');
+  // Formatted as a version 4 / variant 1 UUID, as LINE requires
+  return [
+    hex.slice(0, 8),
+    hex.slice(8, 12),
+    `4${hex.slice(13, 16)}`,
+    `${((parseInt(hex[16], 16) & 0x3) | 0x8).toString(16)}${hex.slice(17, 20)}`,
+    hex.slice(20, 32)
+  ].join('-');
+}
+
+/**
+ * LineClient - The one client for the LINE Messaging API
+ *
+ * Push (one group, room or user), multicast (up to 500 users per request),
+ * broadcast, webhook replies and profile lookups. Every request follows the
+ * notification delivery policy (src/notifications/policy.js): text limits are
+ * enforced, transient failures are retried, and failures are logged with the
+ * LINE error details before being re-thrown. Auth errors surface from the
+ * request itself; there is no separate token check before each send.
+ *
+ * Push and multicast requests carry an X-Line-Retry-Key, so a retry of a
+ * request LINE already accepted (e.g. after a timeout) is not delivered twice.
+ * Callers that retry a send themselves (the notification outbox) pass a stable
+ * key per logical message; otherwise one is generated per send.
+ */
+class LineClient {
+  /**
+   * @param {string} channelAccessToken - LINE channel access token
+   * @param {object} options - { timeoutMs, attempts, retryDelayMs }
+   */
+  constructor(channelAccessToken, options = {}) {
+    if (!channelAccessToken) {
+      log('ERROR', 'LINE channel access token not provided');
+      throw new Error('LINE channel access token is required');
+    }
+
+    this.client = axios.create({
+      baseURL: 'https://api.line.me/v2/bot',
+      headers: {
+        'Authorization': `Bearer ${channelAccessToken}`,
+        'Content-Type': 'application/json'
+      },
+      timeout: options.timeoutMs || DEFAULT_TIMEOUT_MS
+    });
+    this.retry = { attempts: options.attempts, delayMs: options.retryDelayMs };
+  }
+
+  /**
+   * Check the messages of one request against LINE's limits
+   * @param {Array<object>} messages - LINE messages
+   * @returns {Array<object>} - Messages, text cut to the limit
+   */
+  validateMessages(messages) {
+    if (!Array.isArray(messages) || messages.length === 0) {
+      throw new Error('At least one LINE message is required');
+    }
+    if (messages.length > LIMITS.messagesPerRequest) {
+      throw new Error(`LINE accepts at most ${LIMITS.messagesPerRequest} messages per request (got ${messages.length})`);
+    }
+    return messages.map(message => (message.type === 'text' ? textMessage(message.text) : message));
+  }
+
+  /**
+   * POST to the Messaging API with the retry policy
+   * @param {string} path - API path (e.g. '/message/push')
+   * @param {object} body - Request body
+   * @param {object} context - Log fields (e.g. { to })
+   * @param {string|null} retryKey - X-Line-Retry-Key (UUID) shared by every retry of the request
+   * @returns {Promise<object>} - Response data
+   */
+  async post(path, body, context = {}, retryKey = null) {
+    const config = retryKey ? { headers: { 'X-Line-Retry-Key': retryKey } } : undefined;
+
+    try {
+      const response = await withRetry(() => this.client.post(path, body, config), {
+        ...this.retry,
+        label: `LINE ${path}`
+      });
+
+      log('INFO', 'LINE request sent successfully', {
+        path,
+        status: response.status,
+        messageCount: body.messages ? body.messages.length : undefined,
+        ...context
+      });
+      return response.data;
+    } catch (error) {
+      // 409 with a retry key: an earlier attempt of this request was accepted
+      if (retryKey && error.response?.status === 409) {
+        log('INFO', 'LINE request already accepted (retry key)', {
+          path,
+          retryKey,
+          requestId: error.response.headers?.['x-line-accepted-request-id'],
+          ...context
+        });
+        return error.response.data;
+      }
+
+      const errorDetails = {
+        path,
+        error: error.message,
+        status: error.response?.status,
+        data: error.response?.data,
+        ...context
+      };
+
+      if (error.response?.status === 401) {
+        log('ERROR', 'LINE request failed - Token unauthorized or expired', errorDetails);
+      } else if (error.response?.status === 400) {
+        log('ERROR', 'LINE request failed - Bad request', {
+          ...errorDetails,
+          details: error.response?.data?.details || 'No additional details available'
+        });
+      } else {
+        log('ERROR', 'LINE request failed', errorDetails);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Send messages to one group, room or user
+   * @param {string} to - Group, room or user ID
+   * @param {Array<object>} messages - LINE messages (at most 5)
+   * @param {object} options - { retryKey } UUID of the logical message (generated if omitted)
+   * @returns {Promise<object>} - Response data
+   */
+  async push(to, messages, { retryKey = crypto.randomUUID() } = {}) {
+    return this.post('/message/push', { to, messages: this.validateMessages(messages) }, { to }, retryKey);
+  }
+
+  /**
+   * Send the same messages to several users (not groups)
+   * @param {Array<string>} userIds - LINE user IDs (sent in requests of 500)
+   * @param {Array<object>} messages - LINE messages (at most 5)
+   * @param {object} options - { retryKey } UUID of the logical message (generated if omitted)
+   * @returns {Promise<void>}
+   */
+  async multicast(userIds, messages, { retryKey = crypto.randomUUID() } = {}) {
+    const validated = this.validateMessages(messages);
+    for (let i = 0; i < userIds.length; i += LIMITS.multicastRecipients) {
+      const to = userIds.slice(i, i + LIMITS.multicastRecipients);
+      await this.post(
+        '/message/multicast',
+        { to, messages: validated },
+        { recipients: to.length },
+        requestRetryKey(retryKey, i / LIMITS.multicastRecipients)
+      );
+    }
+  }
+
+  /**
+   * Send messages to every follower of the bot
+   * @param {Array<object>} messages - LINE messages (at most 5)
+   * @returns {Promise<object>} - Response data
+   */
+  async broadcast(messages) {
+    return this.post('/message/broadcast', { messages: this.validateMessages(messages) });
+  }
+
+  /**
+   * Answer a webhook event (reply tokens are single-use and expire after a minute,
+   * so replies are not retried)
+   * @param {string} replyToken - Event reply token
+   * @param {Array<object>} messages - LINE messages (at most 5)
+   * @returns {Promise<object>} - Response data
+   */
+  async reply(replyToken, messages) {
+    const body = { replyToken, messages: this.validateMessages(messages) };
+    try {
+      const response = await this.client.post('/message/reply', body);
+      log('INFO', 'LINE reply sent successfully', {
+        status: response.status,
+        messageCount: body.messages.length
+      });
+      return response.data;
+    } catch (error) {
+      log('ERROR', 'Error sending LINE reply', {
+        error: error.response?.data || error.message,
+        stack: error.stack
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Look up the profile of a webhook event's sender (group member or user)
+   * @param {object} source - Event source ({ type, groupId, roomId, userId })
+   * @returns {Promise<object|null>} - Profile (displayName, ...) or null
+   */
+  async getProfile(source) {
+    const path = source.type === 'group'
+      ? `/group/${source.groupId}/member/${source.userId}`
+      : source.type === 'room'
+        ? `/room/${source.roomId}/member/${source.userId}`
+        : `/profile/${source.userId}`;
+
+    try {
+      const response = await this.client.get(path);
+      return response.data;
+    } catch (error) {
+      log('WARN', 'Error fetching LINE profile', {
+        error: error.response?.data || error.message,
+        userId: source.userId
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Check that the channel access token works (bot info endpoint)
+   * @returns {Promise<boolean>} - True if the token is valid
+   */
+  async validateToken() {
+    try {
+      const response = await this.client.get('/info');
+      log('INFO', 'LINE token validated successfully', { status: response.status });
+      return true;
+    } catch (error) {
+      log('ERROR', error.response?.status === 401 ? 'LINE token is unauthorized or expired' : 'LINE token validation failed', {
+        error: error.message,
+        status: error.response?.status
+      });
+      return false;
+    }
+  }
+}
+
+module.exports = { LineClient, textMessage, flexMessage, buttonsMessage };
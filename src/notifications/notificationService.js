@@ -0,0 +1,267 @@
+const { LineClient, textMessage } = require('./lineClient');
+const { LinePushChannel, LineMulticastChannel, EmailChannel, WebhookChannel } = require('./channels');
+const { loadRoutes, resolveChannels } = require('./routes');
+const {
+  LineNotificationService,
+  BOOKING_EVENTS,
+  NOTIFICATION_FORMATS,
+  DEFAULT_NOTIFICATION_FORMAT
+} = require('../services/lineNotificationService');
+const { log } = require('../utils/logging');
+
+// Events without a template: the payload carries { text, subject?, lineMessages? }
+// and LINE channels in 'flex' format send lineMessages when present
+const GENERIC_EVENTS = ['lead_received', 'schedule_digest', 'message'];
+
+/**
+ * NotificationService - Sends notifications to the channels their routes name
+ *
+ * Callers raise an event (notify('booking_created', bookingData, { source,
+ * lineGroup })); the routing rules (src/notifications/routes.js) pick the
+ * channels, the event is rendered once per channel format, and each channel
+ * delivers it under the shared policy (src/notifications/policy.js). Booking
+ * events are rendered by LineNotificationService.
+ *
+ * The notification outbox resolves the routes when queueing and calls
+ * deliver() for one channel at a time.
+ */
+class NotificationService {
+  /**
+   * @param {object} options - { routes, createChannel(name) => channel|null, renderer }
+   */
+  constructor(options = {}) {
+    this.routes = options.routes || loadRoutes();
+    this.createChannel = options.createChannel || (() => null);
+    this.renderer = options.renderer || new LineNotificationService();
+    this.channels = new Map();
+  }
+
+  /**
+   * Whether an event type can be rendered
+   * @param {string} eventType - Event type
+   * @returns {boolean} - True for booking and generic events
+   */
+  supports(eventType) {
+    return Boolean(BOOKING_EVENTS[eventType]) || GENERIC_EVENTS.includes(eventType);
+  }
+
+  /**
+   * Get a channel by name (created on first use)
+   * @param {string} name - Channel name (e.g. 'line:WEBRESOS', 'email')
+   * @returns {object|null} - Channel, or null if it is not configured
+   */
+  getChannel(name) {
+    if (!this.channels.has(name)) {
+      this.channels.set(name, this.createChannel(name));
+    }
+    return this.channels.get(name);
+  }
+
+  /**
+   * Resolve the configured channels of an event
+   * @param {string} eventType - Event type
+   * @param {object} context - { source, lineGroup }
+   * @returns {Array<string>} - Channel names
+   */
+  route(eventType, context = {}) {
+    return resolveChannels(this.routes, eventType, context).filter(name => {
+      if (this.getChannel(name)) {
+        return true;
+      }
+      log('DEBUG', 'Notification channel not configured, skipping', { channel: name, eventType });
+      return false;
+    });
+  }
+
+  /**
+   * Render an event for a channel
+   * @param {string} eventType - Event type
+   * @param {object} payload - Booking information, or { text, subject, lineMessages } for generic events
+   * @param {object} channel - Channel (its format picks Flex or plain text)
+   * @param {string|null} source - Source that raised the event
+   * @returns {object} - { eventType, source, subject, text, lineMessages, data }
+   */
+  render(eventType, payload, channel, source = null) {
+    const format = channel.format || DEFAULT_NOTIFICATION_FORMAT;
+
+    if (BOOKING_EVENTS[eventType]) {
+      return { eventType, source, data: payload, ...this.renderer.render(eventType, payload, format) };
+    }
+
+    if (!GENERIC_EVENTS.includes(eventType)) {
+      throw Object.assign(new Error(`Unknown notification event: ${eventType}`), { code: 'UNKNOWN_EVENT' });
+    }
+
+    const { text, subject, lineMessages, ...data } = payload;
+    return {
+      eventType,
+      source,
+      subject: subject || text.split('\n')[0],
+      text,
+      lineMessages: format === 'flex' && lineMessages ? lineMessages : [textMessage(text)],
+      data
+    };
+  }
+
+  /**
+   * Deliver an event to one channel
+   * @param {string} channelName - Channel name
+   * @param {string} eventType - Event type
+   * @param {object} payload - Event payload
+   * @param {string|null} source - Source that raised the event
+   * @param {object} options - { retryKey } UUID of the logical message (e.g. the outbox row ID),
+   *   so a redelivery LINE already accepted is not sent twice
+   * @returns {Promise<void>}
+   */
+  async deliver(channelName, eventType, payload, source = null, options = {}) {
+    const channel = this.getChannel(channelName);
+    if (!channel) {
+      throw Object.assign(new Error(`Notification channel ${channelName} is not configured`), { code: 'UNKNOWN_CHANNEL' });
+    }
+
+    await channel.send(this.render(eventType, payload, channel, source), options);
+    log('INFO', 'Notification sent', { channel: channelName, eventType, source });
+  }
+
+  /**
+   * Send an event to every routed channel
+   * A failing channel does not stop the others; the error lists every failure.
+   * @param {string} eventType - Event type
+   * @param {object} payload - Event payload
+   * @param {object} context - { source, lineGroup }
+   * @returns {Promise<Array<string>>} - Channels the event was sent to
+   */
+  async notify(eventType, payload, context = {}) {
+    const channels = this.route(eventType, context);
+    if (channels.length === 0) {
+      log('WARN', 'No notification channel configured for event', { eventType, ...context });
+      return [];
+    }
+
+    const failures = [];
+    for (const channelName of channels) {
+      try {
+        await this.deliver(channelName, eventType, payload, context.source || null);
+      } catch (error) {
+        log('ERROR', 'Notification failed', {
+          channel: channelName,
+          eventType,
+          source: context.source,
+          error: error.message
+        });
+        failures.push({ channel: channelName, error });
+      }
+    }
+
+    if (failures.length > 0) {
+      throw Object.assign(
+        new Error(`Notification ${eventType} failed on ${failures.map(failure => failure.channel).join(', ')}`),
+        { code: 'NOTIFICATION_FAILED', failures }
+      );
+    }
+    return channels;
+  }
+}
+
+/**
+ * Split a comma-separated env list
+ * @param {string} value - Env value
+ * @returns {Array<string>} - Items
+ */
+function parseList(value) {
+  return (value || '').split(',').map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Get the LINE notification format of a group
+ * LINE_NOTIFICATION_FORMAT_<group> falls back to LINE_NOTIFICATION_FORMAT.
+ * @param {string} group - Group suffix
+ * @returns {string} - 'flex' or 'text'
+ */
+function lineFormat(group) {
+  const format = (process.env[`LINE_NOTIFICATION_FORMAT_${group}`] || process.env.LINE_NOTIFICATION_FORMAT || '').toLowerCase();
+  if (!format) {
+    return DEFAULT_NOTIFICATION_FORMAT;
+  }
+  if (!NOTIFICATION_FORMATS.includes(format)) {
+    log('WARN', 'Unknown LINE notification format, using default', {
+      group,
+      format,
+      defaultFormat: DEFAULT_NOTIFICATION_FORMAT
+    });
+    return DEFAULT_NOTIFICATION_FORMAT;
+  }
+  return format;
+}
+
+/**
+ * Create the notification service from env settings
+ *
+ * - 'line:<GROUP>': LINE_CHANNEL_ACCESS_TOKEN_<GROUP>, LINE_GROUP_ID_<GROUP> and
+ *   LINE_NOTIFICATION_FORMAT_<GROUP>, each falling back to the unsuffixed default
+ * - 'line:multicast': LINE_MULTICAST_USER_IDS (comma-separated)
+ * - 'email': NOTIFICATION_EMAIL_TO (comma-separated), sent from the Gmail account
+ * - 'webhook': NOTIFICATION_WEBHOOK_URL, signed with NOTIFICATION_WEBHOOK_SECRET
+ * - routes: NOTIFICATION_ROUTES (see src/notifications/routes.js)
+ *
+ * @param {object} options - { getGmail: async () => GmailService } (defaults to the app's Gmail auth)
+ * @returns {NotificationService} - Notification service
+ */
+function createNotificationService(options = {}) {
+  const lineClients = new Map();
+  const lineClient = token => {
+    if (!lineClients.has(token)) {
+      lineClients.set(token, new LineClient(token));
+    }
+    return lineClients.get(token);
+  };
+
+  let gmail = null;
+  const getGmail = options.getGmail || (() => {
+    if (!gmail) {
+      // Loaded on first email only: workers without an email channel skip Gmail auth
+      const { getAuth } = require('../utils/auth');
+      const { GmailService } = require('../services/gmailService');
+      gmail = getAuth().then(auth => new GmailService(auth));
+      gmail.catch(() => { gmail = null; });
+    }
+    return gmail;
+  });
+
+  const createChannel = name => {
+    if (name === 'line:multicast') {
+      const userIds = parseList(process.env.LINE_MULTICAST_USER_IDS);
+      const token = process.env.LINE_CHANNEL_ACCESS_TOKEN_MULTICAST || process.env.LINE_CHANNEL_ACCESS_TOKEN;
+      return userIds.length > 0 && token
+        ? new LineMulticastChannel(name, lineClient(token), userIds, lineFormat('MULTICAST'))
+        : null;
+    }
+
+    if (name.startsWith('line:')) {
+      const group = name.slice('line:'.length);
+      const token = process.env[`LINE_CHANNEL_ACCESS_TOKEN_${group}`] || process.env.LINE_CHANNEL_ACCESS_TOKEN;
+      const groupId = process.env[`LINE_GROUP_ID_${group}`] || process.env.LINE_GROUP_ID;
+      return token && groupId
+        ? new LinePushChannel(name, lineClient(token), groupId, lineFormat(group))
+        : null;
+    }
+
+    if (name === 'email') {
+      const recipients = parseList(process.env.NOTIFICATION_EMAIL_TO);
+      return recipients.length > 0 ? new EmailChannel(name, getGmail, recipients) : null;
+    }
+
+    if (name === 'webhook') {
+      return process.env.NOTIFICATION_WEBHOOK_URL
+        ? new WebhookChannel(name, process.env.NOTIFICATION_WEBHOOK_URL, process.env.NOTIFICATION_WEBHOOK_SECRET || null)
+        : null;
+    }
+
+    log('WARN', 'Unknown notification channel in routes', { channel: name });
+    return null;
+  };
+
+  return new NotificationService({ createChannel });
+}
+
+module.exports = { NotificationService, GENERIC_EVENTS, createNotificationService };
@@ -0,0 +1,107 @@
+const { isTransientError } = require('../utils/errorUtils');
+const { log } = require('../utils/logging');
+
+/**
+ * Delivery policy shared by every notification channel
+ *
+ * - Validation: LINE limits (text, altText, buttons text, messages per request)
+ *   are enforced by truncating, never by failing the notification.
+ * - Retries: a send is retried in-call (DEFAULT_ATTEMPTS, exponential delay) only
+ *   for transient failures: timeouts, network errors, HTTP 429 and 5xx.
+ * - Permanent failures: HTTP 4xx other than 429 will never succeed; the outbox
+ *   dead-letters them at once instead of retrying later.
+ */
+
+// LINE Messaging API limits
+const LIMITS = {
+  text: 5000,
+  altText: 400,
+  buttonsText: 160,
+  messagesPerRequest: 5,
+  multicastRecipients: 500
+};
+
+const DEFAULT_TIMEOUT_MS = 30 * 1000;
+const DEFAULT_ATTEMPTS = 3;
+const DEFAULT_RETRY_DELAY_MS = 1000;
+
+/**
+ * Cut text to a length limit, ending with "..."
+ * @param {string} text - Text
+ * @param {number} max - Maximum length
+ * @returns {string} - Text within the limit
+ */
+function truncate(text, max) {
+  const value = String(text);
+  return value.length > max ? value.substring(0, max - 3) + '...' : value;
+}
+
+/**
+ * Get the HTTP status of a failed request (axios errors and channel errors)
+ * @param {Error} error - Delivery error
+ * @returns {number|null} - Status code
+ */
+function errorStatus(error) {
+  return error?.response?.status || error?.status || null;
+}
+
+/**
+ * Whether a failed send may succeed if retried right away
+ * @param {Error} error - Delivery error
+ * @returns {boolean} - True for timeouts, network errors, 429 and 5xx
+ */
+function isRetryable(error) {
+  const status = errorStatus(error);
+  if (status) {
+    return status === 429 || status >= 500;
+  }
+  return isTransientError(error);
+}
+
+/**
+ * Whether a failed send can never succeed (the request itself is rejected)
+ * @param {Error} error - Delivery error
+ * @returns {boolean} - True for 4xx other than 429
+ */
+function isPermanentError(error) {
+  const status = errorStatus(error);
+  return Boolean(status && status >= 400 && status < 500 && status !== 429);
+}
+
+/**
+ * Run a send, retrying transient failures with exponential delay
+ * @param {Function} operation - () => Promise
+ * @param {object} options - { attempts, delayMs, label } (label is used in logs)
+ * @returns {Promise<*>} - Result of the operation
+ */
+async function withRetry(operation, { attempts = DEFAULT_ATTEMPTS, delayMs = DEFAULT_RETRY_DELAY_MS, label = 'notification' } = {}) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await operation();
+    } catch (error) {
+      if (attempt >= attempts || !isRetryable(error)) {
+        throw error;
+      }
+
+      const waitMs = delayMs * 2 ** (attempt - 1);
+      log('WARN', `Retrying ${label}`, {
+        attempt,
+        attempts,
+        waitMs,
+        status: errorStatus(error),
+        error: error.message
+      });
+      await new Promise(resolve => setTimeout(resolve, waitMs));
+    }
+  }
+}
+
+module.exports = {
+  LIMITS,
+  DEFAULT_TIMEOUT_MS,
+  truncate,
+  errorStatus,
+  isRetryable,
+  isPermanentError,
+  withRetry
+};
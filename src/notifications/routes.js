@@ -0,0 +1,94 @@
+const { log } = require('../utils/logging');
+
+/**
+ * Notification routing rules
+ *
+ * A rule sends matching events to channels:
+ *
+ *   { events: ['no_slots', ...] | '*', sources: ['resos', ...] | '*', channels: ['line:group', 'email', ...] }
+ *
+ * Every matching rule adds its channels (each channel is used once). Channel
+ * names are 'line:<GROUP>' (LINE_GROUP_ID_<GROUP>), 'line:group' (the group of
+ * the notifying source, e.g. 'line:WEBRESOS'), 'line:multicast', 'email' and
+ * 'webhook'. Channels that are not configured are skipped, so the defaults
+ * below only email or post to a webhook once NOTIFICATION_EMAIL_TO or
+ * NOTIFICATION_WEBHOOK_URL is set.
+ *
+ * NOTIFICATION_ROUTES (a JSON array of rules) replaces the defaults.
+ */
+
+const DEFAULT_ROUTES = [
+  // Every event goes to the LINE group of the source that raised it
+  { events: '*', sources: '*', channels: ['line:group'] },
+  // Bookings staff must handle by hand are also emailed
+  { events: ['no_slots', 'outside_hours', 'parse_failed'], sources: '*', channels: ['email'] },
+  { events: '*', sources: '*', channels: ['webhook'] }
+];
+
+/**
+ * Check that a value is '*' or a list of strings
+ * @param {*} value - Rule field
+ * @returns {boolean} - True if valid
+ */
+function isMatcher(value) {
+  return value === '*' || (Array.isArray(value) && value.every(item => typeof item === 'string'));
+}
+
+/**
+ * Load the routing rules (NOTIFICATION_ROUTES or the defaults)
+ * @param {string} json - Rules as JSON (defaults to NOTIFICATION_ROUTES)
+ * @returns {Array<object>} - Rules
+ */
+function loadRoutes(json = process.env.NOTIFICATION_ROUTES) {
+  if (!json) {
+    return DEFAULT_ROUTES;
+  }
+
+  let routes;
+  try {
+    routes = JSON.parse(json);
+  } catch (error) {
+    throw new Error(`NOTIFICATION_ROUTES is not valid JSON: ${error.message}`);
+  }
+
+  if (!Array.isArray(routes)) {
+    throw new Error('NOTIFICATION_ROUTES must be a JSON array of rules');
+  }
+  routes.forEach((rule, index) => {
+    if (!isMatcher(rule.events ?? '*') || !isMatcher(rule.sources ?? '*') ||
+        !Array.isArray(rule.channels) || rule.channels.length === 0) {
+      throw new Error(`NOTIFICATION_ROUTES rule ${index} needs "channels" and '*' or string lists for "events" and "sources"`);
+    }
+  });
+
+  log('INFO', 'Using notification routes from NOTIFICATION_ROUTES', { rules: routes.length });
+  return routes.map(rule => ({ events: rule.events ?? '*', sources: rule.sources ?? '*', channels: rule.channels }));
+}
+
+/**
+ * Resolve the channels of an event
+ * @param {Array<object>} routes - Rules
+ * @param {string} eventType - Event type (e.g. 'booking_created')
+ * @param {object} context - { source, lineGroup }
+ * @returns {Array<string>} - Channel names, in rule order
+ */
+function resolveChannels(routes, eventType, { source = null, lineGroup = null } = {}) {
+  const matches = (matcher, value) => matcher === '*' || matcher.includes(value);
+  const channels = [];
+
+  for (const rule of routes) {
+    if (!matches(rule.events, eventType) || !matches(rule.sources, source)) {
+      continue;
+    }
+    for (const channel of rule.channels) {
+      const name = channel === 'line:group' ? (lineGroup ? `line:${lineGroup}` : null) : channel;
+      if (name && !channels.includes(name)) {
+        channels.push(name);
+      }
+    }
+  }
+
+  return channels;
+}
+
+module.exports = { DEFAULT_ROUTES, loadRoutes, resolveChannels };
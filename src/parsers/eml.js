@@ -0,0 +1,91 @@
+/**
+ * Minimal .eml (RFC 822 / MIME) reader for template fixtures
+ *
+ * Supports what vendor notification emails use: folded headers, single-part
+ * or multipart bodies, and base64 / quoted-printable transfer encodings.
+ */
+
+function parseHeaders(headerText) {
+  const headers = {};
+  const unfolded = headerText.replace(/\r?\n[ \t]+/g, ' ');
+
+  for (const line of unfolded.split(/\r?\n/)) {
+    const index = line.indexOf(':');
+    if (index <= 0) continue;
+    const name = line.substring(0, index).trim().toLowerCase();
+    headers[name] = line.substring(index + 1).trim();
+  }
+
+  return headers;
+}
+
+function splitHeadersAndBody(raw) {
+  const match = raw.match(/\r?\n\r?\n/);
+  if (!match) {
+    return { headers: parseHeaders(raw), body: '' };
+  }
+  return {
+    headers: parseHeaders(raw.substring(0, match.index)),
+    body: raw.substring(match.index + match[0].length)
+  };
+}
+
+function decodeBody(body, encoding = '') {
+  const normalizedEncoding = encoding.toLowerCase();
+
+  if (normalizedEncoding === 'base64') {
+    return Buffer.from(body.replace(/\s+/g, ''), 'base64').toString('utf8');
+  }
+
+  if (normalizedEncoding === 'quoted-printable') {
+    const bytes = body
+      .replace(/=\r?\n/g, '')
+      .replace(/=([0-9A-F]{2})/gi, (_, hex) => String.fromCharCode(parseInt(hex, 16)));
+    return Buffer.from(bytes, 'latin1').toString('utf8');
+  }
+
+  return body;
+}
+
+function collectParts(headers, body, parts) {
+  const contentType = headers['content-type'] || 'text/plain';
+  const boundaryMatch = contentType.match(/boundary="?([^";]+)"?/i);
+
+  if (/^multipart\//i.test(contentType) && boundaryMatch) {
+    const sections = body.split(`--${boundaryMatch[1]}`).slice(1);
+    for (const section of sections) {
+      if (section.startsWith('--')) break;
+      const part = splitHeadersAndBody(section.replace(/^\r?\n/, ''));
+      collectParts(part.headers, part.body, parts);
+    }
+    return;
+  }
+
+  parts.push({
+    mimeType: contentType.split(';')[0].trim().toLowerCase(),
+    content: decodeBody(body, headers['content-transfer-encoding'])
+  });
+}
+
+/**
+ * Parse a raw .eml file
+ * @param {string} raw - Raw email source
+ * @returns {object} - { subject, date, html, text }
+ */
+function parseEml(raw) {
+  const { headers, body } = splitHeadersAndBody(raw);
+  const parts = [];
+  collectParts(headers, body, parts);
+
+  const html = parts.find(p => p.mimeType === 'text/html');
+  const text = parts.find(p => p.mimeType === 'text/plain');
+
+  return {
+    subject: headers.subject || '',
+    date: headers.date || '',
+    html: html ? html.content : null,
+    text: text ? text.content : null
+  };
+}
+
+module.exports = { parseEml };
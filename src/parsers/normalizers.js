@@ -0,0 +1,76 @@
+/**
+ * Field normalisers for declarative email templates
+ *
+ * Each normaliser takes the raw captured string and returns the normalised
+ * value, or null when the value cannot be normalised (which fails a required field).
+ */
+
+const MONTHS = {
+  jan: '01', feb: '02', mar: '03', apr: '04', may: '05', jun: '06',
+  jul: '07', aug: '08', sep: '09', oct: '10', nov: '11', dec: '12'
+};
+
+function trim(value) {
+  const trimmed = value.trim();
+  return trimmed || null;
+}
+
+function collapseWhitespace(value) {
+  return trim(value.replace(/\s+/g, ' '));
+}
+
+function integer(value) {
+  const parsed = parseInt(value, 10);
+  return Number.isNaN(parsed) ? null : parsed;
+}
+
+/**
+ * "2:00PM" / "2:00  pm" / "14:00" -> "2:00 PM" / "14:00"
+ */
+function clockTime(value) {
+  const match = value.trim().match(/^(\d{1,2}:\d{2})\s*([AP]M)?$/i);
+  if (!match) return null;
+  return match[2] ? `${match[1]} ${match[2].toUpperCase()}` : match[1];
+}
+
+/**
+ * "January 15, 2025" / "Jan 11 2026" -> "2025-01-15"
+ * Deterministic (no Date/toISOString), so the runtime timezone cannot shift the day.
+ */
+function monthNameDate(value) {
+  const match = value.match(/([A-Za-z]+)\s+(\d{1,2}),?\s+(\d{4})/);
+  if (!match) return null;
+  const month = MONTHS[match[1].slice(0, 3).toLowerCase()];
+  if (!month) return null;
+  return `${match[3]}-${month}-${match[2].padStart(2, '0')}`;
+}
+
+/**
+ * "Monday, 1 December 2025" -> "2025-12-01"
+ */
+function weekdayDayMonthYearDate(value) {
+  const match = value.match(/([^,]+),\s*(\d+)\s+([^\s]+)\s+(\d{4})/);
+  if (!match) return null;
+  const [, , day, monthName, year] = match;
+  return monthNameDate(`${monthName} ${day}, ${year}`);
+}
+
+/**
+ * "Monday, 1 December 2025" -> "Monday, 1 December" (display form used in notifications)
+ */
+function weekdayDayMonth(value) {
+  const match = value.match(/([^,]+),\s*(\d+)\s+([^\s]+)\s+(\d{4})/);
+  if (!match) return null;
+  const [, weekday, day, monthName] = match;
+  return `${weekday.trim()}, ${day} ${monthName}`;
+}
+
+module.exports = {
+  trim,
+  collapseWhitespace,
+  integer,
+  clockTime,
+  monthNameDate,
+  weekdayDayMonthYearDate,
+  weekdayDayMonth
+};
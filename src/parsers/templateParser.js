@@ -0,0 +1,136 @@
+const { log } = require('../utils/logging');
+
+/**
+ * Declarative, versioned email template parser
+ *
+ * A template describes one vendor email layout:
+ *
+ *   {
+ *     source: 'classpass',
+ *     version: 'classpass-v2',
+ *     description: 'Member information layout (2026)',
+ *     detect: (bodyText, subject) => /reservation/i.test(subject), // optional gate
+ *     fields: {
+ *       date: { pattern: /Date\s+and\s+time\s*(\w+\s+\d{1,2},?\s+\d{4})/i, required: true, normalize: monthNameDate },
+ *       numberOfPeople: { pattern: /Pax:\s*(\d+)/i, normalize: integer, default: 1 },
+ *       isCancellation: { test: (bodyText, subject) => /cancel/i.test(subject) }
+ *     }
+ *   }
+ *
+ * Field rules:
+ *   pattern / patterns - regex (or ordered list of regexes) matched against the plain text body
+ *   group              - capture group to read (default 1)
+ *   required           - template does not match if the field is missing or fails normalisation
+ *   normalize          - function(rawValue) returning the normalised value or null
+ *   default            - value used when an optional field is missing
+ *   test               - function(bodyText, subject) for computed (usually boolean) fields
+ *
+ * Templates for a source are tried in order (newest layout first); the first
+ * template whose detect() (if any) passes and whose required fields all resolve
+ * wins, and its version is reported.
+ */
+
+/**
+ * Resolve a single field rule against an email
+ * @param {object} rule - Field rule
+ * @param {string} bodyText - Plain text email body
+ * @param {string} subject - Email subject line
+ * @returns {*} - Normalised value, or undefined when not found
+ */
+function resolveField(rule, bodyText, subject) {
+  if (rule.test) {
+    return rule.test(bodyText, subject);
+  }
+
+  const patterns = rule.patterns || [rule.pattern];
+  const group = rule.group || 1;
+
+  for (const pattern of patterns) {
+    const match = bodyText.match(pattern);
+    if (!match || match[group] === undefined) continue;
+
+    const value = rule.normalize ? rule.normalize(match[group]) : match[group].trim();
+    if (value !== null && value !== undefined && value !== '') {
+      return value;
+    }
+  }
+
+  return undefined;
+}
+
+/**
+ * Apply one template to an email
+ * @param {object} template - Template definition
+ * @param {string} bodyText - Plain text email body
+ * @param {string} subject - Email subject line
+ * @returns {object} - { matched: boolean, fields: object, missing: string[] }
+ */
+function applyTemplate(template, bodyText, subject = '') {
+  const fields = {};
+  const missing = [];
+
+  for (const [name, rule] of Object.entries(template.fields)) {
+    let value;
+    try {
+      value = resolveField(rule, bodyText, subject);
+    } catch (error) {
+      log('WARN', 'Template field rule threw', {
+        version: template.version,
+        field: name,
+        error: error.message
+      });
+      value = undefined;
+    }
+
+    if (value === undefined) {
+      if (rule.required) {
+        missing.push(name);
+        continue;
+      }
+      value = rule.default !== undefined ? rule.default : null;
+    }
+
+    fields[name] = value;
+  }
+
+  return {
+    matched: missing.length === 0,
+    fields,
+    missing
+  };
+}
+
+/**
+ * Parse an email with the first matching template
+ * @param {Array<object>} templates - Templates in priority order
+ * @param {string} bodyText - Plain text email body
+ * @param {string} subject - Email subject line
+ * @returns {object} - { details: object|null, version: string|null, failures: Array<{version, missing}> }
+ */
+function parseWithTemplates(templates, bodyText, subject = '') {
+  const failures = [];
+
+  for (const template of templates) {
+    if (template.detect && !template.detect(bodyText || '', subject || '')) {
+      failures.push({ version: template.version, missing: ['detect'] });
+      continue;
+    }
+
+    const result = applyTemplate(template, bodyText || '', subject || '');
+    if (result.matched) {
+      return {
+        details: result.fields,
+        version: template.version,
+        failures
+      };
+    }
+    failures.push({ version: template.version, missing: result.missing });
+  }
+
+  return { details: null, version: null, failures };
+}
+
+module.exports = {
+  applyTemplate,
+  parseWithTemplates
+};
@@ -0,0 +1,98 @@
+const { trim, collapseWhitespace, integer, clockTime, monthNameDate } = require('../normalizers');
+
+/**
+ * ClassPass email templates (newest layout first)
+ *
+ * Confirmation subjects look like "ClassPass user reservation" or
+ * "You received a ClassPass reservation"; cancellation subjects look like
+ * "ClassPass reservation canceled by user".
+ */
+
+const isCancellation = {
+  test: (bodyText, subject) => /canceled by user/i.test(subject) ||
+    /reservation canceled/i.test(subject) ||
+    /cancelled by user/i.test(subject) ||
+    (/cancel/i.test(subject) && !/received/i.test(subject))
+};
+
+const anyEmail = /([a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,})/i;
+
+const CLASSPASS_TEMPLATES = [
+  {
+    source: 'classpass',
+    version: 'classpass-v2',
+    description: 'Member information layout: "Date and time Jan 11, 2026 @ 11:00 AM", "Member information <name> <email>", "Reservation ID #380460658"',
+    fields: {
+      isCancellation,
+      reservationDate: {
+        pattern: /Date\s+and\s+time\s*(\w+\s+\d{1,2},?\s+\d{4})\s*@?\s*\d{1,2}:\d{2}\s*[APM]{2}/i,
+        required: true,
+        normalize: collapseWhitespace
+      },
+      date: {
+        pattern: /Date\s+and\s+time\s*(\w+\s+\d{1,2},?\s+\d{4})\s*@?\s*\d{1,2}:\d{2}\s*[APM]{2}/i,
+        required: true,
+        normalize: monthNameDate
+      },
+      startTime: {
+        pattern: /Date\s+and\s+time\s*\w+\s+\d{1,2},?\s+\d{4}\s*@?\s*(\d{1,2}:\d{2}\s*[APM]{2})/i,
+        required: true,
+        normalize: clockTime
+      },
+      customerName: {
+        pattern: /Member\s+information\s*([\s\S]+?)(?=\s*[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,})/i,
+        required: true,
+        normalize: collapseWhitespace
+      },
+      customerEmail: { pattern: anyEmail, normalize: trim },
+      customerPhone: { pattern: /Phone:\s*(\+?[\d\s-]+)/i, normalize: trim },
+      reservationKey: { pattern: /Reservation\s+ID\s*#?(\d+)/i, normalize: trim },
+      numberOfPeople: {
+        pattern: /(?:Number of (?:People|Guests|Participants)|Pax):\s*(\d+)/i,
+        normalize: integer,
+        default: 1 // ClassPass reservations are for one person unless stated
+      }
+    }
+  },
+  {
+    source: 'classpass',
+    version: 'classpass-v1',
+    description: 'Legacy layout: "at LenGolf January 15, 2025 @ 2:00 PM", "Reservation made by: Name: John Doe Email: ...", "Reservation ID: ABC123"',
+    fields: {
+      isCancellation,
+      reservationDate: {
+        pattern: /at LenGolf\s*(\w+ \d{1,2}, \d{4})\s*@\s*\d{1,2}:\d{2}\s*[APM]{2}/i,
+        required: true,
+        normalize: trim
+      },
+      date: {
+        pattern: /at LenGolf\s*(\w+ \d{1,2}, \d{4})\s*@\s*\d{1,2}:\d{2}\s*[APM]{2}/i,
+        required: true,
+        normalize: monthNameDate
+      },
+      startTime: {
+        pattern: /at LenGolf\s*\w+ \d{1,2}, \d{4}\s*@\s*(\d{1,2}:\d{2}\s*[APM]{2})/i,
+        required: true,
+        normalize: clockTime
+      },
+      customerName: {
+        pattern: /(?:Reservation made by:|Name:)\s*(?:Name:)?\s*([^\r\n]+?)(?:\s+Email:|$)/i,
+        required: true,
+        normalize: trim
+      },
+      customerEmail: {
+        patterns: [/Email:\s*([^\s\r\n]+@[^\s\r\n]+)/i, anyEmail],
+        normalize: trim
+      },
+      customerPhone: { pattern: /Phone:\s*(\+?[\d\s-]+)/i, normalize: trim },
+      reservationKey: { pattern: /(?:Reservation|Booking)\s+(?:ID|Key|#):\s*([A-Z0-9-]+)/i, normalize: trim },
+      numberOfPeople: {
+        pattern: /(?:Number of (?:People|Guests|Participants)|Pax):\s*(\d+)/i,
+        normalize: integer,
+        default: 1
+      }
+    }
+  }
+];
+
+module.exports = { CLASSPASS_TEMPLATES };
@@ -0,0 +1,25 @@
+const { CLASSPASS_TEMPLATES } = require('./classpass');
+const { RESOS_TEMPLATES } = require('./resos');
+
+/**
+ * Email templates by booking source type
+ */
+const TEMPLATES_BY_SOURCE = {
+  classpass: CLASSPASS_TEMPLATES,
+  resos: RESOS_TEMPLATES
+};
+
+/**
+ * Get the templates for a booking source
+ * @param {string} sourceType - Booking source type (e.g. 'classpass')
+ * @returns {Array<object>} - Templates in priority order (empty if none)
+ */
+function getTemplates(sourceType) {
+  return TEMPLATES_BY_SOURCE[sourceType] || [];
+}
+
+module.exports = {
+  CLASSPASS_TEMPLATES,
+  RESOS_TEMPLATES,
+  getTemplates
+};
@@ -0,0 +1,78 @@
+const { trim, integer, clockTime, weekdayDayMonthYearDate, weekdayDayMonth } = require('../normalizers');
+
+/**
+ * ResOS email templates (newest layout first)
+ *
+ * Body fields are label/value pairs flattened to one line by extractPlainText:
+ * "Date Monday, 1 December 2025 Time 12:00 - 13:00 People 4 Name John Doe Phone +66 12 345 6789 Email ..."
+ *
+ * Modification emails ("Booking changed") list the current values with the same
+ * labels, optionally followed by "Previous date" / "Previous time" / "Previous people".
+ */
+
+const TIME = '\\d{1,2}:\\d{2}(?:\\s?[AP]M)?';
+
+// Subjects like "Booking changed", "Your booking has been updated", "Reservation modified"
+const MODIFICATION_SUBJECT = /\b(?:chang|updat|modif|reschedul)\w*/i;
+
+const isModification = {
+  test: (bodyText, subject) => MODIFICATION_SUBJECT.test(subject)
+};
+
+const isCancellation = {
+  // Modification emails can mention "cancel" in their footer links, so only the subject counts for them
+  test: (bodyText, subject) => /cancel/i.test(subject) ||
+    (!MODIFICATION_SUBJECT.test(subject) && /cancel/i.test(bodyText))
+};
+
+// Current values; the lookbehinds skip the "Previous ..." section of modification emails
+// and the leading word boundaries skip words ending in a label ("updated"). There is no
+// trailing boundary: extractPlainText joins a label cell to its value ("DateMonday, ...").
+const sharedFields = {
+  isCancellation,
+  isModification,
+  date: { pattern: /(?<!(?:Previous|Original)\s)\bDate\s*(.*?\d{4})/i, required: true, normalize: weekdayDayMonthYearDate },
+  displayDate: { pattern: /(?<!(?:Previous|Original)\s)\bDate\s*(.*?\d{4})/i, required: true, normalize: weekdayDayMonth },
+  startTime: {
+    pattern: new RegExp(`(?<!(?:Previous|Original)\\s)Time\\s*(${TIME})\\s*-\\s*${TIME}`, 'i'),
+    required: true,
+    normalize: clockTime
+  },
+  endTime: {
+    pattern: new RegExp(`(?<!(?:Previous|Original)\\s)Time\\s*${TIME}\\s*-\\s*(${TIME})`, 'i'),
+    required: true,
+    normalize: clockTime
+  },
+  numberOfPeople: { pattern: /(?<!(?:Previous|Original)\s)People\s*(\d+)/i, required: true, normalize: integer },
+  customerName: { pattern: /Name\s*(.*?)(?=\s+(?:Phone|Email))/i, required: true, normalize: trim },
+  customerPhone: { pattern: /Phone\s*(\+\d+\s*\d+\s*\d+\s*\d+)/i, required: true, normalize: trim },
+  customerEmail: { pattern: /Email\s*([^\s\r\n]+@[^\s\r\n]+)/i, normalize: trim },
+  // resOS booking reference, stored as bookings.reservation_key when present
+  reservationKey: { pattern: /Booking\s+(?:reference|ref\.?|ID)\s*:?\s*#?([A-Za-z0-9]{6,})/i, normalize: trim }
+};
+
+const RESOS_TEMPLATES = [
+  {
+    source: 'resos',
+    version: 'resos-modified-v1',
+    description: 'Modification layout: current label/value pairs followed by optional "Previous date", "Previous time 18:00 - 19:00", "Previous people"',
+    detect: (bodyText, subject) => MODIFICATION_SUBJECT.test(subject),
+    fields: {
+      ...sharedFields,
+      previousDate: { pattern: /\b(?:Previous|Original)\s+Date\s*(.*?\d{4})/i, normalize: weekdayDayMonthYearDate },
+      previousStartTime: {
+        pattern: new RegExp(`(?:Previous|Original)\\s+Time\\s*(${TIME})`, 'i'),
+        normalize: clockTime
+      },
+      previousNumberOfPeople: { pattern: /(?:Previous|Original)\s+People\s*(\d+)/i, normalize: integer }
+    }
+  },
+  {
+    source: 'resos',
+    version: 'resos-v1',
+    description: 'Label/value layout: "Date Monday, 1 December 2025", "Time 12:00 - 13:00" (or 12:00 PM - 1:00 PM), "People 4", "Name", "Phone", "Email"',
+    fields: sharedFields
+  }
+];
+
+module.exports = { RESOS_TEMPLATES };
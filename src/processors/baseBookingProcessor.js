@@ -0,0 +1,1499 @@
+const { EmailTrackingService } = require('../services/emailTrackingService');
+const { CustomerService } = require('../services/customerService');
+const { BookingService } = require('../services/bookingService');
+const { WaitlistService } = require('../services/waitlistService');
+const { BookingFeedService } = require('../services/bookingFeedService');
+const { BookingConfirmationService } = require('../services/bookingConfirmationService');
+const { CustomerMatchReviewService } = require('../services/customerMatchReviewService');
+const { NotificationOutboxService } = require('../services/notificationOutboxService');
+const { extractPlainText } = require('../utils/emailUtils');
+const { log } = require('../utils/logging');
+const { isTransientError } = require('../utils/errorUtils');
+const { collapseWhitespace, clockTime, trim } = require('../parsers/normalizers');
+
+const DEFAULT_REVIEW_LABEL = 'Web Leads - needs review';
+const EXCERPT_LENGTH = 500;
+const DEFAULT_CONFIRMATION_REMINDER_HOURS = 3;
+
+/**
+ * Booking fields staff may override when reprocessing an email, with their
+ * normalisers (returning null for invalid values)
+ */
+const OVERRIDABLE_FIELDS = {
+  date: value => (/^\d{4}-\d{2}-\d{2}$/.test(String(value)) ? String(value) : null),
+  startTime: value => clockTime(String(value)),
+  duration: value => (Number(value) > 0 ? Number(value) : null),
+  numberOfPeople: value => (Number.isInteger(Number(value)) && Number(value) > 0 ? Number(value) : null),
+  customerName: value => collapseWhitespace(String(value)),
+  customerPhone: value => trim(String(value)),
+  customerEmail: value => trim(String(value)),
+  reservationKey: value => trim(String(value)),
+  bay: value => trim(String(value))
+};
+
+const REQUIRED_BOOKING_FIELDS = ['date', 'startTime', 'duration', 'numberOfPeople', 'customerName'];
+
+/**
+ * BaseBookingProcessor - Shared pipeline for booking-source email channels
+ *
+ * Implements the listThreads → isProcessed → extract → checkAvailability →
+ * createBooking → queue LINE notification → markProcessed → moveThread loop once. A channel
+ * only supplies extractDetails() and its source metadata:
+ *
+ *   sourceType     - processed_emails.source_type value (e.g. 'classpass')
+ *   channel        - bookings.customer_contacted_via / notification channel (e.g. 'ClassPass')
+ *   labelEnv       - env var holding the Gmail source label (e.g. 'LABEL_CLASSPASS')
+ *   lineEnvSuffix  - LINE group of the source's notifications ('line:<suffix>' channel,
+ *                    LINE_CHANNEL_ACCESS_TOKEN_* / LINE_GROUP_ID_* overrides)
+ *   allowFuzzyName - allow fuzzy name customer matching (channels without a phone);
+ *                    name matches link the booking provisionally and ask staff to review
+ *   bookingNotes   - customer_notes stored on created bookings
+ *   lineNotes      - note appended to the booking created LINE notification
+ *   requiresConfirmation - bookings need a customer confirmation call (tracked in
+ *                    bookings.confirmation_status, with LINE buttons and reminders)
+ *
+ * LINE notifications are written to the notification outbox and delivered by
+ * the notification worker, so an email is done once its booking and outbox row
+ * are written; a LINE outage delays the message but never fails the email.
+ * Bookings record their Gmail message, so an email that failed after its booking
+ * was written is completed on the next attempt instead of being booked twice.
+ *
+ * Requests that find no free bay are put on the booking waitlist and converted
+ * into bookings when a cancellation frees a bay (see processWaitlist()).
+ *
+ * Emails that extractDetails() cannot parse are quarantined: recorded as
+ * 'parse_failed', moved to the LABEL_NEEDS_REVIEW Gmail label and announced on
+ * LINE. Once the parser is fixed, resubmitMessage() runs them through again.
+ *
+ * extractDetails() must return null (never throw) when an email cannot be parsed,
+ * and otherwise an object with isCancellation, date (YYYY-MM-DD), startTime,
+ * duration (hours), numberOfPeople, customerName, customerPhone, customerEmail
+ * and optionally reservationKey, isModification and previousDate/previousStartTime.
+ */
+class BaseBookingProcessor {
+  constructor(gmailService, supabase, source) {
+    if (!source || !source.sourceType || !source.channel) {
+      throw new Error('Booking source metadata (sourceType, channel) is required');
+    }
+    if (!gmailService) {
+      throw new Error(`Gmail service is required for ${source.channel} processor`);
+    }
+    if (!supabase) {
+      throw new Error(`Supabase client is required for ${source.channel} processor`);
+    }
+
+    this.gmail = gmailService;
+    this.supabase = supabase;
+    this.source = source;
+    this.sourceType = source.sourceType;
+    this.channel = source.channel;
+
+    // Initialize services
+    this.emailTracking = new EmailTrackingService(supabase);
+    this.customerService = new CustomerService(supabase);
+    this.bookingService = new BookingService(supabase);
+    this.waitlist = new WaitlistService(supabase, this.bookingService);
+    this.bookingFeed = new BookingFeedService(supabase, null, { bookingService: this.bookingService });
+    this.confirmations = new BookingConfirmationService(supabase, this.bookingService);
+    this.matchReviews = new CustomerMatchReviewService(supabase, this.customerService, this.bookingService);
+
+    this.outbox = new NotificationOutboxService(supabase);
+
+    // LINE group of this source (LINE_*_<suffix> settings, see createNotificationService)
+    this.lineTarget = source.lineEnvSuffix || source.sourceType.toUpperCase();
+
+    this.sourceLabels = [process.env[source.labelEnv]].filter(Boolean);
+    this.completedLabel = process.env.LABEL_COMPLETED;
+    this.reviewLabel = process.env.LABEL_NEEDS_REVIEW || DEFAULT_REVIEW_LABEL;
+  }
+
+  /**
+   * Extract booking details from an email (implemented by each channel)
+   * @param {string} bodyText - Plain text email body
+   * @param {string} subject - Email subject line
+   * @returns {object|null} - Extracted booking details or null
+   */
+  extractDetails(bodyText, subject) {
+    throw new Error(`extractDetails() is not implemented for ${this.channel}`);
+  }
+
+  /**
+   * Process a booking confirmation email
+   * @param {string} gmailMessageId - Gmail message ID
+   * @param {object} details - Extracted booking details
+   * @param {object} emailMetadata - Email metadata for tracking
+   * @returns {Promise<void>}
+   */
+  async processBookingConfirmation(gmailMessageId, details, emailMetadata) {
+    let booking = null;
+    try {
+      log('INFO', `Processing ${this.channel} booking confirmation`, {
+        customerName: details.customerName,
+        date: details.date,
+        startTime: details.startTime
+      });
+
+      // An earlier attempt may have failed after booking the email: finish that booking
+      booking = await this.bookingService.findBookingForEmail(gmailMessageId);
+      if (booking) {
+        log('INFO', `${this.channel} email already booked, completing it`, {
+          bookingId: booking.id,
+          gmailMessageId
+        });
+        await this.completeBookingCreated(gmailMessageId, booking, Boolean(booking.is_new_customer), null, details, emailMetadata);
+        return;
+      }
+
+      // Step 1: Match or create customer
+      const customerMatch = await this.customerService.getOrCreateCustomer({
+        name: details.customerName,
+        phone: details.customerPhone,
+        email: details.customerEmail
+      }, Boolean(this.source.allowFuzzyName), { sourceType: this.sourceType, gmailMessageId });
+      const { customer, isNew } = customerMatch;
+
+      // Phone and email matched two different customers: ask staff about merging them
+      if (customerMatch.mergeProposal) {
+        await this.notifyMergeProposal(customerMatch, details, gmailMessageId);
+      }
+
+      // Check booking history - even if customer record exists, treat as new if no prior bookings
+      const isNewCustomer = isNew || !(await this.bookingService.hasBookingHistory(customer.id));
+
+      log('INFO', isNew ? 'Created new customer' : 'Matched existing customer', {
+        customerId: customer.id,
+        customerCode: customer.customer_code,
+        customerName: customer.customer_name,
+        isNewCustomer
+      });
+
+      // Step 2: Convert start time to HH:mm format (24-hour)
+      const startTime24h = this.bookingService.parseTimeToStandard(details.startTime);
+
+      // Requests outside opening hours or on a closure day are not booked or waitlisted
+      const hours = await this.bookingService.checkOpeningHours(details.date, startTime24h, details.duration);
+      if (!hours.open) {
+        await this.rejectOutsideOpeningHours(gmailMessageId, details, startTime24h, hours, emailMetadata);
+        return;
+      }
+
+      // Step 3: Check bay availability (a staff override pins the bay)
+      const { available, bays } = details.bay
+        ? {
+          available: await this.bookingService.isBayAvailable(details.bay, details.date, startTime24h, details.duration),
+          bays: [details.bay]
+        }
+        : await this.bookingService.checkAvailability(
+          details.date,
+          startTime24h,
+          details.duration,
+          details.numberOfPeople
+        );
+
+      if (!available) {
+        log('WARN', `No bays available for ${this.channel} booking`, {
+          customerName: details.customerName,
+          date: details.date,
+          startTime: details.startTime
+        });
+
+        await this.waitlistRequest(gmailMessageId, details, customer, isNewCustomer, startTime24h, emailMetadata);
+        return;
+      }
+
+      // Step 4: Create booking (a concurrent booking may take the bay first)
+      try {
+        booking = await this.bookingService.createBooking({
+          customerId: customer.id,
+          customerName: customer.customer_name,
+          customerPhone: customer.contact_number,
+          customerEmail: customer.email,
+          date: details.date,
+          startTime: startTime24h,
+          duration: details.duration,
+          numberOfPeople: details.numberOfPeople,
+          bay: bays[0],
+          bays,
+          reassignOnConflict: !details.bay,
+          customerContactedVia: this.channel,
+          reservationKey: details.reservationKey || null,
+          customerNotes: this.withOverrideNote(
+            this.source.bookingNotes || `Booking created automatically from ${this.channel} email.`,
+            emailMetadata
+          ),
+          isNewCustomer,
+          confirmationStatus: this.source.requiresConfirmation ? 'pending' : null,
+          gmailMessageId
+        });
+      } catch (createError) {
+        if (createError.code !== 'BAY_CONFLICT') {
+          throw createError;
+        }
+
+        log('WARN', `Bay taken by a concurrent booking for ${this.channel} request`, {
+          customerName: details.customerName,
+          date: details.date,
+          startTime: startTime24h,
+          error: createError.message
+        });
+
+        await this.waitlistRequest(gmailMessageId, details, customer, isNewCustomer, startTime24h, emailMetadata);
+        return;
+      }
+
+      log('INFO', `${this.channel} booking created successfully`, {
+        bookingId: booking.id,
+        customerName: booking.name,
+        bay: booking.bay,
+        groupId: booking.booking_group_id
+      });
+
+      // Steps 5-6: Queue LINE notification and track email as processed
+      await this.completeBookingCreated(gmailMessageId, booking, isNewCustomer, customerMatch, details, emailMetadata);
+
+      log('INFO', `${this.channel} booking processed successfully`, {
+        bookingId: booking.id,
+        gmailMessageId
+      });
+    } catch (error) {
+      log('ERROR', `Failed to process ${this.channel} booking confirmation`, {
+        customerName: details.customerName,
+        error: error.message,
+        stack: error.stack
+      });
+
+      await this.handleProcessingError(gmailMessageId, details, error, emailMetadata, booking ? booking.id : null);
+    }
+  }
+
+  /**
+   * Announce a created booking, ask staff to review a name-only customer match
+   * and record the email as processed
+   * Also finishes a booking an earlier attempt wrote before failing (without a
+   * customer match: its review is not asked again). The review is best effort,
+   * so it never fails an email whose booking exists.
+   * @param {string} gmailMessageId - Gmail message ID
+   * @param {object} booking - Created booking (with `groupBookings` for groups)
+   * @param {boolean} isNewCustomer - Whether the customer has no booking history
+   * @param {object|null} customerMatch - Result of CustomerService.getOrCreateCustomer
+   * @param {object} details - Extracted booking details
+   * @param {object} emailMetadata - Email metadata for tracking
+   * @returns {Promise<void>}
+   */
+  async completeBookingCreated(gmailMessageId, booking, isNewCustomer, customerMatch, details, emailMetadata) {
+    await this.announceChange(booking, 'created', 'booking_created', async () => {
+      const bookingData = this.bookingNotificationData(booking);
+      return {
+        ...bookingData,
+        isNewCustomer,
+        customerInsights: await this.customerInsights(booking.customer_id, isNewCustomer, bookingData.bookingIds),
+        notes: this.withOverrideNote(this.source.lineNotes || 'Booking created automatically.', emailMetadata),
+        requestConfirmation: Boolean(this.source.requiresConfirmation)
+      };
+    }, { bookingId: booking.id, gmailMessageId });
+
+    // Name-only customer matches are linked provisionally until staff review them
+    if (customerMatch && customerMatch.needsReview) {
+      try {
+        await this.requestCustomerMatchReview(customerMatch, details, booking, gmailMessageId);
+      } catch (reviewError) {
+        log('ERROR', `Failed to request ${this.channel} customer match review`, {
+          bookingId: booking.id,
+          customerId: booking.customer_id,
+          error: reviewError.message
+        });
+      }
+    }
+
+    await this.emailTracking.markProcessed(
+      gmailMessageId,
+      this.sourceType,
+      'booking_created',
+      booking.id,
+      null,
+      emailMetadata
+    );
+  }
+
+  /**
+   * Queue a notification raised by this source (routed to its LINE group by default)
+   * @param {string} eventType - e.g. 'booking_created', 'no_slots' (see NotificationService)
+   * @param {object} payload - Notification fields
+   * @param {object} refs - { bookingId, gmailMessageId } recorded on the outbox rows
+   * @returns {Promise<void>}
+   */
+  async notify(eventType, payload, refs = {}) {
+    await this.outbox.enqueue(eventType, payload, {
+      source: this.sourceType,
+      lineGroup: this.lineTarget,
+      ...refs
+    });
+  }
+
+  /**
+   * Load the booking history summary shown to staff for a returning customer
+   * @param {string} customerId - Customer ID
+   * @param {boolean} isNewCustomer - Whether the customer has no booking history
+   * @param {Array<string>} bookingIds - IDs of the booking being notified (left out)
+   * @returns {Promise<object|null>} - BookingService.getCustomerInsights result, or null
+   */
+  async customerInsights(customerId, isNewCustomer, bookingIds) {
+    if (isNewCustomer || !customerId) {
+      return null;
+    }
+    return this.bookingService.getCustomerInsights(customerId, { excludeBookingIds: bookingIds });
+  }
+
+  /**
+   * Record a review of a provisional (name-only) customer match and ask staff
+   * on LINE to confirm the customer or split the booking into a new one
+   * @param {object} customerMatch - Result of CustomerService.getOrCreateCustomer
+   * @param {object} details - Extracted booking details
+   * @param {object} booking - Created booking (with `groupBookings` for groups)
+   * @param {string} gmailMessageId - Gmail message ID
+   * @returns {Promise<void>}
+   */
+  async requestCustomerMatchReview(customerMatch, details, booking, gmailMessageId) {
+    const bookingData = this.bookingNotificationData(booking);
+    const review = await this.matchReviews.createReview(customerMatch, {
+      name: details.customerName,
+      phone: details.customerPhone,
+      email: details.customerEmail
+    }, {
+      sourceType: this.sourceType,
+      gmailMessageId,
+      bookingIds: bookingData.bookingIds
+    });
+
+    await this.notify('customer_match_review', {
+      ...bookingData,
+      customerName: review.input_name,
+      customerPhone: review.input_phone,
+      customerEmail: review.input_email,
+      reviewId: review.id,
+      reason: review.reason,
+      candidates: review.candidates,
+      provisionalCustomerId: review.provisional_customer_id
+    }, { bookingId: booking.id, gmailMessageId });
+  }
+
+  /**
+   * Queue the "possible duplicate customer" notification of a merge proposal
+   * Best effort: the proposal stays listed in the admin API if the message fails.
+   * @param {object} customerMatch - Result of CustomerService.getOrCreateCustomer (with mergeProposal)
+   * @param {object} details - Extracted booking details
+   * @param {string} gmailMessageId - Gmail message ID
+   * @returns {Promise<void>}
+   */
+  async notifyMergeProposal(customerMatch, details, gmailMessageId) {
+    const summary = customer => ({
+      customerId: customer.id,
+      customerCode: customer.customer_code || null,
+      customerName: customer.customer_name,
+      phone: customer.contact_number || null,
+      email: customer.email || null
+    });
+
+    try {
+      await this.notify('customer_merge_proposal', {
+        proposalId: customerMatch.mergeProposal.id,
+        channel: this.channel,
+        customerName: details.customerName,
+        customerPhone: details.customerPhone,
+        customerEmail: details.customerEmail,
+        primary: summary(customerMatch.customer),
+        duplicate: summary(customerMatch.mergeProposal.duplicateCustomer)
+      }, { gmailMessageId });
+    } catch (error) {
+      log('ERROR', `Failed to queue ${this.channel} customer merge proposal notification`, {
+        proposalId: customerMatch.mergeProposal.id,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Build LINE notification fields for a booking
+   * Multi-bay group bookings are reported as one booking with the bay set
+   * ("Bay 2 + Bay 3"), every booking ID and the total party size.
+   * @param {object} booking - Booking record (with `groupBookings` for groups)
+   * @returns {object} - Notification fields
+   */
+  bookingNotificationData(booking) {
+    const group = booking.groupBookings && booking.groupBookings.length > 0 ? booking.groupBookings : [booking];
+
+    return {
+      bookingId: booking.id,
+      bookingIds: group.map(row => row.id),
+      customerName: booking.name,
+      customerPhone: booking.phone_number,
+      customerEmail: booking.email,
+      date: booking.date,
+      startTime: booking.start_time,
+      duration: booking.duration,
+      bay: group.map(row => row.bay).join(' + '),
+      numberOfPeople: group.reduce((sum, row) => sum + row.number_of_people, 0),
+      channel: this.channel
+    };
+  }
+
+  /**
+   * Queue the automation's own LINE notification of a booking change
+   * The change is claimed first, so the booking change feed skips it and staff get
+   * one message. When the notification cannot be queued the claim is released,
+   * so a retry of the email (or the feed) still announces the change.
+   * @param {object} booking - Booking record (with `groupBookings` for groups)
+   * @param {string} changeType - 'created', 'cancelled' or 'modified'
+   * @param {string} eventType - Notification event (e.g. 'booking_created')
+   * @param {Function} buildPayload - Async function returning the notification fields (called once claimed)
+   * @param {object} refs - { bookingId, gmailMessageId } recorded on the outbox rows
+   * @returns {Promise<boolean>} - False if the feed already announced the change
+   */
+  async announceChange(booking, changeType, eventType, buildPayload, refs) {
+    const rows = booking.groupBookings && booking.groupBookings.length > 0 ? booking.groupBookings : [booking];
+    const claimed = await this.bookingFeed.claim(rows, changeType, 'automation');
+
+    if (!claimed) {
+      log('INFO', `${this.channel} booking change already announced by the booking feed`, {
+        bookingId: booking.id,
+        changeType
+      });
+      return false;
+    }
+
+    try {
+      await this.notify(eventType, await buildPayload(), refs);
+    } catch (error) {
+      await this.bookingFeed.release(rows, changeType);
+      throw error;
+    }
+    return true;
+  }
+
+  /**
+   * Append a "corrected manually" note when the email was reprocessed with overrides
+   * @param {string} notes - Booking or notification notes
+   * @param {object} emailMetadata - Email metadata (may carry overriddenBy)
+   * @returns {string} - Notes
+   */
+  withOverrideNote(notes, emailMetadata = {}) {
+    if (!emailMetadata.overriddenBy) {
+      return notes;
+    }
+    return `${notes} Details corrected manually by ${emailMetadata.overriddenBy} (${Object.keys(emailMetadata.overrides || {}).join(', ')}).`;
+  }
+
+  /**
+   * Put a request that found no free bay on the waitlist, notify staff and record 'no_slots'
+   * @param {string} gmailMessageId - Gmail message ID
+   * @param {object} details - Extracted booking details
+   * @param {object} customer - Matched or created customer record
+   * @param {boolean} isNewCustomer - Whether the customer has no booking history
+   * @param {string} startTime24h - Requested start time in HH:mm format
+   * @param {object} emailMetadata - Email metadata for tracking
+   * @returns {Promise<void>}
+   */
+  async waitlistRequest(gmailMessageId, details, customer, isNewCustomer, startTime24h, emailMetadata) {
+    // Keep the request on the waitlist so a cancellation can still place it
+    const waitlistEntry = await this.waitlist.addEntry({
+      sourceType: this.sourceType,
+      gmailMessageId,
+      customerId: customer.id,
+      customerName: customer.customer_name,
+      customerPhone: customer.contact_number || details.customerPhone,
+      customerEmail: customer.email || details.customerEmail,
+      isNewCustomer,
+      date: details.date,
+      startTime: startTime24h,
+      duration: details.duration,
+      numberOfPeople: details.numberOfPeople,
+      reservationKey: details.reservationKey || null
+    });
+
+    // Queue "no slots" notification
+    await this.notify('no_slots', {
+      customerName: details.customerName,
+      customerPhone: details.customerPhone || 'N/A',
+      date: details.date,
+      startTime: startTime24h,
+      duration: details.duration,
+      numberOfPeople: details.numberOfPeople,
+      channel: this.channel,
+      alternatives: await this.findAlternativeSlots(details, startTime24h),
+      notes: `Request added to the waitlist (${waitlistEntry.id}). It will be booked automatically if a bay frees up.`
+    }, { gmailMessageId });
+
+    // Track email as processed with "no_slots" action
+    await this.emailTracking.markProcessed(
+      gmailMessageId,
+      this.sourceType,
+      'no_slots',
+      null,
+      null,
+      emailMetadata
+    );
+  }
+
+  /**
+   * Notify staff about a request outside opening hours and record it as 'outside_hours'
+   * @param {string} gmailMessageId - Gmail message ID
+   * @param {object} details - Extracted booking details
+   * @param {string} startTime24h - Requested start time in HH:mm format
+   * @param {object} hours - Result of BookingService.checkOpeningHours
+   * @param {object} emailMetadata - Email metadata for tracking
+   * @param {object|null} existingBooking - Booking a modification email refers to (kept unchanged)
+   * @returns {Promise<void>}
+   */
+  async rejectOutsideOpeningHours(gmailMessageId, details, startTime24h, hours, emailMetadata, existingBooking = null) {
+    log('WARN', `${this.channel} request is outside opening hours`, {
+      customerName: details.customerName,
+      date: details.date,
+      startTime: startTime24h,
+      reason: hours.reason
+    });
+
+    await this.notify('outside_hours', {
+      customerName: details.customerName,
+      customerPhone: details.customerPhone || 'N/A',
+      date: details.date,
+      startTime: startTime24h,
+      duration: details.duration,
+      numberOfPeople: details.numberOfPeople,
+      channel: this.channel,
+      hours,
+      alternatives: await this.findAlternativeSlots(details, startTime24h),
+      notes: existingBooking
+        ? `Requested change to existing booking ${existingBooking.id}. The original booking has been kept.`
+        : null
+    }, { bookingId: existingBooking ? existingBooking.id : null, gmailMessageId });
+
+    await this.emailTracking.markProcessed(
+      gmailMessageId,
+      this.sourceType,
+      'outside_hours',
+      existingBooking ? existingBooking.id : null,
+      null,
+      emailMetadata
+    );
+  }
+
+  /**
+   * Tell staff a modification needs a different number of bays and record it as
+   * 'error': the automation only moves a booking (or a group as a whole) onto the
+   * same number of bays, so the original booking is kept for staff to change by hand
+   * @param {string} gmailMessageId - Gmail message ID
+   * @param {object} details - Extracted booking details (new values)
+   * @param {object} booking - Booking (any row of a group booking) the modification refers to
+   * @param {object} previous - Current date, time, bays and party size of the booking
+   * @param {Error} error - GROUP_SIZE_CHANGED error from BookingService.rescheduleBooking
+   * @param {object} emailMetadata - Email metadata for tracking
+   * @returns {Promise<void>}
+   */
+  async rejectGroupResize(gmailMessageId, details, booking, previous, error, emailMetadata) {
+    log('WARN', `${this.channel} modification changes the bay count of a booking, keeping original booking`, {
+      bookingId: booking.id,
+      groupSize: error.groupSize,
+      bayCount: error.bayCount
+    });
+
+    const message = `${error.groupSize > 1 ? 'Group booking' : 'Booking'} ${booking.id} for ${details.customerName} ` +
+      `(${previous.date} ${previous.startTime}, ${previous.bay}, ${previous.numberOfPeople} people) ` +
+      `was changed to ${details.numberOfPeople} people on ${details.date} at ${details.startTime}, ` +
+      `which needs ${error.bayCount} bay(s) instead of ${error.groupSize}. ` +
+      'The original booking has been kept; please update it manually.';
+
+    await this.notify('message', { text: message }, { bookingId: booking.id, gmailMessageId });
+
+    await this.emailTracking.markProcessed(
+      gmailMessageId,
+      this.sourceType,
+      'error',
+      booking.id,
+      message,
+      emailMetadata
+    );
+  }
+
+  /**
+   * Find the nearest free windows to offer when a request cannot be placed
+   * Suggestions are best effort: a lookup failure must not block the no-slots alert.
+   * @param {object} details - Extracted booking details
+   * @param {string} startTime24h - Requested start time in HH:mm format
+   * @returns {Promise<Array|null>} - Alternative slots, or null if the lookup failed
+   */
+  async findAlternativeSlots(details, startTime24h) {
+    try {
+      return await this.bookingService.findAlternativeSlots(
+        details.date,
+        startTime24h,
+        details.duration,
+        details.numberOfPeople
+      );
+    } catch (error) {
+      log('WARN', `Could not compute alternative slots for ${this.channel} request`, {
+        date: details.date,
+        startTime: startTime24h,
+        error: error.message
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Find the booking a cancellation email refers to
+   * Tries the external reservation key first, then customer details and time.
+   * @param {object} details - Extracted booking details
+   * @returns {Promise<object|null>} - Booking record or null
+   */
+  async findBookingForCancellation(details) {
+    let booking = null;
+
+    if (details.reservationKey) {
+      booking = await this.bookingService.findBookingByReservationKey(details.reservationKey);
+    }
+
+    // If not found by reservation key, try matching by customer details and time
+    if (!booking) {
+      const startTime24h = this.bookingService.parseTimeToStandard(details.startTime);
+      booking = await this.bookingService.findBookingByDetails(
+        details.customerName,
+        details.customerPhone,
+        details.customerEmail,
+        details.date,
+        startTime24h,
+        null // Don't filter by source - find any booking matching customer/time
+      );
+    }
+
+    return booking;
+  }
+
+  /**
+   * Process a cancellation email
+   * @param {string} gmailMessageId - Gmail message ID
+   * @param {object} details - Extracted booking details
+   * @param {object} emailMetadata - Email metadata for tracking
+   * @returns {Promise<void>}
+   */
+  async processCancellation(gmailMessageId, details, emailMetadata) {
+    try {
+      log('INFO', `Processing ${this.channel} cancellation`, {
+        customerName: details.customerName,
+        reservationKey: details.reservationKey,
+        date: details.date,
+        startTime: details.startTime
+      });
+
+      const booking = await this.findBookingForCancellation(details);
+
+      if (!booking && await this.cancelWaitlistEntry(gmailMessageId, details, emailMetadata)) {
+        return;
+      }
+
+      if (!booking) {
+        log('WARN', `No matching booking found for ${this.channel} cancellation`, {
+          customerName: details.customerName,
+          reservationKey: details.reservationKey,
+          date: details.date,
+          startTime: details.startTime
+        });
+
+        // Track email as processed with error
+        await this.emailTracking.markProcessed(
+          gmailMessageId,
+          this.sourceType,
+          'error',
+          null,
+          'No matching booking found for cancellation',
+          emailMetadata
+        );
+
+        return;
+      }
+
+      // Cancel the booking
+      const cancellationReason = `Customer cancelled via ${this.channel}`;
+      const cancelledBooking = await this.bookingService.cancelBooking(
+        booking.id,
+        cancellationReason,
+        'Email Automation'
+      );
+
+      log('INFO', `${this.channel} booking cancelled successfully`, {
+        bookingId: cancelledBooking.id,
+        customerName: cancelledBooking.name
+      });
+
+      // Queue cancellation notification
+      await this.announceChange(cancelledBooking, 'cancelled', 'booking_cancelled', async () => ({
+        ...this.bookingNotificationData(cancelledBooking),
+        cancelledBy: 'Email Automation',
+        cancellationReason
+      }), { bookingId: cancelledBooking.id, gmailMessageId });
+
+      // Track email as processed
+      await this.emailTracking.markProcessed(
+        gmailMessageId,
+        this.sourceType,
+        'booking_cancelled',
+        cancelledBooking.id,
+        null,
+        emailMetadata
+      );
+
+      log('INFO', `${this.channel} cancellation processed successfully`, {
+        bookingId: cancelledBooking.id,
+        gmailMessageId
+      });
+
+      // The freed bay may place a waiting request; failures are retried by the next cycle's sweep
+      try {
+        await this.processWaitlist({
+          date: cancelledBooking.date,
+          startTime: cancelledBooking.start_time,
+          duration: cancelledBooking.duration
+        });
+      } catch (waitlistError) {
+        log('ERROR', `Failed to re-check ${this.channel} waitlist after cancellation`, {
+          bookingId: cancelledBooking.id,
+          error: waitlistError.message
+        });
+      }
+    } catch (error) {
+      log('ERROR', `Failed to process ${this.channel} cancellation`, {
+        customerName: details.customerName,
+        error: error.message,
+        stack: error.stack
+      });
+
+      await this.handleProcessingError(gmailMessageId, details, error, emailMetadata);
+    }
+  }
+
+  /**
+   * Cancel a waitlisted request that a cancellation email refers to
+   * @param {string} gmailMessageId - Gmail message ID
+   * @param {object} details - Extracted cancellation details
+   * @param {object} emailMetadata - Email metadata for tracking
+   * @returns {Promise<boolean>} - True if a waiting entry was cancelled
+   */
+  async cancelWaitlistEntry(gmailMessageId, details, emailMetadata) {
+    const entry = await this.waitlist.findEntryForCancellation(this.sourceType, {
+      ...details,
+      startTime: this.bookingService.parseTimeToStandard(details.startTime)
+    });
+    if (!entry || !(await this.waitlist.updateStatus(entry.id, 'cancelled'))) {
+      return false;
+    }
+
+    log('INFO', `${this.channel} cancellation removed waitlisted request`, {
+      waitlistId: entry.id,
+      customerName: entry.customer_name
+    });
+
+    await this.notify('booking_cancelled', {
+      bookingId: 'WAITLIST',
+      customerName: entry.customer_name,
+      customerPhone: entry.customer_phone || 'N/A',
+      date: entry.date,
+      startTime: entry.start_time,
+      duration: entry.duration,
+      bay: 'None (waitlisted)',
+      numberOfPeople: entry.number_of_people,
+      channel: this.channel,
+      cancelledBy: 'Email Automation',
+      cancellationReason: `Customer cancelled via ${this.channel} while the request was on the waitlist`
+    }, { gmailMessageId });
+
+    await this.emailTracking.markProcessed(
+      gmailMessageId,
+      this.sourceType,
+      'booking_cancelled',
+      null,
+      null,
+      emailMetadata
+    );
+
+    return true;
+  }
+
+  /**
+   * Re-check this source's waitlist and book requests that now fit
+   * With a slot (a cancelled booking's date/time), only overlapping requests on
+   * that date are checked; without one, every upcoming request is checked and
+   * requests that have already started (venue time) are expired.
+   * @param {object|null} slot - Freed { date, startTime, duration } or null for a full sweep
+   * @returns {Promise<Array>} - Bookings created from the waitlist
+   */
+  async processWaitlist(slot = null) {
+    if (!slot) {
+      await this.waitlist.expirePast();
+    }
+
+    const entries = await this.waitlist.getWaiting(this.sourceType, slot ? slot.date : null);
+    const candidates = slot
+      ? entries.filter(entry => this.waitlist.overlapsSlot(entry, slot.date, slot.startTime, slot.duration))
+      : entries;
+
+    const converted = [];
+    for (const entry of candidates) {
+      try {
+        const booking = await this.convertWaitlistEntry(entry);
+        if (booking) converted.push(booking);
+      } catch (error) {
+        log('ERROR', `Failed to convert ${this.channel} waitlist entry`, {
+          waitlistId: entry.id,
+          error: error.message,
+          stack: error.stack
+        });
+      }
+    }
+
+    if (candidates.length > 0) {
+      log('INFO', `Re-checked ${this.channel} waitlist`, {
+        slot,
+        checked: candidates.length,
+        converted: converted.length
+      });
+    }
+
+    return converted;
+  }
+
+  /**
+   * Book a waitlisted request if a bay is now free
+   * @param {object} entry - booking_waitlist record
+   * @returns {Promise<object|null>} - Created booking, or null if still no bay or already started
+   */
+  async convertWaitlistEntry(entry) {
+    // A conversion that failed after its insert is finished instead of booked again
+    const existing = await this.bookingService.findBookingForEmail(entry.gmail_message_id);
+    if (existing) {
+      return this.completeWaitlistConversion(entry, existing);
+    }
+
+    // Never book a request whose time has passed at the venue (expirePast expires it)
+    const { date: today, minutes } = this.bookingService.venueNow();
+    if (entry.date < today || (entry.date === today && this.bookingService.toMinutes(entry.start_time) < minutes)) {
+      return null;
+    }
+
+    const hours = await this.bookingService.checkOpeningHours(entry.date, entry.start_time, Number(entry.duration));
+    if (!hours.open) {
+      return null;
+    }
+
+    const { available, bays } = await this.bookingService.checkAvailability(
+      entry.date,
+      entry.start_time,
+      entry.duration,
+      entry.number_of_people
+    );
+    if (!available) {
+      return null;
+    }
+
+    let booking;
+    try {
+      booking = await this.bookingService.createBooking({
+        customerId: entry.customer_id,
+        customerName: entry.customer_name,
+        customerPhone: entry.customer_phone,
+        customerEmail: entry.customer_email,
+        date: entry.date,
+        startTime: entry.start_time,
+        duration: Number(entry.duration),
+        numberOfPeople: entry.number_of_people,
+        bay: bays[0],
+        bays,
+        customerContactedVia: this.channel,
+        reservationKey: entry.reservation_key,
+        customerNotes: `${this.source.bookingNotes || `Booking created automatically from ${this.channel} email.`} Converted from waitlist.`,
+        isNewCustomer: entry.is_new_customer,
+        confirmationStatus: this.source.requiresConfirmation ? 'pending' : null,
+        gmailMessageId: entry.gmail_message_id
+      });
+    } catch (createError) {
+      if (createError.code === 'BAY_CONFLICT') {
+        return null; // taken by a concurrent booking; stays on the waitlist
+      }
+      throw createError;
+    }
+
+    return this.completeWaitlistConversion(entry, booking);
+  }
+
+  /**
+   * Mark a waitlist entry converted and announce its booking
+   * @param {object} entry - booking_waitlist record
+   * @param {object} booking - Booking made for the entry (with `groupBookings` for groups)
+   * @returns {Promise<object>} - The booking
+   */
+  async completeWaitlistConversion(entry, booking) {
+    await this.waitlist.updateStatus(entry.id, 'converted', booking.id);
+
+    log('INFO', `${this.channel} waitlisted request converted into booking`, {
+      waitlistId: entry.id,
+      bookingId: booking.id,
+      bay: booking.bay
+    });
+
+    await this.announceChange(booking, 'created', 'booking_created', async () => {
+      const bookingData = this.bookingNotificationData(booking);
+      return {
+        ...bookingData,
+        isNewCustomer: entry.is_new_customer,
+        customerInsights: await this.customerInsights(entry.customer_id, entry.is_new_customer, bookingData.bookingIds),
+        notes: 'Booked from the waitlist after a cancellation freed a bay. Please confirm with the customer.',
+        requestConfirmation: Boolean(this.source.requiresConfirmation)
+      };
+    }, { bookingId: booking.id, gmailMessageId: entry.gmail_message_id });
+
+    return booking;
+  }
+
+  /**
+   * Remind staff of bookings still unconfirmed shortly before they start
+   * Each booking is reminded once, CONFIRMATION_REMINDER_HOURS (default 3) before start.
+   * @returns {Promise<number>} - Reminders queued
+   */
+  async sendConfirmationReminders() {
+    const hoursBefore = Number(process.env.CONFIRMATION_REMINDER_HOURS) || DEFAULT_CONFIRMATION_REMINDER_HOURS;
+    const bookings = await this.confirmations.findDueReminders(this.channel, hoursBefore);
+
+    let queued = 0;
+    for (const booking of bookings) {
+      try {
+        await this.notify('confirmation_reminder', {
+          ...this.bookingNotificationData(booking),
+          confirmationStatus: booking.confirmation_status,
+          hoursBefore
+        }, { bookingId: booking.id });
+        await this.confirmations.markReminded(booking);
+        queued++;
+      } catch (error) {
+        log('ERROR', `Failed to remind unconfirmed ${this.channel} booking`, {
+          bookingId: booking.id,
+          error: error.message
+        });
+      }
+    }
+
+    if (bookings.length > 0) {
+      log('INFO', `Queued ${this.channel} confirmation reminders`, { due: bookings.length, queued });
+    }
+    return queued;
+  }
+
+  /**
+   * Find the booking a modification email refers to
+   * Tries the stored reservation key, then the previous date/time carried by the
+   * email, then the customer's single upcoming booking on this channel.
+   * @param {object} details - Extracted booking details
+   * @returns {Promise<object|null>} - Booking record or null
+   */
+  async findBookingForModification(details) {
+    if (details.reservationKey) {
+      const booking = await this.bookingService.findBookingByReservationKey(details.reservationKey);
+      if (booking) return booking;
+    }
+
+    if (details.previousDate || details.previousStartTime) {
+      const booking = await this.bookingService.findBookingByDetails(
+        details.customerName,
+        details.customerPhone,
+        details.customerEmail,
+        details.previousDate || details.date,
+        this.bookingService.parseTimeToStandard(details.previousStartTime || details.startTime),
+        null
+      );
+      if (booking) return booking;
+    }
+
+    return this.bookingService.findUpcomingBookingForCustomer(
+      details.customerPhone,
+      details.customerEmail,
+      this.channel
+    );
+  }
+
+  /**
+   * Process a booking modification email (changed date, time or party size)
+   * Updates the existing booking in place instead of creating a second one.
+   * @param {string} gmailMessageId - Gmail message ID
+   * @param {object} details - Extracted booking details (new values)
+   * @param {object} emailMetadata - Email metadata for tracking
+   * @returns {Promise<void>}
+   */
+  async processModification(gmailMessageId, details, emailMetadata) {
+    try {
+      log('INFO', `Processing ${this.channel} modification`, {
+        customerName: details.customerName,
+        reservationKey: details.reservationKey,
+        date: details.date,
+        startTime: details.startTime
+      });
+
+      const booking = await this.findBookingForModification(details);
+
+      if (!booking) {
+        log('WARN', `No matching booking found for ${this.channel} modification`, {
+          customerName: details.customerName,
+          date: details.date,
+          startTime: details.startTime,
+          previousDate: details.previousDate,
+          previousStartTime: details.previousStartTime
+        });
+
+        await this.emailTracking.markProcessed(
+          gmailMessageId,
+          this.sourceType,
+          'error',
+          null,
+          'No matching booking found for modification',
+          emailMetadata
+        );
+
+        return;
+      }
+
+      const previousGroup = booking.booking_group_id
+        ? (await this.bookingService.getGroupBookings(booking.booking_group_id)).filter(row => row.status === 'confirmed')
+        : [booking];
+      const { date, startTime, duration, bay, numberOfPeople } = this.bookingNotificationData({
+        ...booking,
+        groupBookings: previousGroup
+      });
+      const previous = { date, startTime, duration, bay, numberOfPeople };
+      const startTime24h = this.bookingService.parseTimeToStandard(details.startTime);
+
+      const hours = await this.bookingService.checkOpeningHours(details.date, startTime24h, details.duration);
+      if (!hours.open) {
+        await this.rejectOutsideOpeningHours(gmailMessageId, details, startTime24h, hours, emailMetadata, booking);
+        return;
+      }
+
+      let updatedBooking;
+      try {
+        updatedBooking = await this.bookingService.rescheduleBooking(booking, {
+          date: details.date,
+          startTime: startTime24h,
+          duration: details.duration,
+          numberOfPeople: details.numberOfPeople
+        });
+      } catch (rescheduleError) {
+        if (rescheduleError.code === 'GROUP_SIZE_CHANGED') {
+          await this.rejectGroupResize(gmailMessageId, details, booking, previous, rescheduleError, emailMetadata);
+          return;
+        }
+
+        if (rescheduleError.message !== 'NO_BAY_AVAILABLE' && rescheduleError.code !== 'BAY_CONFLICT') {
+          throw rescheduleError;
+        }
+
+        log('WARN', `No bays available for ${this.channel} modification, keeping original booking`, {
+          bookingId: booking.id,
+          date: details.date,
+          startTime: startTime24h
+        });
+
+        await this.notify('no_slots', {
+          customerName: details.customerName,
+          customerPhone: details.customerPhone || 'N/A',
+          date: details.date,
+          startTime: startTime24h,
+          duration: details.duration,
+          numberOfPeople: details.numberOfPeople,
+          channel: this.channel,
+          alternatives: await this.findAlternativeSlots(details, startTime24h),
+          notes: `Requested change to existing booking ${booking.id} (${previous.date} ${previous.startTime}, ${previous.bay}). The original booking has been kept.`
+        }, { bookingId: booking.id, gmailMessageId });
+
+        await this.emailTracking.markProcessed(
+          gmailMessageId,
+          this.sourceType,
+          'no_slots',
+          booking.id,
+          null,
+          emailMetadata
+        );
+
+        return;
+      }
+
+      await this.announceChange(updatedBooking, 'modified', 'booking_modified', async () => ({
+        ...this.bookingNotificationData(updatedBooking),
+        modifiedBy: 'Email Automation',
+        previous,
+        // The new slot needs a confirmation call again (reset by rescheduleBooking)
+        requestConfirmation: this.bookingService.needsReconfirmation(booking, updatedBooking.date, updatedBooking.start_time)
+      }), { bookingId: updatedBooking.id, gmailMessageId });
+
+      await this.emailTracking.markProcessed(
+        gmailMessageId,
+        this.sourceType,
+        'booking_modified',
+        updatedBooking.id,
+        null,
+        emailMetadata
+      );
+
+      log('INFO', `${this.channel} modification processed successfully`, {
+        bookingId: updatedBooking.id,
+        gmailMessageId
+      });
+    } catch (error) {
+      log('ERROR', `Failed to process ${this.channel} modification`, {
+        customerName: details.customerName,
+        error: error.message,
+        stack: error.stack
+      });
+
+      await this.handleProcessingError(gmailMessageId, details, error, emailMetadata);
+    }
+  }
+
+  /**
+   * Record a processing failure and re-throw
+   * Transient errors (network issues, timeouts) are not marked as processed so the
+   * next cycle retries them; permanent errors are recorded so they are not retried forever.
+   * @param {string} gmailMessageId - Gmail message ID
+   * @param {object} details - Extracted booking details
+   * @param {Error} error - The error that occurred
+   * @param {object} emailMetadata - Email metadata for tracking
+   * @param {string|null} bookingId - Booking the email already created, recorded with the error
+   * @returns {Promise<never>}
+   */
+  async handleProcessingError(gmailMessageId, details, error, emailMetadata, bookingId = null) {
+    if (isTransientError(error)) {
+      log('WARN', 'Transient error encountered, will retry on next cycle', {
+        gmailMessageId,
+        customerName: details.customerName,
+        error: error.message
+      });
+      // Don't mark as processed - let it retry on next cycle
+      // Re-throw to prevent moving thread to completed
+      throw error;
+    }
+
+    // Track email as processed with error (permanent errors only)
+    await this.emailTracking.markProcessed(
+      gmailMessageId,
+      this.sourceType,
+      'error',
+      bookingId,
+      error.message,
+      emailMetadata
+    );
+
+    throw error;
+  }
+
+  /**
+   * Read the plain text body and headers of a Gmail message
+   * @param {object} message - Gmail message (format 'full')
+   * @returns {Promise<object>} - { bodyText, subject, date }
+   */
+  async readMessage(message) {
+    const bodyHtml = await this.gmail.getMessageBody(message.id);
+    const headers = message.payload.headers;
+
+    return {
+      bodyText: extractPlainText(bodyHtml),
+      subject: headers.find(h => h.name.toLowerCase() === 'subject')?.value || '',
+      date: headers.find(h => h.name.toLowerCase() === 'date')?.value || ''
+    };
+  }
+
+  /**
+   * Run extracted details through the cancellation, modification or new booking flow
+   * @param {string} gmailMessageId - Gmail message ID
+   * @param {object} details - Extracted booking details
+   * @param {object} emailMetadata - Email metadata for tracking
+   * @returns {Promise<void>}
+   */
+  async dispatchDetails(gmailMessageId, details, emailMetadata) {
+    if (details.isCancellation) {
+      await this.processCancellation(gmailMessageId, details, emailMetadata);
+    } else if (details.isModification) {
+      await this.processModification(gmailMessageId, details, emailMetadata);
+    } else {
+      await this.processBookingConfirmation(gmailMessageId, details, emailMetadata);
+    }
+  }
+
+  /**
+   * Process a single Gmail message from a source label
+   * @param {object} thread - Gmail thread
+   * @param {object} message - Gmail message
+   * @param {string} sourceLabel - Label the thread was listed from
+   * @returns {Promise<void>}
+   */
+  async processMessage(thread, message, sourceLabel) {
+    const gmailMessageId = message.id;
+
+    // Check if already processed
+    const isProcessed = await this.emailTracking.isProcessed(gmailMessageId);
+    if (isProcessed) {
+      log('DEBUG', `${this.channel} email already processed, skipping`, { gmailMessageId });
+      await this.gmail.moveThread(thread.id, sourceLabel, this.completedLabel);
+      return;
+    }
+
+    // Extract email content
+    const { bodyText, subject, date } = await this.readMessage(message);
+
+    // Email metadata for tracking
+    const emailMetadata = { subject, date };
+
+    // Extract booking details
+    const details = this.extractDetails(bodyText, subject);
+    if (!details) {
+      await this.quarantineMessage(thread, gmailMessageId, sourceLabel, bodyText, emailMetadata);
+      return;
+    }
+
+    await this.dispatchDetails(gmailMessageId, details, emailMetadata);
+
+    // Move thread to completed
+    await this.gmail.moveThread(thread.id, sourceLabel, this.completedLabel);
+
+    log('INFO', `Processed ${this.channel} email`, {
+      customer: details.customerName,
+      date: details.date,
+      time: details.startTime,
+      people: details.numberOfPeople,
+      templateVersion: details.templateVersion
+    });
+  }
+
+  /**
+   * Quarantine an email no template could parse
+   * Alerts staff on LINE, records it as 'parse_failed' and moves the thread to the
+   * review label so it is not re-fetched every cycle.
+   * @param {object} thread - Gmail thread
+   * @param {string} gmailMessageId - Gmail message ID
+   * @param {string} sourceLabel - Label the thread was listed from
+   * @param {string} bodyText - Plain text email body
+   * @param {object} emailMetadata - Email metadata (subject, date)
+   * @returns {Promise<void>}
+   */
+  async quarantineMessage(thread, gmailMessageId, sourceLabel, bodyText, emailMetadata) {
+    log('WARN', `Could not extract booking details from ${this.channel} email, quarantining`, {
+      threadId: thread.id,
+      messageId: gmailMessageId,
+      subject: emailMetadata.subject,
+      reviewLabel: this.reviewLabel
+    });
+
+    const excerpt = bodyText.replace(/\s+/g, ' ').trim();
+
+    await this.notify('parse_failed', {
+      channel: this.channel,
+      subject: emailMetadata.subject,
+      emailDate: emailMetadata.date,
+      excerpt: excerpt.length > EXCERPT_LENGTH ? `${excerpt.substring(0, EXCERPT_LENGTH)}…` : excerpt,
+      gmailMessageId,
+      reviewLabel: this.reviewLabel
+    }, { gmailMessageId });
+
+    await this.emailTracking.markProcessed(
+      gmailMessageId,
+      this.sourceType,
+      'parse_failed',
+      null,
+      `No ${this.channel} template matched email`,
+      emailMetadata
+    );
+
+    await this.gmail.ensureLabel(this.reviewLabel);
+    await this.gmail.moveThread(thread.id, sourceLabel, this.reviewLabel);
+  }
+
+  /**
+   * Re-submit a quarantined (or failed) email, e.g. after its parser was fixed
+   * Clears the processed_emails record, moves the thread back to the source label
+   * and runs the message through the pipeline again. Emails that still cannot be
+   * parsed are quarantined again.
+   * @param {string} gmailMessageId - Gmail message ID
+   * @returns {Promise<void>}
+   */
+  async resubmitMessage(gmailMessageId) {
+    const sourceLabel = this.sourceLabels[0];
+    if (!sourceLabel) {
+      throw new Error(`Gmail label ${this.source.labelEnv} is not configured for ${this.channel}`);
+    }
+
+    const message = await this.gmail.getMessage(gmailMessageId);
+    const previous = await this.emailTracking.clearForResubmission(gmailMessageId);
+
+    log('INFO', `Re-submitting ${this.channel} email`, {
+      gmailMessageId,
+      threadId: message.threadId,
+      previousAction: previous ? previous.action_taken : null
+    });
+
+    await this.gmail.moveThread(message.threadId, this.reviewLabel, sourceLabel);
+    await this.processMessage({ id: message.threadId }, message, sourceLabel);
+  }
+
+  /**
+   * Validate and normalise staff field overrides
+   * @param {object} overrides - Field overrides (see OVERRIDABLE_FIELDS)
+   * @returns {object} - Normalised overrides
+   */
+  normalizeOverrides(overrides) {
+    const invalid = message => Object.assign(new Error(message), { code: 'INVALID_OVERRIDE' });
+
+    if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+      throw invalid('Overrides must be an object of booking fields');
+    }
+
+    const normalized = {};
+    for (const [field, value] of Object.entries(overrides)) {
+      const normalize = OVERRIDABLE_FIELDS[field];
+      if (!normalize) {
+        throw invalid(`Field ${field} cannot be overridden. Allowed: ${Object.keys(OVERRIDABLE_FIELDS).join(', ')}`);
+      }
+
+      const normalizedValue = value === null || value === undefined ? null : normalize(value);
+      if (normalizedValue === null) {
+        throw invalid(`Invalid override for ${field}: ${value}`);
+      }
+      normalized[field] = normalizedValue;
+    }
+
+    if (normalized.bay) {
+      const knownBays = [...this.bookingService.BAYS.SOCIAL, ...this.bookingService.BAYS.AI];
+      if (!knownBays.includes(normalized.bay)) {
+        throw invalid(`Unknown bay: ${normalized.bay}. Must be one of: ${knownBays.join(', ')}`);
+      }
+    }
+
+    return normalized;
+  }
+
+  /**
+   * Reprocess an email with staff-corrected booking fields
+   * Re-parses the email, applies the overrides on top of the parsed details (or
+   * uses them alone when the email cannot be parsed) and runs the normal pipeline.
+   * A bay override must seat the party.
+   * The overrides and who made them are recorded in processed_emails for audit.
+   * A waiting waitlist entry of the email is withdrawn first.
+   * Only emails that have not been processed or ended in 'parse_failed', 'error',
+   * 'no_slots' or 'outside_hours' can be reprocessed.
+   * @param {string} gmailMessageId - Gmail message ID
+   * @param {object} overrides - Field overrides (see OVERRIDABLE_FIELDS)
+   * @param {string} requestedBy - Staff member requesting the reprocessing
+   * @returns {Promise<object|null>} - The new processed_emails record
+   */
+  async reprocessWithOverrides(gmailMessageId, overrides, requestedBy) {
+    if (!requestedBy) {
+      throw Object.assign(new Error('requestedBy is required to reprocess with overrides'), { code: 'INVALID_OVERRIDE' });
+    }
+
+    await this.bookingService.refreshBayConfig();
+    const fields = this.normalizeOverrides(overrides);
+    const message = await this.gmail.getMessage(gmailMessageId);
+    const { bodyText, subject, date } = await this.readMessage(message);
+
+    const parsed = this.extractDetails(bodyText, subject);
+    const details = {
+      isCancellation: false,
+      isModification: false,
+      ...parsed,
+      ...fields,
+      templateVersion: parsed ? parsed.templateVersion : 'manual-override'
+    };
+
+    const missing = REQUIRED_BOOKING_FIELDS.filter(field => details[field] === undefined || details[field] === null);
+    if (missing.length > 0) {
+      throw Object.assign(
+        new Error(`Email could not be parsed; overrides must include ${missing.join(', ')}`),
+        { code: 'INVALID_OVERRIDE' }
+      );
+    }
+
+    // A pinned bay skips the bay preferences, so it must seat the (overridden or parsed) party
+    const pinnedBay = details.bay ? this.bookingService.getBay(details.bay) : null;
+    if (pinnedBay && pinnedBay.maxPeople < details.numberOfPeople) {
+      throw Object.assign(
+        new Error(`${pinnedBay.name} seats at most ${pinnedBay.maxPeople} people; the booking is for ${details.numberOfPeople}`),
+        { code: 'INVALID_OVERRIDE' }
+      );
+    }
+
+    const previous = await this.emailTracking.clearForResubmission(
+      gmailMessageId,
+      ['parse_failed', 'error', 'no_slots', 'outside_hours'],
+      requestedBy
+    );
+
+    // The old request must not be booked from the waitlist next to the new outcome
+    await this.waitlist.withdrawForEmail(gmailMessageId);
+
+    log('INFO', `Reprocessing ${this.channel} email with overrides`, {
+      gmailMessageId,
+      requestedBy,
+      overrides: fields,
+      previousAction: previous ? previous.action_taken : null
+    });
+
+    await this.dispatchDetails(gmailMessageId, details, {
+      subject,
+      date,
+      overrides: fields,
+      overriddenBy: requestedBy
+    });
+
+    if (previous && previous.action_taken === 'parse_failed') {
+      await this.gmail.moveThread(message.threadId, this.reviewLabel, this.completedLabel);
+    }
+
+    return this.emailTracking.getRecord(gmailMessageId);
+  }
+
+  /**
+   * Process all emails in this source's labels
+   * @returns {Promise<void>}
+   */
+  async processEmails() {
+    try {
+      for (const sourceLabel of this.sourceLabels) {
+        const threads = await this.gmail.listThreads(sourceLabel);
+        log('INFO', `Processing ${this.channel} threads from ${sourceLabel}`, { count: threads.length });
+
+        for (const thread of threads) {
+          try {
+            const messages = await this.gmail.getThreadMessages(thread.id);
+
+            for (const message of messages) {
+              await this.processMessage(thread, message, sourceLabel);
+            }
+          } catch (threadError) {
+            log('ERROR', `Error processing ${this.channel} thread ${thread.id}`, {
+              error: threadError.message,
+              stack: threadError.stack
+            });
+            // Continue processing other threads
+          }
+        }
+      }
+
+      // Bays can also be freed by cancellations made outside email (staff, LINE)
+      await this.processWaitlist();
+
+      if (this.source.requiresConfirmation) {
+        await this.sendConfirmationReminders();
+      }
+    } catch (error) {
+      log('ERROR', `Error processing ${this.channel} emails`, {
+        error: error.message,
+        stack: error.stack
+      });
+      throw error;
+    }
+  }
+}
+
+module.exports = { BaseBookingProcessor, DEFAULT_REVIEW_LABEL };
@@ -0,0 +1,187 @@
+const { BaseBookingProcessor } = require('./baseBookingProcessor');
+const { ClassPassProcessor, CLASSPASS_SOURCE } = require('./classPassProcessor');
+const { WebResosProcessor, RESOS_SOURCE } = require('./webResosProcessor');
+const { parseWithTemplates } = require('../parsers/templateParser');
+const { EmailTrackingService } = require('../services/emailTrackingService');
+const { log } = require('../utils/logging');
+
+/**
+ * Booking source registry
+ *
+ * Every email channel that turns into bookings is registered here. A new
+ * channel (Klook, GolfNow, a hotel concierge mailbox, ...) only needs a label,
+ * a parser and channel metadata:
+ *
+ *   registerBookingSource({
+ *     sourceType: 'klook',
+ *     channel: 'Klook',
+ *     labelEnv: 'LABEL_KLOOK',
+ *     lineEnvSuffix: 'KLOOK',
+ *     bookingNotes: 'Booking created automatically from Klook email. Prepaid.',
+ *     parse: (bodyText, subject) => ({ isCancellation, date, startTime, ... })
+ *   });
+ *
+ * Instead of `parse`, a source can pass `templates`: declarative, versioned
+ * layouts (see src/parsers/templateParser.js) whose fields include duration.
+ * Channels that need more than a parser can pass `processor`: a
+ * BaseBookingProcessor subclass constructed with (gmailService, supabase).
+ */
+const sources = new Map();
+
+const SOURCE_TYPE_PATTERN = /^[a-z][a-z0-9_]*$/;
+
+/**
+ * Generic processor for registry sources that only supply a parser or templates
+ */
+class BookingSourceProcessor extends BaseBookingProcessor {
+  extractDetails(bodyText, subject) {
+    try {
+      if (!this.source.templates) {
+        return this.source.parse(bodyText, subject);
+      }
+
+      const { details, version, failures } = parseWithTemplates(this.source.templates, bodyText, subject);
+      if (!details) {
+        log('WARN', `No ${this.channel} template matched email`, { subject, failures });
+        return null;
+      }
+      return { ...details, templateVersion: version };
+    } catch (error) {
+      log('ERROR', `Failed to extract booking details from ${this.channel} email`, {
+        error: error.message,
+        stack: error.stack
+      });
+      return null;
+    }
+  }
+}
+
+/**
+ * Register a booking source
+ * @param {object} definition - Source metadata plus `parse`, `templates` or `processor`
+ * @returns {object} - The registered definition
+ */
+function registerBookingSource(definition) {
+  const { sourceType, channel, labelEnv, parse, templates, processor } = definition || {};
+
+  if (!sourceType || !SOURCE_TYPE_PATTERN.test(sourceType)) {
+    throw new Error(`Invalid booking source type: ${sourceType}`);
+  }
+  if (!channel || !labelEnv) {
+    throw new Error(`Booking source ${sourceType} requires channel and labelEnv`);
+  }
+  if (!parse && !templates && !processor) {
+    throw new Error(`Booking source ${sourceType} requires a parse function, templates or processor class`);
+  }
+  if (sources.has(sourceType)) {
+    throw new Error(`Booking source ${sourceType} is already registered`);
+  }
+
+  sources.set(sourceType, definition);
+  return definition;
+}
+
+/**
+ * Get a registered booking source
+ * @param {string} sourceType - processed_emails.source_type value
+ * @returns {object|null} - Source definition or null
+ */
+function getBookingSource(sourceType) {
+  return sources.get(sourceType) || null;
+}
+
+/**
+ * List all registered booking sources
+ * @returns {Array<object>} - Source definitions in registration order
+ */
+function listBookingSources() {
+  return [...sources.values()];
+}
+
+/**
+ * Create the processor for one registered source
+ * @param {string} sourceType - processed_emails.source_type value
+ * @param {object} gmailService - Gmail service
+ * @param {object} supabase - Supabase client
+ * @returns {BaseBookingProcessor} - Processor instance
+ */
+function createBookingProcessor(sourceType, gmailService, supabase) {
+  const source = getBookingSource(sourceType);
+  if (!source) {
+    throw new Error(`Unknown booking source: ${sourceType}`);
+  }
+
+  return source.processor
+    ? new source.processor(gmailService, supabase)
+    : new BookingSourceProcessor(gmailService, supabase, source);
+}
+
+/**
+ * Create processors for every registered source whose Gmail label is configured
+ * @param {object} gmailService - Gmail service
+ * @param {object} supabase - Supabase client
+ * @returns {object} - Map of sourceType to processor
+ */
+function createBookingProcessors(gmailService, supabase) {
+  const processors = {};
+
+  for (const source of listBookingSources()) {
+    if (!process.env[source.labelEnv]) {
+      log('WARN', 'Gmail label not configured for booking source, skipping', {
+        sourceType: source.sourceType,
+        labelEnv: source.labelEnv
+      });
+      continue;
+    }
+    processors[source.sourceType] = createBookingProcessor(source.sourceType, gmailService, supabase);
+  }
+
+  return processors;
+}
+
+/**
+ * Reprocess an email with staff field overrides
+ * The source is taken from the email's processed_emails record, or from
+ * `sourceType` for emails that were never recorded.
+ * @param {object} gmailService - Gmail service
+ * @param {object} supabase - Supabase client
+ * @param {string} gmailMessageId - Gmail message ID
+ * @param {object} overrides - Field overrides (see BaseBookingProcessor.normalizeOverrides)
+ * @param {string} requestedBy - Staff member requesting the reprocessing
+ * @param {string|null} sourceType - Source type for emails without a record
+ * @returns {Promise<object|null>} - The new processed_emails record
+ */
+async function reprocessBookingEmail(gmailService, supabase, gmailMessageId, overrides, requestedBy, sourceType = null) {
+  const record = await new EmailTrackingService(supabase).getRecord(gmailMessageId);
+  const resolvedSourceType = (record && record.source_type) || sourceType;
+
+  if (!resolvedSourceType) {
+    throw Object.assign(
+      new Error(`Email ${gmailMessageId} has no processing record; sourceType is required`),
+      { code: 'INVALID_OVERRIDE' }
+    );
+  }
+  if (record && sourceType && record.source_type !== sourceType) {
+    throw Object.assign(
+      new Error(`Email ${gmailMessageId} was processed as ${record.source_type}, not ${sourceType}`),
+      { code: 'INVALID_OVERRIDE' }
+    );
+  }
+
+  const processor = createBookingProcessor(resolvedSourceType, gmailService, supabase);
+  return processor.reprocessWithOverrides(gmailMessageId, overrides, requestedBy);
+}
+
+// Built-in sources
+registerBookingSource({ ...CLASSPASS_SOURCE, processor: ClassPassProcessor });
+registerBookingSource({ ...RESOS_SOURCE, processor: WebResosProcessor });
+
+module.exports = {
+  BookingSourceProcessor,
+  registerBookingSource,
+  getBookingSource,
+  listBookingSources,
+  createBookingProcessor,
+  createBookingProcessors,
+  reprocessBookingEmail
+};
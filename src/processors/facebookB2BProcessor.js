@@ -1,14 +1,12 @@
-const { LineMessagingService } = require('../utils/lineMessaging');
+const { createNotificationService } = require('../notifications/notificationService');
 const { calculateSpamScore } = require('../utils/fraudDetection');
 const { log } = require('../utils/logging');
 
 class FacebookB2BProcessor {
     constructor(gmailService) {
         this.gmailService = gmailService;
-        this.lineMessaging = new LineMessagingService(
-            process.env.LINE_CHANNEL_ACCESS_TOKEN_B2B || process.env.LINE_CHANNEL_ACCESS_TOKEN,
-            process.env.LINE_GROUP_ID_B2B || process.env.LINE_GROUP_ID,
-            'B2B'
+        this.notifications = createNotificationService(
+            gmailService ? { getGmail: async () => gmailService } : {}
         );
         this.b2bSheetId = process.env.FACEBOOK_B2B_SHEET_ID;
     }
@@ -63,13 +61,19 @@ class FacebookB2BProcessor {
     async sendNotification(data, processedLead) {
         try {
             const message = this.createLineMessage(data, processedLead);
-            await this.lineMessaging.send(message);
-            log('INFO', 'Sent B2B LINE notification', { 
+            await this.notifications.notify('lead_received', {
+                text: message,
+                subject: `Facebook B2B lead: ${data.fullName}`,
+                fullName: data.fullName,
+                phoneNumber: data.phoneNumber,
+                email: data.email
+            }, { source: 'facebook_b2b', lineGroup: 'B2B' });
+            log('INFO', 'Sent B2B lead notification', { 
                 fullName: data.fullName,
                 companyName: data.companyName
             });
         } catch (error) {
-            log('ERROR', 'Error sending B2B LINE notification', {
+            log('ERROR', 'Error sending B2B lead notification', {
                 error: error.message,
                 fullName: data.fullName
             });
@@ -1,14 +1,12 @@
-const { LineMessagingService } = require('../utils/lineMessaging');
+const { createNotificationService } = require('../notifications/notificationService');
 const { calculateSpamScore } = require('../utils/fraudDetection');
 const { log } = require('../utils/logging');
 
 class FacebookB2CProcessor {
     constructor(gmailService) {
         this.gmailService = gmailService;
-        this.lineMessaging = new LineMessagingService(
-            process.env.LINE_CHANNEL_ACCESS_TOKEN_B2C || process.env.LINE_CHANNEL_ACCESS_TOKEN,
-            process.env.LINE_GROUP_ID_B2C || process.env.LINE_GROUP_ID,
-            'B2C'
+        this.notifications = createNotificationService(
+            gmailService ? { getGmail: async () => gmailService } : {}
         );
     }
 
@@ -60,13 +58,19 @@ class FacebookB2CProcessor {
     async sendNotification(data, processedLead) {
         try {
             const message = this.createLineMessage(data, processedLead);
-            await this.lineMessaging.send(message);
-            log('INFO', 'Sent B2C LINE notification', { 
+            await this.notifications.notify('lead_received', {
+                text: message,
+                subject: `Facebook B2C lead: ${data.fullName}`,
+                fullName: data.fullName,
+                phoneNumber: data.phoneNumber,
+                email: data.email
+            }, { source: 'facebook_b2c', lineGroup: 'B2C' });
+            log('INFO', 'Sent B2C lead notification', { 
                 fullName: data.fullName,
                 groupSize: data.groupSize
             });
         } catch (error) {
-            log('ERROR', 'Error sending B2C LINE notification', {
+            log('ERROR', 'Error sending B2C lead notification', {
                 error: error.message,
                 fullName: data.fullName
             });
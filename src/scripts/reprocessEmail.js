@@ -0,0 +1,73 @@
+require('dotenv').config();
+const { getAuth } = require('../utils/auth');
+const { GmailService } = require('../services/gmailService');
+const { reprocessBookingEmail } = require('../processors/bookingSources');
+const { supabase } = require('../lib/supabase');
+
+/**
+ * Reprocess a booking email with corrected fields
+ *
+ * Re-runs the booking pipeline for one email with staff overrides applied on top
+ * of the parsed details, e.g. a ResOS email for 3 people that was parsed as 30,
+ * or a ClassPass booking that should go on Bay 4. The overrides are recorded in
+ * processed_emails (override_fields, overridden_by).
+ *
+ * Usage:
+ *   node src/scripts/reprocessEmail.js <gmailMessageId> --by "Staff Name" numberOfPeople=3
+ *   node src/scripts/reprocessEmail.js <gmailMessageId> --by "Staff Name" bay="Bay 4"
+ *   node src/scripts/reprocessEmail.js <gmailMessageId> --by "Staff Name" --source resos date=2026-11-02 startTime=18:00
+ *
+ * Overridable fields: date, startTime, duration, numberOfPeople, customerName,
+ * customerPhone, customerEmail, reservationKey, bay.
+ * --source is only needed for emails that have no processed_emails record yet.
+ */
+
+function parseArgs(argv) {
+  const options = { overrides: {} };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--by') {
+      options.requestedBy = argv[++i];
+    } else if (arg === '--source') {
+      options.sourceType = argv[++i];
+    } else if (arg.includes('=')) {
+      const [field, ...rest] = arg.split('=');
+      options.overrides[field] = rest.join('=');
+    } else if (!options.gmailMessageId) {
+      options.gmailMessageId = arg;
+    } else {
+      throw new Error(`Unexpected argument: ${arg}`);
+    }
+  }
+
+  return options;
+}
+
+async function main() {
+  const { gmailMessageId, requestedBy, sourceType, overrides } = parseArgs(process.argv.slice(2));
+
+  if (!gmailMessageId || !requestedBy) {
+    console.log('Usage: node src/scripts/reprocessEmail.js <gmailMessageId> --by "Staff Name" [--source <type>] field=value ...');
+    return false;
+  }
+
+  const gmailService = new GmailService(await getAuth());
+  const record = await reprocessBookingEmail(gmailService, supabase, gmailMessageId, overrides, requestedBy, sourceType);
+
+  console.log(`Reprocessed ${gmailMessageId}: ${record ? record.action_taken : 'not recorded'}`);
+  if (record && record.booking_id) {
+    console.log(`Booking: ${record.booking_id}`);
+  }
+  if (record && record.error_message) {
+    console.log(`Error: ${record.error_message}`);
+  }
+  return Boolean(record) && record.action_taken !== 'error';
+}
+
+main()
+  .then(ok => process.exit(ok ? 0 : 1))
+  .catch(error => {
+    console.error('Reprocessing failed:', error.message);
+    process.exit(1);
+  });
@@ -0,0 +1,92 @@
+require('dotenv').config();
+const { getAuth } = require('../utils/auth');
+const { GmailService } = require('../services/gmailService');
+const { EmailTrackingService } = require('../services/emailTrackingService');
+const { createBookingProcessor } = require('../processors/bookingSources');
+const { DEFAULT_REVIEW_LABEL } = require('../processors/baseBookingProcessor');
+const { supabase } = require('../lib/supabase');
+const { log } = require('../utils/logging');
+
+/**
+ * Re-submit quarantined booking emails
+ *
+ * Emails no template could parse are recorded as 'parse_failed' and moved to the
+ * LABEL_NEEDS_REVIEW Gmail label. After the parser has been fixed (and the email
+ * added to src/parsers/fixtures), run them through the pipeline again:
+ *
+ *   node src/scripts/resubmitQuarantinedEmails.js <gmailMessageId> [...]  # specific emails
+ *   node src/scripts/resubmitQuarantinedEmails.js --all                  # every quarantined email
+ *
+ * Emails that still cannot be parsed are quarantined again.
+ */
+
+async function findQuarantinedMessageIds(gmailService, emailTracking, reviewLabel) {
+  const messageIds = [];
+  const threads = await gmailService.listThreads(reviewLabel);
+
+  for (const thread of threads) {
+    const messages = await gmailService.getThreadMessages(thread.id);
+    for (const message of messages) {
+      const record = await emailTracking.getRecord(message.id);
+      if (record && record.action_taken === 'parse_failed') {
+        messageIds.push(message.id);
+      }
+    }
+  }
+
+  return messageIds;
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  if (args.length === 0) {
+    console.log('Usage: node src/scripts/resubmitQuarantinedEmails.js <gmailMessageId> [...] | --all');
+    return false;
+  }
+
+  const gmailService = new GmailService(await getAuth());
+  const emailTracking = new EmailTrackingService(supabase);
+  const processors = {};
+
+  const messageIds = args.includes('--all')
+    ? await findQuarantinedMessageIds(gmailService, emailTracking, process.env.LABEL_NEEDS_REVIEW || DEFAULT_REVIEW_LABEL)
+    : args;
+
+  console.log(`Re-submitting ${messageIds.length} email(s)`);
+
+  let failed = 0;
+  for (const gmailMessageId of messageIds) {
+    try {
+      const record = await emailTracking.getRecord(gmailMessageId);
+      if (!record) {
+        throw new Error('No processed_emails record found; the email is not quarantined');
+      }
+
+      const processor = processors[record.source_type] ||
+        (processors[record.source_type] = createBookingProcessor(record.source_type, gmailService, supabase));
+
+      await processor.resubmitMessage(gmailMessageId);
+
+      const result = await emailTracking.getRecord(gmailMessageId);
+      console.log(`  ${gmailMessageId} (${record.source_type}): ${result ? result.action_taken : 'not processed'}`);
+    } catch (error) {
+      failed++;
+      console.log(`  ${gmailMessageId}: FAILED - ${error.message}`);
+      log('ERROR', 'Failed to re-submit email', {
+        gmailMessageId,
+        error: error.message,
+        stack: error.stack
+      });
+    }
+  }
+
+  console.log(`\n${messageIds.length - failed} re-submitted, ${failed} failed`);
+  return failed === 0;
+}
+
+main()
+  .then(ok => process.exit(ok ? 0 : 1))
+  .catch(error => {
+    console.error('Re-submission failed:', error.message);
+    process.exit(1);
+  });
@@ -0,0 +1,35 @@
+require('dotenv').config();
+const { createBookingFeed } = require('../services/bookingFeedService');
+const { supabase } = require('../lib/supabase');
+const { log } = require('../utils/logging');
+
+/**
+ * Run the booking change feed
+ *
+ * Listens to realtime changes on the bookings table and announces bookings
+ * created, cancelled or moved outside the email automation (lengolf-forms,
+ * staff, other integrations) in the LINE_GROUP_ID_BOOKING_FEED group (falls back
+ * to LINE_GROUP_ID). Changes the automation already announced are skipped.
+ *
+ * Usage:
+ *   node src/scripts/runBookingFeed.js
+ *
+ * Runs until stopped (Ctrl+C / SIGTERM). The same feed starts inside the app
+ * when BOOKING_FEED_ENABLED=true.
+ */
+
+const feed = createBookingFeed(supabase);
+feed.start();
+log('INFO', 'Booking change feed running');
+
+const stop = () => {
+  feed.stop()
+    .then(() => process.exit(0))
+    .catch(error => {
+      console.error('Failed to stop booking feed:', error.message);
+      process.exit(1);
+    });
+};
+
+process.on('SIGINT', stop);
+process.on('SIGTERM', stop);
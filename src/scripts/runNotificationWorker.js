@@ -0,0 +1,72 @@
+require('dotenv').config();
+const { NotificationOutboxService } = require('../services/notificationOutboxService');
+const { supabase } = require('../lib/supabase');
+const { log } = require('../utils/logging');
+
+/**
+ * Run the notification worker, or inspect its dead letters
+ *
+ * Delivers the notifications the processors and the booking change feed queued
+ * in notification_outbox (one row per channel), retrying failures with
+ * exponential backoff.
+ * The app runs the same worker itself.
+ *
+ * Usage:
+ *   node src/scripts/runNotificationWorker.js                 # run until stopped (Ctrl+C / SIGTERM)
+ *   node src/scripts/runNotificationWorker.js --once          # deliver what is due and exit
+ *   node src/scripts/runNotificationWorker.js --dead          # list notifications that gave up
+ *   node src/scripts/runNotificationWorker.js --requeue <id> [...]  # retry dead notifications
+ */
+
+async function main() {
+  const args = process.argv.slice(2);
+  const outbox = new NotificationOutboxService(supabase);
+
+  if (args[0] === '--once') {
+    const { sent, retried, dead } = await outbox.processDue();
+    console.log(`Sent ${sent}, retrying ${retried}, dead ${dead}`);
+    return;
+  }
+
+  if (args[0] === '--dead') {
+    const rows = await outbox.listDead();
+    for (const row of rows) {
+      console.log(`${row.id}  ${row.created_at}  ${row.target}  ${row.notification_type}` +
+        `  ${row.booking_id || row.gmail_message_id || '-'}  (${row.attempts} attempts) ${row.last_error}`);
+    }
+    console.log(`${rows.length} dead notification(s)`);
+    return;
+  }
+
+  if (args[0] === '--requeue') {
+    const ids = args.slice(1);
+    if (ids.length === 0) {
+      console.error('Usage: node src/scripts/runNotificationWorker.js --requeue <id> [...]');
+      process.exit(1);
+    }
+    for (const id of ids) {
+      console.log(`${id}: ${(await outbox.requeue(id)) ? 'requeued' : 'not a dead notification'}`);
+    }
+    return;
+  }
+
+  outbox.start();
+  log('INFO', 'Notification worker running');
+
+  const stop = () => {
+    outbox.stop()
+      .then(() => process.exit(0))
+      .catch(error => {
+        console.error('Failed to stop notification worker:', error.message);
+        process.exit(1);
+      });
+  };
+
+  process.on('SIGINT', stop);
+  process.on('SIGTERM', stop);
+}
+
+main().catch(error => {
+  console.error('Notification worker failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,44 @@
+require('dotenv').config();
+const { createScheduleDigest } = require('../services/scheduleDigestService');
+const { supabase } = require('../lib/supabase');
+
+/**
+ * Send the daily bay schedule digest
+ *
+ * Sends today's and tomorrow's per-bay timeline as a Flex message to the channels
+ * routed for 'schedule_digest' (by default the LINE_GROUP_ID_SCHEDULE_DIGEST group,
+ * falling back to LINE_GROUP_ID). Scheduled every morning by
+ * .github/workflows/schedule-digest.yml.
+ *
+ * Usage:
+ *   node src/scripts/sendScheduleDigest.js                  # today and tomorrow (Asia/Bangkok)
+ *   node src/scripts/sendScheduleDigest.js 2026-12-13       # a given day and the next
+ *   node src/scripts/sendScheduleDigest.js --dry-run        # print the Flex message, send nothing
+ */
+
+async function main() {
+  const args = process.argv.slice(2);
+  const dryRun = args.includes('--dry-run');
+  const date = args.find(arg => arg !== '--dry-run') || null;
+
+  if (date && !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+    console.error(`Invalid date "${date}", expected YYYY-MM-DD`);
+    process.exit(1);
+  }
+
+  const digest = createScheduleDigest(supabase);
+
+  if (dryRun) {
+    const days = await digest.buildSchedules(digest.digestDates(date));
+    console.log(JSON.stringify(digest.buildFlexMessage(days), null, 2));
+    return;
+  }
+
+  const { dates, bookingCount } = await digest.send(date);
+  console.log(`Schedule digest sent for ${dates.join(' and ')} (${bookingCount} bookings)`);
+}
+
+main().catch(error => {
+  console.error('Failed to send schedule digest:', error.message);
+  process.exit(1);
+});
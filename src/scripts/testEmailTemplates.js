@@ -0,0 +1,101 @@
+const fs = require('fs');
+const path = require('path');
+const { parseEml } = require('../parsers/eml');
+const { parseWithTemplates } = require('../parsers/templateParser');
+const { getTemplates } = require('../parsers/templates');
+const { extractPlainText } = require('../utils/emailUtils');
+
+/**
+ * Email template regression suite
+ *
+ * Runs every .eml fixture in src/parsers/fixtures/<sourceType>/ through that
+ * source's templates and compares the result with the sibling
+ * <name>.expected.json ({ version, details }). Reports which template version
+ * matched each email and exits non-zero on any mismatch.
+ *
+ * Usage:
+ *   node src/scripts/testEmailTemplates.js                       # run all fixtures
+ *   node src/scripts/testEmailTemplates.js resos path/to/new.eml # check an arbitrary email
+ */
+
+const FIXTURES_DIR = path.join(__dirname, '..', 'parsers', 'fixtures');
+
+function parseFixture(emlPath, sourceType) {
+  const email = parseEml(fs.readFileSync(emlPath, 'utf8'));
+  const bodyText = extractPlainText(email.html || email.text || '');
+  return parseWithTemplates(getTemplates(sourceType), bodyText, email.subject);
+}
+
+function compareDetails(expected, actual) {
+  const mismatches = [];
+  for (const [field, expectedValue] of Object.entries(expected || {})) {
+    const actualValue = actual ? actual[field] : undefined;
+    if (JSON.stringify(actualValue) !== JSON.stringify(expectedValue)) {
+      mismatches.push(`${field}: expected ${JSON.stringify(expectedValue)}, got ${JSON.stringify(actualValue)}`);
+    }
+  }
+  return mismatches;
+}
+
+function runFixtures() {
+  let passed = 0;
+  let failed = 0;
+
+  const sourceTypes = fs.readdirSync(FIXTURES_DIR)
+    .filter(entry => fs.statSync(path.join(FIXTURES_DIR, entry)).isDirectory());
+
+  for (const sourceType of sourceTypes) {
+    const sourceDir = path.join(FIXTURES_DIR, sourceType);
+    const fixtures = fs.readdirSync(sourceDir).filter(file => file.endsWith('.eml')).sort();
+
+    console.log(`\n${sourceType} (${getTemplates(sourceType).length} templates)`);
+
+    for (const fixture of fixtures) {
+      const emlPath = path.join(sourceDir, fixture);
+      const expectedPath = emlPath.replace(/\.eml$/, '.expected.json');
+      const result = parseFixture(emlPath, sourceType);
+
+      const problems = [];
+      if (!fs.existsSync(expectedPath)) {
+        problems.push(`missing ${path.basename(expectedPath)}`);
+      } else {
+        const expected = JSON.parse(fs.readFileSync(expectedPath, 'utf8'));
+        if (expected.version !== result.version) {
+          problems.push(`version: expected ${expected.version}, got ${result.version}`);
+        }
+        problems.push(...compareDetails(expected.details, result.details));
+      }
+
+      if (problems.length === 0) {
+        passed++;
+        console.log(`  PASS ${fixture} -> ${result.version}`);
+      } else {
+        failed++;
+        console.log(`  FAIL ${fixture} -> ${result.version || 'no template matched'}`);
+        problems.forEach(problem => console.log(`       ${problem}`));
+        result.failures.forEach(failure => console.log(`       ${failure.version} missing: ${failure.missing.join(', ')}`));
+      }
+    }
+  }
+
+  console.log(`\n${passed} passed, ${failed} failed`);
+  return failed === 0;
+}
+
+function checkEmail(sourceType, emlPath) {
+  const result = parseFixture(emlPath, sourceType);
+
+  if (!result.details) {
+    console.log(`No ${sourceType} template matched ${emlPath}`);
+    result.failures.forEach(failure => console.log(`  ${failure.version} missing: ${failure.missing.join(', ')}`));
+    return false;
+  }
+
+  console.log(`Matched ${result.version}`);
+  console.log(JSON.stringify(result.details, null, 2));
+  return true;
+}
+
+const [sourceTypeArg, emlPathArg] = process.argv.slice(2);
+const ok = emlPathArg ? checkEmail(sourceTypeArg, emlPathArg) : runFixtures();
+process.exit(ok ? 0 : 1);
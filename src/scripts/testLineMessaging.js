@@ -1,109 +1,99 @@
 require('dotenv').config();
-const { LineMessagingService } = require('../utils/lineMessaging');
+const { createNotificationService } = require('../notifications/notificationService');
+const { flexMessage } = require('../notifications/lineClient');
 const { log } = require('../utils/logging');
 
 /**
- * Test script for LINE Messaging API
- * This script tests sending messages to different LINE groups
+ * Test script for LINE notification channels
+ * This script sends test messages to different LINE groups through the
+ * notification service (same tokens, groups, formats and retry policy as the
+ * automation)
+ *
+ * Usage:
+ *   node src/scripts/testLineMessaging.js                 # CLASSPASS, B2B and B2C groups
+ *   node src/scripts/testLineMessaging.js WEBRESOS ...    # given groups
  */
 
 async function testLineMessaging() {
   try {
     log('INFO', 'Starting LINE messaging test');
-    
-    // Test services for different types
-    const services = {
-      CLASSPASS: new LineMessagingService(
-        process.env.LINE_CHANNEL_ACCESS_TOKEN_CLASSPASS || process.env.LINE_CHANNEL_ACCESS_TOKEN,
-        process.env.LINE_GROUP_ID_CLASSPASS || process.env.LINE_GROUP_ID,
-        'CLASSPASS'
-      ),
-      B2B: new LineMessagingService(
-        process.env.LINE_CHANNEL_ACCESS_TOKEN_B2B || process.env.LINE_CHANNEL_ACCESS_TOKEN,
-        process.env.LINE_GROUP_ID_B2B || process.env.LINE_GROUP_ID,
-        'B2B'
-      ),
-      B2C: new LineMessagingService(
-        process.env.LINE_CHANNEL_ACCESS_TOKEN_B2C || process.env.LINE_CHANNEL_ACCESS_TOKEN,
-        process.env.LINE_GROUP_ID_B2C || process.env.LINE_GROUP_ID,
-        'B2C'
-      )
-    };
-    
+
+    const groups = process.argv.slice(2);
+    const notifications = createNotificationService();
+
     // Test messages
     const testMessages = {
       simple: 'This is a test message from the LENGOLF Email Automation system.',
       withEmoji: '🏌️ This is a test message with emoji 🎯 from the LENGOLF Email Automation system.',
       withSpecialChars: 'Test with special characters: ทดสอบภาษาไทย, 测试中文, 日本語テスト'
     };
-    
-    // Test each service with different message types
-    for (const [serviceType, service] of Object.entries(services)) {
-      log('INFO', `Testing ${serviceType} messaging service`);
-      
+
+    const flex = flexMessage('Test Flex message from the LENGOLF Email Automation system.', {
+      type: 'bubble',
+      body: {
+        type: 'box',
+        layout: 'vertical',
+        contents: [
+          { type: 'text', text: 'Test Flex Message', weight: 'bold', size: 'xl' },
+          { type: 'text', text: 'This is a test of the Flex message format with a button.', wrap: true }
+        ]
+      },
+      footer: {
+        type: 'box',
+        layout: 'vertical',
+        contents: [
+          { type: 'button', action: { type: 'uri', label: 'Visit LENGOLF', uri: 'https://lengolf.com' } }
+        ]
+      }
+    });
+
+    // Test each group with different message types
+    for (const group of groups.length > 0 ? groups : ['CLASSPASS', 'B2B', 'B2C']) {
+      const channelName = `line:${group}`;
+      const channel = notifications.getChannel(channelName);
+      if (!channel) {
+        log('ERROR', `No LINE token or group ID configured for ${group}`);
+        continue;
+      }
+
+      log('INFO', `Testing ${group} channel`, { format: channel.format });
+
       // First validate the token
-      const isValid = await service.validateToken();
+      const isValid = await channel.lineClient.validateToken();
       if (!isValid) {
-        log('ERROR', `Token validation failed for ${serviceType}`);
+        log('ERROR', `Token validation failed for ${group}`);
         continue;
       }
-      
-      // Test simple text message
-      try {
-        log('INFO', `Sending simple message to ${serviceType}`);
-        await service.send(testMessages.simple);
-        log('SUCCESS', `Simple message sent to ${serviceType}`);
-      } catch (error) {
-        log('ERROR', `Failed to send simple message to ${serviceType}`, {
-          error: error.message,
-          status: error.response?.status,
-          data: error.response?.data
-        });
-      }
-      
-      // Test message with emoji
-      try {
-        log('INFO', `Sending message with emoji to ${serviceType}`);
-        await service.send(testMessages.withEmoji);
-        log('SUCCESS', `Message with emoji sent to ${serviceType}`);
-      } catch (error) {
-        log('ERROR', `Failed to send message with emoji to ${serviceType}`, {
-          error: error.message
-        });
-      }
-      
-      // Test message with special characters
-      try {
-        log('INFO', `Sending message with special characters to ${serviceType}`);
-        await service.send(testMessages.withSpecialChars);
-        log('SUCCESS', `Message with special characters sent to ${serviceType}`);
-      } catch (error) {
-        log('ERROR', `Failed to send message with special characters to ${serviceType}`, {
-          error: error.message
-        });
+
+      for (const [name, text] of Object.entries(testMessages)) {
+        try {
+          log('INFO', `Sending ${name} message to ${group}`);
+          await notifications.deliver(channelName, 'message', { text });
+          log('SUCCESS', `${name} message sent to ${group}`);
+        } catch (error) {
+          log('ERROR', `Failed to send ${name} message to ${group}`, {
+            error: error.message,
+            status: error.response?.status,
+            data: error.response?.data
+          });
+        }
       }
-      
-      // Test rich message
+
+      // Test Flex message (sent as its altText when the group's format is 'text')
       try {
-        log('INFO', `Sending rich message to ${serviceType}`);
-        await service.sendRichMessage(
-          'Test Rich Message',
-          'This is a test of the rich message format with buttons.',
-          [
-            { label: 'Visit LENGOLF', uri: 'https://lengolf.com' }
-          ]
-        );
-        log('SUCCESS', `Rich message sent to ${serviceType}`);
+        log('INFO', `Sending Flex message to ${group}`);
+        await notifications.deliver(channelName, 'message', { text: flex.altText, lineMessages: [flex] });
+        log('SUCCESS', `Flex message sent to ${group}`);
       } catch (error) {
-        log('ERROR', `Failed to send rich message to ${serviceType}`, {
+        log('ERROR', `Failed to send Flex message to ${group}`, {
           error: error.message
         });
       }
-      
-      // Add a delay between services to avoid rate limiting
+
+      // Add a delay between groups to avoid rate limiting
       await new Promise(resolve => setTimeout(resolve, 2000));
     }
-    
+
     log('INFO', 'LINE messaging test completed');
   } catch (error) {
     log('ERROR', 'Error in LINE messaging test', {
@@ -117,4 +107,4 @@ async function testLineMessaging() {
 testLineMessaging().catch(error => {
   console.error('Unhandled error:', error);
   process.exit(1);
-});
\ No newline at end of file
+});
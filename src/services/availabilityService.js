@@ -0,0 +1,164 @@
+const { log } = require('../utils/logging');
+
+const MINUTES_PER_DAY = 24 * 60;
+
+/**
+ * AvailabilityService - In-memory bay availability for one or more dates
+ *
+ * Loads the confirmed bookings for the requested dates in a single query and
+ * answers every overlap question (is a bay free, which bay set is free, what are
+ * a bay's free intervals) from memory. BookingService uses it for assignment,
+ * booking creation, rescheduling and slot suggestions, so checking all bays for
+ * an email costs one round trip instead of one per bay and booking.
+ */
+class AvailabilityService {
+  constructor(supabase) {
+    if (!supabase) {
+      throw new Error('Supabase client is required for AvailabilityService');
+    }
+    this.supabase = supabase;
+  }
+
+  /**
+   * Convert "HH:mm" (or "HH:mm:ss") to minutes since midnight
+   * @param {string} time - Time in HH:mm format
+   * @returns {number} - Minutes since midnight
+   */
+  toMinutes(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+  }
+
+  /**
+   * Load the confirmed bookings for the given dates
+   * @param {Array<string>} dates - Dates in YYYY-MM-DD format
+   * @param {Array<string>} excludeBookingIds - Booking IDs to ignore (when moving existing bookings)
+   * @returns {Promise<Array<object>>} - Booked intervals: { id, bay, date, start, end } (minutes since midnight)
+   */
+  async loadSchedule(dates, excludeBookingIds = []) {
+    try {
+      const uniqueDates = [...new Set(dates)];
+      if (uniqueDates.length === 0) {
+        return [];
+      }
+
+      let query = this.supabase
+        .from('bookings')
+        .select('id, bay, date, start_time, duration')
+        .in('date', uniqueDates)
+        .eq('status', 'confirmed');
+
+      if (excludeBookingIds.length > 0) {
+        query = query.not('id', 'in', `(${excludeBookingIds.join(',')})`);
+      }
+
+      const { data, error } = await query;
+
+      if (error) {
+        throw error;
+      }
+
+      return (data || []).map(booking => {
+        const start = this.toMinutes(booking.start_time);
+        return {
+          id: booking.id,
+          bay: booking.bay,
+          date: booking.date,
+          start,
+          end: start + Math.round(Number(booking.duration) * 60)
+        };
+      });
+    } catch (error) {
+      log('ERROR', 'Failed to load booking schedule', {
+        dates,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Find the first booking that overlaps a window on a bay
+   * @param {Array<object>} schedule - Intervals from loadSchedule()
+   * @param {string} bay - Bay name
+   * @param {string} date - Date in YYYY-MM-DD format
+   * @param {number} start - Window start (minutes since midnight)
+   * @param {number} durationMinutes - Window length in minutes
+   * @returns {object|null} - Conflicting interval or null
+   */
+  findConflict(schedule, bay, date, start, durationMinutes) {
+    const end = start + durationMinutes;
+    return schedule.find(booking =>
+      booking.bay === bay &&
+      booking.date === date &&
+      start < booking.end &&
+      booking.start < end
+    ) || null;
+  }
+
+  /**
+   * Check whether a bay is free for a window
+   * @param {Array<object>} schedule - Intervals from loadSchedule()
+   * @param {string} bay - Bay name
+   * @param {string} date - Date in YYYY-MM-DD format
+   * @param {number} start - Window start (minutes since midnight)
+   * @param {number} durationMinutes - Window length in minutes
+   * @returns {boolean} - True if no booking overlaps the window
+   */
+  isFree(schedule, bay, date, start, durationMinutes) {
+    return this.findConflict(schedule, bay, date, start, durationMinutes) === null;
+  }
+
+  /**
+   * Find the first bay set whose bays are all free for a window
+   * @param {Array<object>} schedule - Intervals from loadSchedule()
+   * @param {Array<Array<string>>} bayGroups - Candidate bay sets in preference order
+   * @param {string} date - Date in YYYY-MM-DD format
+   * @param {number} start - Window start (minutes since midnight)
+   * @param {number} durationMinutes - Window length in minutes
+   * @returns {Array<string>|null} - Free bay set or null
+   */
+  findFreeGroup(schedule, bayGroups, date, start, durationMinutes) {
+    return bayGroups.find(group =>
+      group.every(bay => this.isFree(schedule, bay, date, start, durationMinutes))
+    ) || null;
+  }
+
+  /**
+   * Compute each bay's free intervals on a date
+   * @param {Array<object>} schedule - Intervals from loadSchedule()
+   * @param {string} date - Date in YYYY-MM-DD format
+   * @param {Array<string>} bays - Bay names
+   * @param {number} dayStart - First bookable minute (e.g. opening time)
+   * @param {number} dayEnd - Last bookable minute (may exceed 1440 when closing after midnight)
+   * @returns {object} - { [bay]: Array<{ start, end }> } in minutes since midnight
+   */
+  getFreeIntervals(schedule, date, bays, dayStart = 0, dayEnd = MINUTES_PER_DAY) {
+    const freeIntervals = {};
+
+    for (const bay of bays) {
+      const booked = schedule
+        .filter(booking => booking.bay === bay && booking.date === date)
+        .sort((a, b) => a.start - b.start);
+
+      const intervals = [];
+      let cursor = dayStart;
+      for (const booking of booked) {
+        if (booking.start > cursor) {
+          intervals.push({ start: cursor, end: Math.min(booking.start, dayEnd) });
+        }
+        cursor = Math.max(cursor, booking.end);
+        if (cursor >= dayEnd) break;
+      }
+      if (cursor < dayEnd) {
+        intervals.push({ start: cursor, end: dayEnd });
+      }
+
+      freeIntervals[bay] = intervals.filter(interval => interval.end > interval.start);
+    }
+
+    return freeIntervals;
+  }
+}
+
+module.exports = { AvailabilityService };
@@ -0,0 +1,173 @@
+const { log } = require('../utils/logging');
+
+/**
+ * Built-in configuration, used until the tables are reachable
+ * (mirrors the seed rows of the bay_inventory migration)
+ */
+const DEFAULT_BAY_CONFIG = {
+  bays: [
+    { name: 'Bay 1', type: 'social', maxPeople: 5, preferenceOrder: 3, layoutPosition: 1 },
+    { name: 'Bay 2', type: 'social', maxPeople: 5, preferenceOrder: 1, layoutPosition: 2 },
+    { name: 'Bay 3', type: 'social', maxPeople: 5, preferenceOrder: 2, layoutPosition: 3 },
+    { name: 'Bay 4', type: 'ai', maxPeople: 2, preferenceOrder: 1, layoutPosition: 4 }
+  ],
+  openingHours: {}, // no rows: open around the clock
+  closures: {}
+};
+
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+/**
+ * BayConfigService - Loads bay inventory, opening hours and holiday closures
+ *
+ * Reads bay_inventory, opening_hours and holiday_closures so bays and hours can
+ * be changed without a deploy. The configuration is cached for a few minutes;
+ * if the tables cannot be read, the last loaded (or built-in) configuration is used.
+ */
+class BayConfigService {
+  constructor(supabase, cacheTtlMs = 5 * 60 * 1000) {
+    if (!supabase) {
+      throw new Error('Supabase client is required for BayConfigService');
+    }
+    this.supabase = supabase;
+    this.cacheTtlMs = cacheTtlMs;
+    this.cached = null;
+    this.loadedAt = 0;
+  }
+
+  /**
+   * Get the current configuration
+   * @returns {Promise<object>} - { bays: Array, openingHours: { [weekday]: { openTime, closeTime, isClosed } }, closures: { [date]: reason } }
+   */
+  async getConfig() {
+    if (this.cached && Date.now() - this.loadedAt < this.cacheTtlMs) {
+      return this.cached;
+    }
+
+    try {
+      const today = new Date().toISOString().split('T')[0];
+      const [baysResult, hoursResult, closuresResult] = await Promise.all([
+        this.supabase.from('bay_inventory').select('*').eq('is_active', true),
+        this.supabase.from('opening_hours').select('*'),
+        this.supabase.from('holiday_closures').select('date, reason').gte('date', today)
+      ]);
+
+      const error = baysResult.error || hoursResult.error || closuresResult.error;
+      if (error) {
+        throw error;
+      }
+      if (!baysResult.data || baysResult.data.length === 0) {
+        throw new Error('bay_inventory has no active bays');
+      }
+
+      const openingHours = {};
+      for (const row of hoursResult.data || []) {
+        openingHours[row.weekday] = {
+          openTime: row.open_time ? row.open_time.slice(0, 5) : null,
+          closeTime: row.close_time ? row.close_time.slice(0, 5) : null,
+          isClosed: Boolean(row.is_closed)
+        };
+      }
+
+      const closures = {};
+      for (const row of closuresResult.data || []) {
+        closures[row.date] = row.reason || null;
+      }
+
+      this.cached = {
+        bays: baysResult.data.map(row => ({
+          name: row.name,
+          type: row.bay_type,
+          maxPeople: row.max_people,
+          preferenceOrder: row.preference_order,
+          layoutPosition: row.layout_position
+        })),
+        openingHours,
+        closures
+      };
+      this.loadedAt = Date.now();
+
+      log('DEBUG', 'Bay configuration loaded', {
+        bays: this.cached.bays.map(bay => bay.name),
+        closures: Object.keys(closures).length
+      });
+
+      return this.cached;
+    } catch (error) {
+      log('WARN', 'Failed to load bay configuration, using last known configuration', {
+        error: error.message,
+        hasCachedConfig: Boolean(this.cached)
+      });
+      return this.cached || DEFAULT_BAY_CONFIG;
+    }
+  }
+
+  /**
+   * Check a requested time against opening hours and holiday closures
+   * @param {object} config - Configuration from getConfig()
+   * @param {string} date - Date in YYYY-MM-DD format
+   * @param {string} startTime - Start time in HH:mm format
+   * @param {number} duration - Duration in hours
+   * @returns {object} - { open: boolean, reason?: 'holiday'|'closed_day'|'outside_hours', weekday, openTime, closeTime, holidayReason }
+   */
+  checkOpeningHours(config, date, startTime, duration) {
+    const window = this.getOpeningWindow(config, date);
+    const { weekday, openTime, closeTime } = window;
+
+    if (!window.open) {
+      return window;
+    }
+    if (!openTime) {
+      return { open: true, weekday };
+    }
+
+    const [hh, mm] = startTime.split(':').map(Number);
+    const start = hh * 60 + mm;
+    const end = start + Math.round(duration * 60);
+    const open = start >= window.openMinutes && end <= window.closeMinutes;
+
+    return open
+      ? { open: true, weekday, openTime, closeTime }
+      : { open: false, reason: 'outside_hours', weekday, openTime, closeTime };
+  }
+
+  /**
+   * Get the bookable window of a date
+   * @param {object} config - Configuration from getConfig()
+   * @param {string} date - Date in YYYY-MM-DD format
+   * @returns {object} - { open: boolean, reason?: 'holiday'|'closed_day', weekday, openTime, closeTime,
+   *   openMinutes, closeMinutes, holidayReason } (closeMinutes exceeds 1440 when closing after midnight;
+   *   without an opening_hours row the whole day is open and openTime is null)
+   */
+  getOpeningWindow(config, date) {
+    const [year, month, day] = date.split('-').map(Number);
+    const weekdayIndex = new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+    const weekday = WEEKDAYS[weekdayIndex];
+
+    if (Object.prototype.hasOwnProperty.call(config.closures, date)) {
+      return { open: false, reason: 'holiday', weekday, holidayReason: config.closures[date] };
+    }
+
+    const hours = config.openingHours[weekdayIndex];
+    if (!hours) {
+      return { open: true, weekday, openTime: null, closeTime: null, openMinutes: 0, closeMinutes: 24 * 60 };
+    }
+    if (hours.isClosed) {
+      return { open: false, reason: 'closed_day', weekday };
+    }
+
+    const toMinutes = time => {
+      const [hh, mm] = time.split(':').map(Number);
+      return hh * 60 + mm;
+    };
+    const openMinutes = toMinutes(hours.openTime);
+    let closeMinutes = toMinutes(hours.closeTime);
+    if (closeMinutes <= openMinutes) {
+      closeMinutes += 24 * 60; // closes after midnight
+    }
+
+    return { open: true, weekday, openTime: hours.openTime, closeTime: hours.closeTime, openMinutes, closeMinutes };
+  }
+}
+
+module.exports = { BayConfigService, DEFAULT_BAY_CONFIG };
@@ -0,0 +1,244 @@
+const { BookingService, UNCONFIRMED_CANCELLATION_REASON } = require('./bookingService');
+const { log } = require('../utils/logging');
+
+// postback "action" of the buttons on booking-created notifications
+const CONFIRMATION_POSTBACK_ACTION = 'booking_confirmation';
+
+// Staff responses: recorded status, or 'cancel' to cancel the booking
+const CONFIRMATION_RESPONSES = ['confirmed', 'no_answer', 'cancel'];
+const UNCONFIRMED_STATUSES = ['pending', 'no_answer'];
+
+// Booking dates and times are Thailand local time (no daylight saving)
+const VENUE_UTC_OFFSET = '+07:00';
+const VENUE_UTC_OFFSET_MS = 7 * 60 * 60 * 1000;
+
+/**
+ * Build the postback data of a confirmation button
+ * @param {string} bookingId - Booking ID (first ID of a group booking)
+ * @param {string} response - 'confirmed', 'no_answer' or 'cancel'
+ * @returns {string} - Postback data (query-string encoded)
+ */
+function confirmationPostbackData(bookingId, response) {
+  return new URLSearchParams({ action: CONFIRMATION_POSTBACK_ACTION, bookingId, response }).toString();
+}
+
+const CONFIRMATION_REPLIES = {
+  confirmed: (bookingId, staffName) => `✅ ${bookingId}: customer confirmed (${staffName})`,
+  no_answer: (bookingId, staffName) => `📵 ${bookingId}: customer did not answer (${staffName})`,
+  cancel: (bookingId, staffName) => `🚫 ${bookingId}: booking cancelled, customer did not confirm (${staffName})`
+};
+
+/**
+ * BookingConfirmationService - Tracks customer confirmation calls
+ *
+ * Bookings from channels that need a confirmation call (ResOS) are created with
+ * confirmation_status 'pending'. Staff record the outcome with the postback
+ * buttons on the LINE notification ("Confirmed", "No answer", "Cancel"), and
+ * bookings still unconfirmed shortly before start are reminded once.
+ */
+class BookingConfirmationService {
+  constructor(supabase, bookingService = null) {
+    if (!supabase) {
+      throw new Error('Supabase client is required for BookingConfirmationService');
+    }
+    this.supabase = supabase;
+    this.bookingService = bookingService || new BookingService(supabase);
+  }
+
+  /**
+   * Get a booking by ID
+   * @param {string} bookingId - Booking ID
+   * @returns {Promise<object|null>} - Booking record or null
+   */
+  async getBooking(bookingId) {
+    try {
+      const { data, error } = await this.supabase
+        .from('bookings')
+        .select('*')
+        .eq('id', bookingId)
+        .maybeSingle();
+
+      if (error) {
+        throw error;
+      }
+
+      return data;
+    } catch (error) {
+      log('ERROR', 'Failed to fetch booking for confirmation', {
+        bookingId,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Update the confirmation fields of a booking (every row of a group booking)
+   * @param {object} booking - Booking record
+   * @param {object} updates - bookings columns to set
+   * @returns {Promise<void>}
+   */
+  async updateConfirmation(booking, updates) {
+    const query = this.supabase.from('bookings').update(updates);
+    const { error } = booking.booking_group_id
+      ? await query.eq('booking_group_id', booking.booking_group_id)
+      : await query.eq('id', booking.id);
+
+    if (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Record a staff response to the confirmation buttons
+   * @param {string} bookingId - Booking ID
+   * @param {string} response - 'confirmed', 'no_answer' or 'cancel'
+   * @param {string} staffName - Who responded (LINE display name)
+   * @returns {Promise<object>} - { booking, response, alreadyCancelled }; booking has `groupBookings` when cancelled as a group
+   * @throws {Error} - code 'INVALID_CONFIRMATION_RESPONSE' or 'BOOKING_NOT_FOUND'
+   */
+  async recordResponse(bookingId, response, staffName) {
+    if (!CONFIRMATION_RESPONSES.includes(response)) {
+      throw Object.assign(new Error(`Unknown confirmation response: ${response}`), { code: 'INVALID_CONFIRMATION_RESPONSE' });
+    }
+
+    try {
+      const booking = await this.getBooking(bookingId);
+      if (!booking) {
+        throw Object.assign(new Error(`Booking ${bookingId} not found`), { code: 'BOOKING_NOT_FOUND' });
+      }
+      if (booking.status === 'cancelled') {
+        return { booking, response, alreadyCancelled: true };
+      }
+
+      if (response === 'cancel') {
+        const cancelled = await this.bookingService.cancelBooking(
+          bookingId,
+          UNCONFIRMED_CANCELLATION_REASON,
+          staffName
+        );
+        log('INFO', 'Unconfirmed booking cancelled from LINE', { bookingId, staffName });
+        return { booking: cancelled, response, alreadyCancelled: false };
+      }
+
+      await this.updateConfirmation(booking, {
+        confirmation_status: response,
+        confirmation_updated_at: new Date().toISOString(),
+        confirmation_updated_by: staffName
+      });
+
+      log('INFO', 'Booking confirmation recorded', { bookingId, response, staffName });
+      return { booking: { ...booking, confirmation_status: response }, response, alreadyCancelled: false };
+    } catch (error) {
+      log('ERROR', 'Failed to record booking confirmation', {
+        bookingId,
+        response,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Handle a tap on the confirmation buttons (LINE webhook postback)
+   * @param {URLSearchParams} params - Postback data (bookingId, response)
+   * @param {string} staffName - Who tapped (LINE display name)
+   * @returns {Promise<string>} - Reply for the group
+   */
+  async handlePostback(params, staffName) {
+    const bookingId = params.get('bookingId');
+    const response = params.get('response');
+
+    try {
+      const { alreadyCancelled } = await this.recordResponse(bookingId, response, staffName);
+      return alreadyCancelled
+        ? `${bookingId} is already cancelled.`
+        : CONFIRMATION_REPLIES[response](bookingId, staffName);
+    } catch (error) {
+      if (error.code !== 'BOOKING_NOT_FOUND' && error.code !== 'INVALID_CONFIRMATION_RESPONSE') {
+        throw error;
+      }
+      return `Could not update ${bookingId}: ${error.message}`;
+    }
+  }
+
+  /**
+   * Find unconfirmed bookings of a channel starting within the next few hours
+   * that have not been reminded yet. Group bookings are returned once (first row)
+   * with `groupBookings` holding every row.
+   * @param {string} channel - bookings.customer_contacted_via (e.g. 'ResOS')
+   * @param {number} hoursBefore - Reminder window before the start time
+   * @param {Date} now - Reference time
+   * @returns {Promise<Array<object>>} - Booking records
+   */
+  async findDueReminders(channel, hoursBefore, now = new Date()) {
+    try {
+      // Venue-local dates covering the window
+      const localDate = time => new Date(time + VENUE_UTC_OFFSET_MS).toISOString().split('T')[0];
+      const windowEnd = now.getTime() + hoursBefore * 60 * 60 * 1000;
+      const dates = [...new Set([localDate(now.getTime()), localDate(windowEnd)])];
+
+      const { data, error } = await this.supabase
+        .from('bookings')
+        .select('*')
+        .in('date', dates)
+        .eq('status', 'confirmed')
+        .eq('customer_contacted_via', channel)
+        .in('confirmation_status', UNCONFIRMED_STATUSES)
+        .is('confirmation_reminder_sent_at', null);
+
+      if (error) {
+        throw error;
+      }
+
+      const due = (data || []).filter(booking => {
+        const start = Date.parse(`${booking.date}T${String(booking.start_time).slice(0, 5)}:00${VENUE_UTC_OFFSET}`);
+        return start > now.getTime() && start <= windowEnd;
+      });
+
+      const bookings = [];
+      for (const booking of due) {
+        if (!booking.booking_group_id) {
+          bookings.push(booking);
+        } else if (!bookings.some(other => other.booking_group_id === booking.booking_group_id)) {
+          const groupBookings = due.filter(row => row.booking_group_id === booking.booking_group_id);
+          const first = groupBookings.find(row => row.id === booking.booking_group_id) || booking;
+          bookings.push({ ...first, groupBookings });
+        }
+      }
+
+      return bookings;
+    } catch (error) {
+      log('ERROR', 'Failed to find unconfirmed bookings to remind', {
+        channel,
+        hoursBefore,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Record that the unconfirmed reminder was sent
+   * @param {object} booking - Booking record
+   * @returns {Promise<void>}
+   */
+  async markReminded(booking) {
+    try {
+      await this.updateConfirmation(booking, { confirmation_reminder_sent_at: new Date().toISOString() });
+    } catch (error) {
+      log('ERROR', 'Failed to mark confirmation reminder as sent', {
+        bookingId: booking.id,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+}
+
+module.exports = {
+  BookingConfirmationService,
+  confirmationPostbackData,
+  CONFIRMATION_POSTBACK_ACTION,
+  CONFIRMATION_RESPONSES
+};
@@ -0,0 +1,316 @@
+const { NotificationOutboxService } = require('./notificationOutboxService');
+const { BookingService } = require('./bookingService');
+const { log } = require('../utils/logging');
+
+// How long the feed waits before announcing a change, so the email automation
+// can claim the changes it makes itself first
+const DEFAULT_GRACE_MS = 20 * 1000;
+const AUTOMATION_IDENTIFIER = 'Email Automation';
+
+// Notification source and LINE group of the feed (LINE_GROUP_ID_BOOKING_FEED,
+// falls back to LINE_GROUP_ID)
+const FEED_SOURCE = 'booking_feed';
+const FEED_LINE_TARGET = 'BOOKING_FEED';
+
+/**
+ * BookingFeedService - Announces booking changes from every channel on LINE
+ *
+ * Subscribes to Supabase realtime changes on the bookings table and sends the
+ * created / cancelled / modified notifications for bookings changed outside the
+ * email automation (lengolf-forms, staff, other integrations), so the bay-staff
+ * group gets one complete feed.
+ *
+ * Each announced change is recorded in booking_change_notifications. The email
+ * automation claims its own changes there before notifying (see claim()), and
+ * the feed only announces changes nobody has claimed after a short grace period.
+ * Announcements are queued in the notification outbox like the automation's own.
+ */
+class BookingFeedService {
+  /**
+   * @param {object} supabase - Supabase client
+   * @param {object|null} outbox - NotificationOutboxService (only needed by start())
+   * @param {object} options - { graceMs, bookingService }
+   */
+  constructor(supabase, outbox = null, options = {}) {
+    if (!supabase) {
+      throw new Error('Supabase client is required for BookingFeedService');
+    }
+    this.supabase = supabase;
+    this.outbox = outbox;
+    this.bookingService = options.bookingService || new BookingService(supabase);
+    this.graceMs = options.graceMs !== undefined ? options.graceMs : DEFAULT_GRACE_MS;
+    this.channel = null;
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Build the dedupe key of a change
+   * A modification is keyed on the new state and the updated_at of the write
+   * (set by a trigger), so moving a booking back to an earlier state is
+   * announced again.
+   * @param {string} changeType - 'created', 'cancelled' or 'modified'
+   * @param {object} booking - Booking record (state after the change)
+   * @returns {string} - Key ('' for created/cancelled)
+   */
+  changeKey(changeType, booking) {
+    if (changeType !== 'modified') {
+      return '';
+    }
+    return [
+      booking.date,
+      String(booking.start_time).slice(0, 5),
+      Number(booking.duration),
+      booking.bay,
+      booking.number_of_people,
+      booking.updated_at ? new Date(booking.updated_at).toISOString() : ''
+    ].join('|');
+  }
+
+  /**
+   * Claim the notification for a booking change
+   * Only the first claimant (automation or feed) should send it. A failed claim
+   * is treated as granted: a duplicate message is better than a missing one.
+   * @param {Array<object>} bookings - Booking records (every row of a group booking)
+   * @param {string} changeType - 'created', 'cancelled' or 'modified'
+   * @param {string} notifiedBy - 'automation' or 'feed'
+   * @returns {Promise<boolean>} - True if the caller should send the notification
+   */
+  async claim(bookings, changeType, notifiedBy) {
+    const rows = bookings.map(booking => ({
+      booking_id: booking.id,
+      change_type: changeType,
+      change_key: this.changeKey(changeType, booking),
+      notified_by: notifiedBy
+    }));
+
+    try {
+      const { data, error } = await this.supabase
+        .from('booking_change_notifications')
+        .upsert(rows, { onConflict: 'booking_id,change_type,change_key', ignoreDuplicates: true })
+        .select('booking_id');
+
+      if (error) {
+        throw error;
+      }
+
+      // Claimed only if none of the rows had been announced yet
+      return (data || []).length === rows.length;
+    } catch (error) {
+      log('WARN', 'Failed to claim booking notification, sending anyway', {
+        bookingIds: rows.map(row => row.booking_id),
+        changeType,
+        error: error.message
+      });
+      return true;
+    }
+  }
+
+  /**
+   * Give up a claim whose notification could not be queued, so the next
+   * attempt (or the feed) can announce the change (best effort)
+   * @param {Array<object>} bookings - Booking records passed to claim()
+   * @param {string} changeType - 'created', 'cancelled' or 'modified'
+   * @returns {Promise<void>}
+   */
+  async release(bookings, changeType) {
+    const { error } = await this.supabase
+      .from('booking_change_notifications')
+      .delete()
+      .in('booking_id', bookings.map(booking => booking.id))
+      .eq('change_type', changeType)
+      .in('change_key', [...new Set(bookings.map(booking => this.changeKey(changeType, booking)))]);
+
+    if (error) {
+      log('WARN', 'Failed to release booking notification claim', {
+        bookingIds: bookings.map(booking => booking.id),
+        changeType,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Classify a realtime bookings change
+   * @param {object} payload - Realtime postgres_changes payload
+   * @returns {object|null} - { changeType, booking, previous } or null if nothing to announce
+   */
+  classifyChange(payload) {
+    const booking = payload.new;
+    const previous = payload.old;
+
+    if (payload.eventType === 'INSERT') {
+      return booking.status === 'confirmed' ? { changeType: 'created', booking, previous: null } : null;
+    }
+    if (payload.eventType !== 'UPDATE' || !previous) {
+      return null;
+    }
+
+    if (previous.status !== 'cancelled' && booking.status === 'cancelled') {
+      return { changeType: 'cancelled', booking, previous };
+    }
+
+    const moved = ['date', 'start_time', 'duration', 'bay', 'number_of_people']
+      .some(field => String(previous[field]) !== String(booking[field]));
+    if (booking.status === 'confirmed' && moved) {
+      return { changeType: 'modified', booking, previous };
+    }
+
+    return null;
+  }
+
+  /**
+   * Build LINE notification fields for a booking row
+   * @param {object} booking - Booking record
+   * @returns {object} - Notification fields
+   */
+  notificationData(booking) {
+    return {
+      bookingId: booking.id,
+      customerName: booking.name,
+      customerPhone: booking.phone_number,
+      customerEmail: booking.email,
+      date: booking.date,
+      startTime: String(booking.start_time).slice(0, 5),
+      duration: booking.duration,
+      bay: booking.bay,
+      numberOfPeople: booking.number_of_people,
+      channel: booking.customer_contacted_via || 'Unknown'
+    };
+  }
+
+  /**
+   * Announce one realtime change unless it was already announced
+   * @param {object} payload - Realtime postgres_changes payload
+   * @param {number} receivedAt - When the change arrived (ms timestamp); the grace period counts from here
+   * @returns {Promise<boolean>} - True if a notification was queued
+   */
+  async handleChange(payload, receivedAt = Date.now()) {
+    const change = this.classifyChange(payload);
+    if (!change) {
+      return false;
+    }
+
+    const { changeType, booking, previous } = change;
+    let claimed = false;
+
+    try {
+      const waitMs = receivedAt + this.graceMs - Date.now();
+      if (waitMs > 0) {
+        await new Promise(resolve => setTimeout(resolve, waitMs));
+      }
+
+      if (!(await this.claim([booking], changeType, 'feed'))) {
+        log('DEBUG', 'Booking change already announced', { bookingId: booking.id, changeType });
+        return false;
+      }
+      claimed = true;
+
+      const data = this.notificationData(booking);
+      const changedBy = booking.updated_by_identifier || null;
+      const enqueue = (eventType, payload) => this.outbox.enqueue(eventType, payload, {
+        source: FEED_SOURCE,
+        lineGroup: FEED_LINE_TARGET,
+        bookingId: booking.id
+      });
+
+      if (changeType === 'created') {
+        await enqueue('booking_created', {
+          ...data,
+          isNewCustomer: Boolean(booking.is_new_customer),
+          customerInsights: booking.customer_id && !booking.is_new_customer
+            ? await this.bookingService.getCustomerInsights(booking.customer_id, { excludeBookingIds: [booking.id] })
+            : null,
+          notes: changedBy && changedBy !== AUTOMATION_IDENTIFIER ? `Created by ${changedBy}.` : null
+        });
+      } else if (changeType === 'cancelled') {
+        await enqueue('booking_cancelled', {
+          ...data,
+          cancelledBy: booking.cancelled_by_identifier || changedBy || 'Unknown',
+          cancellationReason: booking.cancellation_reason
+        });
+      } else {
+        const before = this.notificationData(previous);
+        await enqueue('booking_modified', {
+          ...data,
+          modifiedBy: changedBy || 'Unknown',
+          previous: {
+            date: before.date,
+            startTime: before.startTime,
+            duration: before.duration,
+            bay: before.bay,
+            numberOfPeople: before.numberOfPeople
+          }
+        });
+      }
+
+      log('INFO', 'Booking change queued from feed', {
+        bookingId: booking.id,
+        changeType,
+        channel: data.channel
+      });
+      return true;
+    } catch (error) {
+      log('ERROR', 'Failed to announce booking change', {
+        bookingId: booking.id,
+        changeType,
+        error: error.message
+      });
+      // Let the automation (e.g. when it retries the email) announce it instead
+      if (claimed) {
+        await this.release([booking], changeType);
+      }
+      return false;
+    }
+  }
+
+  /**
+   * Subscribe to realtime changes on the bookings table
+   * Changes are handled one at a time, in the order they arrive.
+   * @returns {void}
+   */
+  start() {
+    if (!this.outbox) {
+      throw new Error('Notification outbox is required to start the booking feed');
+    }
+    if (this.channel) {
+      return;
+    }
+
+    this.channel = this.supabase
+      .channel('booking-change-feed')
+      .on('postgres_changes', { event: '*', schema: 'public', table: 'bookings' }, payload => {
+        const receivedAt = Date.now();
+        this.queue = this.queue.then(() => this.handleChange(payload, receivedAt));
+      })
+      .subscribe((status, error) => {
+        log(status === 'SUBSCRIBED' ? 'INFO' : 'WARN', 'Booking change feed status', {
+          status,
+          error: error ? error.message : undefined
+        });
+      });
+  }
+
+  /**
+   * Unsubscribe from realtime changes and wait for queued announcements
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    if (this.channel) {
+      await this.supabase.removeChannel(this.channel);
+      this.channel = null;
+    }
+    await this.queue;
+  }
+}
+
+/**
+ * Create the booking change feed for the LINE_GROUP_ID_BOOKING_FEED group
+ * (falls back to LINE_GROUP_ID)
+ * @param {object} supabase - Supabase client
+ * @returns {BookingFeedService} - Feed ready to start()
+ */
+function createBookingFeed(supabase) {
+  return new BookingFeedService(supabase, new NotificationOutboxService(supabase));
+}
+
+module.exports = { BookingFeedService, createBookingFeed };
@@ -1,10 +1,41 @@
+const crypto = require('crypto');
 const { log } = require('../utils/logging');
+const { BayConfigService, DEFAULT_BAY_CONFIG } = require('./bayConfigService');
+const { AvailabilityService } = require('./availabilityService');
+
+// SQLSTATE raised by the bookings overlap guard (exclusion_violation)
+const BAY_CONFLICT_SQLSTATE = '23P01';
+// Inserts tried before a booking request gives up on a contended slot
+const MAX_BOOKING_ATTEMPTS = 3;
+
+// Booking ID suffix characters: no 0/O or 1/I/L, which staff misread over the phone
+const BOOKING_ID_ALPHABET = '23456789ABCDEFGHJKMNPQRSTUVWXYZ';
+const BOOKING_ID_SUFFIX_LENGTH = 4;
+// Inserts tried with fresh IDs before an ID collision is reported
+const MAX_BOOKING_ID_ATTEMPTS = 5;
+
+// Phone numbers made up by placeholderPhoneNumber() for bookings without one
+const PLACEHOLDER_PHONE_PATTERN = /^0000\d{8}$/;
+
+// Booking dates and times are Thailand local time (no daylight saving)
+const VENUE_UTC_OFFSET_MS = 7 * 60 * 60 * 1000;
+
+// cancellation_reason of bookings cancelled because the customer never confirmed
+// them (see BookingConfirmationService); counted as unconfirmed cancellations in customer insights
+const UNCONFIRMED_CANCELLATION_REASON = 'Customer did not confirm the booking';
 
 /**
  * BookingService - Handles booking operations
  *
  * Provides methods for creating, cancelling, and managing bookings
- * including availability checking and bay assignment.
+ * including availability checking and bay assignment. Parties larger than one
+ * social bay are split across adjacent bays as linked rows (booking_group_id).
+ * Bays, capacities, opening hours and closures come from the database
+ * (see BayConfigService) and are refreshed before each assignment. Overlap checks
+ * run in memory against one load of the day's bookings (see AvailabilityService).
+ * The database rejects overlapping confirmed bookings on a bay; when a concurrent
+ * writer wins the race, creation retries on the next free bay and otherwise
+ * fails with a BAY_CONFLICT error.
  */
 class BookingService {
   constructor(supabase) {
@@ -13,13 +44,71 @@ class BookingService {
     }
     this.supabase = supabase;
 
-    // Bay configuration
+    // Bay configuration (built-in defaults until refreshBayConfig() loads the tables)
+    this.bayConfig = new BayConfigService(supabase);
+    this.applyBayConfig(DEFAULT_BAY_CONFIG);
+
+    this.availability = new AvailabilityService(supabase);
+  }
+
+  /**
+   * Derive the bay lookup fields from a configuration
+   * @param {object} config - Configuration from BayConfigService.getConfig()
+   * @returns {void}
+   */
+  applyBayConfig(config) {
+    const ofType = type => config.bays.filter(bay => bay.type === type);
+    const byPreference = (a, b) => a.preferenceOrder - b.preferenceOrder;
+    const maxPeople = bays => bays.reduce((max, bay) => Math.max(max, bay.maxPeople), 0);
+
+    this.config = config;
+    this.bayInventory = config.bays;
+
+    // Preference order per bay type
     this.BAYS = {
-      SOCIAL: ['Bay 2', 'Bay 3', 'Bay 1'], // Preference order (Bay 1 is Bar)
-      AI: ['Bay 4']
+      SOCIAL: [...ofType('social')].sort(byPreference).map(bay => bay.name),
+      AI: [...ofType('ai')].sort(byPreference).map(bay => bay.name)
     };
-    this.MAX_PEOPLE_SOCIAL = 5;
-    this.MAX_PEOPLE_AI = 2; // Bay 4 allows up to 2 players
+    this.MAX_PEOPLE_SOCIAL = maxPeople(ofType('social'));
+    this.MAX_PEOPLE_AI = maxPeople(ofType('ai'));
+
+    // Physical order of the social bays; large parties are split across neighbours
+    this.SOCIAL_BAY_LAYOUT = [...ofType('social')]
+      .sort((a, b) => a.layoutPosition - b.layoutPosition)
+      .map(bay => bay.name);
+  }
+
+  /**
+   * Load the current bay inventory, opening hours and closures
+   * @returns {Promise<object>} - Configuration in use
+   */
+  async refreshBayConfig() {
+    const config = await this.bayConfig.getConfig();
+    if (config !== this.config) {
+      this.applyBayConfig(config);
+    }
+    return config;
+  }
+
+  /**
+   * Get a bay's configuration
+   * @param {string} bayName - Bay name
+   * @returns {object|null} - { name, type, maxPeople, preferenceOrder, layoutPosition } or null
+   */
+  getBay(bayName) {
+    return this.bayInventory.find(bay => bay.name === bayName) || null;
+  }
+
+  /**
+   * Check a requested time against opening hours and holiday closures
+   * @param {string} date - Date in YYYY-MM-DD format
+   * @param {string} startTime - Start time (any format)
+   * @param {number} duration - Duration in hours
+   * @returns {Promise<object>} - { open: boolean, reason, weekday, openTime, closeTime, holidayReason }
+   */
+  async checkOpeningHours(date, startTime, duration) {
+    const config = await this.refreshBayConfig();
+    return this.bayConfig.checkOpeningHours(config, date, this.parseTimeToStandard(startTime), duration);
   }
 
   /**
@@ -104,70 +193,187 @@ class BookingService {
    * @param {string} date - Date in YYYY-MM-DD format
    * @param {string} startTime - Start time in HH:mm format
    * @param {number} duration - Duration in hours
-   * @param {string|null} excludeBookingId - Optional booking ID to exclude (for editing)
+   * @param {string|Array<string>|null} excludeBookingId - Optional booking ID(s) to exclude (for editing)
    * @returns {Promise<boolean>} - True if available
    */
   async isBayAvailable(bay, date, startTime, duration, excludeBookingId = null) {
     try {
-      const endTime = this.calculateEndTime(startTime, duration);
-
-      // Build query to find overlapping bookings
-      let query = this.supabase
-        .from('bookings')
-        .select('id')
-        .eq('bay', bay)
-        .eq('date', date)
-        .eq('status', 'confirmed');
+      const schedule = await this.availability.loadSchedule([date], this.toIdList(excludeBookingId));
+      const conflict = this.availability.findConflict(
+        schedule,
+        bay,
+        date,
+        this.toMinutes(startTime),
+        Math.round(duration * 60)
+      );
 
-      // Exclude specific booking if provided (for editing)
-      if (excludeBookingId) {
-        query = query.neq('id', excludeBookingId);
+      if (conflict) {
+        log('DEBUG', 'Bay not available - time overlap', {
+          bay,
+          date,
+          requestedStart: startTime,
+          requestedEnd: this.calculateEndTime(startTime, duration),
+          existingBooking: conflict.id,
+          existingStart: this.fromMinutes(conflict.start),
+          existingEnd: this.fromMinutes(conflict.end % (24 * 60))
+        });
+        return false;
       }
 
-      const { data, error } = await query;
+      return true;
+    } catch (error) {
+      log('ERROR', 'Failed to check bay availability', {
+        bay,
+        date,
+        startTime,
+        duration,
+        error: error.message
+      });
+      throw error;
+    }
+  }
 
-      if (error) {
-        throw error;
+  /**
+   * Normalise an optional booking ID or list of IDs to a list
+   * @param {string|Array<string>|null} bookingIds - Booking ID(s)
+   * @returns {Array<string>} - Booking IDs
+   */
+  toIdList(bookingIds) {
+    if (Array.isArray(bookingIds)) return bookingIds;
+    return bookingIds ? [bookingIds] : [];
+  }
+
+  /**
+   * Get the bays that can host a party, in preference order
+   * @param {number} numberOfPeople - Party size
+   * @returns {Array<string>} - Bay names (empty if the party is too large for any bay)
+   */
+  getBayPreferences(numberOfPeople) {
+    const fits = bayNames => bayNames.filter(name => this.getBay(name).maxPeople >= numberOfPeople);
+
+    if (numberOfPeople === 1) {
+      // Single player: prefer AI bays, then social bays
+      return [...fits(this.BAYS.AI), ...fits(this.BAYS.SOCIAL)];
+    }
+    // Otherwise social bays first, AI bays only while the party fits their capacity
+    // (an empty list means the group is too large for any single bay)
+    return [...fits(this.BAYS.SOCIAL), ...fits(this.BAYS.AI)];
+  }
+
+  /**
+   * Get the bay sets that can host a party, in preference order
+   * Parties up to MAX_PEOPLE_SOCIAL get single bays (see getBayPreferences);
+   * larger parties get runs of adjacent social bays, enough to seat everyone.
+   * @param {number} numberOfPeople - Party size
+   * @returns {Array<Array<string>>} - Bay sets (empty if the party is too large for the venue)
+   */
+  getBayGroups(numberOfPeople) {
+    const singleBays = this.getBayPreferences(numberOfPeople);
+    if (singleBays.length > 0) {
+      return singleBays.map(bay => [bay]);
+    }
+
+    // Smallest run of physically adjacent social bays whose capacity seats everyone
+    const layout = this.SOCIAL_BAY_LAYOUT;
+    const isAdjacentRun = run => run.every((bay, i) =>
+      i === 0 || this.getBay(bay).layoutPosition - this.getBay(run[i - 1]).layoutPosition === 1);
+    const capacity = run => run.reduce((sum, bay) => sum + this.getBay(bay).maxPeople, 0);
+
+    for (let size = 2; size <= layout.length; size++) {
+      const groups = [];
+      for (let i = 0; i + size <= layout.length; i++) {
+        const run = layout.slice(i, i + size);
+        if (isAdjacentRun(run) && capacity(run) >= numberOfPeople) {
+          groups.push(run);
+        }
       }
 
-      // Check for time overlaps
-      for (const booking of data || []) {
-        // Get booking details to check time overlap
-        const { data: bookingData, error: bookingError } = await this.supabase
-          .from('bookings')
-          .select('start_time, duration')
-          .eq('id', booking.id)
-          .single();
+      if (groups.length > 0) {
+        // Prefer the runs made of the most preferred social bays
+        const rank = group => group.reduce((sum, bay) => sum + this.BAYS.SOCIAL.indexOf(bay), 0);
+        return groups.sort((a, b) => rank(a) - rank(b));
+      }
+    }
 
-        if (bookingError) continue;
+    return [];
+  }
 
-        const bookingEndTime = this.calculateEndTime(bookingData.start_time, bookingData.duration);
+  /**
+   * Split a party across bays as evenly as possible
+   * @param {number} numberOfPeople - Party size
+   * @param {number} bayCount - Number of bays
+   * @returns {Array<number>} - People per bay
+   */
+  splitParty(numberOfPeople, bayCount) {
+    const base = Math.floor(numberOfPeople / bayCount);
+    const remainder = numberOfPeople % bayCount;
+    return Array.from({ length: bayCount }, (_, i) => base + (i < remainder ? 1 : 0));
+  }
 
-        // Check if time slots overlap
-        const hasOverlap = (
-          (startTime >= bookingData.start_time && startTime < bookingEndTime) ||
-          (endTime > bookingData.start_time && endTime <= bookingEndTime) ||
-          (startTime <= bookingData.start_time && endTime >= bookingEndTime)
-        );
+  /**
+   * Pick the first free bay set for a window from one load of the day's bookings
+   * @param {Array<Array<string>>} bayGroups - Candidate bay sets in preference order
+   * @param {string} date - Date in YYYY-MM-DD format
+   * @param {string} startTime - Start time in HH:mm format
+   * @param {number} duration - Duration in hours
+   * @param {Array<string>} excludeBookingIds - Booking IDs to ignore (when moving existing bookings)
+   * @returns {Promise<Array<string>|null>} - Free bay set or null
+   */
+  async findFreeBays(bayGroups, date, startTime, duration, excludeBookingIds = []) {
+    const schedule = await this.availability.loadSchedule([date], excludeBookingIds);
+    return this.availability.findFreeGroup(
+      schedule,
+      bayGroups,
+      date,
+      this.toMinutes(startTime),
+      Math.round(duration * 60)
+    );
+  }
 
-        if (hasOverlap) {
-          log('DEBUG', 'Bay not available - time overlap', {
-            bay,
-            date,
-            requestedStart: startTime,
-            requestedEnd: endTime,
-            existingBooking: booking.id,
-            existingStart: bookingData.start_time,
-            existingEnd: bookingEndTime
-          });
-          return false;
-        }
+  /**
+   * Auto-assign a free bay set based on party size
+   * @param {number} numberOfPeople - Party size
+   * @param {string} date - Date in YYYY-MM-DD format
+   * @param {string} startTime - Start time in HH:mm format
+   * @param {number} duration - Duration in hours
+   * @param {Array<string>} excludeBookingIds - Booking IDs to ignore (when moving existing bookings)
+   * @returns {Promise<Array<string>|null>} - Assigned bays (one for normal parties) or null
+   */
+  async assignBays(numberOfPeople, date, startTime, duration, excludeBookingIds = []) {
+    try {
+      await this.refreshBayConfig();
+
+      const bayGroups = this.getBayGroups(numberOfPeople);
+      if (bayGroups.length === 0) {
+        log('WARN', 'Party size exceeds venue capacity', {
+          numberOfPeople,
+          maxCapacity: this.SOCIAL_BAY_LAYOUT.reduce((sum, bay) => sum + this.getBay(bay).maxPeople, 0)
+        });
+        return null;
       }
 
-      return true;
+      const bays = await this.findFreeBays(bayGroups, date, startTime, duration, excludeBookingIds);
+      if (!bays) {
+        log('WARN', 'No bays available for requested time slot', {
+          numberOfPeople,
+          date,
+          startTime,
+          duration
+        });
+        return null;
+      }
+
+      log('DEBUG', bays.length > 1 ? 'Bay group assigned' : 'Bay assigned', {
+        bays,
+        numberOfPeople,
+        date,
+        startTime,
+        duration
+      });
+      return bays;
     } catch (error) {
-      log('ERROR', 'Failed to check bay availability', {
-        bay,
+      log('ERROR', 'Failed to assign bays', {
+        numberOfPeople,
         date,
         startTime,
         duration,
@@ -178,29 +384,20 @@ class BookingService {
   }
 
   /**
-   * Auto-assign an available bay based on party size
+   * Auto-assign a single available bay based on party size
    * @param {number} numberOfPeople - Party size
    * @param {string} date - Date in YYYY-MM-DD format
    * @param {string} startTime - Start time in HH:mm format
    * @param {number} duration - Duration in hours
+   * @param {string|Array<string>|null} excludeBookingId - Optional booking ID(s) to ignore (when moving an existing booking)
    * @returns {Promise<string|null>} - Assigned bay name or null if none available
    */
-  async assignBay(numberOfPeople, date, startTime, duration) {
+  async assignBay(numberOfPeople, date, startTime, duration, excludeBookingId = null) {
     try {
-      // Determine bay preference based on party size
-      let bayPreferences;
-
-      if (numberOfPeople === 1) {
-        // Single player: prefer AI bay (Bay 4), then social bays
-        bayPreferences = [...this.BAYS.AI, ...this.BAYS.SOCIAL];
-      } else if (numberOfPeople === 2) {
-        // Two players: prefer social bays, but can use AI bay (Bay 4) if social are full
-        bayPreferences = [...this.BAYS.SOCIAL, ...this.BAYS.AI];
-      } else if (numberOfPeople <= this.MAX_PEOPLE_SOCIAL) {
-        // Larger groups (3-5): social bays only
-        bayPreferences = this.BAYS.SOCIAL;
-      } else {
-        // Group too large for any bay
+      await this.refreshBayConfig();
+
+      const bayPreferences = this.getBayPreferences(numberOfPeople);
+      if (bayPreferences.length === 0) {
         log('WARN', 'Party size exceeds maximum capacity', {
           numberOfPeople,
           maxCapacity: this.MAX_PEOPLE_SOCIAL
@@ -208,28 +405,31 @@ class BookingService {
         return null;
       }
 
-      // Check each bay in preference order
-      for (const bay of bayPreferences) {
-        const isAvailable = await this.isBayAvailable(bay, date, startTime, duration);
-        if (isAvailable) {
-          log('DEBUG', 'Bay assigned', {
-            bay,
-            numberOfPeople,
-            date,
-            startTime,
-            duration
-          });
-          return bay;
-        }
+      const bays = await this.findFreeBays(
+        bayPreferences.map(bay => [bay]),
+        date,
+        startTime,
+        duration,
+        this.toIdList(excludeBookingId)
+      );
+      if (!bays) {
+        log('WARN', 'No bays available for requested time slot', {
+          numberOfPeople,
+          date,
+          startTime,
+          duration
+        });
+        return null;
       }
 
-      log('WARN', 'No bays available for requested time slot', {
+      log('DEBUG', 'Bay assigned', {
+        bay: bays[0],
         numberOfPeople,
         date,
         startTime,
         duration
       });
-      return null;
+      return bays[0];
     } catch (error) {
       log('ERROR', 'Failed to assign bay', {
         numberOfPeople,
@@ -242,17 +442,213 @@ class BookingService {
     }
   }
 
+  /**
+   * Get each bay's free intervals on a date, within opening hours
+   * @param {string} date - Date in YYYY-MM-DD format
+   * @returns {Promise<object>} - { open, reason, openTime, closeTime, bays: { [bay]: Array<{ startTime, endTime }> } }
+   */
+  async getDayAvailability(date) {
+    try {
+      const config = await this.refreshBayConfig();
+      const window = this.bayConfig.getOpeningWindow(config, date);
+      if (!window.open) {
+        return { ...window, bays: {} };
+      }
+
+      const schedule = await this.availability.loadSchedule([date]);
+      const bayNames = [...this.BAYS.SOCIAL, ...this.BAYS.AI];
+      const freeIntervals = this.availability.getFreeIntervals(
+        schedule,
+        date,
+        bayNames,
+        window.openMinutes,
+        window.closeMinutes
+      );
+
+      const bays = {};
+      for (const bay of bayNames) {
+        bays[bay] = freeIntervals[bay].map(interval => ({
+          startTime: this.fromMinutes(interval.start % (24 * 60)),
+          endTime: this.fromMinutes(interval.end % (24 * 60))
+        }));
+      }
+
+      return {
+        open: true,
+        weekday: window.weekday,
+        openTime: window.openTime,
+        closeTime: window.closeTime,
+        bays
+      };
+    } catch (error) {
+      log('ERROR', 'Failed to get day availability', {
+        date,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Convert "HH:mm" (or "HH:mm:ss") to minutes since midnight
+   * @param {string} time - Time in HH:mm format
+   * @returns {number} - Minutes since midnight
+   */
+  toMinutes(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+  }
+
+  /**
+   * Convert minutes since midnight to "HH:mm"
+   * @param {number} totalMinutes - Minutes since midnight
+   * @returns {string} - Time in HH:mm format
+   */
+  fromMinutes(totalMinutes) {
+    return `${String(Math.floor(totalMinutes / 60)).padStart(2, '0')}:${String(totalMinutes % 60).padStart(2, '0')}`;
+  }
+
+  /**
+   * Shift a YYYY-MM-DD date by a number of days (timezone independent)
+   * @param {string} date - Date in YYYY-MM-DD format
+   * @param {number} days - Days to add (negative to subtract)
+   * @returns {string} - Shifted date in YYYY-MM-DD format
+   */
+  shiftDate(date, days) {
+    const [year, month, day] = date.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day + days)).toISOString().split('T')[0];
+  }
+
+  /**
+   * Get the current date and time at the venue
+   * @param {Date} now - Reference time
+   * @returns {object} - { date: 'YYYY-MM-DD', minutes: minutes since midnight }
+   */
+  venueNow(now = new Date()) {
+    const local = new Date(now.getTime() + VENUE_UTC_OFFSET_MS).toISOString();
+    return {
+      date: local.slice(0, 10),
+      minutes: Number(local.slice(11, 13)) * 60 + Number(local.slice(14, 16))
+    };
+  }
+
+  /**
+   * Find the nearest free windows for a request that could not be placed
+   * Candidates are the same day within ±windowHours (closest first) and the same
+   * time on adjacent days, inside opening hours and not before the venue's current
+   * time (Asia/Bangkok); each uses the bay preference rules for the party size.
+   * All candidate dates are loaded in one query.
+   * @param {string} date - Requested date in YYYY-MM-DD format
+   * @param {string} startTime - Requested start time in HH:mm format
+   * @param {number} duration - Duration in hours
+   * @param {number} numberOfPeople - Party size
+   * @param {object} options - { windowHours = 2, stepMinutes = 30, maxSameDay = 4, adjacentDays = 1 }
+   * @returns {Promise<Array<object>>} - Free windows: { date, startTime, bay, bays }
+   */
+  async findAlternativeSlots(date, startTime, duration, numberOfPeople, options = {}) {
+    const {
+      windowHours = 2,
+      stepMinutes = 30,
+      maxSameDay = 4,
+      adjacentDays = 1
+    } = options;
+
+    try {
+      const config = await this.refreshBayConfig();
+      const bayGroups = this.getBayGroups(numberOfPeople);
+      if (bayGroups.length === 0) {
+        return [];
+      }
+
+      const requestedStart = this.toMinutes(startTime);
+      const durationMinutes = Math.round(duration * 60);
+      const { date: today, minutes: nowMinutes } = this.venueNow();
+
+      // Same day, closest offsets first (earlier before later on ties)
+      const offsets = [];
+      for (let offset = stepMinutes; offset <= windowHours * 60; offset += stepMinutes) {
+        offsets.push(-offset, offset);
+      }
+
+      const candidates = offsets
+        .map(offset => ({ date, start: requestedStart + offset }))
+        .filter(candidate => candidate.start >= 0 && candidate.start + durationMinutes <= 24 * 60);
+
+      // Same time on adjacent days
+      for (let day = 1; day <= adjacentDays; day++) {
+        candidates.push({ date: this.shiftDate(date, -day), start: requestedStart });
+        candidates.push({ date: this.shiftDate(date, day), start: requestedStart });
+      }
+
+      const dates = [...new Set(candidates.map(candidate => candidate.date))].filter(d => d >= today);
+      if (dates.length === 0) {
+        return [];
+      }
+
+      const schedule = await this.availability.loadSchedule(dates);
+
+      const alternatives = [];
+      let sameDayCount = 0;
+
+      for (const candidate of candidates) {
+        // Nothing in the past, including slots that already started today
+        if (candidate.date < today || (candidate.date === today && candidate.start < nowMinutes)) continue;
+
+        const startTimeLabel = this.fromMinutes(candidate.start);
+        if (!this.bayConfig.checkOpeningHours(config, candidate.date, startTimeLabel, duration).open) continue;
+
+        const isSameDay = candidate.date === date;
+        if (isSameDay && sameDayCount >= maxSameDay) continue;
+
+        const bays = this.availability.findFreeGroup(schedule, bayGroups, candidate.date, candidate.start, durationMinutes);
+        if (!bays) continue;
+
+        alternatives.push({
+          date: candidate.date,
+          startTime: startTimeLabel,
+          bay: bays.join(' + '),
+          bays
+        });
+        if (isSameDay) sameDayCount++;
+      }
+
+      log('DEBUG', 'Alternative slots found', {
+        date,
+        startTime,
+        duration,
+        numberOfPeople,
+        count: alternatives.length
+      });
+
+      return alternatives;
+    } catch (error) {
+      log('ERROR', 'Failed to find alternative slots', {
+        date,
+        startTime,
+        duration,
+        numberOfPeople,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
   /**
    * Generate booking ID in format BK260101DUCK (matches lengolf-forms)
+   * The suffix is cryptographically random; uniqueness is enforced on insert
+   * (see insertBookings).
    * @param {string} date - Date in YYYY-MM-DD format
    * @returns {string} - Generated booking ID
    */
   generateBookingId(date) {
     try {
-      // Format: BK + YYMMDD + 4 random uppercase alphanumeric characters
+      // Format: BK + YYMMDD + 4 random characters from BOOKING_ID_ALPHABET
       // This matches the format used in lengolf-forms
       const dateStr = date.replace(/-/g, '').substring(2); // Get YYMMDD
-      const randomSuffix = Math.random().toString(36).substring(2, 6).toUpperCase();
+      let randomSuffix = '';
+      for (let i = 0; i < BOOKING_ID_SUFFIX_LENGTH; i++) {
+        randomSuffix += BOOKING_ID_ALPHABET[crypto.randomInt(BOOKING_ID_ALPHABET.length)];
+      }
       const bookingId = `BK${dateStr}${randomSuffix}`;
 
       log('DEBUG', 'Generated booking ID', { bookingId, date });
@@ -266,22 +662,73 @@ class BookingService {
     }
   }
 
+  /**
+   * Generate distinct booking IDs for one insert
+   * @param {string} date - Date in YYYY-MM-DD format
+   * @param {number} count - Number of IDs
+   * @returns {Array<string>} - Booking IDs
+   */
+  generateBookingIds(date, count) {
+    const bookingIds = new Set();
+    while (bookingIds.size < count) {
+      bookingIds.add(this.generateBookingId(date));
+    }
+    return [...bookingIds];
+  }
+
+  /**
+   * Check whether a database error is a booking ID collision
+   * @param {object} error - Supabase/Postgres error
+   * @returns {boolean} - True if the primary key of bookings was violated
+   */
+  isDuplicateBookingId(error) {
+    return Boolean(error) &&
+      error.code === '23505' &&
+      /bookings_pkey|Key \(id\)/.test(`${error.message} ${error.details || ''}`);
+  }
+
+  /**
+   * Insert booking rows, retrying with fresh IDs if one is already taken
+   * @param {Function} buildRows - Returns the rows to insert, generating new booking IDs on each call
+   * @returns {Promise<object>} - Supabase result { data: Array, error }
+   */
+  async insertBookings(buildRows) {
+    for (let attempt = 1; ; attempt++) {
+      const rows = buildRows();
+      const { data, error } = await this.supabase
+        .from('bookings')
+        .insert(rows)
+        .select();
+
+      if (!this.isDuplicateBookingId(error) || attempt >= MAX_BOOKING_ID_ATTEMPTS) {
+        return { data, error };
+      }
+
+      log('WARN', 'Booking ID already taken, retrying with a new ID', {
+        bookingIds: rows.map(row => row.id),
+        attempt
+      });
+    }
+  }
+
   /**
    * Check availability and return available bay
    * @param {string} date - Date in YYYY-MM-DD format
    * @param {string} startTime - Start time (any format)
    * @param {number} duration - Duration in hours
    * @param {number} numberOfPeople - Party size
-   * @returns {Promise<object>} - { available: boolean, bay: string|null }
+   * @returns {Promise<object>} - { available: boolean, bay: string|null, bays: Array<string> }
+   *   (bays holds several adjacent bays for parties larger than one bay)
    */
   async checkAvailability(date, startTime, duration, numberOfPeople) {
     try {
       const standardTime = this.parseTimeToStandard(startTime);
-      const bay = await this.assignBay(numberOfPeople, date, standardTime, duration);
+      const bays = await this.assignBays(numberOfPeople, date, standardTime, duration);
 
       return {
-        available: bay !== null,
-        bay
+        available: bays !== null,
+        bay: bays ? bays[0] : null,
+        bays: bays || []
       };
     } catch (error) {
       log('ERROR', 'Failed to check availability', {
@@ -295,10 +742,52 @@ class BookingService {
     }
   }
 
+  /**
+   * Check whether a database error is the bay overlap guard rejecting a write
+   * @param {object} error - Supabase/Postgres error
+   * @returns {boolean} - True for an overlapping-booking conflict
+   */
+  isBayConflict(error) {
+    return Boolean(error) && error.code === BAY_CONFLICT_SQLSTATE;
+  }
+
+  /**
+   * Build the error surfaced when a slot was taken by a concurrent booking
+   * @param {Array<string>} bays - Bays that could not be booked
+   * @param {string} date - Date in YYYY-MM-DD format
+   * @param {string} startTime - Start time in HH:mm format
+   * @returns {Error} - Error with code 'BAY_CONFLICT'
+   */
+  bayConflictError(bays, date, startTime) {
+    return Object.assign(
+      new Error(`BAY_CONFLICT: ${bays.join(' + ')} was taken by a concurrent booking for ${date} ${startTime}`),
+      { code: 'BAY_CONFLICT', bays }
+    );
+  }
+
+  /**
+   * Generate a dummy phone number for bookings without one
+   * (format: 0000 + MMDD + random 4 digits, matched by PLACEHOLDER_PHONE_PATTERN).
+   * This satisfies the NOT NULL constraint of bookings.phone_number while
+   * indicating it's not a real number.
+   * @returns {string} - Placeholder phone number
+   */
+  placeholderPhoneNumber() {
+    const today = new Date();
+    const mmdd = String(today.getMonth() + 1).padStart(2, '0') + String(today.getDate()).padStart(2, '0');
+    const random = String(Math.floor(Math.random() * 10000)).padStart(4, '0');
+    return `0000${mmdd}${random}`;
+  }
+
   /**
    * Create a new booking
+   * If the bay is taken between the availability check and the insert, the next
+   * free bay is tried (unless `reassignOnConflict` is false, e.g. a staff-pinned bay).
+   * `confirmationStatus: 'pending'` marks bookings that need a customer confirmation call.
+   * `gmailMessageId` records the email the booking was made from (see findBookingForEmail).
    * @param {object} bookingData - Booking information
    * @returns {Promise<object>} - Created booking record
+   * @throws {Error} - 'NO_BAY_AVAILABLE', or code 'BAY_CONFLICT' when concurrent bookings took every fitting bay
    */
   async createBooking(bookingData) {
     try {
@@ -312,6 +801,8 @@ class BookingService {
         duration,
         numberOfPeople,
         bay,
+        bays = null,
+        reassignOnConflict = true,
         customerContactedVia,
         reservationKey = null,
         customerNotes = null,
@@ -324,14 +815,10 @@ class BookingService {
         throw new Error('Missing required booking fields');
       }
 
-      // Generate dummy phone if missing (format: 0000 + MMDD + random 4 digits)
-      // This satisfies the NOT NULL constraint while indicating it's not a real number
+      // Generate dummy phone if missing (see placeholderPhoneNumber)
       let finalPhoneNumber = customerPhone;
       if (!finalPhoneNumber) {
-        const today = new Date();
-        const mmdd = String(today.getMonth() + 1).padStart(2, '0') + String(today.getDate()).padStart(2, '0');
-        const random = String(Math.floor(Math.random() * 10000)).padStart(4, '0');
-        finalPhoneNumber = `0000${mmdd}${random}`;
+        finalPhoneNumber = this.placeholderPhoneNumber();
         log('INFO', 'Generated dummy phone number for booking', { 
           customerName, 
           generatedPhone: finalPhoneNumber 
@@ -341,88 +828,506 @@ class BookingService {
       // Parse and validate time
       const standardStartTime = this.parseTimeToStandard(startTime);
 
+      // Large parties split across adjacent bays
+      if (bays && bays.length > 1) {
+        return this.createGroupBooking({
+          ...bookingData,
+          customerPhone: finalPhoneNumber,
+          startTime: standardStartTime
+        });
+      }
+
       // Auto-assign bay if not provided
-      let assignedBay = bay;
+      let assignedBay = bay || await this.assignBay(numberOfPeople, date, standardStartTime, duration);
       if (!assignedBay) {
+        throw new Error('NO_BAY_AVAILABLE');
+      }
+
+      for (let attempt = 1; ; attempt++) {
+        // The availability check avoids most failed inserts; the database guard closes the race
+        const isAvailable = await this.isBayAvailable(assignedBay, date, standardStartTime, duration);
+
+        if (isAvailable) {
+          const { data, error } = await this.insertBookings(() => [this.buildBookingRecord({
+            ...bookingData,
+            customerPhone: finalPhoneNumber,
+            startTime: standardStartTime
+          }, this.generateBookingId(date), assignedBay, numberOfPeople)]);
+
+          if (!error) {
+            const booking = data[0];
+            log('INFO', 'Booking created successfully', {
+              bookingId: booking.id,
+              customerName: booking.name,
+              date: booking.date,
+              startTime: booking.start_time,
+              bay: booking.bay
+            });
+
+            return booking;
+          }
+
+          if (!this.isBayConflict(error)) {
+            log('ERROR', 'Error creating booking', {
+              bay: assignedBay,
+              date,
+              startTime: standardStartTime,
+              error: error.message
+            });
+            throw error;
+          }
+        }
+
+        log('WARN', 'Bay taken by a concurrent booking', {
+          bay: assignedBay,
+          date,
+          startTime: standardStartTime,
+          attempt
+        });
+
+        if (!reassignOnConflict || attempt >= MAX_BOOKING_ATTEMPTS) {
+          throw this.bayConflictError([assignedBay], date, standardStartTime);
+        }
+
+        const takenBay = assignedBay;
         assignedBay = await this.assignBay(numberOfPeople, date, standardStartTime, duration);
         if (!assignedBay) {
-          throw new Error('NO_BAY_AVAILABLE');
+          throw this.bayConflictError([takenBay], date, standardStartTime);
         }
-      } else {
-        // Verify specified bay is available
-        const isAvailable = await this.isBayAvailable(assignedBay, date, standardStartTime, duration);
-        if (!isAvailable) {
-          throw new Error(`Bay ${assignedBay} is not available for requested time`);
+      }
+    } catch (error) {
+      log('ERROR', 'Failed to create booking', {
+        bookingData,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Build a bookings row
+   * @param {object} bookingData - Booking information (startTime in HH:mm, phone resolved)
+   * @param {string} bookingId - Booking ID
+   * @param {string} bay - Bay name
+   * @param {number} numberOfPeople - People in this bay
+   * @param {string|null} groupId - Shared reference for multi-bay bookings
+   * @returns {object} - Row for the bookings table
+   */
+  buildBookingRecord(bookingData, bookingId, bay, numberOfPeople, groupId = null) {
+    const {
+      customerId,
+      customerName,
+      customerPhone,
+      customerEmail,
+      date,
+      startTime,
+      duration,
+      customerContactedVia,
+      reservationKey = null,
+      customerNotes = null,
+      userId = null,
+      isNewCustomer = false,
+      confirmationStatus = null,
+      gmailMessageId = null
+    } = bookingData;
+
+    // Determine booking type based on channel
+    const bookingType = customerContactedVia === 'ClassPass' ? 'ClassPass' : 'Normal Bay Rate';
+
+    return {
+      id: bookingId,
+      user_id: userId || '0eb32c8b-b2eb-4c8d-ba19-fc4f8e15f4c7', // Default guest user ID
+      customer_id: customerId || null,
+      name: customerName,
+      phone_number: customerPhone,
+      email: customerEmail || '',
+      date,
+      start_time: startTime,
+      duration,
+      number_of_people: numberOfPeople,
+      bay,
+      booking_type: bookingType,
+      status: 'confirmed',
+      customer_contacted_via: customerContactedVia || 'Email Automation',
+      reservation_key: reservationKey,
+      customer_notes: customerNotes,
+      is_new_customer: Boolean(isNewCustomer),
+      confirmation_status: confirmationStatus,
+      booking_group_id: groupId,
+      gmail_message_id: gmailMessageId,
+      updated_by_type: 'system',
+      updated_by_identifier: 'Email Automation'
+    };
+  }
+
+  /**
+   * Create linked bookings for a party split across several adjacent bays
+   * One row per bay, sharing booking_group_id (the first booking's ID). All rows
+   * are inserted in a single statement, so the group is created entirely or not at all.
+   * @param {object} bookingData - Booking information with `bays` (startTime in HH:mm, phone resolved)
+   * @returns {Promise<object>} - First booking record, with `groupBookings` holding every row
+   */
+  async createGroupBooking(bookingData) {
+    const { date, startTime, duration, numberOfPeople, reassignOnConflict = true } = bookingData;
+    let bays = bookingData.bays;
+
+    try {
+      for (let attempt = 1; ; attempt++) {
+        const schedule = await this.availability.loadSchedule([date]);
+        const allFree = bays.every(bay =>
+          this.availability.isFree(schedule, bay, date, this.toMinutes(startTime), Math.round(duration * 60)));
+
+        if (allFree) {
+          const partySplit = this.splitParty(numberOfPeople, bays.length);
+
+          const { data, error } = await this.insertBookings(() => {
+            const bookingIds = this.generateBookingIds(date, bays.length);
+            const groupId = bookingIds[0];
+            const groupNote = `Group booking ${groupId}: ${numberOfPeople} people across ${bays.join(' + ')}.`;
+
+            return bays.map((bay, i) => this.buildBookingRecord({
+              ...bookingData,
+              customerNotes: bookingData.customerNotes ? `${bookingData.customerNotes} ${groupNote}` : groupNote
+            }, bookingIds[i], bay, partySplit[i], groupId));
+          });
+
+          if (!error) {
+            const groupBookings = bays.map(bay => data.find(row => row.bay === bay));
+            const groupId = groupBookings[0].booking_group_id;
+            const bookingIds = groupBookings.map(row => row.id);
+
+            log('INFO', 'Group booking created successfully', {
+              groupId,
+              bookingIds,
+              customerName: bookingData.customerName,
+              date,
+              startTime,
+              bays
+            });
+
+            return { ...groupBookings[0], groupBookings };
+          }
+
+          if (!this.isBayConflict(error)) {
+            log('ERROR', 'Error creating group booking', {
+              bays,
+              error: error.message
+            });
+            throw error;
+          }
+        }
+
+        log('WARN', 'Bay group taken by a concurrent booking', {
+          bays,
+          date,
+          startTime,
+          attempt
+        });
+
+        if (!reassignOnConflict || attempt >= MAX_BOOKING_ATTEMPTS) {
+          throw this.bayConflictError(bays, date, startTime);
+        }
+
+        const takenBays = bays;
+        bays = await this.assignBays(numberOfPeople, date, startTime, duration);
+        if (!bays) {
+          throw this.bayConflictError(takenBays, date, startTime);
         }
       }
+    } catch (error) {
+      log('ERROR', 'Failed to create group booking', {
+        bays,
+        date,
+        startTime,
+        numberOfPeople,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Get every booking in a multi-bay group
+   * @param {string} groupId - booking_group_id
+   * @returns {Promise<Array>} - Bookings in the group, ordered by bay
+   */
+  async getGroupBookings(groupId) {
+    try {
+      const { data, error } = await this.supabase
+        .from('bookings')
+        .select('*')
+        .eq('booking_group_id', groupId)
+        .order('bay', { ascending: true });
+
+      if (error) {
+        throw error;
+      }
 
-      // Generate booking ID
-      const bookingId = this.generateBookingId(date);
+      return data || [];
+    } catch (error) {
+      log('ERROR', 'Failed to fetch group bookings', {
+        groupId,
+        error: error.message
+      });
+      throw error;
+    }
+  }
 
-      // Determine booking type based on channel
-      const bookingType = customerContactedVia === 'ClassPass' ? 'ClassPass' : 'Normal Bay Rate';
+  /**
+   * Check whether a move needs the customer to confirm again
+   * Only bookings that need a confirmation call (confirmation_status set) moving
+   * to another date or start time; the old slot's confirmation does not carry over.
+   * @param {object} booking - Booking record before the move
+   * @param {string} date - New date in YYYY-MM-DD format
+   * @param {string} startTime - New start time in HH:mm format
+   * @returns {boolean} - True if the booking goes back to 'pending'
+   */
+  needsReconfirmation(booking, date, startTime) {
+    return Boolean(booking.confirmation_status) &&
+      (date !== booking.date || startTime !== this.parseTimeToStandard(booking.start_time));
+  }
 
-      // Create booking record
-      const newBooking = {
-        id: bookingId,
-        user_id: userId || '0eb32c8b-b2eb-4c8d-ba19-fc4f8e15f4c7', // Default guest user ID
-        customer_id: customerId || null,
-        name: customerName,
-        phone_number: finalPhoneNumber,
-        email: customerEmail || '',
+  /**
+   * Confirmation fields of a moved booking
+   * @param {object} booking - Booking record before the move
+   * @param {string} date - New date in YYYY-MM-DD format
+   * @param {string} startTime - New start time in HH:mm format
+   * @returns {object} - Pending status and a cleared reminder if it needs confirming again, else {}
+   */
+  reconfirmationUpdates(booking, date, startTime) {
+    return this.needsReconfirmation(booking, date, startTime)
+      ? { confirmation_status: 'pending', confirmation_reminder_sent_at: null }
+      : {};
+  }
+
+  /**
+   * Move an existing booking to a new date, time, duration or party size
+   * Keeps the current bay when it is still free and fits the party, otherwise
+   * re-assigns by preference. The booking itself is excluded from the overlap check.
+   * A booking that needs confirmation goes back to 'pending' when its date or
+   * start time changes (see needsReconfirmation).
+   * @param {object} booking - Existing booking record
+   * @param {object} changes - { date, startTime, duration, numberOfPeople }
+   * @param {string} modifiedBy - Who modified (default "Email Automation")
+   * @returns {Promise<object>} - Updated booking record
+   * @throws {Error} - code 'GROUP_SIZE_CHANGED' when the party no longer fits one bay
+   *   (or a group's bay count changes), 'NO_BAY_AVAILABLE' or code 'BAY_CONFLICT'
+   */
+  async rescheduleBooking(booking, changes, modifiedBy = 'Email Automation') {
+    if (booking.booking_group_id) {
+      return this.rescheduleGroupBooking(booking, changes, modifiedBy);
+    }
+
+    try {
+      await this.refreshBayConfig();
+
+      const date = changes.date || booking.date;
+      const startTime = this.parseTimeToStandard(changes.startTime || booking.start_time);
+      const duration = changes.duration || booking.duration;
+      const numberOfPeople = changes.numberOfPeople || booking.number_of_people;
+
+      // Current bay first (if it still fits the party), then the usual preference order
+      const bayPreferences = this.getBayPreferences(numberOfPeople);
+      const [bayGroup] = this.getBayGroups(numberOfPeople);
+      if (bayGroup && bayGroup.length > 1) {
+        throw Object.assign(
+          new Error(`Booking ${booking.id} has 1 bay; ${numberOfPeople} people need ${bayGroup.length}`),
+          { code: 'GROUP_SIZE_CHANGED', bayCount: bayGroup.length, groupSize: 1 }
+        );
+      }
+      const candidates = bayPreferences.includes(booking.bay)
+        ? [booking.bay, ...bayPreferences.filter(name => name !== booking.bay)]
+        : bayPreferences;
+      const freeBays = await this.findFreeBays(candidates.map(name => [name]), date, startTime, duration, [booking.id]);
+      if (!freeBays) {
+        throw new Error('NO_BAY_AVAILABLE');
+      }
+      const bay = freeBays[0];
+
+      const updates = {
         date,
-        start_time: standardStartTime,
+        start_time: startTime,
         duration,
         number_of_people: numberOfPeople,
-        bay: assignedBay,
-        booking_type: bookingType,
-        status: 'confirmed',
-        customer_contacted_via: customerContactedVia || 'Email Automation',
-        reservation_key: reservationKey,
-        customer_notes: customerNotes,
-        is_new_customer: Boolean(isNewCustomer),
+        bay,
+        ...this.reconfirmationUpdates(booking, date, startTime),
         updated_by_type: 'system',
-        updated_by_identifier: 'Email Automation'
+        updated_by_identifier: modifiedBy
       };
 
       const { data, error } = await this.supabase
         .from('bookings')
-        .insert(newBooking)
+        .update(updates)
+        .eq('id', booking.id)
         .select()
         .single();
 
       if (error) {
-        log('ERROR', 'Error creating booking', {
-          bookingData: newBooking,
+        log('ERROR', 'Error rescheduling booking', {
+          bookingId: booking.id,
+          updates,
           error: error.message
         });
-        throw error;
+        throw this.isBayConflict(error) ? this.bayConflictError([bay], date, startTime) : error;
       }
 
-      log('INFO', 'Booking created successfully', {
+      log('INFO', 'Booking rescheduled successfully', {
         bookingId: data.id,
-        customerName: data.name,
         date: data.date,
         startTime: data.start_time,
-        bay: data.bay
+        bay: data.bay,
+        modifiedBy
       });
 
       return data;
     } catch (error) {
-      log('ERROR', 'Failed to create booking', {
-        bookingData,
+      log('ERROR', 'Failed to reschedule booking', {
+        bookingId: booking.id,
+        changes,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Move a multi-bay group booking to a new date, time, duration or party size
+   * The group keeps its rows, so the new party must need the same number of bays;
+   * bays are re-assigned as a set and the party is re-split across them. Confirmation
+   * is reset as in rescheduleBooking.
+   * @param {object} booking - Any booking record of the group
+   * @param {object} changes - { date, startTime, duration, numberOfPeople }
+   * @param {string} modifiedBy - Who modified (default "Email Automation")
+   * @returns {Promise<object>} - First updated booking, with `groupBookings` holding every row
+   * @throws {Error} - code 'GROUP_SIZE_CHANGED' when the party needs a different number of bays,
+   *   'NO_BAY_AVAILABLE' or code 'BAY_CONFLICT'
+   */
+  async rescheduleGroupBooking(booking, changes, modifiedBy = 'Email Automation') {
+    try {
+      const group = (await this.getGroupBookings(booking.booking_group_id))
+        .filter(row => row.status === 'confirmed');
+      const groupIds = group.map(row => row.id);
+
+      const date = changes.date || booking.date;
+      const startTime = this.parseTimeToStandard(changes.startTime || booking.start_time);
+      const duration = changes.duration || booking.duration;
+      const numberOfPeople = changes.numberOfPeople ||
+        group.reduce((sum, row) => sum + row.number_of_people, 0);
+
+      // Bay sets of a party all have the same size (the fewest bays that seat it)
+      await this.refreshBayConfig();
+      const [bayGroup] = this.getBayGroups(numberOfPeople);
+      const bayCount = bayGroup ? bayGroup.length : null;
+      if (bayCount && bayCount !== group.length) {
+        throw Object.assign(
+          new Error(`Group booking ${booking.booking_group_id} has ${group.length} bays; ${numberOfPeople} people need ${bayCount}`),
+          { code: 'GROUP_SIZE_CHANGED', bayCount, groupSize: group.length }
+        );
+      }
+
+      const bays = await this.assignBays(numberOfPeople, date, startTime, duration, groupIds);
+      if (!bays || bays.length !== group.length) {
+        throw new Error('NO_BAY_AVAILABLE');
+      }
+
+      const partySplit = this.splitParty(numberOfPeople, bays.length);
+
+      // Rows already on one of the new bays keep it and move first, so no row is
+      // moved onto a bay another row of the group still holds
+      const staying = group.filter(row => bays.includes(row.bay));
+      const openBays = bays.filter(bay => !staying.some(row => row.bay === bay));
+      const plan = [
+        ...staying.map(row => ({ row, bay: row.bay })),
+        ...group.filter(row => !bays.includes(row.bay)).map((row, i) => ({ row, bay: openBays[i] }))
+      ];
+
+      const updated = [];
+      try {
+        for (const { row, bay } of plan) {
+          const { data, error } = await this.supabase
+            .from('bookings')
+            .update({
+              date,
+              start_time: startTime,
+              duration,
+              number_of_people: partySplit[bays.indexOf(bay)],
+              bay,
+              ...this.reconfirmationUpdates(row, date, startTime),
+              updated_by_type: 'system',
+              updated_by_identifier: modifiedBy
+            })
+            .eq('id', row.id)
+            .select()
+            .single();
+
+          if (error) {
+            throw this.isBayConflict(error) ? this.bayConflictError(bays, date, startTime) : error;
+          }
+          updated.push(data);
+        }
+      } catch (updateError) {
+        await this.restoreBookings(group.filter(row => updated.some(done => done.id === row.id)));
+        throw updateError;
+      }
+
+      const groupBookings = bays.map(bay => updated.find(row => row.bay === bay));
+
+      log('INFO', 'Group booking rescheduled successfully', {
+        groupId: booking.booking_group_id,
+        date,
+        startTime,
+        bays,
+        modifiedBy
+      });
+
+      return { ...groupBookings[0], groupBookings };
+    } catch (error) {
+      log('ERROR', 'Failed to reschedule group booking', {
+        groupId: booking.booking_group_id,
+        changes,
         error: error.message
       });
       throw error;
     }
   }
 
+  /**
+   * Put bookings back to their previous date, time, bay and confirmation (best effort)
+   * Used when moving a group fails part-way, so the group is not left split.
+   * @param {Array<object>} originals - Booking records as they were before the move
+   * @returns {Promise<void>}
+   */
+  async restoreBookings(originals) {
+    for (const original of originals) {
+      const { error } = await this.supabase
+        .from('bookings')
+        .update({
+          date: original.date,
+          start_time: original.start_time,
+          duration: original.duration,
+          number_of_people: original.number_of_people,
+          bay: original.bay,
+          confirmation_status: original.confirmation_status,
+          confirmation_reminder_sent_at: original.confirmation_reminder_sent_at
+        })
+        .eq('id', original.id);
+
+      if (error) {
+        log('ERROR', 'Failed to restore booking after partial group move', {
+          bookingId: original.id,
+          error: error.message
+        });
+      }
+    }
+  }
+
   /**
    * Cancel a booking
+   * Cancelling one booking of a multi-bay group cancels the whole group.
    * @param {string} bookingId - Booking ID
    * @param {string} reason - Cancellation reason
    * @param {string} cancelledBy - Who cancelled (default "Email Automation")
-   * @returns {Promise<object>} - Updated booking record
+   * @returns {Promise<object>} - Updated booking record (with `groupBookings` for groups)
    */
   async cancelBooking(bookingId, reason, cancelledBy = 'Email Automation') {
     try {
@@ -455,6 +1360,27 @@ class BookingService {
         cancelledBy
       });
 
+      if (data.booking_group_id) {
+        const { error: groupError } = await this.supabase
+          .from('bookings')
+          .update(updates)
+          .eq('booking_group_id', data.booking_group_id)
+          .neq('status', 'cancelled');
+
+        if (groupError) {
+          throw groupError;
+        }
+
+        const groupBookings = await this.getGroupBookings(data.booking_group_id);
+
+        log('INFO', 'Group booking cancelled', {
+          groupId: data.booking_group_id,
+          bookingIds: groupBookings.map(booking => booking.id)
+        });
+
+        return { ...data, groupBookings };
+      }
+
       return data;
     } catch (error) {
       log('ERROR', 'Failed to cancel booking', {
@@ -498,6 +1424,139 @@ class BookingService {
     }
   }
 
+  /**
+   * Summarise a customer's booking history for staff notifications
+   * Multi-bay group bookings count once. Visits are bookings before today at the
+   * venue that were not cancelled; unconfirmed cancellations are bookings
+   * cancelled because the customer never confirmed them (attendance is not
+   * recorded, so no-shows cannot be told apart). The preferred bay is the bay
+   * visited most (most recent first on a tie) and the channel mix counts every
+   * booking that was not cancelled, upcoming ones included.
+   * @param {string} customerId - Customer ID
+   * @param {object} options - { excludeBookingIds } bookings left out with the rest of their group
+   *   (e.g. the one being notified)
+   * @returns {Promise<object|null>} - { visitCount, lastVisitDate, cancellationCount, unconfirmedCancellationCount,
+   *   preferredBay, channelMix: [{ channel, count }] }, or null if the history could not be loaded
+   */
+  async getCustomerInsights(customerId, { excludeBookingIds = [] } = {}) {
+    try {
+      const { data, error } = await this.supabase
+        .from('bookings')
+        .select('id, date, bay, status, customer_contacted_via, booking_group_id, cancellation_reason')
+        .eq('customer_id', customerId)
+        .order('date', { ascending: false });
+
+      if (error) {
+        throw error;
+      }
+
+      const { date: today } = this.venueNow();
+      const rows = data || [];
+      const groupKey = booking => booking.booking_group_id || booking.id;
+      // Leave out every bay of an excluded group booking
+      const excludedGroups = new Set(rows.filter(booking => excludeBookingIds.includes(booking.id)).map(groupKey));
+      const seenGroups = new Set();
+      const bayCounts = new Map();
+      const channelCounts = new Map();
+      const insights = {
+        visitCount: 0,
+        lastVisitDate: null,
+        cancellationCount: 0,
+        unconfirmedCancellationCount: 0,
+        preferredBay: null,
+        channelMix: []
+      };
+
+      for (const booking of rows) {
+        if (excludedGroups.has(groupKey(booking))) {
+          continue;
+        }
+        const isVisit = booking.status !== 'cancelled' && booking.date < today;
+        if (isVisit && booking.bay) {
+          bayCounts.set(booking.bay, (bayCounts.get(booking.bay) || 0) + 1);
+        }
+
+        // Per-booking counts: the other bays of a group booking are the same booking
+        if (seenGroups.has(groupKey(booking))) {
+          continue;
+        }
+        seenGroups.add(groupKey(booking));
+
+        if (booking.status === 'cancelled') {
+          insights.cancellationCount += 1;
+          if (booking.cancellation_reason === UNCONFIRMED_CANCELLATION_REASON) {
+            insights.unconfirmedCancellationCount += 1;
+          }
+          continue;
+        }
+
+        const channel = booking.customer_contacted_via || 'Unknown';
+        channelCounts.set(channel, (channelCounts.get(channel) || 0) + 1);
+        if (isVisit) {
+          insights.visitCount += 1;
+          insights.lastVisitDate = insights.lastVisitDate || booking.date;
+        }
+      }
+
+      // Maps keep insertion order (most recent first), so ties go to the most recent
+      for (const [bay, count] of bayCounts) {
+        if (!insights.preferredBay || count > bayCounts.get(insights.preferredBay)) {
+          insights.preferredBay = bay;
+        }
+      }
+      insights.channelMix = [...channelCounts]
+        .map(([channel, count]) => ({ channel, count }))
+        .sort((a, b) => b.count - a.count);
+
+      return insights;
+    } catch (error) {
+      log('WARN', 'Failed to load customer insights, notifying without them', {
+        customerId,
+        error: error.message
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Find the booking an email already created
+   * Emails are recorded as processed after their booking is written, so a failure
+   * in between leaves a booking for an email that is processed again.
+   * @param {string} gmailMessageId - Gmail message ID
+   * @returns {Promise<object|null>} - First booking (with `groupBookings` for groups), or null
+   */
+  async findBookingForEmail(gmailMessageId) {
+    if (!gmailMessageId) {
+      return null;
+    }
+
+    try {
+      const { data, error } = await this.supabase
+        .from('bookings')
+        .select('*')
+        .eq('gmail_message_id', gmailMessageId)
+        .neq('status', 'cancelled')
+        .order('bay', { ascending: true });
+
+      if (error) {
+        throw error;
+      }
+      if (!data || data.length === 0) {
+        return null;
+      }
+
+      // A group is reported by its first booking (the one whose ID is the group reference)
+      const first = data.find(row => row.id === row.booking_group_id) || data[0];
+      return first.booking_group_id ? { ...first, groupBookings: data } : first;
+    } catch (error) {
+      log('ERROR', 'Failed to find booking for email', {
+        gmailMessageId,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
   /**
    * Find booking by ClassPass reservation key
    * @param {string} reservationKey - ClassPass reservation key
@@ -527,6 +1586,83 @@ class BookingService {
     }
   }
 
+  /**
+   * Reduce bookings to one row per booking: a multi-bay group is reported by its
+   * first booking (the one whose ID is the group reference)
+   * @param {Array<object>} bookings - Booking records
+   * @returns {Array<object>} - One record per booking or group
+   */
+  collapseGroups(bookings) {
+    const byGroup = new Map();
+    for (const booking of bookings) {
+      const key = booking.booking_group_id || booking.id;
+      const current = byGroup.get(key);
+      if (!current || booking.id === key) {
+        byGroup.set(key, booking);
+      }
+    }
+    return [...byGroup.values()];
+  }
+
+  /**
+   * Find the single upcoming confirmed booking for a customer on a channel
+   * Used when an email refers to a booking without its original date/time.
+   * Upcoming means not yet started at the venue (Asia/Bangkok).
+   * @param {string} phone - Phone number
+   * @param {string} email - Email address
+   * @param {string} source - Booking source (e.g., "ResOS")
+   * @returns {Promise<object|null>} - Booking record, or null if none or ambiguous
+   */
+  async findUpcomingBookingForCustomer(phone, email, source) {
+    try {
+      if (!phone && !email) return null;
+
+      const { date: today, minutes } = this.venueNow();
+
+      const { data, error } = await this.supabase
+        .from('bookings')
+        .select('*')
+        .eq('status', 'confirmed')
+        .eq('customer_contacted_via', source)
+        .gte('date', today)
+        .order('date', { ascending: true });
+
+      if (error) {
+        throw error;
+      }
+
+      // Every bay of a group booking matches; the group counts as one booking
+      const matches = this.collapseGroups((data || []).filter(booking => {
+        if (booking.date === today && this.toMinutes(booking.start_time) < minutes) {
+          return false; // already started today
+        }
+        const phoneMatch = phone && booking.phone_number && booking.phone_number.includes(phone);
+        const emailMatch = email && booking.email && booking.email.toLowerCase() === email.toLowerCase();
+        return phoneMatch || emailMatch;
+      }));
+
+      if (matches.length > 1) {
+        log('WARN', 'Multiple upcoming bookings found for customer - ambiguous', {
+          phone,
+          email,
+          source,
+          matchCount: matches.length
+        });
+        return null;
+      }
+
+      return matches[0] || null;
+    } catch (error) {
+      log('ERROR', 'Failed to find upcoming booking for customer', {
+        phone,
+        email,
+        source,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
   /**
    * Find booking by customer details and time
    * @param {string} customerName - Customer name
@@ -562,14 +1698,14 @@ class BookingService {
         return null;
       }
 
-      // Filter by customer details (phone, email, or name)
-      const matches = data.filter(booking => {
+      // Filter by customer details (phone, email, or name); a group booking counts once
+      const matches = this.collapseGroups(data.filter(booking => {
         const phoneMatch = phone && booking.phone_number.includes(phone);
         const emailMatch = email && booking.email && booking.email.toLowerCase() === email.toLowerCase();
         const nameMatch = customerName && booking.name.toLowerCase().includes(customerName.toLowerCase());
 
         return phoneMatch || emailMatch || nameMatch;
-      });
+      }));
 
       if (matches.length === 0) {
         return null;
@@ -603,4 +1739,4 @@ class BookingService {
   }
 }
 
-module.exports = { BookingService };
+module.exports = { BookingService, UNCONFIRMED_CANCELLATION_REASON, PLACEHOLDER_PHONE_PATTERN };
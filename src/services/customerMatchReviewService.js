@@ -0,0 +1,396 @@
+const { CustomerService } = require('./customerService');
+const { BookingService } = require('./bookingService');
+const { log } = require('../utils/logging');
+
+// postback "action" of the buttons on customer match review notifications
+const REVIEW_POSTBACK_ACTION = 'customer_match_review';
+
+// customerService.matchCustomer() matchedBy values that need a review
+const REVIEW_REASONS = ['fuzzy_name', 'ambiguous_name'];
+
+/**
+ * Build the postback data of a review button
+ * @param {string} reviewId - Review ID
+ * @param {string|null} customerId - Candidate to confirm, or null to split into a new customer
+ * @returns {string} - Postback data (query-string encoded)
+ */
+function reviewPostbackData(reviewId, customerId = null) {
+  const fields = customerId
+    ? { action: REVIEW_POSTBACK_ACTION, reviewId, decision: 'confirm', customerId }
+    : { action: REVIEW_POSTBACK_ACTION, reviewId, decision: 'split' };
+  return new URLSearchParams(fields).toString();
+}
+
+/**
+ * CustomerMatchReviewService - Staff review of fuzzy-name customer matches
+ *
+ * Bookings matched to a customer by name only (one similar customer, or the
+ * most similar of several) are linked provisionally and recorded in
+ * customer_match_reviews with every candidate and its similarity. Staff confirm
+ * the right candidate or split the bookings into a new customer (LINE buttons
+ * or the admin API); the bookings are relinked when the answer differs from the
+ * provisional customer.
+ */
+class CustomerMatchReviewService {
+  constructor(supabase, customerService = null, bookingService = null) {
+    if (!supabase) {
+      throw new Error('Supabase client is required for CustomerMatchReviewService');
+    }
+    this.supabase = supabase;
+    this.customerService = customerService || new CustomerService(supabase);
+    this.bookingService = bookingService || new BookingService(supabase);
+  }
+
+  /**
+   * Record a review for a provisional customer match
+   * @param {object} match - Result of CustomerService.getOrCreateCustomer (needsReview)
+   * @param {object} input - { name, phone, email } from the booking email
+   * @param {object} refs - { sourceType, gmailMessageId, bookingIds }
+   * @returns {Promise<object>} - Review record
+   */
+  async createReview(match, input, { sourceType, gmailMessageId = null, bookingIds = [] }) {
+    if (!REVIEW_REASONS.includes(match.matchedBy)) {
+      throw new Error(`Customer match by ${match.matchedBy} does not need a review`);
+    }
+
+    try {
+      const candidates = (match.candidates.length > 0 ? match.candidates : [match.customer]).map(customer => ({
+        customerId: customer.id,
+        customerCode: customer.customer_code || null,
+        customerName: customer.customer_name,
+        phone: customer.contact_number || null,
+        email: customer.email || null,
+        similarity: customer.similarity ?? null
+      }));
+
+      const { data, error } = await this.supabase
+        .from('customer_match_reviews')
+        .insert({
+          reason: match.matchedBy,
+          source_type: sourceType,
+          gmail_message_id: gmailMessageId,
+          input_name: input.name,
+          input_phone: input.phone || null,
+          input_email: input.email || null,
+          candidates,
+          provisional_customer_id: match.customer.id,
+          booking_ids: bookingIds
+        })
+        .select()
+        .single();
+
+      if (error) {
+        throw error;
+      }
+
+      log('INFO', 'Customer match review recorded', {
+        reviewId: data.id,
+        reason: data.reason,
+        provisionalCustomerId: data.provisional_customer_id,
+        candidates: candidates.length,
+        bookingIds
+      });
+      return data;
+    } catch (error) {
+      log('ERROR', 'Failed to record customer match review', {
+        inputName: input.name,
+        matchedBy: match.matchedBy,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Get a review by ID
+   * @param {string} reviewId - Review ID
+   * @returns {Promise<object|null>} - Review record or null
+   */
+  async getReview(reviewId) {
+    const { data, error } = await this.supabase
+      .from('customer_match_reviews')
+      .select('*')
+      .eq('id', reviewId)
+      .maybeSingle();
+
+    if (error) {
+      log('ERROR', 'Failed to fetch customer match review', { reviewId, error: error.message });
+      throw error;
+    }
+
+    return data;
+  }
+
+  /**
+   * List reviews, oldest first
+   * @param {string} status - 'pending', 'confirmed' or 'split'
+   * @param {number} limit - Maximum number of reviews
+   * @returns {Promise<Array<object>>} - Review records
+   */
+  async listReviews(status = 'pending', limit = 50) {
+    const { data, error } = await this.supabase
+      .from('customer_match_reviews')
+      .select('*')
+      .eq('status', status)
+      .order('created_at', { ascending: true })
+      .limit(limit);
+
+    if (error) {
+      log('ERROR', 'Failed to list customer match reviews', { status, error: error.message });
+      throw error;
+    }
+
+    return data || [];
+  }
+
+  /**
+   * Get a review that is still pending
+   * @param {string} reviewId - Review ID
+   * @returns {Promise<object>} - Review record
+   * @throws {Error} - code 'REVIEW_NOT_FOUND' or 'REVIEW_ALREADY_RESOLVED'
+   */
+  async getPendingReview(reviewId) {
+    const review = await this.getReview(reviewId);
+    if (!review) {
+      throw Object.assign(new Error(`Customer match review ${reviewId} not found`), { code: 'REVIEW_NOT_FOUND' });
+    }
+    if (review.status !== 'pending') {
+      throw Object.assign(
+        new Error(`Customer match review ${reviewId} is already ${review.status}`),
+        { code: 'REVIEW_ALREADY_RESOLVED', review }
+      );
+    }
+    return review;
+  }
+
+  /**
+   * Link the bookings of a review to a customer (name and contact details follow
+   * the customer, as when the booking was created)
+   * @param {Array<string>} bookingIds - Booking IDs
+   * @param {object} customer - Customer record
+   * @param {object} updates - Extra bookings columns to set
+   * @returns {Promise<void>}
+   */
+  async relinkBookings(bookingIds, customer, updates = {}) {
+    if (bookingIds.length === 0) {
+      return;
+    }
+
+    const { error } = await this.supabase
+      .from('bookings')
+      .update({
+        customer_id: customer.id,
+        name: customer.customer_name,
+        phone_number: customer.contact_number || this.bookingService.placeholderPhoneNumber(),
+        email: customer.email || '',
+        ...updates
+      })
+      .in('id', bookingIds);
+
+    if (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Claim a pending review for a decision before the customer and bookings are
+   * changed, so two staff answering at once cannot both act on it
+   * @param {object} review - Review record
+   * @param {string} status - 'confirmed' or 'split'
+   * @param {string|null} customerId - Resolved customer ID (null until a split has created it)
+   * @param {string} resolvedBy - Who resolved it
+   * @returns {Promise<object>} - Claimed review record
+   * @throws {Error} - code 'REVIEW_ALREADY_RESOLVED' when the review is no longer pending
+   */
+  async claimReview(review, status, customerId, resolvedBy) {
+    const now = new Date().toISOString();
+    const { data, error } = await this.supabase
+      .from('customer_match_reviews')
+      .update({
+        status,
+        resolved_customer_id: customerId,
+        resolved_by: resolvedBy,
+        resolved_at: now,
+        updated_at: now
+      })
+      .eq('id', review.id)
+      .eq('status', 'pending')
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      throw error;
+    }
+    if (!data) {
+      throw Object.assign(new Error(`Customer match review ${review.id} was resolved concurrently`), { code: 'REVIEW_ALREADY_RESOLVED' });
+    }
+    return data;
+  }
+
+  /**
+   * Put a claimed review back to pending after its decision failed, so staff can
+   * answer again. Best effort: a failure is logged and the review stays claimed.
+   * @param {object} claimed - Review record returned by claimReview()
+   * @returns {Promise<void>}
+   */
+  async reopenReview(claimed) {
+    const { error } = await this.supabase
+      .from('customer_match_reviews')
+      .update({
+        status: 'pending',
+        resolved_customer_id: null,
+        resolved_by: null,
+        resolved_at: null,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', claimed.id)
+      .eq('status', claimed.status)
+      .eq('resolved_at', claimed.resolved_at);
+
+    if (error) {
+      log('ERROR', 'Failed to reopen customer match review', { reviewId: claimed.id, error: error.message });
+    }
+  }
+
+  /**
+   * Confirm one of the candidates as the customer of the bookings
+   * @param {string} reviewId - Review ID
+   * @param {string} customerId - Candidate customer ID
+   * @param {string} resolvedBy - Who confirmed (staff name)
+   * @returns {Promise<object>} - { review, customer, relinked }
+   * @throws {Error} - code 'REVIEW_NOT_FOUND', 'REVIEW_ALREADY_RESOLVED' or 'INVALID_REVIEW_CUSTOMER'
+   */
+  async confirm(reviewId, customerId, resolvedBy) {
+    try {
+      const review = await this.getPendingReview(reviewId);
+      const candidate = review.candidates.find(item => item.customerId === customerId);
+      if (!candidate) {
+        throw Object.assign(
+          new Error(`Customer ${customerId} is not a candidate of review ${reviewId}`),
+          { code: 'INVALID_REVIEW_CUSTOMER' }
+        );
+      }
+
+      const relinked = customerId !== review.provisional_customer_id;
+      let customer = { id: candidate.customerId, customer_name: candidate.customerName };
+      if (relinked) {
+        customer = await this.customerService.findActiveCustomerBy('id', customerId);
+        if (!customer) {
+          throw Object.assign(new Error(`Customer ${customerId} is no longer active`), { code: 'INVALID_REVIEW_CUSTOMER' });
+        }
+      }
+
+      const resolved = await this.claimReview(review, 'confirmed', customerId, resolvedBy);
+      if (relinked) {
+        try {
+          await this.relinkBookings(review.booking_ids, customer);
+        } catch (relinkError) {
+          await this.reopenReview(resolved);
+          throw relinkError;
+        }
+      }
+
+      log('INFO', 'Customer match confirmed', { reviewId, customerId, relinked, resolvedBy });
+      return { review: resolved, customer, relinked };
+    } catch (error) {
+      log('ERROR', 'Failed to confirm customer match', {
+        reviewId,
+        customerId,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Split the bookings into a new customer created from the email's details
+   * @param {string} reviewId - Review ID
+   * @param {string} resolvedBy - Who split (staff name)
+   * @returns {Promise<object>} - { review, customer }
+   * @throws {Error} - code 'REVIEW_NOT_FOUND', 'REVIEW_ALREADY_RESOLVED' or 'DUPLICATE_PHONE'
+   */
+  async split(reviewId, resolvedBy) {
+    try {
+      const review = await this.getPendingReview(reviewId);
+      const claimed = await this.claimReview(review, 'split', null, resolvedBy);
+
+      let customer;
+      try {
+        customer = await this.customerService.createCustomer({
+          name: review.input_name,
+          phone: review.input_phone,
+          email: review.input_email
+        });
+
+        await this.relinkBookings(review.booking_ids, customer, { is_new_customer: true });
+      } catch (splitError) {
+        await this.reopenReview(claimed);
+        throw splitError;
+      }
+
+      // The split is done; a failure to record the new customer on the review is only logged
+      const resolved = { ...claimed, resolved_customer_id: customer.id };
+      const { error } = await this.supabase
+        .from('customer_match_reviews')
+        .update({ resolved_customer_id: customer.id, updated_at: new Date().toISOString() })
+        .eq('id', claimed.id);
+
+      if (error) {
+        log('ERROR', 'Failed to record split customer on review', { reviewId, customerId: customer.id, error: error.message });
+      }
+
+      log('INFO', 'Customer match split into a new customer', {
+        reviewId,
+        customerId: customer.id,
+        customerCode: customer.customer_code,
+        resolvedBy
+      });
+      return { review: resolved, customer };
+    } catch (error) {
+      log('ERROR', 'Failed to split customer match', {
+        reviewId,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Handle a tap on the review buttons (LINE webhook postback)
+   * @param {URLSearchParams} params - Postback data (reviewId, decision, customerId)
+   * @param {string} staffName - Who tapped (LINE display name)
+   * @returns {Promise<string>} - Reply for the group
+   */
+  async handlePostback(params, staffName) {
+    const reviewId = params.get('reviewId');
+    const decision = params.get('decision');
+
+    try {
+      if (decision === 'split') {
+        const { customer } = await this.split(reviewId, staffName);
+        return `🆕 Booking moved to new customer ${customer.customer_code || customer.customer_name} (${staffName})`;
+      }
+
+      const { customer } = await this.confirm(reviewId, params.get('customerId'), staffName);
+      return `✅ Customer confirmed: ${customer.customer_name} (${staffName})`;
+    } catch (error) {
+      if (error.code === 'REVIEW_ALREADY_RESOLVED') {
+        return 'This customer match was already reviewed.';
+      }
+      if (error.code === 'DUPLICATE_PHONE') {
+        return 'Could not create a new customer: another customer already has this phone number.';
+      }
+      if (error.code !== 'REVIEW_NOT_FOUND' && error.code !== 'INVALID_REVIEW_CUSTOMER') {
+        throw error;
+      }
+      return `Could not update the customer match: ${error.message}`;
+    }
+  }
+}
+
+module.exports = {
+  CustomerMatchReviewService,
+  reviewPostbackData,
+  REVIEW_POSTBACK_ACTION,
+  REVIEW_REASONS
+};
@@ -0,0 +1,265 @@
+const { CustomerService } = require('./customerService');
+const { log } = require('../utils/logging');
+
+/**
+ * CustomerMergeService - Staff decisions on customer merge proposals
+ *
+ * CustomerService proposes a merge when one booking's phone and email match two
+ * different customers. Merging claims the proposal, moves the duplicate's
+ * bookings and waitlist entries to the primary customer, deactivates the
+ * duplicate with merged_into_customer_id set and its phone moved to its
+ * alternate contacts (the unique phone key also covers inactive customers), and
+ * fills the primary's missing details from the duplicate (other details become
+ * alternate contacts). Rejecting only closes the proposal.
+ */
+class CustomerMergeService {
+  constructor(supabase, customerService = null) {
+    if (!supabase) {
+      throw new Error('Supabase client is required for CustomerMergeService');
+    }
+    this.supabase = supabase;
+    this.customerService = customerService || new CustomerService(supabase);
+  }
+
+  /**
+   * List merge proposals, oldest first
+   * @param {string} status - 'pending', 'merged' or 'rejected'
+   * @param {number} limit - Maximum number of proposals
+   * @returns {Promise<Array<object>>} - Proposal records
+   */
+  async listProposals(status = 'pending', limit = 50) {
+    const { data, error } = await this.supabase
+      .from('customer_merge_proposals')
+      .select('*')
+      .eq('status', status)
+      .order('created_at', { ascending: true })
+      .limit(limit);
+
+    if (error) {
+      log('ERROR', 'Failed to list customer merge proposals', { status, error: error.message });
+      throw error;
+    }
+
+    return data || [];
+  }
+
+  /**
+   * Get a proposal that is still pending
+   * @param {string} proposalId - Proposal ID
+   * @returns {Promise<object>} - Proposal record
+   * @throws {Error} - code 'PROPOSAL_NOT_FOUND' or 'PROPOSAL_ALREADY_RESOLVED'
+   */
+  async getPendingProposal(proposalId) {
+    const { data, error } = await this.supabase
+      .from('customer_merge_proposals')
+      .select('*')
+      .eq('id', proposalId)
+      .maybeSingle();
+
+    if (error) {
+      throw error;
+    }
+    if (!data) {
+      throw Object.assign(new Error(`Customer merge proposal ${proposalId} not found`), { code: 'PROPOSAL_NOT_FOUND' });
+    }
+    if (data.status !== 'pending') {
+      throw Object.assign(
+        new Error(`Customer merge proposal ${proposalId} is already ${data.status}`),
+        { code: 'PROPOSAL_ALREADY_RESOLVED' }
+      );
+    }
+    return data;
+  }
+
+  /**
+   * Get a customer by ID (active or not)
+   * @param {string} customerId - Customer ID
+   * @returns {Promise<object|null>} - Customer record or null
+   */
+  async getCustomer(customerId) {
+    const { data, error } = await this.supabase
+      .from('customers')
+      .select('*')
+      .eq('id', customerId)
+      .maybeSingle();
+
+    if (error) {
+      throw error;
+    }
+    return data;
+  }
+
+  /**
+   * Mark a proposal as resolved
+   * A merge marks it before moving any rows, so a concurrent reject cannot leave
+   * the customers merged under a rejected proposal.
+   * @param {object} proposal - Proposal record
+   * @param {string} status - 'merged' or 'rejected'
+   * @param {string} resolvedBy - Who resolved it
+   * @returns {Promise<object>} - Updated proposal record
+   * @throws {Error} - code 'PROPOSAL_ALREADY_RESOLVED' when the proposal is no longer pending
+   */
+  async markResolved(proposal, status, resolvedBy) {
+    const now = new Date().toISOString();
+    const { data, error } = await this.supabase
+      .from('customer_merge_proposals')
+      .update({ status, resolved_by: resolvedBy, resolved_at: now, updated_at: now })
+      .eq('id', proposal.id)
+      .eq('status', 'pending')
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      throw error;
+    }
+    if (!data) {
+      throw Object.assign(
+        new Error(`Customer merge proposal ${proposal.id} was resolved concurrently`),
+        { code: 'PROPOSAL_ALREADY_RESOLVED' }
+      );
+    }
+    return data;
+  }
+
+  /**
+   * Put a proposal claimed by a failed merge back to pending so staff can retry
+   * (moving rows again is harmless). Best effort: a failure is logged.
+   * @param {object} claimed - Proposal record returned by markResolved()
+   * @returns {Promise<void>}
+   */
+  async reopenProposal(claimed) {
+    const { error } = await this.supabase
+      .from('customer_merge_proposals')
+      .update({ status: 'pending', resolved_by: null, resolved_at: null, updated_at: new Date().toISOString() })
+      .eq('id', claimed.id)
+      .eq('status', claimed.status)
+      .eq('resolved_at', claimed.resolved_at);
+
+    if (error) {
+      log('ERROR', 'Failed to reopen customer merge proposal', { proposalId: claimed.id, error: error.message });
+    }
+  }
+
+  /**
+   * Move a customer's rows in a table to another customer
+   * @param {string} table - 'bookings' or 'booking_waitlist'
+   * @param {string} fromCustomerId - Duplicate customer ID
+   * @param {string} toCustomerId - Primary customer ID
+   * @returns {Promise<number>} - Rows moved
+   */
+  async moveCustomerRows(table, fromCustomerId, toCustomerId) {
+    const { data, error } = await this.supabase
+      .from(table)
+      .update({ customer_id: toCustomerId })
+      .eq('customer_id', fromCustomerId)
+      .select('id');
+
+    if (error) {
+      throw error;
+    }
+    return (data || []).length;
+  }
+
+  /**
+   * Merge the duplicate customer of a proposal into the primary one
+   * @param {string} proposalId - Proposal ID
+   * @param {string} resolvedBy - Who merged (staff name)
+   * @returns {Promise<object>} - { proposal, customer, movedBookings }
+   * @throws {Error} - code 'PROPOSAL_NOT_FOUND', 'PROPOSAL_ALREADY_RESOLVED' or 'CUSTOMER_INACTIVE'
+   */
+  async merge(proposalId, resolvedBy) {
+    try {
+      const proposal = await this.getPendingProposal(proposalId);
+      const [primary, duplicate] = await Promise.all([
+        this.getCustomer(proposal.primary_customer_id),
+        this.getCustomer(proposal.duplicate_customer_id)
+      ]);
+      if (!primary || !primary.is_active || !duplicate) {
+        throw Object.assign(
+          new Error(`Customer ${!primary || !primary.is_active ? proposal.primary_customer_id : proposal.duplicate_customer_id} is missing or inactive`),
+          { code: 'CUSTOMER_INACTIVE' }
+        );
+      }
+
+      const resolved = await this.markResolved(proposal, 'merged', resolvedBy);
+
+      let movedBookings;
+      try {
+        movedBookings = await this.moveCustomerRows('bookings', duplicate.id, primary.id);
+        await this.moveCustomerRows('booking_waitlist', duplicate.id, primary.id);
+
+        // The unique phone key covers inactive customers too: the duplicate gives
+        // up its phone (kept as its alternate contact) before the primary takes it
+        if (duplicate.contact_number) {
+          await this.customerService.recordAlternateContacts(
+            duplicate.id,
+            [{ contact_type: 'phone', value: duplicate.phone_e164 || duplicate.contact_number }],
+            { sourceType: 'customer_merge' }
+          );
+        }
+
+        const { error } = await this.supabase
+          .from('customers')
+          .update({
+            is_active: false,
+            merged_into_customer_id: primary.id,
+            contact_number: null,
+            normalized_phone: null,
+            phone_e164: null
+          })
+          .eq('id', duplicate.id);
+        if (error) {
+          throw error;
+        }
+      } catch (mergeError) {
+        await this.reopenProposal(resolved);
+        throw mergeError;
+      }
+
+      const customer = await this.customerService.updateContactDetails(
+        primary,
+        { phone: duplicate.contact_number, email: duplicate.email },
+        { sourceType: 'customer_merge' }
+      );
+
+      log('INFO', 'Customers merged', {
+        proposalId,
+        primaryCustomerId: primary.id,
+        duplicateCustomerId: duplicate.id,
+        movedBookings,
+        resolvedBy
+      });
+      return { proposal: resolved, customer, movedBookings };
+    } catch (error) {
+      log('ERROR', 'Failed to merge customers', {
+        proposalId,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Reject a proposal (the customers are different people)
+   * @param {string} proposalId - Proposal ID
+   * @param {string} resolvedBy - Who rejected (staff name)
+   * @returns {Promise<object>} - Updated proposal record
+   * @throws {Error} - code 'PROPOSAL_NOT_FOUND' or 'PROPOSAL_ALREADY_RESOLVED'
+   */
+  async reject(proposalId, resolvedBy) {
+    try {
+      const proposal = await this.getPendingProposal(proposalId);
+      const resolved = await this.markResolved(proposal, 'rejected', resolvedBy);
+      log('INFO', 'Customer merge rejected', { proposalId, resolvedBy });
+      return resolved;
+    } catch (error) {
+      log('ERROR', 'Failed to reject customer merge', {
+        proposalId,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+}
+
+module.exports = { CustomerMergeService };
@@ -1,10 +1,32 @@
+const { parsePhone } = require('../utils/phoneUtils');
 const { log } = require('../utils/logging');
 
+// What to do with an inactive (not merged) customer holding the phone of a
+// customer being created: reactivate it, link the booking to it as is, or fail
+// with DUPLICATE_PHONE (CUSTOMER_DUPLICATE_PHONE_POLICY)
+const DUPLICATE_PHONE_POLICIES = ['reactivate', 'link', 'fail'];
+const DEFAULT_DUPLICATE_PHONE_POLICY = 'reactivate';
+
 /**
  * CustomerService - Handles customer matching and creation
  *
  * Provides methods to match existing customers by phone, email, or name,
  * and create new customers with auto-generated customer codes.
+ *
+ * Phones are matched on their E.164 form (customers.phone_e164). Customers
+ * created before it was stored (or by other apps) only have the legacy 9-digit
+ * key (customers.normalized_phone), which is used as a fallback for Thai numbers
+ * only: for foreign numbers the last 9 digits can equal an unrelated Thai
+ * customer's. Foreign numbers are stored with their full E.164 digits as
+ * normalized_phone so they never collide with a Thai key.
+ *
+ * Name matches are never final: the booking is linked provisionally and staff
+ * confirm or split it through CustomerMatchReviewService.
+ *
+ * Phone and email matches keep the customer record current: missing details are
+ * filled in, differing ones are kept in customer_alternate_contacts, and a phone
+ * and email that match two customers raise a merge proposal (resolved through
+ * CustomerMergeService).
  */
 class CustomerService {
   constructor(supabase) {
@@ -15,7 +37,7 @@ class CustomerService {
   }
 
   /**
-   * Normalize phone number to last 9 digits for matching
+   * Normalize phone number to last 9 digits for matching (legacy key, Thai numbers)
    * @param {string} phoneInput - Phone number in any format
    * @returns {string} - Normalized phone (last 9 digits)
    */
@@ -40,46 +62,69 @@ class CustomerService {
   }
 
   /**
-   * Find customer by normalized phone number
+   * Get the stored and matched forms of a phone number
+   * Unparseable numbers keep the legacy behaviour (9-digit key only).
+   * @param {string} phoneInput - Phone number in any format
+   * @returns {object} - { e164, country, isThai, normalizedPhone }
+   */
+  phoneKeys(phoneInput) {
+    const parsed = parsePhone(phoneInput);
+
+    if (!parsed) {
+      return { e164: null, country: null, isThai: null, normalizedPhone: this.normalizePhone(phoneInput) };
+    }
+
+    return {
+      e164: parsed.e164,
+      country: parsed.country,
+      isThai: parsed.isThai,
+      normalizedPhone: parsed.isThai ? parsed.nationalNumber : parsed.e164.substring(1)
+    };
+  }
+
+  /**
+   * Find customer by phone number
+   * Matches phone_e164 first; Thai (and unparseable) numbers fall back to the
+   * legacy 9-digit normalized_phone.
    * @param {string} phoneNumber - Phone number to search
    * @returns {Promise<object|null>} - Customer record or null
    */
   async findByPhone(phoneNumber) {
     try {
-      const normalizedPhone = this.normalizePhone(phoneNumber);
+      const keys = this.phoneKeys(phoneNumber);
 
-      if (!normalizedPhone || normalizedPhone.length < 9) {
-        log('WARN', 'Phone number too short for matching', { phoneNumber, normalizedPhone });
-        return null;
+      if (keys.e164) {
+        const customer = await this.findActiveCustomerBy('phone_e164', keys.e164);
+        if (customer) {
+          log('DEBUG', 'Customer found by phone', {
+            phoneNumber,
+            phoneE164: keys.e164,
+            customerId: customer.id,
+            customerName: customer.customer_name
+          });
+          return customer;
+        }
       }
 
-      const { data, error } = await this.supabase
-        .from('customers')
-        .select('*')
-        .eq('normalized_phone', normalizedPhone)
-        .eq('is_active', true)
-        .limit(1);
+      if (keys.isThai === false) {
+        return null;
+      }
 
-      if (error) {
-        log('ERROR', 'Error finding customer by phone', {
-          phoneNumber,
-          normalizedPhone,
-          error: error.message
-        });
-        throw error;
+      if (!keys.normalizedPhone || keys.normalizedPhone.length < 9) {
+        log('WARN', 'Phone number too short for matching', { phoneNumber, normalizedPhone: keys.normalizedPhone });
+        return null;
       }
 
-      if (data && data.length > 0) {
-        log('DEBUG', 'Customer found by phone', {
+      const customer = await this.findActiveCustomerBy('normalized_phone', keys.normalizedPhone);
+      if (customer) {
+        log('DEBUG', 'Customer found by legacy phone key', {
           phoneNumber,
-          normalizedPhone,
-          customerId: data[0].id,
-          customerName: data[0].customer_name
+          normalizedPhone: keys.normalizedPhone,
+          customerId: customer.id,
+          customerName: customer.customer_name
         });
-        return data[0];
       }
-
-      return null;
+      return customer;
     } catch (error) {
       log('ERROR', 'Failed to find customer by phone', {
         phoneNumber,
@@ -89,6 +134,32 @@ class CustomerService {
     }
   }
 
+  /**
+   * Find the first active customer with a column value
+   * @param {string} column - customers column (e.g. 'phone_e164')
+   * @param {string} value - Value to match
+   * @returns {Promise<object|null>} - Customer record or null
+   */
+  async findActiveCustomerBy(column, value) {
+    const { data, error } = await this.supabase
+      .from('customers')
+      .select('*')
+      .eq(column, value)
+      .eq('is_active', true)
+      .limit(1);
+
+    if (error) {
+      log('ERROR', 'Error finding customer by phone', {
+        column,
+        value,
+        error: error.message
+      });
+      throw error;
+    }
+
+    return data && data.length > 0 ? data[0] : null;
+  }
+
   /**
    * Find customer by email (case-insensitive)
    * @param {string} email - Email address to search
@@ -133,14 +204,14 @@ class CustomerService {
   }
 
   /**
-   * Find customer by fuzzy name matching (>= threshold similarity)
+   * Find customers with a similar name (>= threshold similarity)
    * @param {string} name - Name to search
    * @param {number} threshold - Similarity threshold (0.0 to 1.0, default 0.9)
-   * @returns {Promise<object|null>} - Customer record or null
+   * @returns {Promise<Array<object>>} - Customer records with `similarity`, most similar first
    */
-  async findByFuzzyName(name, threshold = 0.9) {
+  async findFuzzyNameCandidates(name, threshold = 0.9) {
     try {
-      if (!name) return null;
+      if (!name) return [];
 
       // Use the existing RPC function for fuzzy name matching
       const { data, error } = await this.supabase
@@ -158,27 +229,9 @@ class CustomerService {
         throw error;
       }
 
-      // Only return if exactly one match with high similarity
-      if (data && data.length === 1 && data[0].similarity >= threshold) {
-        log('DEBUG', 'Customer found by fuzzy name', {
-          searchName: name,
-          foundName: data[0].customer_name,
-          similarity: data[0].similarity,
-          customerId: data[0].id
-        });
-        return data[0];
-      }
-
-      // If multiple matches or low similarity, return null (ambiguous)
-      if (data && data.length > 1) {
-        log('WARN', 'Multiple customers found with similar names - ambiguous match', {
-          searchName: name,
-          matchCount: data.length,
-          topMatches: data.slice(0, 3).map(c => ({ name: c.customer_name, similarity: c.similarity }))
-        });
-      }
-
-      return null;
+      return (data || [])
+        .filter(customer => customer.similarity >= threshold)
+        .sort((a, b) => b.similarity - a.similarity);
     } catch (error) {
       log('ERROR', 'Failed to find customer by fuzzy name', {
         name,
@@ -195,32 +248,57 @@ class CustomerService {
    * @param {string} phone - Phone number
    * @param {string} email - Email address
    * @param {boolean} allowFuzzyName - Allow fuzzy name matching (default false)
-   * @returns {Promise<object|null>} - { customer, confidence: 'high'|'medium' } or null
+   * @returns {Promise<object|null>} - { customer, confidence: 'high'|'medium'|'low', matchedBy, candidates?,
+   *   conflictingCustomer? } or null (`candidates` lists the similar customers of a name match,
+   *   `conflictingCustomer` is the email match of a phone match that found someone else)
    */
   async matchCustomer(name, phone, email, allowFuzzyName = false) {
     try {
-      // Priority 1: Match by phone (most reliable)
-      if (phone) {
-        const customer = await this.findByPhone(phone);
-        if (customer) {
-          return { customer, confidence: 'high', matchedBy: 'phone' };
+      // Priority 1: Match by phone (most reliable), Priority 2: Match by email
+      // Both are looked up: when they find two different customers the phone
+      // match wins and the email match is returned as `conflictingCustomer`
+      const phoneCustomer = phone ? await this.findByPhone(phone) : null;
+      const emailCustomer = email ? await this.findByEmail(email) : null;
+
+      if (phoneCustomer) {
+        const conflictingCustomer = emailCustomer && emailCustomer.id !== phoneCustomer.id ? emailCustomer : null;
+        if (conflictingCustomer) {
+          log('WARN', 'Phone and email match different customers', {
+            phoneCustomerId: phoneCustomer.id,
+            emailCustomerId: conflictingCustomer.id
+          });
         }
+        return { customer: phoneCustomer, confidence: 'high', matchedBy: 'phone', conflictingCustomer };
       }
 
-      // Priority 2: Match by email
-      if (email) {
-        const customer = await this.findByEmail(email);
-        if (customer) {
-          return { customer, confidence: 'high', matchedBy: 'email' };
-        }
+      if (emailCustomer) {
+        return { customer: emailCustomer, confidence: 'high', matchedBy: 'email' };
       }
 
       // Priority 3: Fuzzy name matching (only if allowed, e.g., for ClassPass)
+      // Name matches need a staff review: one similar customer is a 'medium'
+      // match, several are 'low' and provisionally take the most similar one
       if (allowFuzzyName && name) {
         const threshold = parseFloat(process.env.FUZZY_NAME_THRESHOLD || '0.9');
-        const customer = await this.findByFuzzyName(name, threshold);
-        if (customer) {
-          return { customer, confidence: 'medium', matchedBy: 'fuzzy_name' };
+        const candidates = await this.findFuzzyNameCandidates(name, threshold);
+
+        if (candidates.length === 1) {
+          log('DEBUG', 'Customer found by fuzzy name', {
+            searchName: name,
+            foundName: candidates[0].customer_name,
+            similarity: candidates[0].similarity,
+            customerId: candidates[0].id
+          });
+          return { customer: candidates[0], confidence: 'medium', matchedBy: 'fuzzy_name', candidates };
+        }
+
+        if (candidates.length > 1) {
+          log('WARN', 'Multiple customers found with similar names - ambiguous match', {
+            searchName: name,
+            matchCount: candidates.length,
+            topMatches: candidates.slice(0, 3).map(c => ({ name: c.customer_name, similarity: c.similarity }))
+          });
+          return { customer: candidates[0], confidence: 'low', matchedBy: 'ambiguous_name', candidates };
         }
       }
 
@@ -258,6 +336,7 @@ class CustomerService {
    * @param {string} customerData.phone - Phone number
    * @param {string} customerData.email - Email address
    * @returns {Promise<object>} - Created customer record
+   * @throws {Error} - 'DUPLICATE_PHONE' (code 'DUPLICATE_PHONE') when a customer already has the phone key
    */
   async createCustomer(customerData) {
     try {
@@ -271,8 +350,9 @@ class CustomerService {
         throw new Error('At least one contact method (phone or email) is required');
       }
 
-      // Normalize phone
-      const normalizedPhone = phone ? this.normalizePhone(phone) : null;
+      // Canonical E.164 form and the matching key (9 digits for Thai numbers)
+      const keys = phone ? this.phoneKeys(phone) : null;
+      const normalizedPhone = keys ? keys.normalizedPhone || null : null;
 
       // Don't specify customer_code - let the database trigger auto-generate it
       // This uses the same proven approach as lengolf-forms and lengolf-booking-new
@@ -282,6 +362,7 @@ class CustomerService {
         contact_number: phone || null,
         email: email || null,
         normalized_phone: normalizedPhone,
+        phone_e164: keys ? keys.e164 : null,
         is_active: true,
         preferred_contact_method: phone ? 'Phone' : 'Email'
       };
@@ -297,9 +378,10 @@ class CustomerService {
         if (error.code === '23505' && error.message.includes('normalized_phone')) {
           log('WARN', 'Customer with this phone number already exists', {
             phone,
-            normalizedPhone
+            normalizedPhone,
+            phoneE164: keys.e164
           });
-          throw new Error('DUPLICATE_PHONE');
+          throw Object.assign(new Error('DUPLICATE_PHONE'), { code: 'DUPLICATE_PHONE' });
         }
 
         log('ERROR', 'Error creating customer', {
@@ -325,13 +407,419 @@ class CustomerService {
     }
   }
 
+  /**
+   * Check whether a parsed phone is the customer's stored phone
+   * @param {object} customer - Customer record
+   * @param {object} keys - Result of phoneKeys()
+   * @returns {boolean} - True if it is the same number
+   */
+  isSamePhone(customer, keys) {
+    if (keys.e164 && customer.phone_e164) {
+      return keys.e164 === customer.phone_e164;
+    }
+    return Boolean(keys.normalizedPhone) && keys.normalizedPhone === customer.normalized_phone;
+  }
+
+  /**
+   * Fill in a matched customer's missing phone / email from a booking email and
+   * keep contact details that differ from the stored ones as alternate contacts.
+   * Best effort: a failure is logged and the customer is returned unchanged.
+   * @param {object} customer - Customer record
+   * @param {object} contacts - { phone, email } from the booking email
+   * @param {object} context - { sourceType, gmailMessageId } recorded on alternate contacts
+   * @returns {Promise<object>} - Customer record (updated if fields were filled in)
+   */
+  async updateContactDetails(customer, { phone = null, email = null }, context = {}) {
+    const updates = {};
+    const alternates = [];
+
+    if (phone) {
+      const keys = this.phoneKeys(phone);
+      if (!customer.contact_number) {
+        Object.assign(updates, {
+          contact_number: phone,
+          normalized_phone: keys.normalizedPhone || null,
+          phone_e164: keys.e164
+        });
+      } else if (this.isSamePhone(customer, keys)) {
+        if (keys.e164 && !customer.phone_e164) {
+          updates.phone_e164 = keys.e164;
+        }
+      } else {
+        alternates.push({ contact_type: 'phone', value: keys.e164 || phone });
+      }
+    }
+
+    if (email) {
+      if (!customer.email) {
+        updates.email = email;
+      } else if (customer.email.toLowerCase() !== email.toLowerCase()) {
+        alternates.push({ contact_type: 'email', value: email.toLowerCase() });
+      }
+    }
+
+    let updated = customer;
+    try {
+      if (Object.keys(updates).length > 0) {
+        const { data, error } = await this.supabase
+          .from('customers')
+          .update(updates)
+          .eq('id', customer.id)
+          .select()
+          .single();
+
+        if (error) {
+          throw error;
+        }
+
+        log('INFO', 'Customer contact details filled in', {
+          customerId: customer.id,
+          fields: Object.keys(updates)
+        });
+        updated = data;
+      }
+    } catch (error) {
+      // e.g. the phone is taken by another (inactive) customer: keep it as an alternate
+      log('WARN', 'Failed to fill in customer contact details', {
+        customerId: customer.id,
+        fields: Object.keys(updates),
+        error: error.message
+      });
+      if (updates.contact_number) {
+        alternates.push({ contact_type: 'phone', value: updates.phone_e164 || updates.contact_number });
+      }
+      if (updates.email) {
+        alternates.push({ contact_type: 'email', value: updates.email.toLowerCase() });
+      }
+    }
+
+    await this.recordAlternateContacts(customer.id, alternates, context);
+    return updated;
+  }
+
+  /**
+   * Keep contact details a customer booked with that differ from their record
+   * Best effort: a failure is logged and ignored.
+   * @param {string} customerId - Customer ID
+   * @param {Array<object>} contacts - { contact_type: 'phone'|'email', value }
+   * @param {object} context - { sourceType, gmailMessageId }
+   * @returns {Promise<void>}
+   */
+  async recordAlternateContacts(customerId, contacts, { sourceType = null, gmailMessageId = null } = {}) {
+    if (contacts.length === 0) {
+      return;
+    }
+
+    try {
+      const lastSeenAt = new Date().toISOString();
+      const { error } = await this.supabase
+        .from('customer_alternate_contacts')
+        .upsert(contacts.map(contact => ({
+          customer_id: customerId,
+          ...contact,
+          source_type: sourceType,
+          gmail_message_id: gmailMessageId,
+          last_seen_at: lastSeenAt
+        })), { onConflict: 'customer_id,contact_type,value' });
+
+      if (error) {
+        throw error;
+      }
+
+      log('INFO', 'Alternate customer contacts recorded', {
+        customerId,
+        contactTypes: contacts.map(contact => contact.contact_type)
+      });
+    } catch (error) {
+      log('WARN', 'Failed to record alternate customer contacts', {
+        customerId,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Propose merging two customers that look like the same person
+   * @param {object} primary - Customer that is kept (the phone match)
+   * @param {object} duplicate - Customer to merge into it (the email match)
+   * @param {object} context - { sourceType, gmailMessageId, phone, email }
+   * Best effort: the booking goes ahead without a proposal when it cannot be recorded.
+   * @returns {Promise<object|null>} - Proposal record, or null if the pair was already proposed
+   *   (pending, or rejected by staff as different people) or recording it failed
+   */
+  async proposeMerge(primary, duplicate, { sourceType = null, gmailMessageId = null, phone = null, email = null } = {}) {
+    try {
+      const { data: existing, error: existingError } = await this.supabase
+        .from('customer_merge_proposals')
+        .select('id, status')
+        .or(`and(primary_customer_id.eq.${primary.id},duplicate_customer_id.eq.${duplicate.id}),` +
+          `and(primary_customer_id.eq.${duplicate.id},duplicate_customer_id.eq.${primary.id})`)
+        .in('status', ['pending', 'rejected'])
+        .limit(1);
+
+      if (existingError) {
+        throw existingError;
+      }
+      if (existing && existing.length > 0) {
+        log('DEBUG', 'Customer merge already proposed', {
+          proposalId: existing[0].id,
+          status: existing[0].status
+        });
+        return null;
+      }
+
+      const { data, error } = await this.supabase
+        .from('customer_merge_proposals')
+        .insert({
+          primary_customer_id: primary.id,
+          duplicate_customer_id: duplicate.id,
+          reason: 'phone_email_conflict',
+          source_type: sourceType,
+          gmail_message_id: gmailMessageId,
+          input_phone: phone,
+          input_email: email
+        })
+        .select()
+        .single();
+
+      if (error) {
+        // Proposed concurrently for the same pair
+        if (error.code === '23505') {
+          return null;
+        }
+        throw error;
+      }
+
+      log('INFO', 'Customer merge proposed', {
+        proposalId: data.id,
+        primaryCustomerId: primary.id,
+        duplicateCustomerId: duplicate.id
+      });
+      return data;
+    } catch (error) {
+      log('ERROR', 'Failed to propose customer merge', {
+        primaryCustomerId: primary.id,
+        duplicateCustomerId: duplicate.id,
+        error: error.message
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Get the duplicate phone policy (CUSTOMER_DUPLICATE_PHONE_POLICY)
+   * @returns {string} - 'reactivate', 'link' or 'fail'
+   */
+  duplicatePhonePolicy() {
+    const policy = process.env.CUSTOMER_DUPLICATE_PHONE_POLICY || DEFAULT_DUPLICATE_PHONE_POLICY;
+    if (!DUPLICATE_PHONE_POLICIES.includes(policy)) {
+      log('WARN', 'Unknown CUSTOMER_DUPLICATE_PHONE_POLICY, using the default', {
+        policy,
+        defaultPolicy: DEFAULT_DUPLICATE_PHONE_POLICY
+      });
+      return DEFAULT_DUPLICATE_PHONE_POLICY;
+    }
+    return policy;
+  }
+
+  /**
+   * Find the customer holding a phone matching key, active or not
+   * @param {string} normalizedPhone - customers.normalized_phone value
+   * @returns {Promise<object|null>} - Customer record or null
+   */
+  async findByPhoneKey(normalizedPhone) {
+    const { data, error } = await this.supabase
+      .from('customers')
+      .select('*')
+      .eq('normalized_phone', normalizedPhone)
+      .limit(1);
+
+    if (error) {
+      log('ERROR', 'Error finding customer by phone key', {
+        normalizedPhone,
+        error: error.message
+      });
+      throw error;
+    }
+
+    return data && data.length > 0 ? data[0] : null;
+  }
+
+  /**
+   * Record a change the automation made to a customer record
+   * Best effort: a failure is logged and ignored.
+   * @param {string} customerId - Customer ID
+   * @param {string} action - e.g. 'duplicate_phone_recovery'
+   * @param {object} details - What happened
+   * @param {object} context - { sourceType, gmailMessageId }
+   * @returns {Promise<void>}
+   */
+  async writeAuditEntry(customerId, action, details, { sourceType = null, gmailMessageId = null } = {}) {
+    try {
+      const { error } = await this.supabase
+        .from('customer_audit_log')
+        .insert({
+          customer_id: customerId,
+          action,
+          details,
+          source_type: sourceType,
+          gmail_message_id: gmailMessageId
+        });
+
+      if (error) {
+        throw error;
+      }
+    } catch (error) {
+      log('ERROR', 'Failed to write customer audit entry', {
+        customerId,
+        action,
+        details,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Follow merged_into_customer_id from a merged customer through later merges
+   * @param {object} customer - Customer record
+   * @returns {Promise<object>} - Last record reached: an active customer, an
+   *   inactive unmerged one, or a merged one whose target is missing (or loops back)
+   */
+  async followMergeChain(customer) {
+    const seen = new Set([customer.id]);
+    let current = customer;
+
+    while (!current.is_active && current.merged_into_customer_id && !seen.has(current.merged_into_customer_id)) {
+      const { data, error } = await this.supabase
+        .from('customers')
+        .select('*')
+        .eq('id', current.merged_into_customer_id)
+        .maybeSingle();
+
+      if (error) {
+        log('ERROR', 'Error following customer merge chain', {
+          customerId: current.id,
+          mergedIntoCustomerId: current.merged_into_customer_id,
+          error: error.message
+        });
+        throw error;
+      }
+      if (!data) {
+        break;
+      }
+
+      seen.add(data.id);
+      current = data;
+    }
+
+    return current;
+  }
+
+  /**
+   * Resolve a DUPLICATE_PHONE conflict: find the customer holding the phone key
+   * and decide which customer the booking goes to. An active holder is linked;
+   * a merged one is followed to the customer it was merged into; any other
+   * inactive one is handled by the duplicate phone policy. A merged record is
+   * never reactivated: when its merge target is gone the conflict stands. Every
+   * recovery is written to customer_audit_log.
+   * @param {object} customerData - { name, phone, email } of the customer being created
+   * @param {object} context - { sourceType, gmailMessageId }
+   * @returns {Promise<object|null>} - { customer, resolution } or null if the conflict stands
+   *   (resolution: 'linked_active', 'linked_merged', 'reactivated' or 'linked_inactive')
+   */
+  async recoverDuplicatePhone(customerData, context = {}) {
+    const { name, phone, email } = customerData;
+    const keys = this.phoneKeys(phone);
+    const existing = keys.normalizedPhone ? await this.findByPhoneKey(keys.normalizedPhone) : null;
+    if (!existing) {
+      return null;
+    }
+
+    const policy = this.duplicatePhonePolicy();
+    let customer = existing;
+    let resolution = null;
+
+    if (existing.is_active) {
+      resolution = 'linked_active';
+    } else if (existing.merged_into_customer_id) {
+      customer = await this.followMergeChain(existing);
+      if (customer.is_active) {
+        resolution = 'linked_merged';
+      } else if (customer.merged_into_customer_id) {
+        log('WARN', 'Phone belongs to a merged customer whose merge target is missing, not recovering', {
+          existingCustomerId: existing.id,
+          mergedCustomerId: customer.id,
+          mergedIntoCustomerId: customer.merged_into_customer_id
+        });
+        return null;
+      }
+    }
+
+    if (!resolution) {
+      if (policy === 'fail') {
+        log('WARN', 'Phone belongs to an inactive customer, not recovering (policy "fail")', {
+          existingCustomerId: existing.id,
+          customerId: customer.id
+        });
+        return null;
+      }
+
+      if (policy === 'reactivate') {
+        const { data, error } = await this.supabase
+          .from('customers')
+          .update({ is_active: true })
+          .eq('id', customer.id)
+          .is('merged_into_customer_id', null)
+          .select()
+          .single();
+
+        if (error) {
+          throw error;
+        }
+        customer = data;
+        resolution = 'reactivated';
+      } else {
+        resolution = 'linked_inactive';
+      }
+    }
+
+    log('INFO', 'Recovered from duplicate phone', {
+      existingCustomerId: existing.id,
+      customerId: customer.id,
+      resolution,
+      policy
+    });
+    await this.writeAuditEntry(customer.id, 'duplicate_phone_recovery', {
+      resolution,
+      policy,
+      existingCustomerId: existing.id,
+      inputName: name,
+      inputPhone: phone,
+      inputEmail: email || null
+    }, context);
+
+    return {
+      customer: await this.updateContactDetails(customer, { phone, email }, context),
+      resolution
+    };
+  }
+
   /**
    * Get or create customer (convenience method)
+   * Customers matched by phone or email get missing contact details filled in
+   * (updateContactDetails); when the phone and the email match two different
+   * customers, the phone match is used and a merge is proposed. A new customer
+   * whose phone already belongs to a customer matching skipped (e.g. inactive)
+   * is resolved by recoverDuplicatePhone().
    * @param {object} customerData - Customer information
    * @param {boolean} allowFuzzyName - Allow fuzzy name matching
-   * @returns {Promise<object>} - { customer, isNew, matchedBy }
+   * @param {object} context - { sourceType, gmailMessageId } of the booking email
+   * @returns {Promise<object>} - { customer, isNew, matchedBy, confidence, candidates, needsReview, mergeProposal }
+   *   needsReview is true for name matches, which link the customer provisionally;
+   *   mergeProposal is the new merge proposal (with `duplicateCustomer`), if any;
+   *   duplicatePhoneResolution is set when a DUPLICATE_PHONE conflict was recovered
    */
-  async getOrCreateCustomer(customerData, allowFuzzyName = false) {
+  async getOrCreateCustomer(customerData, allowFuzzyName = false, context = {}) {
     try {
       const { name, phone, email } = customerData;
 
@@ -339,22 +827,63 @@ class CustomerService {
       const match = await this.matchCustomer(name, phone, email, allowFuzzyName);
 
       if (match) {
+        let customer = match.customer;
+        let mergeProposal = null;
+
+        // Name matches may be the wrong person: their details are left alone
+        if (match.confidence === 'high') {
+          const duplicate = match.conflictingCustomer || null;
+          if (duplicate) {
+            const proposal = await this.proposeMerge(customer, duplicate, { ...context, phone, email });
+            mergeProposal = proposal ? { ...proposal, duplicateCustomer: duplicate } : null;
+          }
+          // The email of a conflict belongs to the other customer
+          customer = await this.updateContactDetails(customer, { phone, email: duplicate ? null : email }, context);
+        }
+
         return {
-          customer: match.customer,
+          customer,
           isNew: false,
           matchedBy: match.matchedBy,
-          confidence: match.confidence
+          confidence: match.confidence,
+          candidates: match.candidates || [],
+          needsReview: match.confidence !== 'high',
+          mergeProposal
         };
       }
 
       // Create new customer
-      const customer = await this.createCustomer(customerData);
+      let customer;
+      try {
+        customer = await this.createCustomer(customerData);
+      } catch (createError) {
+        if (createError.code !== 'DUPLICATE_PHONE') {
+          throw createError;
+        }
+        const recovered = await this.recoverDuplicatePhone(customerData, context);
+        if (!recovered) {
+          throw createError;
+        }
+        return {
+          customer: recovered.customer,
+          isNew: false,
+          matchedBy: 'duplicate_phone',
+          confidence: 'high',
+          candidates: [],
+          needsReview: false,
+          mergeProposal: null,
+          duplicatePhoneResolution: recovered.resolution
+        };
+      }
 
       return {
         customer,
         isNew: true,
         matchedBy: null,
-        confidence: null
+        confidence: null,
+        candidates: [],
+        needsReview: false,
+        mergeProposal: null
       };
     } catch (error) {
       log('ERROR', 'Failed to get or create customer', {
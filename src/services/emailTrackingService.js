@@ -3,7 +3,7 @@ const { log } = require('../utils/logging');
 /**
  * EmailTrackingService - Prevents duplicate email processing
  *
- * Tracks processed ClassPass and ResOS emails in the database to ensure
+ * Tracks processed booking-source emails (ClassPass, ResOS, ...) in the database to ensure
  * each email is only processed once, preventing duplicate bookings and notifications.
  */
 class EmailTrackingService {
@@ -59,11 +59,11 @@ class EmailTrackingService {
   /**
    * Mark an email as processed with the action taken
    * @param {string} gmailMessageId - Unique Gmail message ID
-   * @param {string} sourceType - 'classpass' or 'resos'
-   * @param {string} actionTaken - 'booking_created', 'booking_cancelled', 'no_slots', or 'error'
+   * @param {string} sourceType - Registered booking source type (e.g. 'classpass', 'resos')
+   * @param {string} actionTaken - 'booking_created', 'booking_cancelled', 'booking_modified', 'no_slots', 'outside_hours', 'parse_failed', or 'error'
    * @param {string|null} bookingId - Optional booking ID if booking was created
    * @param {string|null} errorMessage - Optional error message if action failed
-   * @param {object} emailMetadata - Optional metadata (subject, date)
+   * @param {object} emailMetadata - Optional metadata (subject, date, and overrides/overriddenBy for manual reprocessing)
    * @returns {Promise<object>} - Inserted record
    */
   async markProcessed(gmailMessageId, sourceType, actionTaken, bookingId = null, errorMessage = null, emailMetadata = {}) {
@@ -73,12 +73,12 @@ class EmailTrackingService {
         throw new Error('gmailMessageId, sourceType, and actionTaken are required');
       }
 
-      const validSourceTypes = ['classpass', 'resos'];
-      if (!validSourceTypes.includes(sourceType)) {
-        throw new Error(`Invalid sourceType: ${sourceType}. Must be one of: ${validSourceTypes.join(', ')}`);
+      // Source types come from the booking source registry (src/processors/bookingSources.js)
+      if (!/^[a-z][a-z0-9_]*$/.test(sourceType)) {
+        throw new Error(`Invalid sourceType: ${sourceType}. Must be a lowercase source identifier`);
       }
 
-      const validActions = ['booking_created', 'booking_cancelled', 'no_slots', 'error'];
+      const validActions = ['booking_created', 'booking_cancelled', 'booking_modified', 'no_slots', 'outside_hours', 'parse_failed', 'error'];
       if (!validActions.includes(actionTaken)) {
         throw new Error(`Invalid actionTaken: ${actionTaken}. Must be one of: ${validActions.join(', ')}`);
       }
@@ -104,7 +104,9 @@ class EmailTrackingService {
         booking_id: bookingId,
         error_message: errorMessage,
         email_subject: emailMetadata.subject || null,
-        email_date: parsedEmailDate
+        email_date: parsedEmailDate,
+        override_fields: emailMetadata.overrides || null,
+        overridden_by: emailMetadata.overriddenBy || null
       };
 
       const { data, error } = await this.supabase
@@ -162,6 +164,123 @@ class EmailTrackingService {
     }
   }
 
+  /**
+   * Get the processing record for an email
+   * @param {string} gmailMessageId - Unique Gmail message ID
+   * @returns {Promise<object|null>} - processed_emails record or null
+   */
+  async getRecord(gmailMessageId) {
+    try {
+      const { data, error } = await this.supabase
+        .from('processed_emails')
+        .select('*')
+        .eq('gmail_message_id', gmailMessageId)
+        .maybeSingle();
+
+      if (error) {
+        throw error;
+      }
+
+      return data;
+    } catch (error) {
+      log('ERROR', 'Failed to fetch processed email record', {
+        gmailMessageId,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Clear a failed processing record so the email can be processed again
+   * Emails that created, cancelled or modified a booking are never re-submitted,
+   * nor is a failed email whose booking was written before the failure
+   * (bookings.gmail_message_id) and is not cancelled. The cleared record is kept
+   * in processed_email_history.
+   * @param {string} gmailMessageId - Unique Gmail message ID
+   * @param {Array<string>} resubmittableActions - Actions that may be cleared
+   * @param {string|null} clearedBy - Staff member reprocessing the email
+   * @returns {Promise<object|null>} - The cleared record, or null if there was none
+   * @throws {Error} - code 'NOT_RESUBMITTABLE' or 'BOOKING_EXISTS'
+   */
+  async clearForResubmission(gmailMessageId, resubmittableActions = ['parse_failed', 'error'], clearedBy = null) {
+    try {
+      const record = await this.getRecord(gmailMessageId);
+      if (!record) {
+        return null;
+      }
+
+      if (!resubmittableActions.includes(record.action_taken)) {
+        throw Object.assign(
+          new Error(`Email ${gmailMessageId} was processed as ${record.action_taken} and cannot be re-submitted`),
+          { code: 'NOT_RESUBMITTABLE' }
+        );
+      }
+
+      const { data: bookings, error: bookingError } = await this.supabase
+        .from('bookings')
+        .select('id')
+        .eq('gmail_message_id', gmailMessageId)
+        .neq('status', 'cancelled')
+        .limit(1);
+
+      if (bookingError) {
+        throw bookingError;
+      }
+      if (bookings && bookings.length > 0) {
+        throw Object.assign(
+          new Error(`Email ${gmailMessageId} already has booking ${bookings[0].id}; cancel it before re-submitting`),
+          { code: 'BOOKING_EXISTS', bookingId: bookings[0].id }
+        );
+      }
+
+      // Keep the earlier outcome: processed_emails only holds the latest one
+      const { error: historyError } = await this.supabase
+        .from('processed_email_history')
+        .insert({
+          processed_email_id: record.id,
+          gmail_message_id: record.gmail_message_id,
+          source_type: record.source_type,
+          email_subject: record.email_subject,
+          email_date: record.email_date,
+          booking_id: record.booking_id,
+          action_taken: record.action_taken,
+          error_message: record.error_message,
+          override_fields: record.override_fields || null,
+          overridden_by: record.overridden_by || null,
+          processed_at: record.processed_at,
+          cleared_by: clearedBy
+        });
+
+      if (historyError) {
+        throw historyError;
+      }
+
+      const { error } = await this.supabase
+        .from('processed_emails')
+        .delete()
+        .eq('id', record.id);
+
+      if (error) {
+        throw error;
+      }
+
+      log('INFO', 'Processed email record cleared for resubmission', {
+        gmailMessageId,
+        sourceType: record.source_type,
+        actionTaken: record.action_taken
+      });
+
+      return record;
+    } catch (error) {
+      log('ERROR', 'Failed to clear processed email record', {
+        gmailMessageId,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
   /**
    * Get processing history for a source type
    * @param {string} sourceType - 'classpass' or 'resos'
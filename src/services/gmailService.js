@@ -29,6 +29,34 @@ class GmailService {
     }
   }
 
+  async ensureLabel(labelName) {
+    try {
+      const labelId = await this.getLabelId(labelName);
+      if (labelId) {
+        return labelId;
+      }
+
+      const response = await this.gmail.users.labels.create({
+        userId: 'me',
+        requestBody: {
+          name: labelName,
+          labelListVisibility: 'labelShow',
+          messageListVisibility: 'show'
+        }
+      });
+
+      log('INFO', 'Created label', { labelName, labelId: response.data.id });
+      return response.data.id;
+    } catch (error) {
+      log('ERROR', 'Error ensuring label exists', {
+        labelName,
+        error: error.message,
+        stack: error.stack
+      });
+      throw error;
+    }
+  }
+
   async listThreads(labelName) {
     try {
       const labelId = await this.getLabelId(labelName);
@@ -80,6 +108,24 @@ class GmailService {
     }
   }
 
+  async getMessage(messageId) {
+    try {
+      const response = await this.gmail.users.messages.get({
+        userId: 'me',
+        id: messageId,
+        format: 'full'
+      });
+      return response.data;
+    } catch (error) {
+      log('ERROR', 'Error getting message', {
+        messageId,
+        error: error.message,
+        stack: error.stack
+      });
+      throw error;
+    }
+  }
+
   async getMessageBody(messageId) {
     try {
       const response = await this.gmail.users.messages.get({
@@ -146,6 +192,43 @@ class GmailService {
       throw error;
     }
   }
+
+  /**
+   * Send a plain-text email from the automation's account
+   * @param {Array<string>} recipients - Email addresses
+   * @param {string} subject - Subject (UTF-8)
+   * @param {string} text - Body
+   * @returns {Promise<string>} - Gmail message ID
+   */
+  async sendEmail(recipients, subject, text) {
+    try {
+      const mime = [
+        `To: ${recipients.join(', ')}`,
+        `Subject: =?UTF-8?B?${Buffer.from(subject, 'utf8').toString('base64')}?=`,
+        'MIME-Version: 1.0',
+        'Content-Type: text/plain; charset=UTF-8',
+        'Content-Transfer-Encoding: base64',
+        '',
+        Buffer.from(text, 'utf8').toString('base64')
+      ].join('\r\n');
+
+      const response = await this.gmail.users.messages.send({
+        userId: 'me',
+        requestBody: { raw: Buffer.from(mime, 'utf8').toString('base64url') }
+      });
+
+      log('INFO', 'Email sent', { to: recipients, subject, messageId: response.data.id });
+      return response.data.id;
+    } catch (error) {
+      log('ERROR', 'Error sending email', {
+        to: recipients,
+        subject,
+        error: error.message,
+        stack: error.stack
+      });
+      throw error;
+    }
+  }
 }
 
 module.exports = { GmailService };
\ No newline at end of file
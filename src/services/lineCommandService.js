@@ -0,0 +1,395 @@
+const { BookingService } = require('./bookingService');
+const { ScheduleDigestService } = require('./scheduleDigestService');
+const { flexMessage } = require('../notifications/lineClient');
+const { log } = require('../utils/logging');
+
+const DEFAULT_DURATION_HOURS = 1;
+const DEFAULT_PARTY_SIZE = 1;
+
+const HELP_TEXT = [
+  'Bot commands:',
+  '/avail 2026-11-02 19:00 2h 4pax - is a bay free? (duration and party size optional)',
+  '/avail 2026-11-02 - free times per bay on a day',
+  '/today (or /tomorrow) - bookings per bay',
+  '/booking BK261102ABCD - booking details',
+  '/cancel BK261102ABCD [reason] - cancel a booking'
+].join('\n');
+
+/**
+ * LineCommandService - Text commands for staff in the LINE groups
+ *
+ * Answers /avail, /today, /tomorrow, /booking and /cancel from BookingService and
+ * the bookings table, replying with Flex messages. Only LINE users listed in
+ * LINE_COMMAND_ALLOWED_USER_IDS may run commands. Registered as a message
+ * handler on the LINE webhook (see lineWebhookService.js).
+ */
+class LineCommandService {
+  /**
+   * @param {object} supabase - Supabase client
+   * @param {object} options - { allowedUserIds: Array<string>, bookingService }
+   */
+  constructor(supabase, options = {}) {
+    if (!supabase) {
+      throw new Error('Supabase client is required for LineCommandService');
+    }
+    this.supabase = supabase;
+    this.allowedUserIds = new Set(options.allowedUserIds || []);
+    this.bookingService = options.bookingService || new BookingService(supabase);
+    this.digest = new ScheduleDigestService(supabase);
+
+    this.commands = {
+      avail: args => this.availability(args),
+      today: () => this.daySchedule(0),
+      tomorrow: () => this.daySchedule(1),
+      booking: args => this.bookingDetails(args),
+      cancel: (args, staffName) => this.cancel(args, staffName),
+      help: () => HELP_TEXT
+    };
+  }
+
+  /**
+   * Split a message into a command and its arguments
+   * @param {string} text - Message text
+   * @returns {object|null} - { name, args } or null if not a command
+   */
+  parseCommand(text) {
+    const match = (text || '').match(/^\/([a-z]+)\b\s*(.*)$/i);
+    if (!match) {
+      return null;
+    }
+    return { name: match[1].toLowerCase(), args: match[2].split(/\s+/).filter(Boolean) };
+  }
+
+  /**
+   * Parse a date argument
+   * @param {string} value - "YYYY-MM-DD", "today" or "tomorrow"
+   * @returns {string|null} - Date in YYYY-MM-DD format or null
+   */
+  parseDate(value) {
+    const lower = (value || '').toLowerCase();
+    if (lower === 'today' || lower === 'tomorrow') {
+      return this.digest.digestDates()[lower === 'today' ? 0 : 1];
+    }
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(lower)) {
+      return null;
+    }
+    const [year, month, day] = lower.split('-').map(Number);
+    const date = new Date(Date.UTC(year, month - 1, day));
+    return date.getUTCMonth() === month - 1 && date.getUTCDate() === day ? lower : null;
+  }
+
+  /**
+   * Parse a time argument
+   * @param {string} value - "19:00", "7pm" or "7:30pm"
+   * @returns {string|null} - Time in HH:mm format or null
+   */
+  parseTime(value) {
+    const match = (value || '').toLowerCase().match(/^(\d{1,2})(?::(\d{2}))?\s*(am|pm)?$/);
+    if (!match || (!match[2] && !match[3])) {
+      return null;
+    }
+
+    let hours = Number(match[1]);
+    const minutes = Number(match[2] || 0);
+    if (match[3]) {
+      if (hours < 1 || hours > 12) return null;
+      hours = (hours % 12) + (match[3] === 'pm' ? 12 : 0);
+    }
+    if (hours > 23 || minutes > 59) {
+      return null;
+    }
+    return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+  }
+
+  /**
+   * Build a Flex bubble of label/value rows
+   * @param {string} title - Header text
+   * @param {Array<Array<string>>} rows - [label, value] pairs (rows without a value are skipped)
+   * @param {string} color - Header colour
+   * @param {Array<string>} notes - Extra lines below the rows
+   * @returns {object} - Flex bubble
+   */
+  detailBubble(title, rows, color = '#1DB446', notes = []) {
+    return {
+      type: 'bubble',
+      header: {
+        type: 'box',
+        layout: 'vertical',
+        contents: [{ type: 'text', text: title, weight: 'bold', size: 'lg', color, wrap: true }]
+      },
+      body: {
+        type: 'box',
+        layout: 'vertical',
+        spacing: 'sm',
+        contents: [
+          ...rows.filter(([, value]) => value !== null && value !== undefined && value !== '').map(([label, value]) => ({
+            type: 'box',
+            layout: 'baseline',
+            spacing: 'sm',
+            contents: [
+              { type: 'text', text: label, size: 'sm', color: '#888888', flex: 2 },
+              { type: 'text', text: String(value), size: 'sm', wrap: true, flex: 5 }
+            ]
+          })),
+          ...notes.map(note => ({ type: 'text', text: note, size: 'sm', wrap: true, margin: 'md' }))
+        ]
+      }
+    };
+  }
+
+  /**
+   * Wrap a bubble in a Flex message
+   * @param {string} altText - Plain-text summary (shown in notifications and chat lists)
+   * @param {object} contents - Flex bubble or carousel
+   * @returns {object} - LINE Flex message
+   */
+  flex(altText, contents) {
+    return flexMessage(altText, contents);
+  }
+
+  /**
+   * /avail DATE [TIME [DURATION] [PAX]]
+   * With a time, checks whether the party fits (and suggests alternatives);
+   * without one, lists each bay's free times on the day.
+   * @param {Array<string>} args - Command arguments
+   * @returns {Promise<object|string>} - Reply
+   */
+  async availability(args) {
+    const date = this.parseDate(args[0]);
+    if (!date) {
+      return 'Usage: /avail 2026-11-02 19:00 2h 4pax';
+    }
+    if (args.length === 1) {
+      return this.freeTimes(date);
+    }
+
+    const startTime = this.parseTime(args[1]);
+    if (!startTime) {
+      return `Could not read the time "${args[1]}". Use 19:00 or 7pm.`;
+    }
+
+    let duration = DEFAULT_DURATION_HOURS;
+    let numberOfPeople = DEFAULT_PARTY_SIZE;
+    for (const arg of args.slice(2)) {
+      const hoursMatch = arg.toLowerCase().match(/^(\d+(?:\.\d+)?)h$/);
+      const minutesMatch = arg.toLowerCase().match(/^(\d+)m(?:in)?$/);
+      const paxMatch = arg.toLowerCase().match(/^(\d+)(?:pax|p|people)$/);
+      if (hoursMatch) duration = Number(hoursMatch[1]);
+      else if (minutesMatch) duration = Number(minutesMatch[1]) / 60;
+      else if (paxMatch) numberOfPeople = Number(paxMatch[1]);
+      else return `Could not read "${arg}". Use e.g. 2h, 90m or 4pax.`;
+    }
+    if (!(duration > 0) || !(numberOfPeople > 0)) {
+      return 'Duration and party size must be more than zero.';
+    }
+
+    const request = `${this.digest.formatDate(date)} ${startTime} · ${duration}h · ${numberOfPeople} pax`;
+    const hours = await this.bookingService.checkOpeningHours(date, startTime, duration);
+    if (!hours.open) {
+      const reason = hours.reason === 'holiday'
+        ? `Closed${hours.holidayReason ? ` (${hours.holidayReason})` : ''}`
+        : hours.reason === 'closed_day' ? `Closed on ${hours.weekday}s` : `Open ${hours.openTime} - ${hours.closeTime}`;
+      return this.flex(`Outside opening hours: ${request}`,
+        this.detailBubble('⛔ Outside opening hours', [['Request', request], ['Hours', reason]], '#C0392B'));
+    }
+
+    const { available, bays } = await this.bookingService.checkAvailability(date, startTime, duration, numberOfPeople);
+    if (available) {
+      return this.flex(`Free: ${bays.join(' + ')} for ${request}`,
+        this.detailBubble('✅ Available', [['Request', request], ['Bay', bays.join(' + ')]]));
+    }
+
+    const alternatives = await this.bookingService.findAlternativeSlots(date, startTime, duration, numberOfPeople);
+    const notes = alternatives.length > 0
+      ? ['Nearest free slots:', ...alternatives.map(slot =>
+        `• ${this.digest.formatDate(slot.date)} ${slot.startTime} (${(slot.bays || [slot.bay]).join(' + ')})`)]
+      : ['No free slots nearby.'];
+    return this.flex(`No bay free for ${request}`,
+      this.detailBubble('❌ Not available', [['Request', request]], '#C0392B', notes));
+  }
+
+  /**
+   * List each bay's free times on a day
+   * @param {string} date - Date in YYYY-MM-DD format
+   * @returns {Promise<object>} - Flex reply
+   */
+  async freeTimes(date) {
+    const day = await this.bookingService.getDayAvailability(date);
+    const title = `🕒 Free times · ${this.digest.formatDate(date)}`;
+    if (!day.open) {
+      return this.flex(`${title}: closed`, this.detailBubble(title, [['Hours', this.digest.formatOpening(day)]], '#C0392B'));
+    }
+
+    const rows = Object.entries(day.bays).map(([bay, intervals]) => [
+      bay,
+      intervals.length > 0 ? intervals.map(interval => `${interval.startTime}-${interval.endTime}`).join(', ') : 'Fully booked'
+    ]);
+    return this.flex(title, this.detailBubble(title, [['Hours', this.digest.formatOpening(day)], ...rows]));
+  }
+
+  /**
+   * /today, /tomorrow - the day's bookings per bay (same layout as the daily digest)
+   * @param {number} offsetDays - 0 for today, 1 for tomorrow
+   * @returns {Promise<object>} - Flex reply
+   */
+  async daySchedule(offsetDays) {
+    const date = this.digest.digestDates()[offsetDays];
+    const [day] = await this.digest.buildSchedules([date]);
+    const title = offsetDays === 0 ? 'Today' : 'Tomorrow';
+    return this.flex(
+      `${title} (${this.digest.formatDate(date)}): ${day.bookingCount} bookings`,
+      this.digest.buildDayBubble(day, title)
+    );
+  }
+
+  /**
+   * Get a booking by ID
+   * @param {string} bookingId - Booking ID
+   * @returns {Promise<object|null>} - Booking record or null
+   */
+  async getBooking(bookingId) {
+    try {
+      const { data, error } = await this.supabase
+        .from('bookings')
+        .select('*')
+        .eq('id', bookingId)
+        .maybeSingle();
+
+      if (error) {
+        throw error;
+      }
+
+      return data;
+    } catch (error) {
+      log('ERROR', 'Failed to fetch booking for LINE command', {
+        bookingId,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Build the detail bubble of a booking
+   * @param {object} booking - Booking record
+   * @param {string} title - Header text
+   * @param {string} color - Header colour
+   * @returns {object} - Flex bubble
+   */
+  bookingBubble(booking, title, color) {
+    const startTime = String(booking.start_time).slice(0, 5);
+    return this.detailBubble(title, [
+      ['Status', booking.status],
+      ['Confirmation', booking.confirmation_status],
+      ['Customer', booking.name],
+      ['Phone', booking.phone_number],
+      ['Date', this.digest.formatDate(booking.date)],
+      ['Time', `${startTime} - ${this.bookingService.calculateEndTime(startTime, Number(booking.duration))}`],
+      ['Bay', booking.bay],
+      ['Pax', booking.number_of_people],
+      ['Channel', booking.customer_contacted_via],
+      ['Group', booking.booking_group_id && booking.booking_group_id !== booking.id ? booking.booking_group_id : null],
+      ['Notes', booking.customer_notes],
+      ['Cancelled by', booking.cancelled_by_identifier]
+    ], color);
+  }
+
+  /**
+   * /booking ID
+   * @param {Array<string>} args - Command arguments
+   * @returns {Promise<object|string>} - Reply
+   */
+  async bookingDetails(args) {
+    const bookingId = (args[0] || '').toUpperCase();
+    if (!bookingId) {
+      return 'Usage: /booking BK261102ABCD';
+    }
+
+    const booking = await this.getBooking(bookingId);
+    if (!booking) {
+      return `Booking ${bookingId} not found.`;
+    }
+
+    const cancelled = booking.status === 'cancelled';
+    return this.flex(
+      `${bookingId}: ${booking.name}, ${booking.date} ${String(booking.start_time).slice(0, 5)}, ${booking.bay} (${booking.status})`,
+      this.bookingBubble(booking, `📋 ${bookingId}`, cancelled ? '#888888' : '#1DB446')
+    );
+  }
+
+  /**
+   * /cancel ID [reason]
+   * @param {Array<string>} args - Command arguments
+   * @param {string} staffName - Who sent the command (LINE display name)
+   * @returns {Promise<object|string>} - Reply
+   */
+  async cancel(args, staffName) {
+    const bookingId = (args[0] || '').toUpperCase();
+    if (!bookingId) {
+      return 'Usage: /cancel BK261102ABCD [reason]';
+    }
+
+    const booking = await this.getBooking(bookingId);
+    if (!booking) {
+      return `Booking ${bookingId} not found.`;
+    }
+    if (booking.status === 'cancelled') {
+      return `${bookingId} is already cancelled.`;
+    }
+
+    const reason = args.slice(1).join(' ') || 'Cancelled from LINE';
+    const cancelled = await this.bookingService.cancelBooking(bookingId, reason, staffName);
+    const groupIds = (cancelled.groupBookings || []).map(row => row.id).filter(id => id !== bookingId);
+
+    log('INFO', 'Booking cancelled from LINE command', { bookingId, staffName, groupIds });
+
+    const bubble = this.bookingBubble(cancelled, `🚫 Cancelled ${bookingId}`, '#C0392B');
+    if (groupIds.length > 0) {
+      bubble.body.contents.push({
+        type: 'text', text: `Also cancelled (same group): ${groupIds.join(', ')}`, size: 'sm', wrap: true, margin: 'md'
+      });
+    }
+    return this.flex(`${bookingId} cancelled by ${staffName}`, bubble);
+  }
+
+  /**
+   * Answer a text message if it is a command
+   * @param {object} event - Parsed webhook event (see LineWebhookDispatcher.parseEvent)
+   * @param {Function} getSenderName - () => Promise<string>, the sender's display name
+   * @returns {Promise<object|string|null>} - Reply, or null if the message is not a command
+   */
+  async handleMessage(event, getSenderName) {
+    const command = this.parseCommand(event.text);
+    if (!command) {
+      return null;
+    }
+
+    if (!this.allowedUserIds.has(event.userId)) {
+      log('WARN', 'LINE command from a user who is not allow-listed', {
+        command: command.name,
+        userId: event.userId,
+        groupId: event.groupId
+      });
+      return `Sorry, you cannot use bot commands. Ask an admin to add your LINE user ID (${event.userId || 'unknown'}) to LINE_COMMAND_ALLOWED_USER_IDS.`;
+    }
+
+    const handler = this.commands[command.name];
+    if (!handler) {
+      return HELP_TEXT;
+    }
+
+    try {
+      const staffName = command.name === 'cancel' ? await getSenderName() : null;
+      return await handler(command.args, staffName);
+    } catch (error) {
+      log('ERROR', 'LINE command failed', {
+        command: command.name,
+        args: command.args,
+        error: error.message
+      });
+      return `Sorry, /${command.name} failed: ${error.message}`;
+    }
+  }
+}
+
+module.exports = { LineCommandService };
@@ -1,26 +1,101 @@
-const { LineMessagingService } = require('../utils/lineMessaging');
+const { textMessage, flexMessage, buttonsMessage } = require('../notifications/lineClient');
+const { truncate } = require('../notifications/policy');
+const { confirmationPostbackData } = require('./bookingConfirmationService');
+const { reviewPostbackData } = require('./customerMatchReviewService');
+const { PLACEHOLDER_PHONE_PATTERN } = require('./bookingService');
 const { log } = require('../utils/logging');
 
+// 'flex' sends bubbles with the plain text as altText; 'text' sends the plain text only
+const NOTIFICATION_FORMATS = ['flex', 'text'];
+const DEFAULT_NOTIFICATION_FORMAT = 'flex';
+
+// Flex header colour per booking channel
+const CHANNEL_COLORS = {
+  ResOS: '#E67E22',
+  ClassPass: '#2980B9',
+  Klook: '#FF5722',
+  Facebook: '#1877F2',
+  Website: '#8E44AD',
+  LINE: '#06C755'
+};
+const DEFAULT_CHANNEL_COLOR = '#34495E';
+
+// LINE limits of the buttons template: 4 actions, 20-character labels
+const MAX_BUTTON_ACTIONS = 4;
+const BUTTON_LABEL_LENGTH = 20;
+
+// Booking notification events: subject title, plain-text and Flex builders, and
+// the postback buttons attached (null or { prompt, actions, layout })
+const BOOKING_EVENTS = {
+  booking_created: {
+    title: 'New booking',
+    text: 'formatBookingCreatedNotification',
+    flex: 'buildBookingCreatedFlex',
+    buttons: (service, data) => (data.requestConfirmation ? service.confirmationButtons(data.bookingId) : null)
+  },
+  booking_cancelled: {
+    title: 'Booking cancelled',
+    text: 'formatBookingCancelledNotification',
+    flex: 'buildBookingCancelledFlex'
+  },
+  booking_modified: {
+    title: 'Booking modified',
+    text: 'formatBookingModifiedNotification',
+    flex: 'buildBookingModifiedFlex',
+    buttons: (service, data) => (data.requestConfirmation ? service.confirmationButtons(data.bookingId) : null)
+  },
+  no_slots: {
+    title: 'No bay available',
+    text: 'formatNoSlotsNotification',
+    flex: 'buildNoSlotsFlex'
+  },
+  outside_hours: {
+    title: 'Request outside opening hours',
+    text: 'formatOutsideOpeningHoursNotification',
+    flex: 'buildOutsideOpeningHoursFlex'
+  },
+  confirmation_reminder: {
+    title: 'Unconfirmed booking',
+    text: 'formatConfirmationReminderNotification',
+    flex: 'buildConfirmationReminderFlex',
+    buttons: (service, data) => service.confirmationButtons(data.bookingId)
+  },
+  customer_match_review: {
+    title: 'Check customer match',
+    text: 'formatCustomerMatchReviewNotification',
+    flex: 'buildCustomerMatchReviewFlex',
+    buttons: (service, data) => service.customerMatchReviewButtons(data)
+  },
+  // Alerts stay plain text in every format
+  customer_merge_proposal: {
+    title: 'Possible duplicate customer',
+    text: 'formatCustomerMergeProposalNotification',
+    flex: null
+  },
+  parse_failed: {
+    title: 'Unreadable email',
+    text: 'formatParseFailedNotification',
+    flex: null
+  }
+};
+
 /**
- * LineNotificationService - Formats and sends LINE notifications for booking events
+ * LineNotificationService - Formats LINE notifications for booking events
  *
  * Formats notifications to match the lengolf-forms notification format with
- * support for booking creation, cancellation, and "no slots" scenarios.
- * Integrates with the existing LINE Messaging API infrastructure.
+ * support for booking creation, cancellation, modification, "no slots",
+ * outside-opening-hours and unparseable-email scenarios. Bookings that need a
+ * customer confirmation call get "Confirmed" / "No answer" / "Cancel" buttons,
+ * and bookings linked to a customer by name only get a "check customer match"
+ * message with a button per candidate and "New customer".
+ *
+ * Booking notifications are rendered as Flex bubbles (channel-coloured header,
+ * bay/time block, new-customer badge, tap-to-call button) with the plain-text
+ * message as altText, or as the plain text alone when the group's format is 'text'.
+ * Delivery is up to NotificationService (src/notifications), which renders
+ * through render() for every channel an event is routed to.
  */
 class LineNotificationService {
-  constructor(lineChannelToken, lineGroupId, serviceType) {
-    if (!lineChannelToken || !lineGroupId) {
-      throw new Error('LINE channel token and group ID are required for LineNotificationService');
-    }
-
-    this.lineMessaging = new LineMessagingService(
-      lineChannelToken,
-      lineGroupId,
-      serviceType || 'EMAIL_AUTOMATION'
-    );
-  }
-
   /**
    * Format date to "Day, DDth Month" format (e.g., "Sat, 13th December")
    * @param {string} dateString - Date in YYYY-MM-DD format
@@ -104,6 +179,71 @@ class LineNotificationService {
     }
   }
 
+  /**
+   * Format the booking ID label; multi-bay group bookings list every ID
+   * @param {string} bookingId - Booking ID
+   * @param {Array<string>} bookingIds - All booking IDs of a group booking
+   * @returns {string} - "ID: BK..." or "IDs: BK..., BK..."
+   */
+  formatBookingIds(bookingId, bookingIds) {
+    if (bookingIds && bookingIds.length > 1) {
+      return `IDs: ${bookingIds.join(', ')}`;
+    }
+    return `ID: ${bookingId}`;
+  }
+
+  /**
+   * Format alternative slots as "Sat, 13th December 19:00 - 20:00 (Bay 1)"
+   * @param {Array<object>} alternatives - Free slots ({ date, startTime, bay })
+   * @param {number} duration - Requested duration in hours
+   * @returns {Array<string>} - One line per slot
+   */
+  formatAlternativeSlots(alternatives, duration) {
+    return alternatives.map(slot => `${this.formatDate(slot.date)} ` +
+      `${this.formatTime(slot.startTime)} - ${this.calculateEndTime(slot.startTime, duration)} (${slot.bay})`);
+  }
+
+  /**
+   * Explain why a requested time is outside opening hours
+   * @param {string} date - Requested date (YYYY-MM-DD)
+   * @param {object} hours - Result of BookingService.checkOpeningHours
+   * @returns {string} - e.g. "Open 10:00 - 23:00 on Mondays."
+   */
+  formatClosedReason(date, hours) {
+    if (hours.reason === 'holiday') {
+      return `Closed on ${this.formatDate(date)}${hours.holidayReason ? ` (${hours.holidayReason})` : ''}.`;
+    }
+    if (hours.reason === 'closed_day') {
+      return `Closed on ${hours.weekday}s.`;
+    }
+    return `Open ${hours.openTime} - ${hours.closeTime} on ${hours.weekday}s.`;
+  }
+
+  /**
+   * Format a returning customer's booking history (BookingService.getCustomerInsights)
+   * @param {object|null} insights - { visitCount, lastVisitDate, cancellationCount, unconfirmedCancellationCount,
+   *   preferredBay, channelMix }
+   * @returns {Array<string>} - One line per fact (empty without insights)
+   */
+  formatCustomerInsights(insights) {
+    if (!insights) {
+      return [];
+    }
+    const { visitCount, lastVisitDate, cancellationCount, unconfirmedCancellationCount, preferredBay, channelMix = [] } = insights;
+
+    // The last visit can be in an earlier year, so it keeps the year
+    const lastVisit = lastVisitDate ? ` (last ${this.formatDate(lastVisitDate)} ${lastVisitDate.slice(0, 4)})` : '';
+    const lines = [`Visits: ${visitCount}${lastVisit}`];
+    lines.push(`Cancellations: ${cancellationCount}${unconfirmedCancellationCount > 0 ? ` (${unconfirmedCancellationCount} unconfirmed)` : ''}`);
+    if (preferredBay) {
+      lines.push(`Preferred bay: ${preferredBay}`);
+    }
+    if (channelMix.length > 0) {
+      lines.push(`Channels: ${channelMix.map(({ channel, count }) => `${channel} ${count}`).join(', ')}`);
+    }
+    return lines;
+  }
+
   /**
    * Format booking created notification (plain text format)
    * @param {object} bookingData - Booking information
@@ -112,6 +252,7 @@ class LineNotificationService {
   formatBookingCreatedNotification(bookingData) {
     const {
       bookingId,
+      bookingIds,
       customerName,
       customerPhone,
       customerEmail,
@@ -122,6 +263,7 @@ class LineNotificationService {
       numberOfPeople,
       channel,
       isNewCustomer,
+      customerInsights,
       notes
     } = bookingData;
 
@@ -131,7 +273,7 @@ class LineNotificationService {
     const formattedEndTime = this.calculateEndTime(startTime, duration);
 
     // Build notification message (matches lengolf-forms format)
-    let message = `Booking Notification (ID: ${bookingId})\n`;
+    let message = `Booking Notification (${this.formatBookingIds(bookingId, bookingIds)})\n`;
     message += `Customer Name: ${isNewCustomer ? 'New Customer' : customerName}\n`;
     message += `Booking Name: ${customerName}\n`;
 
@@ -147,6 +289,11 @@ class LineNotificationService {
     message += `People: ${numberOfPeople}\n`;
     message += `Channel: ${channel}`;
 
+    const history = isNewCustomer ? [] : this.formatCustomerInsights(customerInsights);
+    if (history.length > 0) {
+      message += `\n\nCustomer History:\n${history.join('\n')}`;
+    }
+
     // Add notes if provided
     if (notes) {
       message += `\n\nNote: ${notes}`;
@@ -163,6 +310,7 @@ class LineNotificationService {
   formatBookingCancelledNotification(bookingData) {
     const {
       bookingId,
+      bookingIds,
       customerName,
       customerPhone,
       date,
@@ -181,7 +329,7 @@ class LineNotificationService {
     const durationHours = duration ? `${duration}h` : '';
 
     // Build cancellation message (matches lengolf-forms emoji format)
-    let message = `🚫 BOOKING CANCELLED (ID: ${bookingId}) 🚫\n`;
+    let message = `🚫 BOOKING CANCELLED (${this.formatBookingIds(bookingId, bookingIds)}) 🚫\n`;
     message += `----------------------------------\n`;
     message += `👤 Customer: ${customerName}\n`;
     message += `📞 Phone: ${customerPhone}\n`;
@@ -200,8 +348,66 @@ class LineNotificationService {
     return message;
   }
 
+  /**
+   * Format a value change as "old → new" (or just the value when unchanged)
+   * @param {*} previousValue - Value before the change
+   * @param {*} currentValue - Value after the change
+   * @returns {string} - Formatted value
+   */
+  formatChange(previousValue, currentValue) {
+    if (previousValue === undefined || previousValue === null || String(previousValue) === String(currentValue)) {
+      return `${currentValue}`;
+    }
+    return `${previousValue} → ${currentValue}`;
+  }
+
+  /**
+   * Format booking modified notification (emoji format, old vs new values)
+   * @param {object} bookingData - Booking information with `previous` values
+   * @returns {string} - Formatted LINE message
+   */
+  formatBookingModifiedNotification(bookingData) {
+    const {
+      bookingId,
+      bookingIds,
+      customerName,
+      customerPhone,
+      date,
+      startTime,
+      duration,
+      bay,
+      numberOfPeople,
+      channel,
+      modifiedBy,
+      previous = {}
+    } = bookingData;
+
+    const formatSlot = (slotStart, slotDuration) =>
+      `${this.formatTime(slotStart)} - ${this.calculateEndTime(slotStart, slotDuration)}`;
+
+    const previousDate = previous.date ? this.formatDate(previous.date) : null;
+    const previousTime = previous.startTime
+      ? formatSlot(previous.startTime, previous.duration || duration)
+      : null;
+
+    let message = `✏️ BOOKING MODIFIED (${this.formatBookingIds(bookingId, bookingIds)}) ✏️\n`;
+    message += `----------------------------------\n`;
+    message += `👤 Customer: ${customerName}\n`;
+    message += `📞 Phone: ${customerPhone}\n`;
+    message += `🗓️ Date: ${this.formatChange(previousDate, this.formatDate(date))}\n`;
+    message += `⏰ Time: ${this.formatChange(previousTime, formatSlot(startTime, duration))}\n`;
+    message += `⛳ Bay: ${this.formatChange(previous.bay, bay)}\n`;
+    message += `🧑‍🤝‍🧑 Pax: ${this.formatChange(previous.numberOfPeople, numberOfPeople)}\n`;
+    message += `📍 Channel: ${channel}\n`;
+    message += `----------------------------------\n`;
+    message += `✏️ Modified By: ${modifiedBy || 'Email Automation'}`;
+
+    return message;
+  }
+
   /**
    * Format "no slots available" notification (for ResOS)
+   * Lists `alternatives` ({ date, startTime, bay }) so staff can offer concrete options.
    * @param {object} bookingData - Booking request information
    * @returns {string} - Formatted LINE message
    */
@@ -213,7 +419,9 @@ class LineNotificationService {
       startTime,
       duration,
       numberOfPeople,
-      channel
+      channel,
+      notes,
+      alternatives = null
     } = bookingData;
 
     // Format date and times
@@ -222,7 +430,7 @@ class LineNotificationService {
     const formattedEndTime = this.calculateEndTime(startTime, duration);
 
     // Use the current ResOS/Website format with "NO SLOTS AVAILABLE" note
-    const message = `[New ${channel} Booking] ` +
+    let message = `[New ${channel} Booking] ` +
       `Customer ${customerName} ` +
       `(${customerPhone}), ` +
       `${numberOfPeople} PAX on ` +
@@ -231,98 +439,721 @@ class LineNotificationService {
       `Please check bay availability and call back customer to confirm and submit booking form.\n\n` +
       `⚠️ NO SLOTS AVAILABLE - Manual handling required.`;
 
+    if (alternatives && alternatives.length > 0) {
+      message += `\n\nNearest free slots:`;
+      for (const slot of this.formatAlternativeSlots(alternatives, duration)) {
+        message += `\n• ${slot}`;
+      }
+    } else if (alternatives) {
+      message += `\n\nNo free slots nearby (same day ±2h or same time on adjacent days).`;
+    }
+
+    if (notes) {
+      message += `\n\nNote: ${notes}`;
+    }
+
     return message;
   }
 
   /**
-   * Send booking created notification
-   * @param {object} bookingData - Booking information
-   * @returns {Promise<void>}
+   * Format "outside opening hours" notification
+   * @param {object} bookingData - Booking request information with `hours` from BookingService.checkOpeningHours
+   * @returns {string} - Formatted LINE message
    */
-  async sendBookingCreated(bookingData) {
-    try {
-      const message = this.formatBookingCreatedNotification(bookingData);
+  formatOutsideOpeningHoursNotification(bookingData) {
+    const {
+      customerName,
+      customerPhone,
+      date,
+      startTime,
+      duration,
+      numberOfPeople,
+      channel,
+      hours,
+      notes,
+      alternatives = null
+    } = bookingData;
 
-      log('DEBUG', 'Sending booking created notification', {
-        bookingId: bookingData.bookingId,
-        channel: bookingData.channel,
-        messageLength: message.length
-      });
+    const formattedDate = this.formatDate(date);
+    const formattedStartTime = this.formatTime(startTime);
+    const formattedEndTime = this.calculateEndTime(startTime, duration);
+    const closedReason = this.formatClosedReason(date, hours);
+
+    let message = `[New ${channel} Booking] ` +
+      `Customer ${customerName} ` +
+      `(${customerPhone}), ` +
+      `${numberOfPeople} PAX on ` +
+      `${formattedDate} from ` +
+      `${formattedStartTime} - ${formattedEndTime}. ` +
+      `Please call back customer to offer a time within opening hours.\n\n` +
+      `⛔ OUTSIDE OPENING HOURS - ${closedReason}`;
 
-      await this.lineMessaging.send(message);
+    if (alternatives && alternatives.length > 0) {
+      message += `\n\nNearest free slots:`;
+      for (const slot of this.formatAlternativeSlots(alternatives, duration)) {
+        message += `\n• ${slot}`;
+      }
+    }
 
-      log('INFO', 'Booking created notification sent', {
-        bookingId: bookingData.bookingId,
-        customerName: bookingData.customerName
-      });
-    } catch (error) {
-      log('ERROR', 'Failed to send booking created notification', {
-        bookingData,
-        error: error.message
-      });
-      throw error;
+    if (notes) {
+      message += `\n\nNote: ${notes}`;
     }
+
+    return message;
   }
 
   /**
-   * Send booking cancelled notification
-   * @param {object} bookingData - Booking information
-   * @returns {Promise<void>}
+   * Format "booking still unconfirmed" reminder
+   * @param {object} bookingData - Booking information with `confirmationStatus` and `hoursBefore`
+   * @returns {string} - Formatted LINE message
    */
-  async sendBookingCancelled(bookingData) {
-    try {
-      const message = this.formatBookingCancelledNotification(bookingData);
+  formatConfirmationReminderNotification(bookingData) {
+    const {
+      bookingId,
+      bookingIds,
+      customerName,
+      customerPhone,
+      date,
+      startTime,
+      duration,
+      bay,
+      numberOfPeople,
+      channel,
+      confirmationStatus,
+      hoursBefore
+    } = bookingData;
 
-      log('DEBUG', 'Sending booking cancelled notification', {
-        bookingId: bookingData.bookingId,
-        channel: bookingData.channel,
-        messageLength: message.length
-      });
+    const outcome = confirmationStatus === 'no_answer'
+      ? 'The customer did not answer the last confirmation call.'
+      : 'Nobody has confirmed this booking with the customer yet.';
+
+    let message = `📞 UNCONFIRMED BOOKING (${this.formatBookingIds(bookingId, bookingIds)}) 📞\n`;
+    message += `----------------------------------\n`;
+    message += `👤 Customer: ${customerName}\n`;
+    message += `📞 Phone: ${customerPhone}\n`;
+    message += `🗓️ Date: ${this.formatDate(date)}\n`;
+    message += `⏰ Time: ${this.formatTime(startTime)} - ${this.calculateEndTime(startTime, duration)}\n`;
+    message += `⛳ Bay: ${bay}\n`;
+    message += `🧑‍🤝‍🧑 Pax: ${numberOfPeople}\n`;
+    message += `📍 Channel: ${channel}\n`;
+    message += `----------------------------------\n`;
+    message += `${outcome} Starts within ${hoursBefore}h, please call the customer.`;
 
-      await this.lineMessaging.send(message);
+    return message;
+  }
 
-      log('INFO', 'Booking cancelled notification sent', {
-        bookingId: bookingData.bookingId,
-        customerName: bookingData.customerName
-      });
-    } catch (error) {
-      log('ERROR', 'Failed to send booking cancelled notification', {
-        bookingData,
-        error: error.message
+  /**
+   * Format a customer match candidate (e.g. "CUS-012 John Smith, 94% similar")
+   * @param {object} candidate - { customerCode, customerName, similarity }
+   * @returns {string} - Candidate label
+   */
+  formatMatchCandidate(candidate) {
+    const name = [candidate.customerCode, candidate.customerName].filter(Boolean).join(' ');
+    return typeof candidate.similarity === 'number'
+      ? `${name}, ${Math.round(candidate.similarity * 100)}% similar`
+      : name;
+  }
+
+  /**
+   * Format "check customer match" request (booking linked to a customer by name only)
+   * @param {object} reviewData - Booking information with `candidates`, `provisionalCustomerId` and `reason`
+   * @returns {string} - Formatted LINE message
+   */
+  formatCustomerMatchReviewNotification(reviewData) {
+    const {
+      bookingId,
+      bookingIds,
+      customerName,
+      customerPhone,
+      customerEmail,
+      date,
+      startTime,
+      duration,
+      bay,
+      channel,
+      candidates,
+      provisionalCustomerId,
+      reason
+    } = reviewData;
+
+    const linked = candidates.find(candidate => candidate.customerId === provisionalCustomerId) || candidates[0];
+    const others = candidates.filter(candidate => candidate !== linked);
+
+    let message = `🔍 CHECK CUSTOMER MATCH (${this.formatBookingIds(bookingId, bookingIds)}) 🔍\n`;
+    message += reason === 'ambiguous_name'
+      ? `This ${channel} booking matches several customers by name.\n`
+      : `This ${channel} booking was matched to a customer by name only.\n`;
+    message += `----------------------------------\n`;
+    message += `👤 Booking name: ${customerName}\n`;
+    if (customerPhone) {
+      message += `📞 Phone: ${customerPhone}\n`;
+    }
+    if (customerEmail) {
+      message += `✉️ Email: ${customerEmail}\n`;
+    }
+    message += `🗓️ Date: ${this.formatDate(date)} ${this.formatTime(startTime)} - ${this.calculateEndTime(startTime, duration)}`;
+    message += bay ? ` (${bay})\n` : '\n';
+    message += `----------------------------------\n`;
+    message += `🔗 Linked to: ${this.formatMatchCandidate(linked)}\n`;
+    if (others.length > 0) {
+      message += `Other similar customers:\n${others.map(candidate => `- ${this.formatMatchCandidate(candidate)}`).join('\n')}\n`;
+    }
+    message += `\nPlease confirm the right customer, or choose "New customer" if none of them made this booking.`;
+
+    return message;
+  }
+
+  /**
+   * Build the confirmation postback buttons for a booking
+   * @param {string} bookingId - Booking ID (first ID of a group booking)
+   * @returns {Array<object>} - LINE postback actions
+   */
+  confirmationActions(bookingId) {
+    return [
+      { label: 'Confirmed', response: 'confirmed', displayText: `${bookingId}: customer confirmed` },
+      { label: 'No answer', response: 'no_answer', displayText: `${bookingId}: no answer` },
+      { label: 'Cancel', response: 'cancel', displayText: `${bookingId}: cancel booking` }
+    ].map(({ label, response, displayText }) => ({
+      type: 'postback',
+      label,
+      data: confirmationPostbackData(bookingId, response),
+      displayText
+    }));
+  }
+
+  /**
+   * Build the confirmation buttons of a booking notification
+   * @param {string} bookingId - Booking ID (first ID of a group booking)
+   * @returns {object} - { prompt, actions, layout }
+   */
+  confirmationButtons(bookingId) {
+    return {
+      prompt: `Customer confirmation for ${bookingId}`,
+      actions: this.confirmationActions(bookingId),
+      layout: 'horizontal'
+    };
+  }
+
+  /**
+   * Build the customer match review buttons: one per candidate (most similar
+   * first, as many as the buttons template allows) and "New customer"
+   * @param {object} reviewData - { reviewId, bookingId, candidates }
+   * @returns {object} - { prompt, actions, layout }
+   */
+  customerMatchReviewButtons(reviewData) {
+    const { reviewId, bookingId, candidates } = reviewData;
+    const actions = candidates.slice(0, MAX_BUTTON_ACTIONS - 1).map(candidate => ({
+      type: 'postback',
+      label: truncate([candidate.customerCode, candidate.customerName].filter(Boolean).join(' '), BUTTON_LABEL_LENGTH),
+      data: reviewPostbackData(reviewId, candidate.customerId),
+      displayText: `${bookingId}: customer is ${candidate.customerName}`
+    }));
+    actions.push({
+      type: 'postback',
+      label: 'New customer',
+      data: reviewPostbackData(reviewId),
+      displayText: `${bookingId}: new customer`
+    });
+
+    return { prompt: `Which customer made booking ${bookingId}?`, actions, layout: 'vertical' };
+  }
+
+  /**
+   * Build a Flex text component
+   * @param {string} text - Text
+   * @param {object} options - Extra text properties (size, color, weight, ...)
+   * @returns {object} - Flex text
+   */
+  flexText(text, options = {}) {
+    return { type: 'text', text: String(text), size: 'sm', wrap: true, ...options };
+  }
+
+  /**
+   * Build a label/value row (rows without a value are left out by the caller)
+   * @param {string} label - Label
+   * @param {*} value - Value
+   * @returns {object} - Flex box
+   */
+  flexRow(label, value) {
+    return {
+      type: 'box',
+      layout: 'baseline',
+      spacing: 'sm',
+      contents: [
+        this.flexText(label, { color: '#888888', flex: 2, wrap: false }),
+        this.flexText(value, { flex: 5 })
+      ]
+    };
+  }
+
+  /**
+   * Build the highlighted date / time / bay block
+   * @param {string} date - Formatted date
+   * @param {string} time - Formatted time range
+   * @param {string|null} bay - Bay (or what to show instead, e.g. "No free bay")
+   * @returns {object} - Flex box
+   */
+  flexSlotBlock(date, time, bay) {
+    const contents = [
+      this.flexText(date, { color: '#555555' }),
+      this.flexText(time, { size: 'xl', weight: 'bold' })
+    ];
+    if (bay) {
+      contents.push(this.flexText(`⛳ ${bay}`, { size: 'md', weight: 'bold' }));
+    }
+    return {
+      type: 'box',
+      layout: 'vertical',
+      backgroundColor: '#F5F5F5',
+      cornerRadius: 'md',
+      paddingAll: 'md',
+      contents
+    };
+  }
+
+  /**
+   * Build the "NEW CUSTOMER" badge
+   * @returns {object} - Flex box
+   */
+  flexNewCustomerBadge() {
+    return {
+      type: 'box',
+      layout: 'vertical',
+      backgroundColor: '#F1C40F',
+      cornerRadius: 'sm',
+      paddingAll: 'xs',
+      paddingStart: 'md',
+      paddingEnd: 'md',
+      width: '130px',
+      contents: [this.flexText('🆕 NEW CUSTOMER', { size: 'xs', weight: 'bold', align: 'center', wrap: false })]
+    };
+  }
+
+  /**
+   * Build a tap-to-call button
+   * @param {string} phone - Customer phone number
+   * @returns {object|null} - Flex button, or null if the number has no digits or is a
+   *   placeholder the automation stored for a booking without a phone
+   */
+  flexCallButton(phone) {
+    const number = String(phone || '').replace(/[^\d+]/g, '');
+    if (!/\d/.test(number) || PLACEHOLDER_PHONE_PATTERN.test(number)) {
+      return null;
+    }
+    return {
+      type: 'button',
+      style: 'primary',
+      height: 'sm',
+      color: '#06C755',
+      action: { type: 'uri', label: '📞 Call customer', uri: `tel:${number}` }
+    };
+  }
+
+  /**
+   * Build a notification bubble
+   * @param {object} parts - { title, channel, idLabel, badge, slot, rows, sections, phone }
+   *   rows are [label, value] pairs (empty values are skipped); sections are
+   *   { heading, lines } blocks below the rows
+   * @returns {object} - Flex bubble
+   */
+  buildNotificationBubble({ title, channel, idLabel = null, badge = false, slot, rows = [], sections = [], phone = null }) {
+    const body = [];
+    if (badge) {
+      body.push(this.flexNewCustomerBadge());
+    }
+    body.push(slot);
+    body.push({
+      type: 'box',
+      layout: 'vertical',
+      spacing: 'sm',
+      margin: 'md',
+      contents: rows
+        .filter(([, value]) => value !== null && value !== undefined && value !== '')
+        .map(([label, value]) => this.flexRow(label, value))
+    });
+    for (const section of sections) {
+      body.push({ type: 'separator', margin: 'md' });
+      body.push({
+        type: 'box',
+        layout: 'vertical',
+        margin: 'md',
+        contents: [
+          ...(section.heading ? [this.flexText(section.heading, { weight: 'bold' })] : []),
+          ...section.lines.map(line => this.flexText(line, { color: '#555555' }))
+        ]
       });
-      throw error;
     }
+
+    const bubble = {
+      type: 'bubble',
+      header: {
+        type: 'box',
+        layout: 'vertical',
+        backgroundColor: CHANNEL_COLORS[channel] || DEFAULT_CHANNEL_COLOR,
+        contents: [
+          this.flexText(title, { size: 'lg', weight: 'bold', color: '#FFFFFF' }),
+          this.flexText([channel, idLabel].filter(Boolean).join(' · '), { size: 'xs', color: '#FFFFFF' })
+        ]
+      },
+      body: { type: 'box', layout: 'vertical', spacing: 'md', contents: body }
+    };
+
+    const callButton = this.flexCallButton(phone);
+    if (callButton) {
+      bubble.footer = { type: 'box', layout: 'vertical', spacing: 'sm', contents: [callButton] };
+    }
+
+    return bubble;
+  }
+
+  /**
+   * Build the booking created bubble
+   * @param {object} bookingData - Booking information
+   * @returns {object} - Flex bubble
+   */
+  buildBookingCreatedFlex(bookingData) {
+    const { bookingId, bookingIds, customerName, customerPhone, customerEmail, date, startTime, duration, bay,
+      numberOfPeople, channel, isNewCustomer, customerInsights, notes } = bookingData;
+
+    const sections = [];
+    const history = isNewCustomer ? [] : this.formatCustomerInsights(customerInsights);
+    if (history.length > 0) {
+      sections.push({ heading: 'Customer history', lines: history });
+    }
+    if (notes) {
+      sections.push({ heading: 'Note', lines: [notes] });
+    }
+
+    return this.buildNotificationBubble({
+      title: '✅ New booking',
+      channel,
+      idLabel: this.formatBookingIds(bookingId, bookingIds),
+      badge: isNewCustomer,
+      slot: this.flexSlotBlock(
+        this.formatDate(date),
+        `${this.formatTime(startTime)} - ${this.calculateEndTime(startTime, duration)}`,
+        bay
+      ),
+      rows: [
+        ['Name', customerName],
+        ['Phone', customerPhone],
+        ['Email', customerEmail],
+        ['People', numberOfPeople],
+        ['Type', 'Normal Bay Rate']
+      ],
+      sections,
+      phone: customerPhone
+    });
+  }
+
+  /**
+   * Build the booking cancelled bubble
+   * @param {object} bookingData - Booking information
+   * @returns {object} - Flex bubble
+   */
+  buildBookingCancelledFlex(bookingData) {
+    const { bookingId, bookingIds, customerName, customerPhone, date, startTime, duration, bay, numberOfPeople,
+      channel, cancelledBy, cancellationReason } = bookingData;
+
+    return this.buildNotificationBubble({
+      title: '🚫 Booking cancelled',
+      channel,
+      idLabel: this.formatBookingIds(bookingId, bookingIds),
+      slot: this.flexSlotBlock(
+        this.formatDate(date),
+        duration ? `${this.formatTime(startTime)} - ${this.calculateEndTime(startTime, duration)}` : this.formatTime(startTime),
+        bay
+      ),
+      rows: [
+        ['Name', customerName],
+        ['Phone', customerPhone],
+        ['People', numberOfPeople],
+        ['By', cancelledBy || 'Email Automation'],
+        ['Reason', cancellationReason]
+      ],
+      phone: customerPhone
+    });
+  }
+
+  /**
+   * Build the booking modified bubble (new slot, previous values in the rows)
+   * @param {object} bookingData - Booking information with `previous` values
+   * @returns {object} - Flex bubble
+   */
+  buildBookingModifiedFlex(bookingData) {
+    const { bookingId, bookingIds, customerName, customerPhone, date, startTime, duration, bay, numberOfPeople,
+      channel, modifiedBy, previous = {} } = bookingData;
+
+    const formatSlot = (slotStart, slotDuration) =>
+      `${this.formatTime(slotStart)} - ${this.calculateEndTime(slotStart, slotDuration)}`;
+    const was = [
+      previous.date && previous.date !== date ? this.formatDate(previous.date) : null,
+      previous.startTime ? formatSlot(previous.startTime, previous.duration || duration) : null,
+      previous.bay && previous.bay !== bay ? previous.bay : null
+    ].filter(Boolean).join(', ');
+
+    return this.buildNotificationBubble({
+      title: '✏️ Booking modified',
+      channel,
+      idLabel: this.formatBookingIds(bookingId, bookingIds),
+      slot: this.flexSlotBlock(this.formatDate(date), formatSlot(startTime, duration), bay),
+      rows: [
+        ['Was', was],
+        ['Name', customerName],
+        ['Phone', customerPhone],
+        ['People', this.formatChange(previous.numberOfPeople, numberOfPeople)],
+        ['By', modifiedBy || 'Email Automation']
+      ],
+      phone: customerPhone
+    });
   }
 
   /**
-   * Send "no slots available" notification
+   * Build the "no slots available" bubble
    * @param {object} bookingData - Booking request information
-   * @returns {Promise<void>}
+   * @returns {object} - Flex bubble
    */
-  async sendNoSlotsAvailable(bookingData) {
-    try {
-      const message = this.formatNoSlotsNotification(bookingData);
+  buildNoSlotsFlex(bookingData) {
+    const { customerName, customerPhone, customerEmail, date, startTime, duration, numberOfPeople, channel, notes,
+      alternatives = null } = bookingData;
 
-      log('DEBUG', 'Sending no slots available notification', {
-        customerName: bookingData.customerName,
-        channel: bookingData.channel,
-        messageLength: message.length
-      });
+    const sections = [];
+    if (alternatives && alternatives.length > 0) {
+      sections.push({ heading: 'Nearest free slots', lines: this.formatAlternativeSlots(alternatives, duration) });
+    } else if (alternatives) {
+      sections.push({ heading: null, lines: ['No free slots nearby (same day ±2h or same time on adjacent days).'] });
+    }
+    if (notes) {
+      sections.push({ heading: 'Note', lines: [notes] });
+    }
+
+    return this.buildNotificationBubble({
+      title: '⚠️ No slots available',
+      channel,
+      slot: this.flexSlotBlock(
+        this.formatDate(date),
+        `${this.formatTime(startTime)} - ${this.calculateEndTime(startTime, duration)}`,
+        'No free bay'
+      ),
+      rows: [
+        ['Name', customerName],
+        ['Phone', customerPhone],
+        ['Email', customerEmail],
+        ['People', numberOfPeople],
+        ['Action', 'Check availability, call the customer back and submit the booking form.']
+      ],
+      sections,
+      phone: customerPhone
+    });
+  }
 
-      await this.lineMessaging.send(message);
+  /**
+   * Build the "outside opening hours" bubble
+   * @param {object} bookingData - Booking request information with `hours`
+   * @returns {object} - Flex bubble
+   */
+  buildOutsideOpeningHoursFlex(bookingData) {
+    const { customerName, customerPhone, customerEmail, date, startTime, duration, numberOfPeople, channel, hours,
+      notes, alternatives = null } = bookingData;
 
-      log('INFO', 'No slots available notification sent', {
-        customerName: bookingData.customerName,
-        date: bookingData.date
-      });
-    } catch (error) {
-      log('ERROR', 'Failed to send no slots notification', {
-        bookingData,
-        error: error.message
+    const sections = [];
+    if (alternatives && alternatives.length > 0) {
+      sections.push({ heading: 'Nearest free slots', lines: this.formatAlternativeSlots(alternatives, duration) });
+    }
+    if (notes) {
+      sections.push({ heading: 'Note', lines: [notes] });
+    }
+
+    return this.buildNotificationBubble({
+      title: '⛔ Outside opening hours',
+      channel,
+      slot: this.flexSlotBlock(
+        this.formatDate(date),
+        `${this.formatTime(startTime)} - ${this.calculateEndTime(startTime, duration)}`,
+        null
+      ),
+      rows: [
+        ['Hours', this.formatClosedReason(date, hours)],
+        ['Name', customerName],
+        ['Phone', customerPhone],
+        ['Email', customerEmail],
+        ['People', numberOfPeople],
+        ['Action', 'Call the customer back to offer a time within opening hours.']
+      ],
+      sections,
+      phone: customerPhone
+    });
+  }
+
+  /**
+   * Build the "booking still unconfirmed" bubble
+   * @param {object} bookingData - Booking information with `confirmationStatus` and `hoursBefore`
+   * @returns {object} - Flex bubble
+   */
+  buildConfirmationReminderFlex(bookingData) {
+    const { bookingId, bookingIds, customerName, customerPhone, date, startTime, duration, bay, numberOfPeople,
+      channel, confirmationStatus, hoursBefore } = bookingData;
+
+    return this.buildNotificationBubble({
+      title: '📞 Unconfirmed booking',
+      channel,
+      idLabel: this.formatBookingIds(bookingId, bookingIds),
+      slot: this.flexSlotBlock(
+        this.formatDate(date),
+        `${this.formatTime(startTime)} - ${this.calculateEndTime(startTime, duration)}`,
+        bay
+      ),
+      rows: [
+        ['Name', customerName],
+        ['Phone', customerPhone],
+        ['People', numberOfPeople],
+        ['Status', confirmationStatus === 'no_answer' ? 'No answer on the last call' : 'Not confirmed yet']
+      ],
+      sections: [{ heading: null, lines: [`Starts within ${hoursBefore}h, please call the customer.`] }],
+      phone: customerPhone
+    });
+  }
+
+  /**
+   * Build the "check customer match" bubble
+   * @param {object} reviewData - Booking information with `candidates`, `provisionalCustomerId` and `reason`
+   * @returns {object} - Flex bubble
+   */
+  buildCustomerMatchReviewFlex(reviewData) {
+    const { bookingId, bookingIds, customerName, customerPhone, customerEmail, date, startTime, duration, bay,
+      channel, candidates, provisionalCustomerId, reason } = reviewData;
+
+    const linked = candidates.find(candidate => candidate.customerId === provisionalCustomerId) || candidates[0];
+    const others = candidates.filter(candidate => candidate !== linked);
+    const sections = [{
+      heading: null,
+      lines: [reason === 'ambiguous_name'
+        ? 'Several customers have a similar name. Please confirm the right one, or choose "New customer".'
+        : 'Matched by name only. Please confirm the customer, or choose "New customer".']
+    }];
+    if (others.length > 0) {
+      sections.unshift({ heading: 'Other similar customers', lines: others.map(candidate => this.formatMatchCandidate(candidate)) });
+    }
+
+    return this.buildNotificationBubble({
+      title: '🔍 Check customer match',
+      channel,
+      idLabel: this.formatBookingIds(bookingId, bookingIds),
+      slot: this.flexSlotBlock(
+        this.formatDate(date),
+        `${this.formatTime(startTime)} - ${this.calculateEndTime(startTime, duration)}`,
+        bay
+      ),
+      rows: [
+        ['Name', customerName],
+        ['Phone', customerPhone],
+        ['Email', customerEmail],
+        ['Linked to', this.formatMatchCandidate(linked)]
+      ],
+      sections
+    });
+  }
+
+  /**
+   * Format "possible duplicate customer" alert (a booking's phone and email matched two customers)
+   * @param {object} proposalData - { proposalId, channel, customerName, primary, duplicate }
+   * @returns {string} - Formatted LINE message
+   */
+  formatCustomerMergeProposalNotification(proposalData) {
+    const { proposalId, channel, customerName, primary, duplicate } = proposalData;
+    const describe = customer => [customer.customerCode, customer.customerName].filter(Boolean).join(' ') +
+      ` (${[customer.phone, customer.email].filter(Boolean).join(', ') || 'no contact details'})`;
+
+    return `👥 POSSIBLE DUPLICATE CUSTOMER\n\n` +
+      `A ${channel} booking for ${customerName} matched two customers:\n` +
+      `📞 By phone: ${describe(primary)}\n` +
+      `✉️ By email: ${describe(duplicate)}\n\n` +
+      `The booking was linked to ${primary.customerCode || primary.customerName} (phone match). ` +
+      `If they are the same person, merge the second customer into the first with the admin API; ` +
+      `otherwise reject the proposal.\n\n` +
+      `Proposal ID: ${proposalId}`;
+  }
+
+  /**
+   * Format "email could not be parsed" alert
+   * @param {object} emailData - Quarantined email information
+   * @returns {string} - Formatted LINE message
+   */
+  formatParseFailedNotification(emailData) {
+    const {
+      channel,
+      subject,
+      emailDate,
+      excerpt,
+      gmailMessageId,
+      reviewLabel
+    } = emailData;
+
+    let message = `⚠️ UNREADABLE ${channel.toUpperCase()} EMAIL\n\n` +
+      `A ${channel} email could not be read automatically and no booking was created or changed.\n\n` +
+      `Subject: ${subject || '(no subject)'}\n`;
+
+    if (emailDate) {
+      message += `Received: ${emailDate}\n`;
+    }
+
+    message += `Message ID: ${gmailMessageId}\n\n` +
+      `Excerpt:\n${excerpt || '(empty body)'}\n\n` +
+      `Please handle this booking manually. The email was moved to "${reviewLabel}".`;
+
+    return message;
+  }
+
+  /**
+   * Render a booking notification
+   * The plain text is the email/webhook body and the LINE altText. Flex: the
+   * bubble with the event's postback buttons (confirmation, customer match) in
+   * its footer. Text: the plain text, then the buttons as a buttons template.
+   * @param {string} eventType - Key of BOOKING_EVENTS (e.g. 'booking_created')
+   * @param {object} data - Booking information (quarantined email information for 'parse_failed')
+   * @param {string} format - 'flex' or 'text'
+   * @returns {object} - { subject, text, lineMessages }
+   */
+  render(eventType, data, format = DEFAULT_NOTIFICATION_FORMAT) {
+    const event = BOOKING_EVENTS[eventType];
+    if (!event) {
+      throw new Error(`Unknown booking notification: ${eventType}`);
+    }
+
+    const text = this[event.text](data);
+    const subject = `[${data.channel}] ${event.title}` + (data.customerName ? ` - ${data.customerName}` : '');
+    const buttons = event.buttons ? event.buttons(this, data) : null;
+
+    if (format === 'text' || !event.flex) {
+      const lineMessages = [textMessage(text)];
+      if (buttons) {
+        lineMessages.push(buttonsMessage(buttons.prompt, buttons.actions));
+      }
+      return { subject, text, lineMessages };
+    }
+
+    const bubble = this[event.flex](data);
+    if (buttons) {
+      bubble.footer = bubble.footer || { type: 'box', layout: 'vertical', spacing: 'sm', contents: [] };
+      bubble.footer.contents.push({
+        type: 'box',
+        layout: buttons.layout,
+        spacing: 'sm',
+        contents: buttons.actions.map(action => ({
+          type: 'button',
+          style: 'secondary',
+          height: 'sm',
+          action
+        }))
       });
-      throw error;
     }
+    return { subject, text, lineMessages: [flexMessage(text, bubble)] };
   }
 }
 
-module.exports = { LineNotificationService };
+module.exports = {
+  LineNotificationService,
+  BOOKING_EVENTS,
+  NOTIFICATION_FORMATS,
+  DEFAULT_NOTIFICATION_FORMAT
+};
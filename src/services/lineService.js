@@ -1,32 +0,0 @@
-class LineService {
-    constructor(config) {
-        this.config = config;
-        // Initialize LINE client with configuration
-    }
-
-    async sendB2BMessage(data) {
-        // Implement B2B specific LINE messaging
-        // Use different templates or message formats for B2B
-        try {
-            // Add your LINE messaging implementation here
-            console.log('Sending B2B LINE message:', data);
-        } catch (error) {
-            console.error('Error sending B2B LINE message:', error);
-            throw error;
-        }
-    }
-
-    async sendB2CMessage(data) {
-        // Implement B2C specific LINE messaging
-        // Use different templates or message formats for B2C
-        try {
-            // Add your LINE messaging implementation here
-            console.log('Sending B2C LINE message:', data);
-        } catch (error) {
-            console.error('Error sending B2C LINE message:', error);
-            throw error;
-        }
-    }
-}
-
-module.exports = LineService;
\ No newline at end of file
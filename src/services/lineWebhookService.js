@@ -0,0 +1,239 @@
+const crypto = require('crypto');
+const { BookingConfirmationService, CONFIRMATION_POSTBACK_ACTION } = require('./bookingConfirmationService');
+const { CustomerMatchReviewService, REVIEW_POSTBACK_ACTION } = require('./customerMatchReviewService');
+const { LineCommandService } = require('./lineCommandService');
+const { LineClient, textMessage } = require('../notifications/lineClient');
+const { log } = require('../utils/logging');
+
+const DEFAULT_SENDER_NAME = 'LINE staff';
+
+/**
+ * Verify the X-Line-Signature of a webhook request
+ * LINE signs the raw request body with HMAC-SHA256 keyed by the channel secret.
+ * @param {Buffer|string} rawBody - Request body exactly as received
+ * @param {string} signature - X-Line-Signature header (base64)
+ * @param {string} channelSecret - LINE_CHANNEL_SECRET
+ * @returns {boolean} - True if the request comes from LINE
+ */
+function verifySignature(rawBody, signature, channelSecret) {
+  if (!channelSecret || !rawBody || !signature) {
+    return false;
+  }
+
+  const expected = crypto.createHmac('sha256', channelSecret).update(rawBody).digest('base64');
+  // Compare fixed-length digests so timingSafeEqual never sees different lengths
+  const digest = value => crypto.createHash('sha256').update(value).digest();
+  return crypto.timingSafeEqual(digest(signature), digest(expected));
+}
+
+/**
+ * LineWebhookDispatcher - Routes LINE webhook events to handlers
+ *
+ * Events are parsed into a common shape ({ type, replyToken, source, text,
+ * postback, ... }) and dispatched by type:
+ *
+ *   dispatcher.onPostback('booking_confirmation', (params, event) => 'reply text');
+ *   dispatcher.onMessage(event => (event.text === 'hi' ? 'hello' : null));
+ *   dispatcher.on('join', event => 'Thanks for adding me');
+ *
+ * Postbacks are routed by the `action` field of their query-string data. Message
+ * handlers are tried in registration order until one returns a reply. A handler
+ * returns reply text, LINE message objects, or null for no reply; the dispatcher
+ * answers with the event's reply token. One failing event does not stop the rest.
+ */
+class LineWebhookDispatcher {
+  /**
+   * @param {object} lineClient - LineClient (reply, getProfile)
+   */
+  constructor(lineClient) {
+    if (!lineClient) {
+      throw new Error('LINE client is required for LineWebhookDispatcher');
+    }
+    this.lineClient = lineClient;
+    this.postbackHandlers = new Map();
+    this.messageHandlers = [];
+    this.eventHandlers = new Map();
+  }
+
+  /**
+   * Register a handler for postbacks with a given `action`
+   * @param {string} action - Postback data `action` value
+   * @param {Function} handler - (params: URLSearchParams, event) => reply
+   * @returns {LineWebhookDispatcher} - this, for chaining
+   */
+  onPostback(action, handler) {
+    if (this.postbackHandlers.has(action)) {
+      throw new Error(`Postback handler for ${action} is already registered`);
+    }
+    this.postbackHandlers.set(action, handler);
+    return this;
+  }
+
+  /**
+   * Register a handler for text messages
+   * @param {Function} handler - (event) => reply, or null/undefined to pass to the next handler
+   * @returns {LineWebhookDispatcher} - this, for chaining
+   */
+  onMessage(handler) {
+    this.messageHandlers.push(handler);
+    return this;
+  }
+
+  /**
+   * Register a handler for any other event type (join, leave, follow, memberJoined, ...)
+   * @param {string} type - LINE event type
+   * @param {Function} handler - (event) => reply
+   * @returns {LineWebhookDispatcher} - this, for chaining
+   */
+  on(type, handler) {
+    this.eventHandlers.set(type, handler);
+    return this;
+  }
+
+  /**
+   * Parse a raw webhook event
+   * @param {object} event - Event from the webhook body
+   * @returns {object} - { type, replyToken, source, userId, groupId, timestamp, text, postback, raw }
+   */
+  parseEvent(event) {
+    const source = event.source || {};
+    const message = event.type === 'message' ? event.message || {} : null;
+
+    return {
+      type: event.type,
+      replyToken: event.replyToken || null,
+      source,
+      userId: source.userId || null,
+      groupId: source.groupId || source.roomId || null,
+      timestamp: event.timestamp,
+      text: message && message.type === 'text' ? message.text.trim() : null,
+      postback: event.type === 'postback' && event.postback
+        ? { params: new URLSearchParams(event.postback.data || ''), extra: event.postback.params || null }
+        : null,
+      raw: event
+    };
+  }
+
+  /**
+   * Get the display name of an event's sender
+   * @param {object} event - Parsed event
+   * @returns {Promise<string>} - Display name ("LINE staff" if unknown)
+   */
+  async getSenderName(event) {
+    if (!event.userId) {
+      return DEFAULT_SENDER_NAME;
+    }
+    const profile = await this.lineClient.getProfile(event.source);
+    return (profile && profile.displayName) || DEFAULT_SENDER_NAME;
+  }
+
+  /**
+   * Run the handler matching an event
+   * @param {object} event - Parsed event
+   * @returns {Promise<*>} - Handler reply (text, message objects or null)
+   */
+  async handleEvent(event) {
+    if (event.type === 'postback') {
+      const action = event.postback ? event.postback.params.get('action') : null;
+      const handler = this.postbackHandlers.get(action);
+      if (!handler) {
+        log('WARN', 'Unhandled LINE postback', { action });
+        return null;
+      }
+      return handler(event.postback.params, event);
+    }
+
+    if (event.type === 'message') {
+      if (event.text === null) {
+        return null; // stickers, images, ...
+      }
+      for (const handler of this.messageHandlers) {
+        const reply = await handler(event);
+        if (reply) {
+          return reply;
+        }
+      }
+      return null;
+    }
+
+    const handler = this.eventHandlers.get(event.type);
+    return handler ? handler(event) : null;
+  }
+
+  /**
+   * Answer an event with a handler's reply
+   * @param {object} event - Parsed event
+   * @param {string|object|Array} reply - Reply text or LINE message object(s)
+   * @returns {Promise<void>}
+   */
+  async reply(event, reply) {
+    if (!reply || !event.replyToken) {
+      return;
+    }
+    const messages = (Array.isArray(reply) ? reply : [reply])
+      .map(item => (typeof item === 'string' ? textMessage(item) : item));
+    await this.lineClient.reply(event.replyToken, messages);
+  }
+
+  /**
+   * Dispatch the events of one webhook request
+   * @param {Array<object>} events - Raw events from the webhook body
+   * @returns {Promise<number>} - Events handled without error
+   */
+  async dispatch(events) {
+    let handled = 0;
+
+    for (const rawEvent of events) {
+      const event = this.parseEvent(rawEvent);
+      try {
+        const reply = await this.handleEvent(event);
+        await this.reply(event, reply);
+        handled++;
+      } catch (error) {
+        log('ERROR', 'Error handling LINE webhook event', {
+          eventType: event.type,
+          groupId: event.groupId,
+          error: error.message,
+          stack: error.stack
+        });
+      }
+    }
+
+    return handled;
+  }
+}
+
+/**
+ * Create the webhook dispatcher with the app's handlers registered
+ * @param {object} supabase - Supabase client
+ * @returns {LineWebhookDispatcher} - Dispatcher for POST /line/webhook
+ */
+function createLineWebhook(supabase) {
+  const dispatcher = new LineWebhookDispatcher(new LineClient(process.env.LINE_CHANNEL_ACCESS_TOKEN));
+  const confirmations = new BookingConfirmationService(supabase);
+  const matchReviews = new CustomerMatchReviewService(supabase);
+  const commands = new LineCommandService(supabase, {
+    allowedUserIds: (process.env.LINE_COMMAND_ALLOWED_USER_IDS || '').split(',').map(id => id.trim()).filter(Boolean)
+  });
+
+  // "Confirmed" / "No answer" / "Cancel" buttons on booking notifications
+  dispatcher.onPostback(CONFIRMATION_POSTBACK_ACTION, async (params, event) =>
+    confirmations.handlePostback(params, await dispatcher.getSenderName(event)));
+
+  // Candidate / "New customer" buttons on customer match review notifications
+  dispatcher.onPostback(REVIEW_POSTBACK_ACTION, async (params, event) =>
+    matchReviews.handlePostback(params, await dispatcher.getSenderName(event)));
+
+  // Staff commands: /avail, /today, /booking, /cancel (allow-listed users only)
+  dispatcher.onMessage(event => commands.handleMessage(event, () => dispatcher.getSenderName(event)));
+
+  // The group ID is needed for the LINE_GROUP_ID_* settings
+  dispatcher.on('join', event => {
+    log('INFO', 'LINE bot joined a group', { groupId: event.groupId });
+    return event.groupId ? `Hello! This chat's ID is ${event.groupId}` : null;
+  });
+
+  return dispatcher;
+}
+
+module.exports = { LineWebhookDispatcher, createLineWebhook, verifySignature };
@@ -0,0 +1,375 @@
+const { createNotificationService } = require('../notifications/notificationService');
+const { isPermanentError } = require('../notifications/policy');
+const { log } = require('../utils/logging');
+
+// Delivery errors that no retry can fix (the channel or event is gone from the config)
+const PERMANENT_ERROR_CODES = ['UNKNOWN_CHANNEL', 'UNKNOWN_EVENT'];
+
+const DEFAULT_MAX_ATTEMPTS = 8;
+const DEFAULT_BASE_DELAY_MS = 30 * 1000;
+const DEFAULT_MAX_DELAY_MS = 60 * 60 * 1000;
+const DEFAULT_LEASE_MS = 2 * 60 * 1000;
+const DEFAULT_BATCH_SIZE = 20;
+const DEFAULT_INTERVAL_MS = 15 * 1000;
+
+/**
+ * NotificationOutboxService - Durable queue for notifications
+ *
+ * Processors enqueue() notifications into notification_outbox instead of sending
+ * them, so a LINE (or email, webhook) outage never fails (or re-runs) the email
+ * that caused them. The event is routed when queued, one row per channel, and
+ * the worker (processDue() / start()) delivers each row through
+ * NotificationService.deliver(). Failed deliveries are retried with exponential
+ * backoff (30s, 1m, 2m, ... capped at 1h); after NOTIFICATION_MAX_ATTEMPTS
+ * (default 8), or straight away when the channel rejects the message as
+ * invalid, the row is moved to 'dead' and stays there until requeue()d.
+ *
+ * Each row is leased (locked_until) just before it is delivered, so several
+ * workers can share the table and a crashed worker's rows are picked up again.
+ */
+class NotificationOutboxService {
+  /**
+   * @param {object} supabase - Supabase client
+   * @param {object} options - { notifications (NotificationService), maxAttempts, baseDelayMs, maxDelayMs, leaseMs }
+   */
+  constructor(supabase, options = {}) {
+    if (!supabase) {
+      throw new Error('Supabase client is required for NotificationOutboxService');
+    }
+    this.supabase = supabase;
+    this.notifications = options.notifications || createNotificationService();
+    this.maxAttempts = options.maxAttempts
+      || Number(process.env.NOTIFICATION_MAX_ATTEMPTS)
+      || DEFAULT_MAX_ATTEMPTS;
+    this.baseDelayMs = options.baseDelayMs || DEFAULT_BASE_DELAY_MS;
+    this.maxDelayMs = options.maxDelayMs || DEFAULT_MAX_DELAY_MS;
+    this.leaseMs = options.leaseMs || DEFAULT_LEASE_MS;
+    this.timer = null;
+    this.running = null;
+  }
+
+  /**
+   * Queue a notification, one row per channel its routes name
+   * @param {string} eventType - Event type (e.g. 'booking_created')
+   * @param {object} payload - Event payload (see NotificationService.render)
+   * @param {object} refs - { source, lineGroup, bookingId, gmailMessageId }
+   * @returns {Promise<Array<object>>} - The outbox rows
+   */
+  async enqueue(eventType, payload, refs = {}) {
+    if (!this.notifications.supports(eventType)) {
+      throw new Error(`Unknown notification type: ${eventType}`);
+    }
+
+    const channels = this.notifications.route(eventType, refs);
+    if (channels.length === 0) {
+      log('WARN', 'No notification channel configured for event', {
+        eventType,
+        source: refs.source,
+        lineGroup: refs.lineGroup,
+        bookingId: refs.bookingId
+      });
+      return [];
+    }
+
+    try {
+      const { data, error } = await this.supabase
+        .from('notification_outbox')
+        .insert(channels.map(target => ({
+          target,
+          source: refs.source || null,
+          notification_type: eventType,
+          payload,
+          booking_id: refs.bookingId || null,
+          gmail_message_id: refs.gmailMessageId || null
+        })))
+        .select();
+
+      if (error) {
+        throw error;
+      }
+
+      log('DEBUG', 'Notification queued', {
+        outboxIds: data.map(row => row.id),
+        channels,
+        eventType,
+        bookingId: refs.bookingId
+      });
+      return data;
+    } catch (error) {
+      log('ERROR', 'Failed to queue notification', {
+        channels,
+        eventType,
+        bookingId: refs.bookingId,
+        gmailMessageId: refs.gmailMessageId,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Find the pending rows that are due and not leased
+   * @param {number} limit - Maximum rows
+   * @param {Date} now - Reference time
+   * @returns {Promise<Array<object>>} - Candidate rows (lease each with lease() before delivering it)
+   */
+  async findDue(limit = DEFAULT_BATCH_SIZE, now = new Date()) {
+    const nowIso = now.toISOString();
+
+    const { data, error } = await this.supabase
+      .from('notification_outbox')
+      .select('*')
+      .eq('status', 'pending')
+      .lte('next_attempt_at', nowIso)
+      .or(`locked_until.is.null,locked_until.lt.${nowIso}`)
+      .order('next_attempt_at', { ascending: true })
+      .limit(limit);
+
+    if (error) {
+      throw error;
+    }
+    return data || [];
+  }
+
+  /**
+   * Lease one row for delivery
+   * Rows are leased one at a time, right before delivery, so the lease only has
+   * to cover a single delivery however long the rest of the batch takes.
+   * @param {object} row - Row returned by findDue()
+   * @param {Date} now - Reference time
+   * @returns {Promise<object|null>} - The leased row, or null if another worker has it
+   */
+  async lease(row, now = new Date()) {
+    const nowIso = now.toISOString();
+    const lockedUntil = new Date(now.getTime() + this.leaseMs).toISOString();
+
+    // Conditional update: another worker may have leased or delivered the row meanwhile
+    const { data, error } = await this.supabase
+      .from('notification_outbox')
+      .update({ locked_until: lockedUntil })
+      .eq('id', row.id)
+      .eq('status', 'pending')
+      .lte('next_attempt_at', nowIso)
+      .or(`locked_until.is.null,locked_until.lt.${nowIso}`)
+      .select();
+
+    if (error) {
+      throw error;
+    }
+    return data && data.length > 0 ? data[0] : null;
+  }
+
+  /**
+   * Delay before the next attempt
+   * @param {number} attempts - Attempts made so far (at least 1)
+   * @returns {number} - Milliseconds
+   */
+  backoffMs(attempts) {
+    return Math.min(this.baseDelayMs * 2 ** (attempts - 1), this.maxDelayMs);
+  }
+
+  /**
+   * Whether a failed delivery is worth retrying
+   * Channels answer 4xx (other than 429) for messages they will never accept.
+   * @param {Error} error - Delivery error
+   * @returns {boolean} - True to retry
+   */
+  isRetryable(error) {
+    return !isPermanentError(error) && !PERMANENT_ERROR_CODES.includes(error.code);
+  }
+
+  /**
+   * Deliver one leased row and record the outcome
+   * @param {object} row - Outbox row
+   * @returns {Promise<string>} - 'sent', 'retry' or 'dead'
+   */
+  async deliver(row) {
+    const attempts = row.attempts + 1;
+
+    try {
+      // The row ID is the LINE retry key: a redelivery LINE already accepted is not sent twice
+      await this.notifications.deliver(row.target, row.notification_type, row.payload, row.source, { retryKey: row.id });
+    } catch (error) {
+      const dead = attempts >= this.maxAttempts || !this.isRetryable(error);
+      const nextAttemptAt = new Date(Date.now() + this.backoffMs(attempts));
+      const lastError = error.response?.data ? `${error.message}: ${JSON.stringify(error.response.data)}` : error.message;
+
+      await this.update(row, {
+        status: dead ? 'dead' : 'pending',
+        attempts,
+        next_attempt_at: dead ? row.next_attempt_at : nextAttemptAt.toISOString(),
+        locked_until: null,
+        last_error: lastError
+      });
+
+      log(dead ? 'ERROR' : 'WARN', dead ? 'Notification moved to dead letter' : 'Notification delivery failed, will retry', {
+        outboxId: row.id,
+        target: row.target,
+        notificationType: row.notification_type,
+        bookingId: row.booking_id,
+        attempts,
+        nextAttemptAt: dead ? null : nextAttemptAt.toISOString(),
+        error: lastError
+      });
+      return dead ? 'dead' : 'retry';
+    }
+
+    await this.update(row, {
+      status: 'sent',
+      attempts,
+      locked_until: null,
+      last_error: null,
+      sent_at: new Date().toISOString()
+    });
+    return 'sent';
+  }
+
+  /**
+   * Update an outbox row
+   * @param {object} row - Outbox row
+   * @param {object} updates - Columns to set
+   * @returns {Promise<void>}
+   */
+  async update(row, updates) {
+    const { error } = await this.supabase
+      .from('notification_outbox')
+      .update(updates)
+      .eq('id', row.id);
+
+    if (error) {
+      log('ERROR', 'Failed to update notification outbox row', {
+        outboxId: row.id,
+        updates,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Deliver every due notification, oldest first
+   * @param {number} batchSize - Rows fetched per batch
+   * @returns {Promise<object>} - { sent, retried, dead }
+   */
+  async processDue(batchSize = DEFAULT_BATCH_SIZE) {
+    const totals = { sent: 0, retried: 0, dead: 0 };
+    const keys = { sent: 'sent', retry: 'retried', dead: 'dead' };
+
+    for (;;) {
+      const rows = await this.findDue(batchSize);
+      for (const row of rows) {
+        const leased = await this.lease(row);
+        if (!leased) {
+          continue;
+        }
+        try {
+          totals[keys[await this.deliver(leased)]]++;
+        } catch (error) {
+          // Outcome not recorded; the lease expires and the row is delivered again
+          log('ERROR', 'Failed to record notification delivery', {
+            outboxId: row.id,
+            error: error.message
+          });
+        }
+      }
+      if (rows.length < batchSize) {
+        break;
+      }
+    }
+
+    if (totals.sent + totals.retried + totals.dead > 0) {
+      log('INFO', 'Notification outbox processed', totals);
+    }
+    return totals;
+  }
+
+  /**
+   * List dead notifications, newest first
+   * @param {number} limit - Maximum rows
+   * @returns {Promise<Array<object>>} - Outbox rows
+   */
+  async listDead(limit = 50) {
+    const { data, error } = await this.supabase
+      .from('notification_outbox')
+      .select('*')
+      .eq('status', 'dead')
+      .order('created_at', { ascending: false })
+      .limit(limit);
+
+    if (error) {
+      throw error;
+    }
+    return data || [];
+  }
+
+  /**
+   * Put a dead notification back in the queue with fresh attempts
+   * @param {string} id - Outbox row ID
+   * @returns {Promise<boolean>} - False if the row is not dead
+   */
+  async requeue(id) {
+    const { data, error } = await this.supabase
+      .from('notification_outbox')
+      .update({
+        status: 'pending',
+        attempts: 0,
+        next_attempt_at: new Date().toISOString(),
+        locked_until: null
+      })
+      .eq('id', id)
+      .eq('status', 'dead')
+      .select('id');
+
+    if (error) {
+      log('ERROR', 'Failed to requeue notification', { outboxId: id, error: error.message });
+      throw error;
+    }
+
+    const requeued = (data || []).length > 0;
+    if (requeued) {
+      log('INFO', 'Dead notification requeued', { outboxId: id });
+    }
+    return requeued;
+  }
+
+  /**
+   * Deliver due notifications every intervalMs until stop()
+   * @param {number} intervalMs - Poll interval (NOTIFICATION_WORKER_INTERVAL_MS, default 15s)
+   * @returns {void}
+   */
+  start(intervalMs = Number(process.env.NOTIFICATION_WORKER_INTERVAL_MS) || DEFAULT_INTERVAL_MS) {
+    if (this.timer) {
+      return;
+    }
+
+    const run = () => {
+      this.running = this.processDue()
+        .catch(error => log('ERROR', 'Notification worker run failed', { error: error.message }))
+        .finally(() => {
+          this.running = null;
+          if (this.timer) {
+            this.timer = setTimeout(run, intervalMs);
+          }
+        });
+    };
+
+    this.timer = setTimeout(run, 0);
+    log('INFO', 'Notification worker started', { intervalMs });
+  }
+
+  /**
+   * Stop polling and wait for the current run
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    if (this.running) {
+      await this.running;
+    }
+  }
+}
+
+module.exports = { NotificationOutboxService };
@@ -0,0 +1,381 @@
+const { flexMessage } = require('../notifications/lineClient');
+const { createNotificationService } = require('../notifications/notificationService');
+const { BayConfigService } = require('./bayConfigService');
+const { log } = require('../utils/logging');
+
+// Dates in the digest are the venue's calendar days
+const DIGEST_TIME_ZONE = 'Asia/Bangkok';
+
+// LINE group of the digest (LINE_GROUP_ID_SCHEDULE_DIGEST, falls back to LINE_GROUP_ID)
+const DIGEST_LINE_TARGET = 'SCHEDULE_DIGEST';
+
+// Keeps a busy day's bubble well under LINE's Flex size limit
+const MAX_ROWS_PER_BAY = 20;
+
+const FLAG_LABELS = {
+  automation: '🤖 Email',
+  newCustomer: '🆕 New',
+  noPayment: '🎟 No payment',
+  unconfirmed: '📞 Confirm'
+};
+
+/**
+ * ScheduleDigestService - Daily per-bay schedule digest for staff on LINE
+ *
+ * Builds a timeline per bay for today and tomorrow from the confirmed bookings
+ * and sends it to the staff group as one Flex message (one bubble per day).
+ * Bookings that need attention are flagged: created by the email automation,
+ * new customers, ClassPass bookings (no payment at the location) and ResOS
+ * bookings still waiting for a customer confirmation call (confirmation_status).
+ */
+class ScheduleDigestService {
+  /**
+   * @param {object} supabase - Supabase client
+   * @param {object|null} notifications - NotificationService (only needed by send())
+   */
+  constructor(supabase, notifications = null) {
+    if (!supabase) {
+      throw new Error('Supabase client is required for ScheduleDigestService');
+    }
+    this.supabase = supabase;
+    this.notifications = notifications;
+    this.bayConfig = new BayConfigService(supabase);
+  }
+
+  /**
+   * Get today's date in the venue's time zone
+   * @param {Date} now - Reference time
+   * @returns {string} - Date in YYYY-MM-DD format
+   */
+  localDate(now = new Date()) {
+    return new Intl.DateTimeFormat('en-CA', { timeZone: DIGEST_TIME_ZONE }).format(now);
+  }
+
+  /**
+   * Get the two days a digest covers
+   * @param {string|null} date - First day (YYYY-MM-DD); defaults to today in the venue's time zone
+   * @returns {Array<string>} - [first day, next day]
+   */
+  digestDates(date = null) {
+    const firstDate = date || this.localDate();
+    const [year, month, day] = firstDate.split('-').map(Number);
+    return [firstDate, new Date(Date.UTC(year, month - 1, day + 1)).toISOString().split('T')[0]];
+  }
+
+  /**
+   * Load the confirmed bookings for the given dates
+   * @param {Array<string>} dates - Dates in YYYY-MM-DD format
+   * @returns {Promise<Array<object>>} - Booking records ordered by start time
+   */
+  async loadBookings(dates) {
+    try {
+      const { data, error } = await this.supabase
+        .from('bookings')
+        .select('id, name, date, start_time, duration, bay, number_of_people, booking_type, customer_contacted_via, is_new_customer, booking_group_id, confirmation_status')
+        .in('date', dates)
+        .eq('status', 'confirmed')
+        .order('start_time', { ascending: true });
+
+      if (error) {
+        throw error;
+      }
+
+      return data || [];
+    } catch (error) {
+      log('ERROR', 'Failed to load bookings for schedule digest', {
+        dates,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Find which bookings the email automation created
+   * Group bookings are recorded under their first booking's ID (booking_group_id).
+   * @param {Array<object>} bookings - Booking records
+   * @returns {Promise<Set<string>>} - Booking / group IDs with a booking_created email
+   */
+  async loadAutomationBookingIds(bookings) {
+    const ids = [...new Set(bookings.flatMap(booking => [booking.id, booking.booking_group_id].filter(Boolean)))];
+    if (ids.length === 0) {
+      return new Set();
+    }
+
+    try {
+      const { data, error } = await this.supabase
+        .from('processed_emails')
+        .select('booking_id')
+        .in('booking_id', ids)
+        .eq('action_taken', 'booking_created');
+
+      if (error) {
+        throw error;
+      }
+
+      return new Set((data || []).map(row => row.booking_id));
+    } catch (error) {
+      log('ERROR', 'Failed to load automation bookings for schedule digest', {
+        bookingCount: ids.length,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Work out the attention flags of a booking
+   * @param {object} booking - Booking record
+   * @param {Set<string>} automationIds - From loadAutomationBookingIds()
+   * @returns {Array<string>} - Keys of FLAG_LABELS
+   */
+  bookingFlags(booking, automationIds) {
+    const byAutomation = automationIds.has(booking.id) ||
+      Boolean(booking.booking_group_id && automationIds.has(booking.booking_group_id));
+    const flags = [];
+
+    if (byAutomation) flags.push('automation');
+    if (booking.is_new_customer) flags.push('newCustomer');
+    if (booking.booking_type === 'ClassPass' || booking.customer_contacted_via === 'ClassPass') flags.push('noPayment');
+    if (['pending', 'no_answer'].includes(booking.confirmation_status)) flags.push('unconfirmed');
+
+    return flags;
+  }
+
+  /**
+   * Build the per-bay timeline of one day
+   * @param {string} date - Date in YYYY-MM-DD format
+   * @param {Array<object>} bookings - Confirmed bookings (any dates)
+   * @param {Set<string>} automationIds - From loadAutomationBookingIds()
+   * @param {object} config - Configuration from BayConfigService.getConfig()
+   * @returns {object} - { date, window, bookingCount, flagCounts, bays: [{ bay, entries }] }
+   */
+  buildDaySchedule(date, bookings, automationIds, config) {
+    const window = this.bayConfig.getOpeningWindow(config, date);
+    const dayBookings = bookings.filter(booking => booking.date === date);
+
+    // Configured bays in physical order, then any bay only found on a booking
+    const bayNames = [...config.bays]
+      .sort((a, b) => a.layoutPosition - b.layoutPosition)
+      .map(bay => bay.name);
+    for (const booking of dayBookings) {
+      if (booking.bay && !bayNames.includes(booking.bay)) {
+        bayNames.push(booking.bay);
+      }
+    }
+
+    const flagCounts = { automation: 0, newCustomer: 0, noPayment: 0, unconfirmed: 0 };
+    const bays = bayNames.map(bay => ({
+      bay,
+      entries: dayBookings
+        .filter(booking => booking.bay === bay)
+        .map(booking => {
+          const flags = this.bookingFlags(booking, automationIds);
+          flags.forEach(flag => { flagCounts[flag]++; });
+
+          const [hours, minutes] = String(booking.start_time).split(':').map(Number);
+          const end = (hours * 60 + minutes + Math.round(Number(booking.duration) * 60)) % (24 * 60);
+          return {
+            bookingId: booking.id,
+            startTime: `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`,
+            endTime: `${String(Math.floor(end / 60)).padStart(2, '0')}:${String(end % 60).padStart(2, '0')}`,
+            customerName: booking.name,
+            numberOfPeople: booking.number_of_people,
+            channel: booking.customer_contacted_via,
+            flags
+          };
+        })
+    }));
+
+    return { date, window, bookingCount: dayBookings.length, flagCounts, bays };
+  }
+
+  /**
+   * Build the schedules for the digest days
+   * @param {Array<string>} dates - Dates in YYYY-MM-DD format
+   * @returns {Promise<Array<object>>} - Day schedules from buildDaySchedule()
+   */
+  async buildSchedules(dates) {
+    const config = await this.bayConfig.getConfig();
+    const bookings = await this.loadBookings(dates);
+    const automationIds = await this.loadAutomationBookingIds(bookings);
+    return dates.map(date => this.buildDaySchedule(date, bookings, automationIds, config));
+  }
+
+  /**
+   * Format a date as "Sat, 13 Dec"
+   * @param {string} date - Date in YYYY-MM-DD format
+   * @returns {string} - Short date label
+   */
+  formatDate(date) {
+    const [year, month, day] = date.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day))
+      .toLocaleDateString('en-GB', { weekday: 'short', day: 'numeric', month: 'short', timeZone: 'UTC' });
+  }
+
+  /**
+   * Describe a day's opening hours
+   * @param {object} window - Opening window from BayConfigService.getOpeningWindow()
+   * @returns {string} - e.g. "Open 10:00 - 23:00" or "Closed (Songkran)"
+   */
+  formatOpening(window) {
+    if (!window.open) {
+      return window.holidayReason ? `Closed (${window.holidayReason})` : 'Closed';
+    }
+    return window.openTime ? `Open ${window.openTime} - ${window.closeTime}` : 'Open all day';
+  }
+
+  /**
+   * Build the Flex bubble of one day
+   * @param {object} day - Day schedule from buildDaySchedule()
+   * @param {string} title - e.g. "Today"
+   * @returns {object} - Flex bubble
+   */
+  buildDayBubble(day, title) {
+    const text = (value, extra = {}) => ({ type: 'text', text: String(value), size: 'sm', wrap: true, ...extra });
+    const bookingWord = day.bookingCount === 1 ? 'booking' : 'bookings';
+
+    const body = [];
+    if (!day.window.open && day.bookingCount === 0) {
+      body.push(text('No bookings taken on this day.', { color: '#888888' }));
+    }
+
+    for (const { bay, entries } of day.bays) {
+      if (!day.window.open && entries.length === 0) {
+        continue;
+      }
+      if (body.length > 0) {
+        body.push({ type: 'separator', margin: 'md' });
+      }
+      body.push(text(bay, { weight: 'bold', margin: 'md' }));
+
+      if (entries.length === 0) {
+        body.push(text('Free all day', { color: '#888888', size: 'xs' }));
+        continue;
+      }
+
+      for (const entry of entries.slice(0, MAX_ROWS_PER_BAY)) {
+        const flagText = entry.flags.map(flag => FLAG_LABELS[flag]).join('  ');
+        body.push({
+          type: 'box',
+          layout: 'baseline',
+          spacing: 'sm',
+          contents: [
+            text(`${entry.startTime}-${entry.endTime}`, { size: 'xs', color: '#555555', flex: 3, wrap: false }),
+            text(`${entry.customerName} (${entry.numberOfPeople})`, { size: 'xs', flex: 5 })
+          ]
+        });
+        if (flagText) {
+          body.push(text(flagText, { size: 'xxs', color: '#C0392B', offsetStart: '80px' }));
+        }
+      }
+      if (entries.length > MAX_ROWS_PER_BAY) {
+        body.push(text(`+${entries.length - MAX_ROWS_PER_BAY} more`, { size: 'xs', color: '#888888' }));
+      }
+    }
+
+    const { automation, newCustomer, noPayment, unconfirmed } = day.flagCounts;
+    const summary = [
+      automation && `${FLAG_LABELS.automation} ${automation}`,
+      newCustomer && `${FLAG_LABELS.newCustomer} ${newCustomer}`,
+      noPayment && `${FLAG_LABELS.noPayment} ${noPayment}`,
+      unconfirmed && `${FLAG_LABELS.unconfirmed} ${unconfirmed}`
+    ].filter(Boolean).join('  ');
+
+    const bubble = {
+      type: 'bubble',
+      size: 'giga',
+      header: {
+        type: 'box',
+        layout: 'vertical',
+        contents: [
+          text(`📅 ${title} · ${this.formatDate(day.date)}`, { weight: 'bold', size: 'lg' }),
+          text(`${this.formatOpening(day.window)} · ${day.bookingCount} ${bookingWord}`, { color: '#555555' })
+        ]
+      },
+      body: {
+        type: 'box',
+        layout: 'vertical',
+        spacing: 'xs',
+        contents: body
+      }
+    };
+
+    if (summary) {
+      bubble.footer = {
+        type: 'box',
+        layout: 'vertical',
+        contents: [text(summary, { size: 'xs', color: '#C0392B' })]
+      };
+    }
+
+    return bubble;
+  }
+
+  /**
+   * Build the digest Flex message
+   * @param {Array<object>} days - Day schedules; the first is labelled "Today", the second "Tomorrow"
+   * @returns {object} - LINE Flex message (carousel, one bubble per day)
+   */
+  buildFlexMessage(days) {
+    const titles = ['Today', 'Tomorrow'];
+    const bubbles = days.map((day, index) => this.buildDayBubble(day, titles[index] || day.date));
+
+    const altText = 'Bay schedule: ' + days.map((day, index) => {
+      const label = `${titles[index] || day.date} (${this.formatDate(day.date)})`;
+      return day.window.open ? `${label} ${day.bookingCount} bookings` : `${label} closed`;
+    }).join(', ');
+
+    return flexMessage(altText, {
+      type: 'carousel',
+      contents: bubbles
+    });
+  }
+
+  /**
+   * Build and send the digest for today and tomorrow
+   * The 'schedule_digest' event goes to the SCHEDULE_DIGEST LINE group by default;
+   * text-format channels get the altText summary.
+   * @param {string} date - First day (YYYY-MM-DD); defaults to today in Asia/Bangkok
+   * @returns {Promise<object>} - { dates, bookingCount }
+   */
+  async send(date = null) {
+    if (!this.notifications) {
+      throw new Error('Notification service is required to send the schedule digest');
+    }
+
+    const dates = this.digestDates(date);
+
+    try {
+      const days = await this.buildSchedules(dates);
+      const message = this.buildFlexMessage(days);
+      await this.notifications.notify('schedule_digest', {
+        text: message.altText,
+        lineMessages: [message],
+        dates
+      }, { source: 'schedule_digest', lineGroup: DIGEST_LINE_TARGET });
+
+      const bookingCount = days.reduce((sum, schedule) => sum + schedule.bookingCount, 0);
+      log('INFO', 'Schedule digest sent', { dates, bookingCount });
+      return { dates, bookingCount };
+    } catch (error) {
+      log('ERROR', 'Failed to send schedule digest', {
+        dates,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+}
+
+/**
+ * Create the schedule digest for the LINE_GROUP_ID_SCHEDULE_DIGEST group
+ * (falls back to LINE_GROUP_ID)
+ * @param {object} supabase - Supabase client
+ * @returns {ScheduleDigestService} - Digest ready to send()
+ */
+function createScheduleDigest(supabase) {
+  return new ScheduleDigestService(supabase, createNotificationService());
+}
+
+module.exports = { ScheduleDigestService, createScheduleDigest };
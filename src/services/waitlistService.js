@@ -0,0 +1,359 @@
+const { log } = require('../utils/logging');
+const { BookingService } = require('./bookingService');
+
+/**
+ * WaitlistService - Keeps booking requests that found no free bay
+ *
+ * When an email booking request cannot be placed, it is stored in
+ * booking_waitlist instead of being dropped. Entries are re-checked when a
+ * booking on the same date is cancelled (and on every processing cycle) and
+ * converted into a booking by the source's processor once a bay frees up.
+ * "Today" is the venue's date (see BookingService.venueNow).
+ */
+class WaitlistService {
+  constructor(supabase, bookingService = null) {
+    if (!supabase) {
+      throw new Error('Supabase client is required for WaitlistService');
+    }
+    this.supabase = supabase;
+    this.bookingService = bookingService || new BookingService(supabase);
+  }
+
+  /**
+   * Convert "HH:mm" to minutes since midnight
+   * @param {string} time - Time in HH:mm format
+   * @returns {number} - Minutes since midnight
+   */
+  toMinutes(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+  }
+
+  /**
+   * Check whether a waitlist entry overlaps a time window
+   * @param {object} entry - booking_waitlist record
+   * @param {string} date - Date in YYYY-MM-DD format
+   * @param {string} startTime - Window start in HH:mm format
+   * @param {number} duration - Window length in hours
+   * @returns {boolean} - True if the entry's requested time overlaps the window
+   */
+  overlapsSlot(entry, date, startTime, duration) {
+    if (entry.date !== date) return false;
+
+    const entryStart = this.toMinutes(entry.start_time);
+    const entryEnd = entryStart + Number(entry.duration) * 60;
+    const slotStart = this.toMinutes(startTime);
+    const slotEnd = slotStart + Number(duration) * 60;
+
+    return entryStart < slotEnd && slotStart < entryEnd;
+  }
+
+  /**
+   * Add a booking request to the waitlist
+   * @param {object} entryData - Request information
+   * @returns {Promise<object>} - Waitlist record (existing record if the email is already waitlisted)
+   */
+  async addEntry(entryData) {
+    try {
+      const {
+        sourceType,
+        gmailMessageId,
+        customerId = null,
+        customerName,
+        customerPhone = null,
+        customerEmail = null,
+        isNewCustomer = false,
+        date,
+        startTime,
+        duration,
+        numberOfPeople,
+        reservationKey = null
+      } = entryData;
+
+      if (!sourceType || !gmailMessageId || !customerName || !date || !startTime || !duration || !numberOfPeople) {
+        throw new Error('Missing required waitlist fields');
+      }
+
+      const request = {
+        source_type: sourceType,
+        gmail_message_id: gmailMessageId,
+        customer_id: customerId,
+        customer_name: customerName,
+        customer_phone: customerPhone,
+        customer_email: customerEmail,
+        is_new_customer: Boolean(isNewCustomer),
+        date,
+        start_time: startTime,
+        duration,
+        number_of_people: numberOfPeople,
+        reservation_key: reservationKey
+      };
+
+      const { data, error } = await this.supabase
+        .from('booking_waitlist')
+        .insert(request)
+        .select()
+        .single();
+
+      if (error) {
+        if (error.code === '23505') {
+          return this.replaceEntry(request);
+        }
+        throw error;
+      }
+
+      log('INFO', 'Booking request added to waitlist', {
+        waitlistId: data.id,
+        sourceType,
+        customerName,
+        date,
+        startTime
+      });
+
+      return data;
+    } catch (error) {
+      log('ERROR', 'Failed to add booking request to waitlist', {
+        gmailMessageId: entryData.gmailMessageId,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Put an email that is already on the waitlist back on it with a new request
+   * A reprocessed email withdraws its entry first; its cancelled (or expired)
+   * entry is reused because the waitlist keeps one entry per email. An entry
+   * still waiting or already converted is returned unchanged.
+   * @param {object} request - booking_waitlist fields of the new request
+   * @returns {Promise<object>} - Waitlist record
+   */
+  async replaceEntry(request) {
+    const { data, error } = await this.supabase
+      .from('booking_waitlist')
+      .update({
+        ...request,
+        status: 'waiting',
+        updated_at: new Date().toISOString()
+      })
+      .eq('gmail_message_id', request.gmail_message_id)
+      .in('status', ['cancelled', 'expired'])
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      throw error;
+    }
+
+    if (data) {
+      log('INFO', 'Waitlist entry replaced with reprocessed request', {
+        waitlistId: data.id,
+        gmailMessageId: request.gmail_message_id,
+        date: request.date,
+        startTime: request.start_time
+      });
+      return data;
+    }
+
+    log('WARN', 'Email already on the waitlist (duplicate)', { gmailMessageId: request.gmail_message_id });
+
+    const { data: existingData, error: existingError } = await this.supabase
+      .from('booking_waitlist')
+      .select('*')
+      .eq('gmail_message_id', request.gmail_message_id)
+      .single();
+
+    if (existingError) {
+      throw existingError;
+    }
+
+    return existingData;
+  }
+
+  /**
+   * Withdraw the waiting entry of an email that is being reprocessed, so a later
+   * cancellation does not book the old request next to the new outcome
+   * @param {string} gmailMessageId - Gmail message ID
+   * @returns {Promise<object|null>} - Cancelled record, or null if the email was not waiting
+   */
+  async withdrawForEmail(gmailMessageId) {
+    try {
+      const { data, error } = await this.supabase
+        .from('booking_waitlist')
+        .update({ status: 'cancelled', updated_at: new Date().toISOString() })
+        .eq('gmail_message_id', gmailMessageId)
+        .eq('status', 'waiting')
+        .select()
+        .maybeSingle();
+
+      if (error) {
+        throw error;
+      }
+
+      if (data) {
+        log('INFO', 'Waitlist entry withdrawn for reprocessed email', { waitlistId: data.id, gmailMessageId });
+      }
+      return data;
+    } catch (error) {
+      log('ERROR', 'Failed to withdraw waitlist entry', {
+        gmailMessageId,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Get waiting entries for a source, oldest first
+   * @param {string} sourceType - Booking source type
+   * @param {string|null} date - Optional date filter (YYYY-MM-DD); otherwise today onwards
+   * @returns {Promise<Array>} - Waiting booking_waitlist records
+   */
+  async getWaiting(sourceType, date = null) {
+    try {
+      let query = this.supabase
+        .from('booking_waitlist')
+        .select('*')
+        .eq('status', 'waiting')
+        .eq('source_type', sourceType)
+        .order('created_at', { ascending: true });
+
+      query = date
+        ? query.eq('date', date)
+        : query.gte('date', this.bookingService.venueNow().date);
+
+      const { data, error } = await query;
+
+      if (error) {
+        throw error;
+      }
+
+      return data || [];
+    } catch (error) {
+      log('ERROR', 'Failed to fetch waitlist', {
+        sourceType,
+        date,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Find the waiting entry a cancellation email refers to
+   * Tries the external reservation key first, then customer details and time.
+   * @param {string} sourceType - Booking source type
+   * @param {object} details - Extracted cancellation details (startTime in HH:mm)
+   * @returns {Promise<object|null>} - Waiting booking_waitlist record or null
+   */
+  async findEntryForCancellation(sourceType, details) {
+    try {
+      const entries = await this.getWaiting(sourceType, details.date);
+
+      if (details.reservationKey) {
+        const byKey = entries.find(entry => entry.reservation_key === details.reservationKey);
+        if (byKey) return byKey;
+      }
+
+      return entries.find(entry => {
+        if (entry.start_time !== details.startTime) return false;
+
+        const phoneMatch = details.customerPhone && entry.customer_phone &&
+          entry.customer_phone.includes(details.customerPhone);
+        const emailMatch = details.customerEmail && entry.customer_email &&
+          entry.customer_email.toLowerCase() === details.customerEmail.toLowerCase();
+        const nameMatch = details.customerName && entry.customer_name &&
+          entry.customer_name.toLowerCase() === details.customerName.toLowerCase();
+
+        return phoneMatch || emailMatch || nameMatch;
+      }) || null;
+    } catch (error) {
+      log('ERROR', 'Failed to find waitlist entry for cancellation', {
+        sourceType,
+        reservationKey: details.reservationKey,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Update a waiting entry's status
+   * Only entries still 'waiting' are updated, so an entry is never converted twice.
+   * @param {string} id - Waitlist entry ID
+   * @param {string} status - 'converted', 'cancelled' or 'expired'
+   * @param {string|null} bookingId - Booking created from the entry
+   * @returns {Promise<object|null>} - Updated record, or null if it was no longer waiting
+   */
+  async updateStatus(id, status, bookingId = null) {
+    try {
+      const updates = {
+        status,
+        updated_at: new Date().toISOString()
+      };
+      if (status === 'converted') {
+        updates.booking_id = bookingId;
+        updates.converted_at = updates.updated_at;
+      }
+
+      const { data, error } = await this.supabase
+        .from('booking_waitlist')
+        .update(updates)
+        .eq('id', id)
+        .eq('status', 'waiting')
+        .select()
+        .maybeSingle();
+
+      if (error) {
+        throw error;
+      }
+
+      log('INFO', 'Waitlist entry updated', { waitlistId: id, status, bookingId });
+      return data;
+    } catch (error) {
+      log('ERROR', 'Failed to update waitlist entry', {
+        waitlistId: id,
+        status,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Expire waiting entries that have already started
+   * Entries for an earlier date, and entries for today whose start time has passed.
+   * @returns {Promise<number>} - Number of expired entries
+   */
+  async expirePast() {
+    try {
+      const { date: today, minutes } = this.bookingService.venueNow();
+      // start_time is zero-padded HH:mm, so it compares as text
+      const now = this.bookingService.fromMinutes(minutes);
+
+      const { data, error } = await this.supabase
+        .from('booking_waitlist')
+        .update({ status: 'expired', updated_at: new Date().toISOString() })
+        .eq('status', 'waiting')
+        .or(`date.lt.${today},and(date.eq.${today},start_time.lt.${now})`)
+        .select('id');
+
+      if (error) {
+        throw error;
+      }
+
+      if (data && data.length > 0) {
+        log('INFO', 'Expired past waitlist entries', { count: data.length });
+      }
+
+      return data ? data.length : 0;
+    } catch (error) {
+      log('ERROR', 'Failed to expire waitlist entries', {
+        error: error.message
+      });
+      throw error;
+    }
+  }
+}
+
+module.exports = { WaitlistService };
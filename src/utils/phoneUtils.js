@@ -0,0 +1,162 @@
+/**
+ * Phone number parsing for customer matching
+ *
+ * Numbers are parsed to E.164 (+<country code><national number>). Input without
+ * a "+" or "00" prefix is read as a Thai number when it looks like one (trunk
+ * "0", a bare "66" prefix, or 8-9 digits); longer digit strings are read as
+ * international when they start with a known country code. Anything else is
+ * left unparsed.
+ */
+
+const THAI_COUNTRY_CODE = '66';
+
+// Country calling codes of the customers we see (tourists, expats); codes not
+// listed still parse from "+" input, without a country
+const COUNTRY_CODES = {
+  '1': 'US',
+  '7': 'RU',
+  '20': 'EG',
+  '27': 'ZA',
+  '30': 'GR',
+  '31': 'NL',
+  '32': 'BE',
+  '33': 'FR',
+  '34': 'ES',
+  '36': 'HU',
+  '39': 'IT',
+  '40': 'RO',
+  '41': 'CH',
+  '43': 'AT',
+  '44': 'GB',
+  '45': 'DK',
+  '46': 'SE',
+  '47': 'NO',
+  '48': 'PL',
+  '49': 'DE',
+  '52': 'MX',
+  '55': 'BR',
+  '60': 'MY',
+  '61': 'AU',
+  '62': 'ID',
+  '63': 'PH',
+  '64': 'NZ',
+  '65': 'SG',
+  '66': 'TH',
+  '81': 'JP',
+  '82': 'KR',
+  '84': 'VN',
+  '86': 'CN',
+  '90': 'TR',
+  '91': 'IN',
+  '95': 'MM',
+  '351': 'PT',
+  '353': 'IE',
+  '358': 'FI',
+  '420': 'CZ',
+  '852': 'HK',
+  '853': 'MO',
+  '855': 'KH',
+  '856': 'LA',
+  '880': 'BD',
+  '886': 'TW',
+  '960': 'MV',
+  '961': 'LB',
+  '965': 'KW',
+  '966': 'SA',
+  '971': 'AE',
+  '972': 'IL',
+  '973': 'BH',
+  '974': 'QA',
+  '977': 'NP'
+};
+
+// Countries whose national numbers keep their leading 0 after the country code
+const KEEPS_LEADING_ZERO = ['39'];
+
+/**
+ * Find the country calling code a digit string starts with
+ * @param {string} digits - Digits after the international prefix
+ * @returns {string|null} - Calling code (1-3 digits) or null
+ */
+function findCountryCode(digits) {
+  for (const length of [3, 2, 1]) {
+    const code = digits.substring(0, length);
+    if (COUNTRY_CODES[code]) {
+      return code;
+    }
+  }
+  return null;
+}
+
+/**
+ * Build the parse result
+ * @param {string} countryCode - Calling code
+ * @param {string} nationalNumber - National significant number
+ * @returns {object|null} - Parsed phone, or null if the length is not plausible
+ */
+function buildPhone(countryCode, nationalNumber) {
+  const national = KEEPS_LEADING_ZERO.includes(countryCode) ? nationalNumber : nationalNumber.replace(/^0+/, '');
+  const length = countryCode.length + national.length;
+
+  if (countryCode === THAI_COUNTRY_CODE ? !/^\d{8,9}$/.test(national) : length < 8 || length > 15) {
+    return null;
+  }
+
+  return {
+    e164: `+${countryCode}${national}`,
+    countryCode,
+    country: COUNTRY_CODES[countryCode] || null,
+    nationalNumber: national,
+    isThai: countryCode === THAI_COUNTRY_CODE
+  };
+}
+
+/**
+ * Parse a phone number to E.164
+ * @param {string} phoneInput - Phone number in any format ("+44 7700 900123", "081-234-5678", ...)
+ * @returns {object|null} - { e164, countryCode, country, nationalNumber, isThai } or null if unparseable
+ */
+function parsePhone(phoneInput) {
+  if (!phoneInput) return null;
+
+  const raw = String(phoneInput).trim();
+  let digits = raw.replace(/[^0-9]/g, '');
+  if (!digits) return null;
+
+  let international = raw.startsWith('+');
+  if (!international && digits.startsWith('00')) {
+    digits = digits.substring(2);
+    international = true;
+  }
+
+  if (international) {
+    const countryCode = findCountryCode(digits);
+    if (!countryCode) {
+      // Unlisted country: keep the number as written
+      return digits.length >= 8 && digits.length <= 15
+        ? { e164: `+${digits}`, countryCode: null, country: null, nationalNumber: null, isThai: false }
+        : null;
+    }
+    return buildPhone(countryCode, digits.substring(countryCode.length));
+  }
+
+  // Thai national format (trunk 0), or Thai with the country code but no "+"
+  if (digits.startsWith('0')) {
+    return buildPhone(THAI_COUNTRY_CODE, digits.substring(1));
+  }
+  if (digits.startsWith(THAI_COUNTRY_CODE) && (digits.length === 10 || digits.length === 11)) {
+    return buildPhone(THAI_COUNTRY_CODE, digits.substring(2));
+  }
+  if (digits.length === 8 || digits.length === 9) {
+    return buildPhone(THAI_COUNTRY_CODE, digits);
+  }
+
+  // International number written without "+"
+  const countryCode = findCountryCode(digits);
+  return countryCode && digits.length >= 10 ? buildPhone(countryCode, digits.substring(countryCode.length)) : null;
+}
+
+module.exports = {
+  parsePhone,
+  THAI_COUNTRY_CODE
+};
@@ -1,15 +1,31 @@
 // LINE Messaging API notifications, ported from src/services/lineNotificationService.js
-// and src/utils/lineMessaging.js. Message formats are preserved verbatim, except the
-// no-slots message now appends the customer email when present (ClassPass sends no phone).
-// Deviation from the Node version: no separate /info token-validation call before
-// each push — the push itself surfaces auth errors, and one fewer network call
-// per notification keeps cycles short.
+// (plain-text format). Message formats are preserved verbatim, except the no-slots
+// message now appends the customer email when present (ClassPass sends no phone).
+// Pushes follow the Node delivery policy (src/notifications/policy.js): text is cut
+// to LINE's limit, and 429, 5xx and network errors are retried in-call with
+// exponential delay. Routing to other channels (email, webhook, multicast) and the
+// outbox are Node-only; this function pushes straight to the source's group.
 
-import { calculateEndTime24, fetchWithTimeout, formatDisplayDate, log } from './utils.ts';
+import type { CustomerInsights, OpeningHoursCheck } from './services.ts';
+import { calculateEndTime24, fetchWithTimeout, formatDisplayDate, isTransientError, log } from './utils.ts';
 
 const LINE_PUSH_URL = 'https://api.line.me/v2/bot/message/push';
 const LINE_TIMEOUT_MS = 30_000;
 const LINE_MAX_LENGTH = 5000;
+const LINE_PUSH_ATTEMPTS = 3;
+const LINE_RETRY_DELAY_MS = 1000;
+
+class LinePushError extends Error {
+  constructor(public status: number, body: string) {
+    super(`LINE push failed (${status}): ${body.slice(0, 300)}`);
+  }
+}
+
+// Same rule as isRetryable() in src/notifications/policy.js
+function isRetryablePush(error: unknown): boolean {
+  if (error instanceof LinePushError) return error.status === 429 || error.status >= 500;
+  return isTransientError(error);
+}
 
 export interface BookingNotification {
   bookingId?: string;
@@ -23,9 +39,93 @@ export interface BookingNotification {
   numberOfPeople: number;
   channel: string;
   isNewCustomer?: boolean;
+  customerInsights?: CustomerInsights | null;
   notes?: string;
   cancelledBy?: string;
   cancellationReason?: string;
+  hours?: OpeningHoursCheck;
+  requestConfirmation?: boolean;
+}
+
+// Postback buttons handled by the Node app's /line/webhook
+// (same data format as src/services/bookingConfirmationService.js)
+function confirmationButtons(bookingId: string): Record<string, unknown> {
+  const text = `Customer confirmation for ${bookingId}`;
+  const action = (label: string, response: string, displayText: string) => ({
+    type: 'postback',
+    label,
+    data: new URLSearchParams({ action: 'booking_confirmation', bookingId, response }).toString(),
+    displayText,
+  });
+  return {
+    type: 'template',
+    altText: text,
+    template: {
+      type: 'buttons',
+      text,
+      actions: [
+        action('Confirmed', 'confirmed', `${bookingId}: customer confirmed`),
+        action('No answer', 'no_answer', `${bookingId}: no answer`),
+        action('Cancel', 'cancel', `${bookingId}: cancel booking`),
+      ],
+    },
+  };
+}
+
+export interface MatchCandidate {
+  customerId: string;
+  customerCode: string | null;
+  customerName: string;
+  similarity: number | null;
+}
+
+export interface CustomerMatchReviewNotification extends BookingNotification {
+  reviewId: string;
+  reason: string;
+  candidates: MatchCandidate[];
+  provisionalCustomerId: string;
+}
+
+export interface CustomerSummary {
+  customerCode: string | null;
+  customerName: string;
+  phone: string | null;
+  email: string | null;
+}
+
+function formatMatchCandidate(c: MatchCandidate): string {
+  const name = [c.customerCode, c.customerName].filter(Boolean).join(' ');
+  return typeof c.similarity === 'number' ? `${name}, ${Math.round(c.similarity * 100)}% similar` : name;
+}
+
+// Candidate / "New customer" buttons (same data format as
+// src/services/customerMatchReviewService.js): up to 3 candidates, 20-char labels
+function customerMatchReviewButtons(r: CustomerMatchReviewNotification): Record<string, unknown> {
+  const text = `Which customer made booking ${r.bookingId}?`;
+  const postback = (label: string, fields: Record<string, string>, displayText: string) => ({
+    type: 'postback',
+    label: label.length > 20 ? label.substring(0, 17) + '...' : label,
+    data: new URLSearchParams({ action: 'customer_match_review', reviewId: r.reviewId, ...fields }).toString(),
+    displayText,
+  });
+  return {
+    type: 'template',
+    altText: text,
+    template: {
+      type: 'buttons',
+      text,
+      actions: [
+        ...r.candidates.slice(0, 3).map((c) =>
+          postback(
+            [c.customerCode, c.customerName].filter(Boolean).join(' '),
+            { decision: 'confirm', customerId: c.customerId },
+            `${r.bookingId}: customer is ${c.customerName}`,
+          )
+        ),
+        postback('New customer', { decision: 'split' }, `${r.bookingId}: new customer`),
+      ],
+    },
+  };
 }
 
 export class LineNotifier {
@@ -39,7 +139,7 @@ export class LineNotifier {
     }
   }
 
-  private async push(message: string): Promise<void> {
+  private async push(message: string, extraMessages: Record<string, unknown>[] = []): Promise<void> {
     let text = message;
     if (text.length > LINE_MAX_LENGTH) {
       log('WARN', 'Message exceeds LINE character limit, truncating', {
@@ -49,23 +149,47 @@ export class LineNotifier {
       text = text.substring(0, LINE_MAX_LENGTH - 3) + '...';
     }
 
-    const res = await fetchWithTimeout(LINE_PUSH_URL, {
-      method: 'POST',
-      headers: {
-        Authorization: `Bearer ${this.channelAccessToken}`,
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
-        to: this.groupId,
-        messages: [{ type: 'text', text }],
-      }),
-    }, LINE_TIMEOUT_MS);
-
-    if (!res.ok) {
-      const body = await res.text();
-      throw new Error(`LINE push failed (${res.status}): ${body.slice(0, 300)}`);
+    const body = JSON.stringify({
+      to: this.groupId,
+      messages: [{ type: 'text', text }, ...extraMessages],
+    });
+
+    // Same key on every attempt: LINE answers 409 instead of sending an accepted push twice
+    const retryKey = crypto.randomUUID();
+    for (let attempt = 1; ; attempt++) {
+      try {
+        const res = await fetchWithTimeout(LINE_PUSH_URL, {
+          method: 'POST',
+          headers: {
+            Authorization: `Bearer ${this.channelAccessToken}`,
+            'Content-Type': 'application/json',
+            'X-Line-Retry-Key': retryKey,
+          },
+          body,
+        }, LINE_TIMEOUT_MS);
+
+        if (res.status === 409) {
+          log('INFO', 'LINE message already accepted (retry key)', { serviceType: this.serviceType });
+          return;
+        }
+        if (!res.ok) {
+          throw new LinePushError(res.status, await res.text());
+        }
+        log('INFO', 'LINE message sent', { serviceType: this.serviceType });
+        return;
+      } catch (error) {
+        if (attempt >= LINE_PUSH_ATTEMPTS || !isRetryablePush(error)) throw error;
+
+        const waitMs = LINE_RETRY_DELAY_MS * 2 ** (attempt - 1);
+        log('WARN', 'Retrying LINE push', {
+          serviceType: this.serviceType,
+          attempt,
+          waitMs,
+          error: error instanceof Error ? error.message : String(error),
+        });
+        await new Promise((resolve) => setTimeout(resolve, waitMs));
+      }
     }
-    log('INFO', 'LINE message sent', { serviceType: this.serviceType });
   }
 
   async sendBookingCreated(b: BookingNotification): Promise<void> {
@@ -86,9 +210,71 @@ export class LineNotifier {
     message += `Type: Normal Bay Rate\n`;
     message += `People: ${b.numberOfPeople}\n`;
     message += `Channel: ${b.channel}`;
+    const insights = b.isNewCustomer ? null : b.customerInsights;
+    if (insights) {
+      const lastVisit = insights.lastVisitDate
+        ? ` (last ${formatDisplayDate(insights.lastVisitDate)} ${insights.lastVisitDate.slice(0, 4)})`
+        : '';
+      message += `\n\nCustomer History:\nVisits: ${insights.visitCount}${lastVisit}\n`;
+      message += `Cancellations: ${insights.cancellationCount}${insights.unconfirmedCancellationCount > 0 ? ` (${insights.unconfirmedCancellationCount} unconfirmed)` : ''}`;
+      if (insights.preferredBay) {
+        message += `\nPreferred bay: ${insights.preferredBay}`;
+      }
+      if (insights.channelMix.length > 0) {
+        message += `\nChannels: ${insights.channelMix.map((c) => `${c.channel} ${c.count}`).join(', ')}`;
+      }
+    }
     if (b.notes) {
       message += `\n\nNote: ${b.notes}`;
     }
+    await this.push(message, b.requestConfirmation && b.bookingId ? [confirmationButtons(b.bookingId)] : []);
+  }
+
+  async sendCustomerMatchReview(r: CustomerMatchReviewNotification): Promise<void> {
+    const startTime = r.startTime.slice(0, 5);
+    const endTime = calculateEndTime24(startTime, r.duration);
+    const linked = r.candidates.find((c) => c.customerId === r.provisionalCustomerId) || r.candidates[0];
+    const others = r.candidates.filter((c) => c !== linked);
+
+    let message = `🔍 CHECK CUSTOMER MATCH (ID: ${r.bookingId}) 🔍\n`;
+    message += r.reason === 'ambiguous_name'
+      ? `This ${r.channel} booking matches several customers by name.\n`
+      : `This ${r.channel} booking was matched to a customer by name only.\n`;
+    message += `----------------------------------\n`;
+    message += `👤 Booking name: ${r.customerName}\n`;
+    if (r.customerPhone) {
+      message += `📞 Phone: ${r.customerPhone}\n`;
+    }
+    if (r.customerEmail) {
+      message += `✉️ Email: ${r.customerEmail}\n`;
+    }
+    message += `🗓️ Date: ${formatDisplayDate(r.date)} ${startTime} - ${endTime}${r.bay ? ` (${r.bay})` : ''}\n`;
+    message += `----------------------------------\n`;
+    message += `🔗 Linked to: ${formatMatchCandidate(linked)}\n`;
+    if (others.length > 0) {
+      message += `Other similar customers:\n${others.map((c) => `- ${formatMatchCandidate(c)}`).join('\n')}\n`;
+    }
+    message += `\nPlease confirm the right customer, or choose "New customer" if none of them made this booking.`;
+    await this.push(message, [customerMatchReviewButtons(r)]);
+  }
+
+  async sendCustomerMergeProposal(p: {
+    proposalId: string;
+    channel: string;
+    customerName: string;
+    primary: CustomerSummary;
+    duplicate: CustomerSummary;
+  }): Promise<void> {
+    const describe = (c: CustomerSummary) => [c.customerCode, c.customerName].filter(Boolean).join(' ') +
+      ` (${[c.phone, c.email].filter(Boolean).join(', ') || 'no contact details'})`;
+    const message = `👥 POSSIBLE DUPLICATE CUSTOMER\n\n` +
+      `A ${p.channel} booking for ${p.customerName} matched two customers:\n` +
+      `📞 By phone: ${describe(p.primary)}\n` +
+      `✉️ By email: ${describe(p.duplicate)}\n\n` +
+      `The booking was linked to ${p.primary.customerCode || p.primary.customerName} (phone match). ` +
+      `If they are the same person, merge the second customer into the first with the admin API; ` +
+      `otherwise reject the proposal.\n\n` +
+      `Proposal ID: ${p.proposalId}`;
     await this.push(message);
   }
 
@@ -132,4 +318,33 @@ export class LineNotifier {
       `⚠️ NO SLOTS AVAILABLE - Manual handling required.`;
     await this.push(message);
   }
+
+  async sendOutsideOpeningHours(b: BookingNotification): Promise<void> {
+    const formattedDate = formatDisplayDate(b.date);
+    const startTime = b.startTime.slice(0, 5);
+    const endTime = calculateEndTime24(startTime, b.duration);
+    const hours = b.hours!;
+
+    let closedReason: string;
+    if (hours.reason === 'holiday') {
+      closedReason = `Closed on ${formattedDate}${hours.holidayReason ? ` (${hours.holidayReason})` : ''}.`;
+    } else if (hours.reason === 'closed_day') {
+      closedReason = `Closed on ${hours.weekday}s.`;
+    } else {
+      closedReason = `Open ${hours.openTime} - ${hours.closeTime} on ${hours.weekday}s.`;
+    }
+
+    const contact = b.customerEmail
+      ? `${b.customerPhone}, ${b.customerEmail}`
+      : b.customerPhone;
+    const message = `[New ${b.channel} Booking] ` +
+      `Customer ${b.customerName} ` +
+      `(${contact}), ` +
+      `${b.numberOfPeople} PAX on ` +
+      `${formattedDate} from ` +
+      `${startTime} - ${endTime}. ` +
+      `Please call back customer to offer a time within opening hours.\n\n` +
+      `⛔ OUTSIDE OPENING HOURS - ${closedReason}`;
+    await this.push(message);
+  }
 }
@@ -12,7 +12,17 @@
 import type { SupabaseClient } from 'npm:@supabase/supabase-js@2';
 import { GmailClient, GmailMessage } from './gmail.ts';
 import { LineNotifier } from './notify.ts';
-import { BookingService, CustomerService, EmailTrackingService, SourceType } from './services.ts';
+import {
+  BayConflictError,
+  BookingService,
+  claimBookingNotification,
+  CustomerMatch,
+  CustomerService,
+  EmailTrackingService,
+  recordCustomerMatchReview,
+  Row,
+  SourceType,
+} from './services.ts';
 import { extractPlainText, isTransientError, log, parseMonthNameDate, parseTimeToStandard } from './utils.ts';
 
 const MAX_THREADS_PER_SOURCE = 20;
@@ -23,6 +33,7 @@ export interface CycleStats {
   bookingsCreated: number;
   bookingsCancelled: number;
   noSlots: number;
+  outsideHours: number;
   errors: number;
   skippedAlreadyProcessed: number;
   extractionFailures: number;
@@ -31,7 +42,7 @@ export interface CycleStats {
 function newStats(): CycleStats {
   return {
     threadsSeen: 0, processed: 0, bookingsCreated: 0, bookingsCancelled: 0,
-    noSlots: 0, errors: 0, skippedAlreadyProcessed: 0, extractionFailures: 0,
+    noSlots: 0, outsideHours: 0, errors: 0, skippedAlreadyProcessed: 0, extractionFailures: 0,
   };
 }
 
@@ -54,7 +65,7 @@ abstract class BaseProcessor {
 
   constructor(
     protected gmail: GmailClient,
-    supabase: SupabaseClient,
+    protected supabase: SupabaseClient,
     protected line: LineNotifier,
     protected sourceLabel: string,
     protected completedLabel: string,
@@ -72,6 +83,8 @@ abstract class BaseProcessor {
   protected abstract bookingNotes(): string;
   protected abstract lineNotes(): string;
   protected abstract reservationKeySupported(): boolean;
+  // Bookings need a customer confirmation call (confirmation_status + LINE buttons)
+  protected requiresConfirmation(): boolean { return false; }
 
   async processEmails(): Promise<CycleStats> {
     const stats = newStats();
@@ -154,21 +167,84 @@ abstract class BaseProcessor {
     emailMetadata: { subject: string; date: string },
     stats: CycleStats,
   ): Promise<void> {
+    let booking: Row | null = null;
     try {
       log('INFO', `Processing ${this.sourceType} booking confirmation`, {
         date: details.date,
         startTime: details.startTime,
       });
 
-      const { customer, isNew } = await this.customerService.getOrCreateCustomer({
+      // An earlier attempt may have failed after booking the email: finish that booking
+      booking = await this.bookingService.findBookingForEmail(gmailMessageId);
+      if (booking) {
+        log('INFO', `${this.sourceType} email already booked, completing it`, { bookingId: booking.id, gmailMessageId });
+        await this.completeBookingCreated(gmailMessageId, booking, Boolean(booking.is_new_customer), null, details, emailMetadata);
+        stats.bookingsCreated++;
+        return;
+      }
+
+      const customerInput = {
         name: details.customerName,
         phone: details.customerPhone,
         email: details.customerEmail,
-      }, this.allowFuzzyNameMatching());
+      };
+      const customerMatch = await this.customerService.getOrCreateCustomer(customerInput, this.allowFuzzyNameMatching(), {
+        sourceType: this.sourceType,
+        gmailMessageId,
+      });
+      const { customer, isNew } = customerMatch;
+
+      if (customerMatch.mergeProposal) {
+        const summary = (c: Row) => ({
+          customerCode: c.customer_code || null,
+          customerName: c.customer_name,
+          phone: c.contact_number || null,
+          email: c.email || null,
+        });
+        // Best effort: the proposal stays listed in the admin API if the message fails
+        try {
+          await this.line.sendCustomerMergeProposal({
+            proposalId: customerMatch.mergeProposal.id,
+            channel: this.channel,
+            customerName: details.customerName,
+            primary: summary(customer),
+            duplicate: summary(customerMatch.mergeProposal.duplicateCustomer),
+          });
+        } catch (error) {
+          log('ERROR', 'Failed to send customer merge proposal', {
+            proposalId: customerMatch.mergeProposal.id,
+            error: error instanceof Error ? error.message : String(error),
+          });
+        }
+      }
 
       const isNewCustomer = isNew || !(await this.bookingService.hasBookingHistory(customer.id));
 
       const startTime24h = parseTimeToStandard(details.startTime);
+
+      const hours = await this.bookingService.checkOpeningHours(details.date, startTime24h, details.duration);
+      if (!hours.open) {
+        log('WARN', `${this.sourceType} request is outside opening hours`, {
+          date: details.date,
+          startTime: startTime24h,
+          reason: hours.reason,
+        });
+        await this.line.sendOutsideOpeningHours({
+          customerName: details.customerName,
+          customerPhone: details.customerPhone || 'N/A',
+          customerEmail: details.customerEmail,
+          date: details.date,
+          startTime: startTime24h,
+          duration: details.duration,
+          numberOfPeople: details.numberOfPeople,
+          channel: this.channel,
+          hours,
+        });
+        await this.emailTracking.markProcessed(gmailMessageId, this.sourceType, 'outside_hours', null, null, emailMetadata);
+        stats.outsideHours++;
+        return;
+      }
+
       const { available, bay } = await this.bookingService.checkAvailability(
         details.date, startTime24h, details.duration, details.numberOfPeople,
       );
@@ -178,37 +254,58 @@ abstract class BaseProcessor {
           date: details.date,
           startTime: startTime24h,
         });
-        await this.line.sendNoSlotsAvailable({
-          customerName: details.customerName,
-          customerPhone: details.customerPhone || 'N/A',
-          customerEmail: details.customerEmail,
+        await this.reportNoSlots(gmailMessageId, details, startTime24h, emailMetadata, stats);
+        return;
+      }
+
+      try {
+        booking = await this.bookingService.createBooking({
+          customerId: customer.id,
+          customerName: customer.customer_name,
+          customerPhone: customer.contact_number,
+          customerEmail: customer.email,
           date: details.date,
           startTime: startTime24h,
           duration: details.duration,
           numberOfPeople: details.numberOfPeople,
-          channel: this.channel,
+          bay,
+          customerContactedVia: this.channel,
+          reservationKey: this.reservationKeySupported() ? details.reservationKey : null,
+          customerNotes: this.bookingNotes(),
+          isNewCustomer,
+          confirmationStatus: this.requiresConfirmation() ? 'pending' : null,
+          gmailMessageId,
+        });
+      } catch (createError) {
+        if (!(createError instanceof BayConflictError)) throw createError;
+        log('WARN', `Bay taken by a concurrent booking for ${this.sourceType} request`, {
+          date: details.date,
+          startTime: startTime24h,
+          error: createError.message,
         });
-        await this.emailTracking.markProcessed(gmailMessageId, this.sourceType, 'no_slots', null, null, emailMetadata);
-        stats.noSlots++;
+        await this.reportNoSlots(gmailMessageId, details, startTime24h, emailMetadata, stats);
         return;
       }
 
-      const booking = await this.bookingService.createBooking({
-        customerId: customer.id,
-        customerName: customer.customer_name,
-        customerPhone: customer.contact_number,
-        customerEmail: customer.email,
-        date: details.date,
-        startTime: startTime24h,
-        duration: details.duration,
-        numberOfPeople: details.numberOfPeople,
-        bay,
-        customerContactedVia: this.channel,
-        reservationKey: this.reservationKeySupported() ? details.reservationKey : null,
-        customerNotes: this.bookingNotes(),
-        isNewCustomer,
-      });
+      await this.completeBookingCreated(gmailMessageId, booking, isNewCustomer, customerMatch, details, emailMetadata);
+      stats.bookingsCreated++;
+    } catch (error) {
+      await this.handleProcessingError(gmailMessageId, error, emailMetadata, stats, booking?.id ?? null);
+    }
+  }
 
+  // Announce the booking, ask for a name-only match review (best effort: the
+  // booking exists) and record the email. Also finishes a booking an earlier
+  // attempt wrote before failing; its review is not asked again.
+  private async completeBookingCreated(
+    gmailMessageId: string,
+    booking: Row,
+    isNewCustomer: boolean,
+    customerMatch: CustomerMatch | null,
+    details: ReservationDetails,
+    emailMetadata: { subject: string; date: string },
+  ): Promise<void> {
+    if (await claimBookingNotification(this.supabase, booking.id, 'created')) {
       await this.line.sendBookingCreated({
         bookingId: booking.id,
         customerName: booking.name,
@@ -221,14 +318,71 @@ abstract class BaseProcessor {
         numberOfPeople: booking.number_of_people,
         channel: this.channel,
         isNewCustomer,
+        customerInsights: isNewCustomer || !booking.customer_id
+          ? null
+          : await this.bookingService.getCustomerInsights(booking.customer_id, [booking.id]),
         notes: this.lineNotes(),
+        requestConfirmation: this.requiresConfirmation(),
       });
+    }
 
-      await this.emailTracking.markProcessed(gmailMessageId, this.sourceType, 'booking_created', booking.id, null, emailMetadata);
-      stats.bookingsCreated++;
-    } catch (error) {
-      await this.handleProcessingError(gmailMessageId, error, emailMetadata, stats);
+    if (customerMatch?.needsReview) {
+      try {
+        const review = await recordCustomerMatchReview(this.supabase, customerMatch, {
+          name: details.customerName,
+          phone: details.customerPhone,
+          email: details.customerEmail,
+        }, {
+          sourceType: this.sourceType,
+          gmailMessageId,
+          bookingIds: [booking.id],
+        });
+        await this.line.sendCustomerMatchReview({
+          bookingId: booking.id,
+          customerName: details.customerName,
+          customerPhone: details.customerPhone || '',
+          customerEmail: details.customerEmail,
+          date: booking.date,
+          startTime: booking.start_time,
+          duration: booking.duration,
+          bay: booking.bay,
+          numberOfPeople: booking.number_of_people,
+          channel: this.channel,
+          reviewId: review.id,
+          reason: review.reason,
+          candidates: review.candidates,
+          provisionalCustomerId: review.provisional_customer_id,
+        });
+      } catch (reviewError) {
+        log('ERROR', `Failed to request ${this.sourceType} customer match review`, {
+          bookingId: booking.id,
+          error: reviewError instanceof Error ? reviewError.message : String(reviewError),
+        });
+      }
     }
+
+    await this.emailTracking.markProcessed(gmailMessageId, this.sourceType, 'booking_created', booking.id, null, emailMetadata);
+  }
+
+  private async reportNoSlots(
+    gmailMessageId: string,
+    details: ReservationDetails,
+    startTime24h: string,
+    emailMetadata: { subject: string; date: string },
+    stats: CycleStats,
+  ): Promise<void> {
+    await this.line.sendNoSlotsAvailable({
+      customerName: details.customerName,
+      customerPhone: details.customerPhone || 'N/A',
+      customerEmail: details.customerEmail,
+      date: details.date,
+      startTime: startTime24h,
+      duration: details.duration,
+      numberOfPeople: details.numberOfPeople,
+      channel: this.channel,
+    });
+    await this.emailTracking.markProcessed(gmailMessageId, this.sourceType, 'no_slots', null, null, emailMetadata);
+    stats.noSlots++;
   }
 
   private async processCancellation(
@@ -269,19 +423,21 @@ abstract class BaseProcessor {
         booking.id, `Customer cancelled via ${this.channel}`, 'Email Automation',
       );
 
-      await this.line.sendBookingCancelled({
-        bookingId: cancelled.id,
-        customerName: cancelled.name,
-        customerPhone: cancelled.phone_number,
-        date: cancelled.date,
-        startTime: cancelled.start_time,
-        duration: cancelled.duration,
-        bay: cancelled.bay,
-        numberOfPeople: cancelled.number_of_people,
-        channel: this.channel,
-        cancelledBy: 'Email Automation',
-        cancellationReason: `Customer cancelled via ${this.channel}`,
-      });
+      if (await claimBookingNotification(this.supabase, cancelled.id, 'cancelled')) {
+        await this.line.sendBookingCancelled({
+          bookingId: cancelled.id,
+          customerName: cancelled.name,
+          customerPhone: cancelled.phone_number,
+          date: cancelled.date,
+          startTime: cancelled.start_time,
+          duration: cancelled.duration,
+          bay: cancelled.bay,
+          numberOfPeople: cancelled.number_of_people,
+          channel: this.channel,
+          cancelledBy: 'Email Automation',
+          cancellationReason: `Customer cancelled via ${this.channel}`,
+        });
+      }
 
       await this.emailTracking.markProcessed(gmailMessageId, this.sourceType, 'booking_cancelled', cancelled.id, null, emailMetadata);
       stats.bookingsCancelled++;
@@ -301,6 +457,7 @@ abstract class BaseProcessor {
     error: unknown,
     emailMetadata: { subject: string; date: string },
     stats: CycleStats,
+    bookingId: string | null = null,
   ): Promise<void> {
     const message = (error as Error).message || String(error);
     if (isTransientError(error)) {
@@ -308,7 +465,7 @@ abstract class BaseProcessor {
       throw error;
     }
     log('ERROR', `Permanent error processing ${this.sourceType} email`, { gmailMessageId, error: message });
-    await this.emailTracking.markProcessed(gmailMessageId, this.sourceType, 'error', null, message, emailMetadata);
+    await this.emailTracking.markProcessed(gmailMessageId, this.sourceType, 'error', bookingId, message, emailMetadata);
     stats.errors++;
     // Swallow after recording: the thread is moved to completed by the caller,
     // matching the Node processors (markProcessed then continue).
@@ -412,6 +569,7 @@ export class ClassPassProcessor extends BaseProcessor {
 export class WebResosProcessor extends BaseProcessor {
   protected allowFuzzyNameMatching(): boolean { return false; } // phone is always present
   protected reservationKeySupported(): boolean { return false; }
+  protected requiresConfirmation(): boolean { return true; }
   protected bookingNotes(): string {
     return 'Booking created automatically from ResOS email. Please confirm with customer.';
   }
@@ -422,8 +580,8 @@ export class WebResosProcessor extends BaseProcessor {
   protected extractDetails(bodyText: string, subject: string): ReservationDetails | null {
     const isCancellation = /cancel/i.test(subject) || /cancel/i.test(bodyText);
 
-    // "Date Monday, 1 December 2025"
-    const dateMatch = bodyText.match(/Date\s*(.*?\d{4})/i);
+    // "Date Monday, 1 December 2025"; the word boundary skips "updated"
+    const dateMatch = bodyText.match(/\bDate\s*(.*?\d{4})/i);
     if (!dateMatch) {
       log('WARN', 'Could not extract date from ResOS email', { subject });
       return null;
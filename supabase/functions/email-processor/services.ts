@@ -3,15 +3,24 @@
 // is preserved from the Node implementation.
 
 import type { SupabaseClient } from 'npm:@supabase/supabase-js@2';
-import { calculateEndTime24, log, parseTimeToStandard } from './utils.ts';
+import { calculateEndTime24, log, parsePhone, parseTimeToStandard } from './utils.ts';
 
 // deno-lint-ignore no-explicit-any
-type Row = Record<string, any>;
+export type Row = Record<string, any>;
 
 // ---------------------------------------------------------------------------
 // CustomerService
 // ---------------------------------------------------------------------------
 
+export interface CustomerMatch {
+  customer: Row;
+  isNew: boolean;
+  matchedBy: string | null;
+  candidates: Row[];
+  needsReview: boolean;
+  mergeProposal: Row | null;
+}
+
 export class CustomerService {
   constructor(private supabase: SupabaseClient) {}
 
@@ -23,22 +32,45 @@ export class CustomerService {
     return digits.substring(Math.max(0, digits.length - 9));
   }
 
-  async findByPhone(phoneNumber: string): Promise<Row | null> {
-    const normalizedPhone = this.normalizePhone(phoneNumber);
-    if (!normalizedPhone || normalizedPhone.length < 9) {
-      log('WARN', 'Phone number too short for matching', { normalizedLength: normalizedPhone.length });
-      return null;
-    }
+  // Stored forms of a phone: E.164, and the matching key (legacy 9 digits for
+  // Thai and unparseable numbers, full E.164 digits for foreign numbers)
+  phoneKeys(phoneInput: string): { e164: string | null; isThai: boolean | null; normalizedPhone: string } {
+    const parsed = parsePhone(phoneInput);
+    if (!parsed) return { e164: null, isThai: null, normalizedPhone: this.normalizePhone(phoneInput) };
+    return {
+      e164: parsed.e164,
+      isThai: parsed.isThai,
+      normalizedPhone: parsed.isThai ? parsed.nationalNumber! : parsed.e164.substring(1),
+    };
+  }
+
+  private async findActiveCustomerBy(column: string, value: string): Promise<Row | null> {
     const { data, error } = await this.supabase
       .from('customers')
       .select('*')
-      .eq('normalized_phone', normalizedPhone)
+      .eq(column, value)
       .eq('is_active', true)
       .limit(1);
     if (error) throw new Error(`findByPhone failed: ${error.message}`, { cause: error });
     return data && data.length > 0 ? data[0] : null;
   }
 
+  // phone_e164 first; only Thai (and unparseable) numbers fall back to the legacy
+  // 9-digit key, which foreign numbers can share with an unrelated Thai customer.
+  async findByPhone(phoneNumber: string): Promise<Row | null> {
+    const keys = this.phoneKeys(phoneNumber);
+    if (keys.e164) {
+      const customer = await this.findActiveCustomerBy('phone_e164', keys.e164);
+      if (customer) return customer;
+    }
+    if (keys.isThai === false) return null;
+    if (!keys.normalizedPhone || keys.normalizedPhone.length < 9) {
+      log('WARN', 'Phone number too short for matching', { normalizedLength: keys.normalizedPhone.length });
+      return null;
+    }
+    return await this.findActiveCustomerBy('normalized_phone', keys.normalizedPhone);
+  }
+
   async findByEmail(email: string): Promise<Row | null> {
     if (!email) return null;
     const { data, error } = await this.supabase
@@ -51,46 +83,263 @@ export class CustomerService {
     return data && data.length > 0 ? data[0] : null;
   }
 
-  async findByFuzzyName(name: string, threshold = 0.9): Promise<Row | null> {
-    if (!name) return null;
+  // Similar customers, most similar first
+  async findFuzzyNameCandidates(name: string, threshold = 0.9): Promise<Row[]> {
+    if (!name) return [];
     const { data, error } = await this.supabase.rpc('find_customers_by_fuzzy_name', {
       search_name: name,
       min_similarity: threshold,
     });
-    if (error) throw new Error(`findByFuzzyName failed: ${error.message}`, { cause: error });
-    if (data && data.length === 1 && data[0].similarity >= threshold) {
-      return data[0];
+    if (error) throw new Error(`findFuzzyNameCandidates failed: ${error.message}`, { cause: error });
+    return ((data || []) as Row[])
+      .filter((customer) => customer.similarity >= threshold)
+      .sort((a, b) => b.similarity - a.similarity);
+  }
+
+  // Fills in a matched customer's missing phone / email and keeps differing
+  // ones in customer_alternate_contacts (best effort, as in Node).
+  async updateContactDetails(
+    customer: Row,
+    contacts: { phone?: string | null; email?: string | null },
+    context: { sourceType?: string; gmailMessageId?: string } = {},
+  ): Promise<Row> {
+    const updates: Row = {};
+    const alternates: { contact_type: string; value: string }[] = [];
+    if (contacts.phone) {
+      const keys = this.phoneKeys(contacts.phone);
+      const samePhone = keys.e164 && customer.phone_e164
+        ? keys.e164 === customer.phone_e164
+        : Boolean(keys.normalizedPhone) && keys.normalizedPhone === customer.normalized_phone;
+      if (!customer.contact_number) {
+        Object.assign(updates, {
+          contact_number: contacts.phone,
+          normalized_phone: keys.normalizedPhone || null,
+          phone_e164: keys.e164,
+        });
+      } else if (samePhone) {
+        if (keys.e164 && !customer.phone_e164) updates.phone_e164 = keys.e164;
+      } else {
+        alternates.push({ contact_type: 'phone', value: keys.e164 || contacts.phone });
+      }
     }
-    if (data && data.length > 1) {
-      log('WARN', 'Multiple customers found with similar names - ambiguous match', {
-        matchCount: data.length,
+    if (contacts.email) {
+      if (!customer.email) updates.email = contacts.email;
+      else if (customer.email.toLowerCase() !== contacts.email.toLowerCase()) {
+        alternates.push({ contact_type: 'email', value: contacts.email.toLowerCase() });
+      }
+    }
+
+    let updated = customer;
+    if (Object.keys(updates).length > 0) {
+      const { data, error } = await this.supabase.from('customers').update(updates).eq('id', customer.id).select().single();
+      if (error) {
+        log('WARN', 'Failed to fill in customer contact details', { customerId: customer.id, error: error.message });
+        if (updates.contact_number) alternates.push({ contact_type: 'phone', value: updates.phone_e164 || updates.contact_number });
+        if (updates.email) alternates.push({ contact_type: 'email', value: updates.email.toLowerCase() });
+      } else {
+        updated = data;
+      }
+    }
+    if (alternates.length > 0) {
+      const lastSeenAt = new Date().toISOString();
+      const { error } = await this.supabase.from('customer_alternate_contacts').upsert(
+        alternates.map((contact) => ({
+          customer_id: customer.id,
+          ...contact,
+          source_type: context.sourceType || null,
+          gmail_message_id: context.gmailMessageId || null,
+          last_seen_at: lastSeenAt,
+        })),
+        { onConflict: 'customer_id,contact_type,value' },
+      );
+      if (error) log('WARN', 'Failed to record alternate customer contacts', { customerId: customer.id, error: error.message });
+    }
+    return updated;
+  }
+
+  // Returns null when the pair was already proposed (pending or rejected).
+  // Best effort: a failure is logged and the booking goes ahead without a proposal.
+  async proposeMerge(
+    primary: Row,
+    duplicate: Row,
+    context: { sourceType?: string; gmailMessageId?: string; phone?: string | null; email?: string | null },
+  ): Promise<Row | null> {
+    try {
+      return await this.insertMergeProposal(primary, duplicate, context);
+    } catch (error) {
+      log('ERROR', 'Failed to propose customer merge', {
+        primaryCustomerId: primary.id,
+        duplicateCustomerId: duplicate.id,
+        error: error instanceof Error ? error.message : String(error),
       });
+      return null;
     }
-    return null;
   }
 
+  private async insertMergeProposal(
+    primary: Row,
+    duplicate: Row,
+    context: { sourceType?: string; gmailMessageId?: string; phone?: string | null; email?: string | null },
+  ): Promise<Row | null> {
+    const { data: existing, error: existingError } = await this.supabase
+      .from('customer_merge_proposals')
+      .select('id')
+      .or(`and(primary_customer_id.eq.${primary.id},duplicate_customer_id.eq.${duplicate.id}),` +
+        `and(primary_customer_id.eq.${duplicate.id},duplicate_customer_id.eq.${primary.id})`)
+      .in('status', ['pending', 'rejected'])
+      .limit(1);
+    if (existingError) throw new Error(`proposeMerge failed: ${existingError.message}`, { cause: existingError });
+    if (existing && existing.length > 0) return null;
+
+    const { data, error } = await this.supabase
+      .from('customer_merge_proposals')
+      .insert({
+        primary_customer_id: primary.id,
+        duplicate_customer_id: duplicate.id,
+        reason: 'phone_email_conflict',
+        source_type: context.sourceType || null,
+        gmail_message_id: context.gmailMessageId || null,
+        input_phone: context.phone || null,
+        input_email: context.email || null,
+      })
+      .select()
+      .single();
+    if (error) {
+      if (error.code === '23505') return null;
+      throw new Error(`proposeMerge failed: ${error.message}`, { cause: error });
+    }
+    log('INFO', 'Customer merge proposed', { proposalId: data.id });
+    return data;
+  }
+
+  // Phone, then email, then (if allowed) fuzzy name. Phone and email are both
+  // looked up: when they find two customers the phone match wins and a merge is
+  // proposed. Phone/email matches get missing details filled in; name matches
+  // link the customer provisionally (the most similar one when several match)
+  // and need a staff review (recordCustomerMatchReview).
   async getOrCreateCustomer(
     customerData: { name: string; phone?: string | null; email?: string | null },
     allowFuzzyName = false,
-  ): Promise<{ customer: Row; isNew: boolean; matchedBy: string | null }> {
+    context: { sourceType?: string; gmailMessageId?: string } = {},
+  ): Promise<CustomerMatch> {
     const { name, phone, email } = customerData;
-
-    if (phone) {
-      const customer = await this.findByPhone(phone);
-      if (customer) return { customer, isNew: false, matchedBy: 'phone' };
+    const matched = (customer: Row, matchedBy: string, candidates: Row[] = []): CustomerMatch =>
+      ({ customer, isNew: false, matchedBy, candidates, needsReview: candidates.length > 0, mergeProposal: null });
+
+    const phoneCustomer = phone ? await this.findByPhone(phone) : null;
+    const emailCustomer = email ? await this.findByEmail(email) : null;
+    if (phoneCustomer) {
+      const duplicate = emailCustomer && emailCustomer.id !== phoneCustomer.id ? emailCustomer : null;
+      const proposal = duplicate ? await this.proposeMerge(phoneCustomer, duplicate, { ...context, phone, email }) : null;
+      const customer = await this.updateContactDetails(phoneCustomer, { phone, email: duplicate ? null : email }, context);
+      return { ...matched(customer, 'phone'), mergeProposal: proposal ? { ...proposal, duplicateCustomer: duplicate } : null };
     }
-    if (email) {
-      const customer = await this.findByEmail(email);
-      if (customer) return { customer, isNew: false, matchedBy: 'email' };
+    if (emailCustomer) {
+      return matched(await this.updateContactDetails(emailCustomer, { phone, email }, context), 'email');
     }
     if (allowFuzzyName && name) {
       const threshold = parseFloat(Deno.env.get('FUZZY_NAME_THRESHOLD') || '0.9');
-      const customer = await this.findByFuzzyName(name, threshold);
-      if (customer) return { customer, isNew: false, matchedBy: 'fuzzy_name' };
+      const candidates = await this.findFuzzyNameCandidates(name, threshold);
+      if (candidates.length > 1) {
+        log('WARN', 'Multiple customers found with similar names - ambiguous match', {
+          matchCount: candidates.length,
+        });
+      }
+      if (candidates.length > 0) {
+        return matched(candidates[0], candidates.length === 1 ? 'fuzzy_name' : 'ambiguous_name', candidates);
+      }
     }
 
-    const customer = await this.createCustomer(customerData);
-    return { customer, isNew: true, matchedBy: null };
+    try {
+      const customer = await this.createCustomer(customerData);
+      return { customer, isNew: true, matchedBy: null, candidates: [], needsReview: false, mergeProposal: null };
+    } catch (error) {
+      if (!(error instanceof Error) || error.message !== 'DUPLICATE_PHONE') throw error;
+      const recovered = await this.recoverDuplicatePhone(customerData, context);
+      if (!recovered) throw error;
+      return { ...matched(recovered, 'duplicate_phone'), mergeProposal: null };
+    }
+  }
+
+  // The phone key of a new customer belongs to a customer matching skipped:
+  // link an active holder, follow a merged one through later merges, and
+  // reactivate / link / fail for other inactive ones
+  // (CUSTOMER_DUPLICATE_PHONE_POLICY, default 'reactivate'). A merged record is
+  // never reactivated. Recoveries are written to customer_audit_log.
+  private async recoverDuplicatePhone(
+    customerData: { name: string; phone?: string | null; email?: string | null },
+    context: { sourceType?: string; gmailMessageId?: string },
+  ): Promise<Row | null> {
+    const { name, phone, email } = customerData;
+    const keys = this.phoneKeys(phone || '');
+    if (!keys.normalizedPhone) return null;
+    const { data: rows, error } = await this.supabase
+      .from('customers')
+      .select('*')
+      .eq('normalized_phone', keys.normalizedPhone)
+      .limit(1);
+    if (error) throw new Error(`recoverDuplicatePhone failed: ${error.message}`, { cause: error });
+    const existing = rows && rows.length > 0 ? rows[0] : null;
+    if (!existing) return null;
+
+    const configured = Deno.env.get('CUSTOMER_DUPLICATE_PHONE_POLICY') || 'reactivate';
+    const policy = ['reactivate', 'link', 'fail'].includes(configured) ? configured : 'reactivate';
+    let customer: Row = existing;
+    let resolution: string | null = null;
+    if (existing.is_active) {
+      resolution = 'linked_active';
+    } else if (existing.merged_into_customer_id) {
+      const seen = new Set([existing.id]);
+      while (!customer.is_active && customer.merged_into_customer_id && !seen.has(customer.merged_into_customer_id)) {
+        const { data: next, error: nextError } = await this.supabase
+          .from('customers')
+          .select('*')
+          .eq('id', customer.merged_into_customer_id)
+          .maybeSingle();
+        if (nextError) throw new Error(`recoverDuplicatePhone failed: ${nextError.message}`, { cause: nextError });
+        if (!next) break;
+        seen.add(next.id);
+        customer = next;
+      }
+      if (customer.is_active) resolution = 'linked_merged';
+      else if (customer.merged_into_customer_id) return null; // merge target missing
+    }
+    if (!resolution) {
+      if (policy === 'fail') return null;
+      if (policy === 'reactivate') {
+        const { data, error: updateError } = await this.supabase
+          .from('customers')
+          .update({ is_active: true })
+          .eq('id', customer.id)
+          .is('merged_into_customer_id', null)
+          .select()
+          .single();
+        if (updateError) throw new Error(`recoverDuplicatePhone failed: ${updateError.message}`, { cause: updateError });
+        customer = data;
+        resolution = 'reactivated';
+      } else {
+        resolution = 'linked_inactive';
+      }
+    }
+
+    log('INFO', 'Recovered from duplicate phone', { existingCustomerId: existing.id, customerId: customer.id, resolution });
+    const { error: auditError } = await this.supabase.from('customer_audit_log').insert({
+      customer_id: customer.id,
+      action: 'duplicate_phone_recovery',
+      details: {
+        resolution,
+        policy,
+        existingCustomerId: existing.id,
+        inputName: name,
+        inputPhone: phone,
+        inputEmail: email || null,
+      },
+      source_type: context.sourceType || null,
+      gmail_message_id: context.gmailMessageId || null,
+    });
+    if (auditError) log('ERROR', 'Failed to write customer audit entry', { customerId: customer.id, error: auditError.message });
+
+    return await this.updateContactDetails(customer, { phone, email }, context);
   }
 
   async createCustomer(customerData: { name: string; phone?: string | null; email?: string | null }): Promise<Row> {
@@ -98,12 +347,14 @@ export class CustomerService {
     if (!name) throw new Error('Customer name is required');
     if (!phone && !email) throw new Error('At least one contact method (phone or email) is required');
 
+    const keys = phone ? this.phoneKeys(phone) : null;
     const newCustomer = {
       // customer_code is auto-generated by the trigger_set_customer_code trigger
       customer_name: name,
       contact_number: phone || null,
       email: email || null,
-      normalized_phone: phone ? this.normalizePhone(phone) : null,
+      normalized_phone: keys ? keys.normalizedPhone || null : null,
+      phone_e164: keys ? keys.e164 : null,
       is_active: true,
       preferred_contact_method: phone ? 'Phone' : 'Email',
     };
@@ -133,11 +384,51 @@ export class CustomerService {
 // BookingService
 // ---------------------------------------------------------------------------
 
-const BAYS = {
-  SOCIAL: ['Bay 2', 'Bay 3', 'Bay 1'], // Preference order (Bay 1 is Bar)
-  AI: ['Bay 4'],
+export interface BayConfig {
+  bays: { name: string; type: 'social' | 'ai'; maxPeople: number; preferenceOrder: number }[];
+  openingHours: Record<number, { openTime: string | null; closeTime: string | null; isClosed: boolean }>;
+  closures: Record<string, string | null>;
+}
+
+export interface OpeningHoursCheck {
+  open: boolean;
+  reason?: 'holiday' | 'closed_day' | 'outside_hours';
+  weekday: string;
+  openTime?: string | null;
+  closeTime?: string | null;
+  holidayReason?: string | null;
+}
+
+// Used when bay_inventory / opening_hours cannot be read (mirrors the migration seed rows).
+const DEFAULT_BAY_CONFIG: BayConfig = {
+  bays: [
+    { name: 'Bay 2', type: 'social', maxPeople: 5, preferenceOrder: 1 },
+    { name: 'Bay 3', type: 'social', maxPeople: 5, preferenceOrder: 2 },
+    { name: 'Bay 1', type: 'social', maxPeople: 5, preferenceOrder: 3 }, // Bar
+    { name: 'Bay 4', type: 'ai', maxPeople: 2, preferenceOrder: 1 },
+  ],
+  openingHours: {},
+  closures: {},
 };
-const MAX_PEOPLE_SOCIAL = 5;
+// SQLSTATE raised by the bookings overlap guard trigger (exclusion_violation)
+const BAY_CONFLICT_SQLSTATE = '23P01';
+const MAX_BOOKING_ATTEMPTS = 3;
+
+// Booking ID suffix characters: no 0/O or 1/I/L (matches src/services/bookingService.js)
+const BOOKING_ID_ALPHABET = '23456789ABCDEFGHJKMNPQRSTUVWXYZ';
+const MAX_BOOKING_ID_ATTEMPTS = 5;
+
+// Set by the Node app's LINE "Cancel" confirmation button; counted as an unconfirmed cancellation
+const UNCONFIRMED_CANCELLATION_REASON = 'Customer did not confirm the booking';
+
+export class BayConflictError extends Error {
+  readonly code = 'BAY_CONFLICT';
+  constructor(bay: string, date: string, startTime: string) {
+    super(`BAY_CONFLICT: ${bay} was taken by a concurrent booking for ${date} ${startTime}`);
+  }
+}
+
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
 const DEFAULT_GUEST_USER_ID = '0eb32c8b-b2eb-4c8d-ba19-fc4f8e15f4c7';
 
 export interface CreateBookingInput {
@@ -154,11 +445,103 @@ export interface CreateBookingInput {
   reservationKey?: string | null;
   customerNotes?: string | null;
   isNewCustomer?: boolean;
+  confirmationStatus?: 'pending' | null;
+  gmailMessageId?: string | null;
+}
+
+// Same rules as BookingService.getCustomerInsights in src/services/bookingService.js
+export interface CustomerInsights {
+  visitCount: number;
+  lastVisitDate: string | null;
+  cancellationCount: number;
+  unconfirmedCancellationCount: number;
+  preferredBay: string | null;
+  channelMix: Array<{ channel: string; count: number }>;
 }
 
 export class BookingService {
+  private bayConfig: BayConfig | null = null;
+
   constructor(private supabase: SupabaseClient) {}
 
+  // Loaded once per invocation; a failed read falls back to the built-in bays, always open.
+  async getBayConfig(): Promise<BayConfig> {
+    if (this.bayConfig) return this.bayConfig;
+
+    try {
+      const today = new Date().toISOString().split('T')[0];
+      const [baysResult, hoursResult, closuresResult] = await Promise.all([
+        this.supabase.from('bay_inventory').select('*').eq('is_active', true),
+        this.supabase.from('opening_hours').select('*'),
+        this.supabase.from('holiday_closures').select('date, reason').gte('date', today),
+      ]);
+      const error = baysResult.error || hoursResult.error || closuresResult.error;
+      if (error) throw new Error(error.message);
+      if (!baysResult.data || baysResult.data.length === 0) throw new Error('bay_inventory has no active bays');
+
+      const openingHours: BayConfig['openingHours'] = {};
+      for (const row of hoursResult.data || []) {
+        openingHours[row.weekday] = {
+          openTime: row.open_time ? row.open_time.slice(0, 5) : null,
+          closeTime: row.close_time ? row.close_time.slice(0, 5) : null,
+          isClosed: Boolean(row.is_closed),
+        };
+      }
+      const closures: BayConfig['closures'] = {};
+      for (const row of closuresResult.data || []) {
+        closures[row.date] = row.reason || null;
+      }
+
+      this.bayConfig = {
+        bays: baysResult.data
+          .map((row: Row) => ({
+            name: row.name,
+            type: row.bay_type,
+            maxPeople: row.max_people,
+            preferenceOrder: row.preference_order,
+          }))
+          .sort((a: Row, b: Row) => a.preferenceOrder - b.preferenceOrder),
+        openingHours,
+        closures,
+      };
+    } catch (error) {
+      log('WARN', 'Failed to load bay configuration, using built-in bays', {
+        error: (error as Error).message,
+      });
+      this.bayConfig = DEFAULT_BAY_CONFIG;
+    }
+    return this.bayConfig;
+  }
+
+  async checkOpeningHours(date: string, startTime: string, duration: number): Promise<OpeningHoursCheck> {
+    const config = await this.getBayConfig();
+    const [year, month, day] = date.split('-').map(Number);
+    const weekdayIndex = new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+    const weekday = WEEKDAYS[weekdayIndex];
+
+    if (date in config.closures) {
+      return { open: false, reason: 'holiday', weekday, holidayReason: config.closures[date] };
+    }
+    const hours = config.openingHours[weekdayIndex];
+    if (!hours) return { open: true, weekday };
+    if (hours.isClosed) return { open: false, reason: 'closed_day', weekday };
+
+    const toMinutes = (time: string) => {
+      const [hh, mm] = time.split(':').map(Number);
+      return hh * 60 + mm;
+    };
+    const openMinutes = toMinutes(hours.openTime!);
+    let closeMinutes = toMinutes(hours.closeTime!);
+    if (closeMinutes <= openMinutes) closeMinutes += 24 * 60; // closes after midnight
+
+    const start = toMinutes(parseTimeToStandard(startTime));
+    const end = start + Math.round(duration * 60);
+    const open = start >= openMinutes && end <= closeMinutes;
+    return open
+      ? { open, weekday, openTime: hours.openTime, closeTime: hours.closeTime }
+      : { open, reason: 'outside_hours', weekday, openTime: hours.openTime, closeTime: hours.closeTime };
+  }
+
   parseTimeToStandard(timeString: string): string {
     return parseTimeToStandard(timeString);
   }
@@ -188,14 +571,13 @@ export class BookingService {
   }
 
   async assignBay(numberOfPeople: number, date: string, startTime: string, duration: number): Promise<string | null> {
-    let bayPreferences: string[];
-    if (numberOfPeople === 1) {
-      bayPreferences = [...BAYS.AI, ...BAYS.SOCIAL];
-    } else if (numberOfPeople === 2) {
-      bayPreferences = [...BAYS.SOCIAL, ...BAYS.AI];
-    } else if (numberOfPeople <= MAX_PEOPLE_SOCIAL) {
-      bayPreferences = BAYS.SOCIAL;
-    } else {
+    const { bays } = await this.getBayConfig();
+    const fits = (type: string) =>
+      bays.filter((b) => b.type === type && b.maxPeople >= numberOfPeople).map((b) => b.name);
+    const bayPreferences = numberOfPeople === 1
+      ? [...fits('ai'), ...fits('social')]
+      : [...fits('social'), ...fits('ai')];
+    if (bayPreferences.length === 0) {
       log('WARN', 'Party size exceeds maximum capacity', { numberOfPeople });
       return null;
     }
@@ -217,12 +599,28 @@ export class BookingService {
   }
 
   generateBookingId(date: string): string {
-    // Format: BK + YYMMDD + 4 random uppercase alphanumeric characters (matches lengolf-forms)
+    // Format: BK + YYMMDD + 4 random characters from BOOKING_ID_ALPHABET (matches lengolf-forms)
     const dateStr = date.replace(/-/g, '').substring(2);
-    const randomSuffix = Math.random().toString(36).substring(2, 6).toUpperCase();
+    const randomSuffix = Array.from(crypto.getRandomValues(new Uint32Array(4)))
+      .map((n) => BOOKING_ID_ALPHABET[n % BOOKING_ID_ALPHABET.length])
+      .join('');
     return `BK${dateStr}${randomSuffix}`;
   }
 
+  // Inserts a booking row, drawing a new ID when the random one is already taken.
+  private async insertBooking(
+    buildRow: () => Row,
+  ): Promise<{ data: Row | null; error: { code?: string; message: string; details?: string } | null }> {
+    for (let attempt = 1; ; attempt++) {
+      const row = buildRow();
+      const { data, error } = await this.supabase.from('bookings').insert(row).select().single();
+      const duplicateId = error?.code === '23505' &&
+        /bookings_pkey|Key \(id\)/.test(`${error.message} ${error.details || ''}`);
+      if (!duplicateId || attempt >= MAX_BOOKING_ID_ATTEMPTS) return { data, error };
+      log('WARN', 'Booking ID already taken, retrying with a new ID', { bookingId: row.id, attempt });
+    }
+  }
+
   async hasBookingHistory(customerId: string): Promise<boolean> {
     const { count, error } = await this.supabase
       .from('bookings')
@@ -239,13 +637,71 @@ export class BookingService {
     return (count ?? 0) > 0;
   }
 
+  // Booking an earlier attempt made from this email before failing (see src/services/bookingService.js)
+  async findBookingForEmail(gmailMessageId: string): Promise<Row | null> {
+    const { data, error } = await this.supabase
+      .from('bookings')
+      .select('*')
+      .eq('gmail_message_id', gmailMessageId)
+      .neq('status', 'cancelled')
+      .limit(1);
+    if (error) throw new Error(`findBookingForEmail failed: ${error.message}`, { cause: error });
+    return data && data.length > 0 ? data[0] : null;
+  }
+
+  async getCustomerInsights(customerId: string, excludeBookingIds: string[] = []): Promise<CustomerInsights | null> {
+    const { data, error } = await this.supabase
+      .from('bookings')
+      .select('id, date, bay, status, customer_contacted_via, booking_group_id, cancellation_reason')
+      .eq('customer_id', customerId)
+      .order('date', { ascending: false });
+    if (error) {
+      log('WARN', 'Failed to load customer insights, notifying without them', { customerId, error: error.message });
+      return null;
+    }
+
+    // Booking dates are Thailand local time (UTC+7, no daylight saving)
+    const today = new Date(Date.now() + 7 * 60 * 60 * 1000).toISOString().split('T')[0];
+    const rows: Row[] = data || [];
+    const groupKey = (b: Row) => b.booking_group_id || b.id;
+    const excludedGroups = new Set(rows.filter((b) => excludeBookingIds.includes(b.id)).map(groupKey));
+    const seenGroups = new Set<string>();
+    const bayCounts = new Map<string, number>();
+    const channelCounts = new Map<string, number>();
+    const insights: CustomerInsights = {
+      visitCount: 0, lastVisitDate: null, cancellationCount: 0, unconfirmedCancellationCount: 0, preferredBay: null, channelMix: [],
+    };
+
+    for (const b of rows) {
+      if (excludedGroups.has(groupKey(b))) continue;
+      const isVisit = b.status !== 'cancelled' && b.date < today;
+      if (isVisit && b.bay) bayCounts.set(b.bay, (bayCounts.get(b.bay) || 0) + 1);
+      if (seenGroups.has(groupKey(b))) continue;
+      seenGroups.add(groupKey(b));
+
+      if (b.status === 'cancelled') {
+        insights.cancellationCount += 1;
+        if (b.cancellation_reason === UNCONFIRMED_CANCELLATION_REASON) insights.unconfirmedCancellationCount += 1;
+        continue;
+      }
+      const channel = b.customer_contacted_via || 'Unknown';
+      channelCounts.set(channel, (channelCounts.get(channel) || 0) + 1);
+      if (isVisit) {
+        insights.visitCount += 1;
+        insights.lastVisitDate = insights.lastVisitDate || b.date;
+      }
+    }
+
+    for (const [bay, count] of bayCounts) {
+      if (!insights.preferredBay || count > (bayCounts.get(insights.preferredBay) || 0)) insights.preferredBay = bay;
+    }
+    insights.channelMix = [...channelCounts].map(([channel, count]) => ({ channel, count }))
+      .sort((a, b) => b.count - a.count);
+    return insights;
+  }
+
   async createBooking(input: CreateBookingInput): Promise<Row> {
-    const {
-      customerId, customerName, customerPhone, customerEmail,
-      date, startTime, duration, numberOfPeople, bay,
-      customerContactedVia, reservationKey = null, customerNotes = null,
-      isNewCustomer = false,
-    } = input;
+    const { customerName, customerPhone, customerEmail, date, startTime, duration, numberOfPeople, bay } = input;
 
     if (!customerName || (!customerPhone && !customerEmail) || !date || !startTime || !duration || !numberOfPeople) {
       throw new Error('Missing required booking fields');
@@ -262,50 +718,69 @@ export class BookingService {
 
     const standardStartTime = parseTimeToStandard(startTime);
 
-    let assignedBay = bay;
-    if (!assignedBay) {
-      assignedBay = await this.assignBay(numberOfPeople, date, standardStartTime, duration);
-      if (!assignedBay) throw new Error('NO_BAY_AVAILABLE');
-    } else if (!(await this.isBayAvailable(assignedBay, date, standardStartTime, duration))) {
-      throw new Error(`Bay ${assignedBay} is not available for requested time`);
+    let assignedBay = bay || await this.assignBay(numberOfPeople, date, standardStartTime, duration);
+    if (!assignedBay) throw new Error('NO_BAY_AVAILABLE');
+
+    // A concurrent writer can take the bay between the check and the insert; the
+    // overlap guard rejects that insert and the next free bay is tried.
+    for (let attempt = 1; ; attempt++) {
+      if (await this.isBayAvailable(assignedBay, date, standardStartTime, duration)) {
+        const bayToBook = assignedBay;
+        const { data, error } = await this.insertBooking(() =>
+          this.buildBookingRow(input, bayToBook, standardStartTime, finalPhoneNumber)
+        );
+        if (!error && data) {
+          log('INFO', 'Booking created', {
+            bookingId: data.id,
+            date: data.date,
+            startTime: data.start_time,
+            bay: data.bay,
+          });
+          return data;
+        }
+        if (error?.code !== BAY_CONFLICT_SQLSTATE) {
+          throw new Error(`createBooking failed: ${error?.message}`, { cause: error });
+        }
+      }
+
+      log('WARN', 'Bay taken by a concurrent booking', { bay: assignedBay, date, startTime: standardStartTime, attempt });
+      if (attempt >= MAX_BOOKING_ATTEMPTS) throw new BayConflictError(assignedBay, date, standardStartTime);
+      const nextBay = await this.assignBay(numberOfPeople, date, standardStartTime, duration);
+      if (!nextBay) throw new BayConflictError(assignedBay, date, standardStartTime);
+      assignedBay = nextBay;
     }
+  }
+
+  private buildBookingRow(input: CreateBookingInput, bay: string, startTime: string, phoneNumber: string): Row {
+    const {
+      customerId, customerName, customerEmail, date, duration, numberOfPeople,
+      customerContactedVia, reservationKey = null, customerNotes = null, isNewCustomer = false,
+      confirmationStatus = null, gmailMessageId = null,
+    } = input;
 
-    const newBooking = {
+    return {
       id: this.generateBookingId(date),
       user_id: DEFAULT_GUEST_USER_ID,
       customer_id: customerId || null,
       name: customerName,
-      phone_number: finalPhoneNumber,
+      phone_number: phoneNumber,
       email: customerEmail || '',
       date,
-      start_time: standardStartTime,
+      start_time: startTime,
       duration,
       number_of_people: numberOfPeople,
-      bay: assignedBay,
+      bay,
       booking_type: customerContactedVia === 'ClassPass' ? 'ClassPass' : 'Normal Bay Rate',
       status: 'confirmed',
       customer_contacted_via: customerContactedVia || 'Email Automation',
       reservation_key: reservationKey,
       customer_notes: customerNotes,
       is_new_customer: Boolean(isNewCustomer),
+      confirmation_status: confirmationStatus,
+      gmail_message_id: gmailMessageId,
       updated_by_type: 'system',
       updated_by_identifier: 'Email Automation',
     };
-
-    const { data, error } = await this.supabase
-      .from('bookings')
-      .insert(newBooking)
-      .select()
-      .single();
-    if (error) throw new Error(`createBooking failed: ${error.message}`, { cause: error });
-
-    log('INFO', 'Booking created', {
-      bookingId: data.id,
-      date: data.date,
-      startTime: data.start_time,
-      bay: data.bay,
-    });
-    return data;
   }
 
   async cancelBooking(bookingId: string, reason: string, cancelledBy = 'Email Automation'): Promise<Row> {
@@ -379,12 +854,74 @@ export class BookingService {
   }
 }
 
+// ---------------------------------------------------------------------------
+// Booking change notifications (shared with src/services/bookingFeedService.js)
+// ---------------------------------------------------------------------------
+
+// Records that the automation is announcing a created/cancelled booking so the
+// booking change feed does not announce it again. Returns false if the feed got
+// there first; a failed claim counts as claimed (better a duplicate than nothing).
+export async function claimBookingNotification(
+  supabase: SupabaseClient,
+  bookingId: string,
+  changeType: 'created' | 'cancelled',
+): Promise<boolean> {
+  const { data, error } = await supabase
+    .from('booking_change_notifications')
+    .upsert(
+      { booking_id: bookingId, change_type: changeType, change_key: '', notified_by: 'automation' },
+      { onConflict: 'booking_id,change_type,change_key', ignoreDuplicates: true },
+    )
+    .select('booking_id');
+  if (error) {
+    log('WARN', 'Failed to claim booking notification, sending anyway', { bookingId, changeType, error: error.message });
+    return true;
+  }
+  return (data || []).length > 0;
+}
+
+// Records a review of a name-only customer match (customer_match_reviews) for
+// staff to confirm or split from LINE; same row shape as
+// src/services/customerMatchReviewService.js.
+export async function recordCustomerMatchReview(
+  supabase: SupabaseClient,
+  match: CustomerMatch,
+  input: { name: string; phone?: string | null; email?: string | null },
+  refs: { sourceType: string; gmailMessageId: string; bookingIds: string[] },
+): Promise<Row> {
+  const { data, error } = await supabase
+    .from('customer_match_reviews')
+    .insert({
+      reason: match.matchedBy,
+      source_type: refs.sourceType,
+      gmail_message_id: refs.gmailMessageId,
+      input_name: input.name,
+      input_phone: input.phone || null,
+      input_email: input.email || null,
+      candidates: match.candidates.map((customer) => ({
+        customerId: customer.id,
+        customerCode: customer.customer_code || null,
+        customerName: customer.customer_name,
+        phone: customer.contact_number || null,
+        email: customer.email || null,
+        similarity: customer.similarity ?? null,
+      })),
+      provisional_customer_id: match.customer.id,
+      booking_ids: refs.bookingIds,
+    })
+    .select()
+    .single();
+  if (error) throw new Error(`recordCustomerMatchReview failed: ${error.message}`, { cause: error });
+  log('INFO', 'Customer match review recorded', { reviewId: data.id, reason: data.reason });
+  return data;
+}
+
 // ---------------------------------------------------------------------------
 // EmailTrackingService
 // ---------------------------------------------------------------------------
 
 export type SourceType = 'classpass' | 'resos';
-export type ActionTaken = 'booking_created' | 'booking_cancelled' | 'no_slots' | 'error';
+export type ActionTaken = 'booking_created' | 'booking_cancelled' | 'no_slots' | 'outside_hours' | 'error';
 
 export class EmailTrackingService {
   constructor(private supabase: SupabaseClient) {}
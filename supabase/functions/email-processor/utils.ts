@@ -61,6 +61,85 @@ export function isTransientError(error: unknown): boolean {
   return false;
 }
 
+// Phone parsing ported from src/utils/phoneUtils.js (same country table and rules).
+const THAI_COUNTRY_CODE = '66';
+const COUNTRY_CODES: Record<string, string> = {
+  '1': 'US', '7': 'RU', '20': 'EG', '27': 'ZA', '30': 'GR', '31': 'NL', '32': 'BE', '33': 'FR',
+  '34': 'ES', '36': 'HU', '39': 'IT', '40': 'RO', '41': 'CH', '43': 'AT', '44': 'GB', '45': 'DK',
+  '46': 'SE', '47': 'NO', '48': 'PL', '49': 'DE', '52': 'MX', '55': 'BR', '60': 'MY', '61': 'AU',
+  '62': 'ID', '63': 'PH', '64': 'NZ', '65': 'SG', '66': 'TH', '81': 'JP', '82': 'KR', '84': 'VN',
+  '86': 'CN', '90': 'TR', '91': 'IN', '95': 'MM', '351': 'PT', '353': 'IE', '358': 'FI', '420': 'CZ',
+  '852': 'HK', '853': 'MO', '855': 'KH', '856': 'LA', '880': 'BD', '886': 'TW', '960': 'MV',
+  '961': 'LB', '965': 'KW', '966': 'SA', '971': 'AE', '972': 'IL', '973': 'BH', '974': 'QA', '977': 'NP',
+};
+const KEEPS_LEADING_ZERO = ['39'];
+
+export interface ParsedPhone {
+  e164: string;
+  countryCode: string | null;
+  country: string | null;
+  nationalNumber: string | null;
+  isThai: boolean;
+}
+
+function findCountryCode(digits: string): string | null {
+  for (const length of [3, 2, 1]) {
+    const code = digits.substring(0, length);
+    if (COUNTRY_CODES[code]) return code;
+  }
+  return null;
+}
+
+function buildPhone(countryCode: string, nationalNumber: string): ParsedPhone | null {
+  const national = KEEPS_LEADING_ZERO.includes(countryCode) ? nationalNumber : nationalNumber.replace(/^0+/, '');
+  const length = countryCode.length + national.length;
+  if (countryCode === THAI_COUNTRY_CODE ? !/^\d{8,9}$/.test(national) : length < 8 || length > 15) return null;
+  return {
+    e164: `+${countryCode}${national}`,
+    countryCode,
+    country: COUNTRY_CODES[countryCode] || null,
+    nationalNumber: national,
+    isThai: countryCode === THAI_COUNTRY_CODE,
+  };
+}
+
+/**
+ * Parse a phone number to E.164. Input without "+" or "00" is Thai when it looks
+ * Thai (trunk 0, bare 66, or 8-9 digits), international when a longer string
+ * starts with a known country code; anything else returns null.
+ */
+export function parsePhone(phoneInput: string | null | undefined): ParsedPhone | null {
+  if (!phoneInput) return null;
+  const raw = String(phoneInput).trim();
+  let digits = raw.replace(/[^0-9]/g, '');
+  if (!digits) return null;
+
+  let international = raw.startsWith('+');
+  if (!international && digits.startsWith('00')) {
+    digits = digits.substring(2);
+    international = true;
+  }
+
+  if (international) {
+    const countryCode = findCountryCode(digits);
+    if (!countryCode) {
+      return digits.length >= 8 && digits.length <= 15
+        ? { e164: `+${digits}`, countryCode: null, country: null, nationalNumber: null, isThai: false }
+        : null;
+    }
+    return buildPhone(countryCode, digits.substring(countryCode.length));
+  }
+
+  if (digits.startsWith('0')) return buildPhone(THAI_COUNTRY_CODE, digits.substring(1));
+  if (digits.startsWith(THAI_COUNTRY_CODE) && (digits.length === 10 || digits.length === 11)) {
+    return buildPhone(THAI_COUNTRY_CODE, digits.substring(2));
+  }
+  if (digits.length === 8 || digits.length === 9) return buildPhone(THAI_COUNTRY_CODE, digits);
+
+  const countryCode = findCountryCode(digits);
+  return countryCode && digits.length >= 10 ? buildPhone(countryCode, digits.substring(countryCode.length)) : null;
+}
+
 const MONTHS: Record<string, string> = {
   jan: '01', feb: '02', mar: '03', apr: '04', may: '05', jun: '06',
   jul: '07', aug: '08', sep: '09', oct: '10', nov: '11', dec: '12',
@@ -0,0 +1,15 @@
+-- Migration: open processed_emails.source_type to registered booking sources
+-- Description: Booking-source channels are now registered in code
+--   (src/processors/bookingSources.js). Replace the fixed ('classpass', 'resos')
+--   CHECK with a format check so a new channel (Klook, GolfNow, ...) does not
+--   need a schema change.
+-- Date: 2026-10-19
+
+ALTER TABLE public.processed_emails
+DROP CONSTRAINT IF EXISTS processed_emails_source_type_check;
+
+ALTER TABLE public.processed_emails
+ADD CONSTRAINT processed_emails_source_type_check
+CHECK (source_type ~ '^[a-z][a-z0-9_]*$');
+
+COMMENT ON COLUMN public.processed_emails.source_type IS 'Booking source type registered in src/processors/bookingSources.js (e.g. classpass, resos)';
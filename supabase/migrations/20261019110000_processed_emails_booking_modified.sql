@@ -0,0 +1,13 @@
+-- Migration: booking_modified action for processed emails
+-- Description: ResOS "booking changed" emails now update the existing booking
+--   in place; record them with their own action instead of 'booking_created'.
+-- Date: 2026-10-19
+
+ALTER TABLE public.processed_emails
+DROP CONSTRAINT IF EXISTS processed_emails_action_taken_check;
+
+ALTER TABLE public.processed_emails
+ADD CONSTRAINT processed_emails_action_taken_check
+CHECK (action_taken IN ('booking_created', 'booking_cancelled', 'booking_modified', 'no_slots', 'error'));
+
+COMMENT ON COLUMN public.processed_emails.action_taken IS 'Action performed: booking_created, booking_cancelled, booking_modified, no_slots, or error';
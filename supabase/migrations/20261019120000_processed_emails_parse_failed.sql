@@ -0,0 +1,17 @@
+-- Migration: parse_failed action for processed emails
+-- Description: Booking emails that no template can parse are quarantined in the
+--   Gmail "needs review" label and recorded as 'parse_failed' so staff can fix the
+--   parser and re-submit them (src/scripts/resubmitQuarantinedEmails.js).
+-- Date: 2026-10-19
+
+ALTER TABLE public.processed_emails
+DROP CONSTRAINT IF EXISTS processed_emails_action_taken_check;
+
+ALTER TABLE public.processed_emails
+ADD CONSTRAINT processed_emails_action_taken_check
+CHECK (action_taken IN ('booking_created', 'booking_cancelled', 'booking_modified', 'no_slots', 'parse_failed', 'error'));
+
+COMMENT ON COLUMN public.processed_emails.action_taken IS 'Action performed: booking_created, booking_cancelled, booking_modified, no_slots, parse_failed, or error';
+
+-- Quarantined emails are looked up by staff tooling
+CREATE INDEX IF NOT EXISTS idx_processed_emails_parse_failed ON public.processed_emails(processed_at DESC) WHERE action_taken = 'parse_failed';
@@ -0,0 +1,12 @@
+-- Migration: Manual override audit columns for processed emails
+-- Description: Staff can reprocess an email with corrected booking fields
+--   (party size, date, bay, ...). The overrides and who applied them are stored
+--   on the resulting processed_emails record.
+-- Date: 2026-10-19
+
+ALTER TABLE public.processed_emails
+ADD COLUMN IF NOT EXISTS override_fields JSONB,
+ADD COLUMN IF NOT EXISTS overridden_by TEXT;
+
+COMMENT ON COLUMN public.processed_emails.override_fields IS 'Booking fields overridden by staff when the email was reprocessed manually';
+COMMENT ON COLUMN public.processed_emails.overridden_by IS 'Staff member who reprocessed the email with overrides';
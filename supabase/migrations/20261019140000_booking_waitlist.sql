@@ -0,0 +1,37 @@
+-- Migration: Booking waitlist
+-- Description: Booking requests that arrive when no bay is free are kept on a
+--   waitlist instead of being dropped. Waiting entries are re-checked whenever a
+--   booking is cancelled (and on every processing cycle) and converted into a
+--   booking when a bay frees up.
+-- Date: 2026-10-19
+
+CREATE TABLE IF NOT EXISTS public.booking_waitlist (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  source_type TEXT NOT NULL CHECK (source_type ~ '^[a-z][a-z0-9_]*$'),
+  gmail_message_id TEXT NOT NULL UNIQUE,
+  customer_id UUID,
+  customer_name TEXT NOT NULL,
+  customer_phone TEXT,
+  customer_email TEXT,
+  is_new_customer BOOLEAN NOT NULL DEFAULT false,
+  date DATE NOT NULL,
+  start_time TEXT NOT NULL,
+  duration NUMERIC NOT NULL,
+  number_of_people INTEGER NOT NULL,
+  reservation_key TEXT,
+  status TEXT NOT NULL DEFAULT 'waiting' CHECK (status IN ('waiting', 'converted', 'cancelled', 'expired')),
+  booking_id TEXT,
+  converted_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT now(),
+  updated_at TIMESTAMPTZ DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_booking_waitlist_waiting ON public.booking_waitlist(date, start_time) WHERE status = 'waiting';
+CREATE INDEX IF NOT EXISTS idx_booking_waitlist_reservation_key ON public.booking_waitlist(reservation_key) WHERE reservation_key IS NOT NULL;
+
+COMMENT ON TABLE public.booking_waitlist IS 'Email booking requests that found no free bay, waiting for a cancellation to free one';
+COMMENT ON COLUMN public.booking_waitlist.start_time IS 'Requested start time in HH:mm (24-hour) format';
+COMMENT ON COLUMN public.booking_waitlist.status IS 'waiting, converted (booking_id set), cancelled (customer cancelled the request), or expired (date passed)';
+
+-- Service role bypasses RLS; enabling it with no policies blocks anon/authenticated.
+ALTER TABLE public.booking_waitlist ENABLE ROW LEVEL SECURITY;
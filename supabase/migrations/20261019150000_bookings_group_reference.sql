@@ -0,0 +1,12 @@
+-- Migration: Multi-bay group bookings
+-- Description: Parties larger than one social bay are split across adjacent
+--   bays as one booking row per bay. The rows share booking_group_id (the first
+--   booking's ID) so they can be shown and cancelled together.
+-- Date: 2026-10-19
+
+ALTER TABLE public.bookings
+ADD COLUMN IF NOT EXISTS booking_group_id TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_bookings_booking_group_id ON public.bookings(booking_group_id) WHERE booking_group_id IS NOT NULL;
+
+COMMENT ON COLUMN public.bookings.booking_group_id IS 'Shared reference for a large party split across several adjacent bays (ID of the first booking in the group). Cancelling one booking of the group cancels all of them.';
@@ -0,0 +1,82 @@
+-- Migration: Bay inventory, opening hours and holiday closures
+-- Description: Bay assignment used to be hard-coded (BookingService in src/ and
+--   the email-processor edge function). Bays, their capacity, type, preference
+--   order and physical layout, weekly opening hours and holiday closures now live
+--   in tables, so adding a bay or changing hours does not need a deploy.
+--   Booking requests outside opening hours are recorded as 'outside_hours'.
+-- Date: 2026-10-19
+
+-- ============================================================================
+-- 1. Bay inventory
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS public.bay_inventory (
+  name TEXT PRIMARY KEY,
+  bay_type TEXT NOT NULL CHECK (bay_type IN ('social', 'ai')),
+  max_people INTEGER NOT NULL CHECK (max_people > 0),
+  preference_order INTEGER NOT NULL,
+  layout_position INTEGER NOT NULL,
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  notes TEXT,
+  updated_at TIMESTAMPTZ DEFAULT now()
+);
+
+COMMENT ON TABLE public.bay_inventory IS 'Bookable bays used by email booking automation for bay assignment';
+COMMENT ON COLUMN public.bay_inventory.bay_type IS 'social (groups) or ai (AI bay, small parties)';
+COMMENT ON COLUMN public.bay_inventory.preference_order IS 'Assignment preference within the bay type (lower is preferred)';
+COMMENT ON COLUMN public.bay_inventory.layout_position IS 'Physical position; large parties are split across social bays with neighbouring positions';
+
+INSERT INTO public.bay_inventory (name, bay_type, max_people, preference_order, layout_position, notes) VALUES
+  ('Bay 1', 'social', 5, 3, 1, 'Bar bay'),
+  ('Bay 2', 'social', 5, 1, 2, NULL),
+  ('Bay 3', 'social', 5, 2, 3, NULL),
+  ('Bay 4', 'ai', 2, 1, 4, 'AI bay')
+ON CONFLICT (name) DO NOTHING;
+
+-- ============================================================================
+-- 2. Weekly opening hours (0 = Sunday ... 6 = Saturday)
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS public.opening_hours (
+  weekday SMALLINT PRIMARY KEY CHECK (weekday BETWEEN 0 AND 6),
+  open_time TIME,
+  close_time TIME,
+  is_closed BOOLEAN NOT NULL DEFAULT false,
+  updated_at TIMESTAMPTZ DEFAULT now(),
+  CHECK (is_closed OR (open_time IS NOT NULL AND close_time IS NOT NULL))
+);
+
+COMMENT ON TABLE public.opening_hours IS 'Weekly opening hours; a close_time at or before open_time means closing after midnight';
+
+-- No rows are seeded: a weekday without a row is open around the clock (as
+-- before this migration) until staff enter the venue's confirmed hours.
+
+-- ============================================================================
+-- 3. Holiday closures
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS public.holiday_closures (
+  date DATE PRIMARY KEY,
+  reason TEXT,
+  created_at TIMESTAMPTZ DEFAULT now()
+);
+
+COMMENT ON TABLE public.holiday_closures IS 'Full-day closures; booking requests on these dates are rejected';
+
+-- Service role bypasses RLS; enabling it with no policies blocks anon/authenticated.
+ALTER TABLE public.bay_inventory ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.opening_hours ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.holiday_closures ENABLE ROW LEVEL SECURITY;
+
+-- ============================================================================
+-- 4. outside_hours action for processed emails
+-- ============================================================================
+
+ALTER TABLE public.processed_emails
+DROP CONSTRAINT IF EXISTS processed_emails_action_taken_check;
+
+ALTER TABLE public.processed_emails
+ADD CONSTRAINT processed_emails_action_taken_check
+CHECK (action_taken IN ('booking_created', 'booking_cancelled', 'booking_modified', 'no_slots', 'outside_hours', 'parse_failed', 'error'));
+
+COMMENT ON COLUMN public.processed_emails.action_taken IS 'Action performed: booking_created, booking_cancelled, booking_modified, no_slots, outside_hours, parse_failed, or error';
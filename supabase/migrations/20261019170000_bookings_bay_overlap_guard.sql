@@ -0,0 +1,62 @@
+-- Migration: Database-level guard against double-booking a bay
+-- Description: Booking automation checked availability and then inserted, so two
+--   writers (the Node processors, the email-processor edge function, staff in
+--   lengolf-forms) could book the same bay for overlapping times in the gap.
+--   A trigger now serialises writes per bay and date with a transaction-scoped
+--   advisory lock and rejects overlapping confirmed bookings with SQLSTATE 23P01
+--   (exclusion_violation), the same error an exclusion constraint raises.
+--   A trigger is used rather than an exclusion constraint because existing rows
+--   may already overlap (a constraint could not be added without cleaning them
+--   up first) and because start_time/duration need casting into a range.
+-- Date: 2026-10-19
+
+CREATE OR REPLACE FUNCTION public.prevent_bay_double_booking()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SET search_path = public, pg_temp
+AS $$
+DECLARE
+  v_start NUMERIC;
+  v_end NUMERIC;
+  v_conflict_id TEXT;
+BEGIN
+  IF NEW.status IS DISTINCT FROM 'confirmed' OR NEW.bay IS NULL THEN
+    RETURN NEW;
+  END IF;
+
+  -- One writer per bay and date at a time; released at commit or rollback
+  PERFORM pg_advisory_xact_lock(hashtextextended('bookings:' || NEW.bay || ':' || NEW.date::text, 0));
+
+  -- Minutes since midnight; bookings running past midnight end above 1440
+  v_start := EXTRACT(EPOCH FROM NEW.start_time::time) / 60;
+  v_end := v_start + NEW.duration * 60;
+
+  SELECT b.id INTO v_conflict_id
+  FROM public.bookings b
+  WHERE b.bay = NEW.bay
+    AND b.date = NEW.date
+    AND b.status = 'confirmed'
+    AND b.id <> NEW.id
+    AND EXTRACT(EPOCH FROM b.start_time::time) / 60 < v_end
+    AND v_start < EXTRACT(EPOCH FROM b.start_time::time) / 60 + b.duration * 60
+  LIMIT 1;
+
+  IF v_conflict_id IS NOT NULL THEN
+    RAISE EXCEPTION 'BAY_CONFLICT: % is already booked on % overlapping % (booking %)',
+      NEW.bay, NEW.date, NEW.start_time, v_conflict_id
+      USING ERRCODE = 'exclusion_violation';
+  END IF;
+
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS bookings_prevent_bay_double_booking ON public.bookings;
+
+CREATE TRIGGER bookings_prevent_bay_double_booking
+BEFORE INSERT OR UPDATE OF bay, date, start_time, duration, status ON public.bookings
+FOR EACH ROW
+EXECUTE FUNCTION public.prevent_bay_double_booking();
+
+COMMENT ON FUNCTION public.prevent_bay_double_booking() IS
+  'Rejects a confirmed booking that overlaps another confirmed booking on the same bay and date (SQLSTATE 23P01). Writes are serialised per bay/date with an advisory lock.';
@@ -0,0 +1,47 @@
+-- Migration: Booking change feed
+-- Description: The bay-staff LINE group only heard about bookings the email
+--   automation created, cancelled or moved itself. The booking change feed
+--   (src/services/bookingFeedService.js) listens to realtime changes on bookings
+--   and announces changes made by any channel (lengolf-forms, staff, other
+--   integrations). booking_change_notifications records which changes were
+--   already announced, so the automation and the feed never both send one.
+-- Date: 2026-10-19
+
+-- ============================================================================
+-- 1. Realtime on bookings (full old row on UPDATE, for "old → new" messages)
+-- ============================================================================
+
+ALTER TABLE public.bookings REPLICA IDENTITY FULL;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_publication_tables
+    WHERE pubname = 'supabase_realtime' AND schemaname = 'public' AND tablename = 'bookings'
+  ) THEN
+    ALTER PUBLICATION supabase_realtime ADD TABLE public.bookings;
+  END IF;
+END;
+$$;
+
+-- ============================================================================
+-- 2. Announced booking changes
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS public.booking_change_notifications (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  booking_id TEXT NOT NULL,
+  change_type TEXT NOT NULL CHECK (change_type IN ('created', 'cancelled', 'modified')),
+  change_key TEXT NOT NULL DEFAULT '',
+  notified_by TEXT NOT NULL CHECK (notified_by IN ('automation', 'feed')),
+  created_at TIMESTAMPTZ DEFAULT now(),
+  UNIQUE (booking_id, change_type, change_key)
+);
+
+CREATE INDEX IF NOT EXISTS idx_booking_change_notifications_created_at ON public.booking_change_notifications(created_at);
+
+COMMENT ON TABLE public.booking_change_notifications IS 'Booking changes already announced on LINE; whoever inserts the row first (email automation or booking change feed) sends the notification';
+COMMENT ON COLUMN public.booking_change_notifications.change_key IS 'Empty for created/cancelled; for modified, the new date|start_time|duration|bay|number_of_people';
+
+-- Service role bypasses RLS; enabling it with no policies blocks anon/authenticated.
+ALTER TABLE public.booking_change_notifications ENABLE ROW LEVEL SECURITY;
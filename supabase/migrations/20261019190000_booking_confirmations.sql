@@ -0,0 +1,22 @@
+-- Migration: Customer confirmation tracking
+-- Description: ResOS bookings are created automatically with "Please call customer
+--   to confirm", but nothing recorded whether staff reached the customer. Bookings
+--   from channels that need a confirmation call now start as 'pending'; staff set
+--   'confirmed' or 'no_answer' (or cancel the booking) with the buttons on the LINE
+--   notification, and bookings still unconfirmed shortly before start get one
+--   reminder (confirmation_reminder_sent_at).
+-- Date: 2026-10-19
+
+ALTER TABLE public.bookings
+ADD COLUMN IF NOT EXISTS confirmation_status TEXT
+  CHECK (confirmation_status IN ('pending', 'confirmed', 'no_answer')),
+ADD COLUMN IF NOT EXISTS confirmation_updated_at TIMESTAMPTZ,
+ADD COLUMN IF NOT EXISTS confirmation_updated_by TEXT,
+ADD COLUMN IF NOT EXISTS confirmation_reminder_sent_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_bookings_unconfirmed ON public.bookings(date)
+  WHERE status = 'confirmed' AND confirmation_status IN ('pending', 'no_answer');
+
+COMMENT ON COLUMN public.bookings.confirmation_status IS 'Customer confirmation call: pending, confirmed or no_answer. NULL for bookings that need no confirmation call.';
+COMMENT ON COLUMN public.bookings.confirmation_updated_by IS 'LINE display name of the staff member who recorded the confirmation status';
+COMMENT ON COLUMN public.bookings.confirmation_reminder_sent_at IS 'When the "still unconfirmed" LINE reminder was sent (at most one per booking)';
@@ -0,0 +1,48 @@
+-- Migration: Notification outbox
+-- Description: The processors sent LINE notifications inline, after the booking
+--   was written. A LINE failure then failed the whole email: it was marked
+--   'error', or retried on the next cycle and booked a second time. Processors
+--   now write the notification to notification_outbox and consider the email
+--   done; the notification worker (src/services/notificationOutboxService.js)
+--   delivers pending rows with exponential backoff and moves rows that keep
+--   failing to 'dead' for staff to look at and requeue.
+-- Date: 2026-10-19
+
+CREATE TABLE IF NOT EXISTS public.notification_outbox (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  target TEXT NOT NULL,
+  service_type TEXT,
+  notification_type TEXT NOT NULL CHECK (notification_type IN (
+    'booking_created',
+    'booking_cancelled',
+    'booking_modified',
+    'no_slots',
+    'outside_hours',
+    'confirmation_reminder',
+    'parse_failed'
+  )),
+  payload JSONB NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'sent', 'dead')),
+  attempts INTEGER NOT NULL DEFAULT 0,
+  next_attempt_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  locked_until TIMESTAMPTZ,
+  last_error TEXT,
+  booking_id TEXT,
+  gmail_message_id TEXT,
+  created_at TIMESTAMPTZ DEFAULT now(),
+  sent_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_notification_outbox_due ON public.notification_outbox(next_attempt_at)
+  WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_notification_outbox_dead ON public.notification_outbox(created_at)
+  WHERE status = 'dead';
+
+COMMENT ON TABLE public.notification_outbox IS 'LINE notifications waiting to be delivered by the notification worker';
+COMMENT ON COLUMN public.notification_outbox.target IS 'LINE env suffix of the group (LINE_GROUP_ID_<target>, e.g. WEBRESOS, BOOKING_FEED)';
+COMMENT ON COLUMN public.notification_outbox.payload IS 'Notification fields passed to the LineNotificationService send method';
+COMMENT ON COLUMN public.notification_outbox.locked_until IS 'Lease of the worker delivering the row; expired leases are picked up again';
+COMMENT ON COLUMN public.notification_outbox.status IS 'pending (queued or waiting for a retry), sent, or dead (gave up; requeue to retry)';
+
+-- Service role bypasses RLS; enabling it with no policies blocks anon/authenticated.
+ALTER TABLE public.notification_outbox ENABLE ROW LEVEL SECURITY;
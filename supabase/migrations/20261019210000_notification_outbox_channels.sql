@@ -0,0 +1,35 @@
+-- Migration: Notification outbox channels
+-- Description: Notifications now go through one notification service that
+--   routes each event to channels (LINE group, LINE multicast, email, webhook).
+--   An outbox row is one delivery to one channel: target holds the channel name
+--   ('line:WEBRESOS', 'email', ...) instead of the LINE group suffix, and source
+--   (the booking source or feed that raised the event, used by the routing
+--   rules) replaces the service_type log label.
+-- Date: 2026-10-19
+
+ALTER TABLE public.notification_outbox ADD COLUMN IF NOT EXISTS source TEXT;
+ALTER TABLE public.notification_outbox DROP COLUMN IF EXISTS service_type;
+
+UPDATE public.notification_outbox
+SET target = 'line:' || target
+WHERE target NOT LIKE '%:%' AND target NOT IN ('email', 'webhook');
+
+ALTER TABLE public.notification_outbox DROP CONSTRAINT IF EXISTS notification_outbox_notification_type_check;
+ALTER TABLE public.notification_outbox ADD CONSTRAINT notification_outbox_notification_type_check
+  CHECK (notification_type IN (
+    'booking_created',
+    'booking_cancelled',
+    'booking_modified',
+    'no_slots',
+    'outside_hours',
+    'confirmation_reminder',
+    'parse_failed',
+    'lead_received',
+    'schedule_digest',
+    'message'
+  ));
+
+COMMENT ON TABLE public.notification_outbox IS 'Notification deliveries (one row per event and channel) waiting for the notification worker';
+COMMENT ON COLUMN public.notification_outbox.target IS 'Channel name (line:<GROUP>, line:multicast, email, webhook)';
+COMMENT ON COLUMN public.notification_outbox.source IS 'Source that raised the event (e.g. resos, classpass, booking_feed)';
+COMMENT ON COLUMN public.notification_outbox.payload IS 'Event payload rendered by the notification service for the channel';
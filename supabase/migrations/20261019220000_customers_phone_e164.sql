@@ -0,0 +1,30 @@
+-- Migration: Customer phone numbers in E.164
+-- Description: customers.normalized_phone keeps the last 9 digits of a number with
+--   a leading 66 stripped, which only identifies Thai numbers: a +44, +65, +82 or
+--   +1 number was mangled and could equal an unrelated Thai customer's key.
+--   phone_e164 stores the canonical international form; the email automation
+--   matches on it first and only falls back to normalized_phone for Thai numbers.
+--   Foreign numbers it creates get their full E.164 digits as normalized_phone.
+--   Existing rows are backfilled where the country is certain: Thai national or
+--   +66 numbers, and numbers written with a "+".
+-- Date: 2026-10-19
+
+ALTER TABLE public.customers ADD COLUMN IF NOT EXISTS phone_e164 TEXT;
+
+UPDATE public.customers
+SET phone_e164 = '+66' || normalized_phone
+WHERE phone_e164 IS NULL
+  AND normalized_phone ~ '^[0-9]{8,9}$'
+  AND contact_number ~ '^\s*(\+\s*66|66|0[1-9])';
+
+UPDATE public.customers
+SET phone_e164 = '+' || regexp_replace(contact_number, '[^0-9]', '', 'g')
+WHERE phone_e164 IS NULL
+  AND contact_number ~ '^\s*\+'
+  AND contact_number !~ '\(0\)'
+  AND length(regexp_replace(contact_number, '[^0-9]', '', 'g')) BETWEEN 8 AND 15;
+
+CREATE INDEX IF NOT EXISTS idx_customers_phone_e164 ON public.customers(phone_e164)
+  WHERE phone_e164 IS NOT NULL;
+
+COMMENT ON COLUMN public.customers.phone_e164 IS 'Phone number in E.164 (+<country code><number>); matched before the legacy normalized_phone';
@@ -0,0 +1,58 @@
+-- Migration: Customer match reviews
+-- Description: Channels without a phone number (ClassPass) match customers by a
+--   fuzzy name. A single similar name was linked silently, and several similar
+--   names were treated as no match, creating a duplicate customer. Both cases now
+--   link the booking provisionally (to the only or the most similar candidate)
+--   and record a review with the candidates and their similarity scores. Staff
+--   confirm the right customer or split the booking into a new customer from the
+--   LINE buttons or the /customer-match-reviews admin API; bookings are relinked
+--   accordingly.
+-- Date: 2026-10-19
+
+CREATE TABLE IF NOT EXISTS public.customer_match_reviews (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'confirmed', 'split')),
+  reason TEXT NOT NULL CHECK (reason IN ('fuzzy_name', 'ambiguous_name')),
+  source_type TEXT NOT NULL,
+  gmail_message_id TEXT,
+  input_name TEXT NOT NULL,
+  input_phone TEXT,
+  input_email TEXT,
+  candidates JSONB NOT NULL DEFAULT '[]'::jsonb,
+  provisional_customer_id UUID NOT NULL,
+  booking_ids TEXT[] NOT NULL DEFAULT '{}',
+  resolved_customer_id UUID,
+  resolved_by TEXT,
+  resolved_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT now(),
+  updated_at TIMESTAMPTZ DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_customer_match_reviews_pending ON public.customer_match_reviews(created_at)
+  WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_customer_match_reviews_gmail_message_id ON public.customer_match_reviews(gmail_message_id);
+
+COMMENT ON TABLE public.customer_match_reviews IS 'Fuzzy-name customer matches waiting for staff to confirm the customer or split into a new one';
+COMMENT ON COLUMN public.customer_match_reviews.reason IS 'fuzzy_name (one similar customer) or ambiguous_name (several similar customers)';
+COMMENT ON COLUMN public.customer_match_reviews.candidates IS 'Similar customers, most similar first: [{ customerId, customerCode, customerName, phone, email, similarity }]';
+COMMENT ON COLUMN public.customer_match_reviews.provisional_customer_id IS 'Customer the bookings were linked to until the review is resolved';
+COMMENT ON COLUMN public.customer_match_reviews.resolved_customer_id IS 'Confirmed candidate, or the customer created by a split';
+
+ALTER TABLE public.notification_outbox DROP CONSTRAINT IF EXISTS notification_outbox_notification_type_check;
+ALTER TABLE public.notification_outbox ADD CONSTRAINT notification_outbox_notification_type_check
+  CHECK (notification_type IN (
+    'booking_created',
+    'booking_cancelled',
+    'booking_modified',
+    'no_slots',
+    'outside_hours',
+    'confirmation_reminder',
+    'parse_failed',
+    'customer_match_review',
+    'lead_received',
+    'schedule_digest',
+    'message'
+  ));
+
+-- Service role bypasses RLS; enabling it with no policies blocks anon/authenticated.
+ALTER TABLE public.customer_match_reviews ENABLE ROW LEVEL SECURITY;
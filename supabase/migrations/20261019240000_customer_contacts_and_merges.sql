@@ -0,0 +1,75 @@
+-- Migration: Customer contact enrichment and merge proposals
+-- Description: A returning customer matched by phone whose email carried a new
+--   email address (or the reverse) kept only the old details. Matched customers
+--   now get missing phone / email filled in, and contact details that differ
+--   from the stored ones are kept in customer_alternate_contacts. When the phone
+--   and the email of one booking match two different customers, the booking
+--   goes to the phone match and a merge is proposed in customer_merge_proposals
+--   for staff to merge or reject (/customer-merge-proposals admin API). A merged
+--   customer is deactivated and points at the customer it was merged into.
+-- Date: 2026-10-19
+
+CREATE TABLE IF NOT EXISTS public.customer_alternate_contacts (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  customer_id UUID NOT NULL,
+  contact_type TEXT NOT NULL CHECK (contact_type IN ('phone', 'email')),
+  value TEXT NOT NULL,
+  source_type TEXT,
+  gmail_message_id TEXT,
+  first_seen_at TIMESTAMPTZ DEFAULT now(),
+  last_seen_at TIMESTAMPTZ DEFAULT now(),
+  UNIQUE (customer_id, contact_type, value)
+);
+
+CREATE TABLE IF NOT EXISTS public.customer_merge_proposals (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'merged', 'rejected')),
+  primary_customer_id UUID NOT NULL,
+  duplicate_customer_id UUID NOT NULL,
+  reason TEXT NOT NULL DEFAULT 'phone_email_conflict',
+  source_type TEXT,
+  gmail_message_id TEXT,
+  input_phone TEXT,
+  input_email TEXT,
+  resolved_by TEXT,
+  resolved_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT now(),
+  updated_at TIMESTAMPTZ DEFAULT now(),
+  CHECK (primary_customer_id <> duplicate_customer_id)
+);
+
+-- One open proposal per pair of customers, whichever way round
+CREATE UNIQUE INDEX IF NOT EXISTS idx_customer_merge_proposals_pending_pair ON public.customer_merge_proposals(
+  LEAST(primary_customer_id, duplicate_customer_id),
+  GREATEST(primary_customer_id, duplicate_customer_id)
+) WHERE status = 'pending';
+
+ALTER TABLE public.customers ADD COLUMN IF NOT EXISTS merged_into_customer_id UUID;
+
+COMMENT ON TABLE public.customer_alternate_contacts IS 'Phone numbers and emails a customer booked with that differ from the ones on the customer record';
+COMMENT ON COLUMN public.customer_alternate_contacts.source_type IS 'Source of the email the contact was last seen in';
+COMMENT ON TABLE public.customer_merge_proposals IS 'Customers that look like the same person (e.g. one booking''s phone and email matched both), waiting for staff';
+COMMENT ON COLUMN public.customer_merge_proposals.primary_customer_id IS 'Customer that is kept (the phone match); the booking was linked to it';
+COMMENT ON COLUMN public.customer_merge_proposals.duplicate_customer_id IS 'Customer merged into the primary one (bookings moved, record deactivated)';
+COMMENT ON COLUMN public.customers.merged_into_customer_id IS 'Customer this (deactivated) record was merged into';
+
+ALTER TABLE public.notification_outbox DROP CONSTRAINT IF EXISTS notification_outbox_notification_type_check;
+ALTER TABLE public.notification_outbox ADD CONSTRAINT notification_outbox_notification_type_check
+  CHECK (notification_type IN (
+    'booking_created',
+    'booking_cancelled',
+    'booking_modified',
+    'no_slots',
+    'outside_hours',
+    'confirmation_reminder',
+    'parse_failed',
+    'customer_match_review',
+    'customer_merge_proposal',
+    'lead_received',
+    'schedule_digest',
+    'message'
+  ));
+
+-- Service role bypasses RLS; enabling it with no policies blocks anon/authenticated.
+ALTER TABLE public.customer_alternate_contacts ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.customer_merge_proposals ENABLE ROW LEVEL SECURITY;
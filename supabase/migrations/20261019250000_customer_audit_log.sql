@@ -0,0 +1,27 @@
+-- Migration: Customer audit log
+-- Description: Creating a customer failed with DUPLICATE_PHONE when the phone's
+--   normalized_phone key already belonged to a customer that matching skips
+--   (inactive, merged, or stored in a format the lookup missed), and the booking
+--   was never made. The email automation now links the booking to that customer
+--   instead: a merged customer is followed to the one it was merged into, and an
+--   inactive one is reactivated or linked as is (CUSTOMER_DUPLICATE_PHONE_POLICY).
+--   Each recovery is recorded in customer_audit_log.
+-- Date: 2026-10-19
+
+CREATE TABLE IF NOT EXISTS public.customer_audit_log (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  customer_id UUID NOT NULL,
+  action TEXT NOT NULL CHECK (action IN ('duplicate_phone_recovery')),
+  details JSONB NOT NULL DEFAULT '{}'::jsonb,
+  source_type TEXT,
+  gmail_message_id TEXT,
+  created_at TIMESTAMPTZ DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_customer_audit_log_customer_id ON public.customer_audit_log(customer_id);
+
+COMMENT ON TABLE public.customer_audit_log IS 'Changes the email automation made to customer records outside normal matching';
+COMMENT ON COLUMN public.customer_audit_log.details IS 'duplicate_phone_recovery: { resolution, policy, existingCustomerId, inputName, inputPhone, inputEmail }';
+
+-- Service role bypasses RLS; enabling it with no policies blocks anon/authenticated.
+ALTER TABLE public.customer_audit_log ENABLE ROW LEVEL SECURITY;
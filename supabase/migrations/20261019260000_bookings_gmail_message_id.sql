@@ -0,0 +1,17 @@
+-- Migration: Booking email reference
+-- Description: An email was only recorded as processed after its booking, LINE
+--   outbox row and customer match review were written. A failure after the
+--   booking insert left the email unrecorded (transient errors) or recorded as
+--   'error' without its booking, and the next cycle or a resubmission booked it
+--   again. Bookings now keep the Gmail message they were created from; the
+--   email automation finishes the existing booking (notification, tracking)
+--   instead of booking the email twice, and refuses to resubmit an email whose
+--   booking still stands.
+-- Date: 2026-10-19
+
+ALTER TABLE public.bookings ADD COLUMN IF NOT EXISTS gmail_message_id TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_bookings_gmail_message_id ON public.bookings(gmail_message_id)
+  WHERE gmail_message_id IS NOT NULL;
+
+COMMENT ON COLUMN public.bookings.gmail_message_id IS 'Gmail message the email automation created the booking from (shared by every row of a group booking)';
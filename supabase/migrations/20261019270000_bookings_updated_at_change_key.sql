@@ -0,0 +1,34 @@
+-- Migration: Per-write key for booking modification announcements
+-- Description: booking_change_notifications keyed a 'modified' change on the new
+--   date|start_time|duration|bay|number_of_people only, so moving a booking back
+--   to a state it had before (A → B → A) matched the first announcement and the
+--   second move was never announced. bookings.updated_at is now set on every
+--   update, and the key of a modification includes it: the email automation (the
+--   row returned by its update) and the booking change feed (the realtime row)
+--   see the same value for the same write, and different values for later ones.
+-- Date: 2026-10-19
+
+ALTER TABLE public.bookings ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ DEFAULT now();
+
+CREATE OR REPLACE FUNCTION public.set_bookings_updated_at()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SET search_path = public, pg_temp
+AS $$
+BEGIN
+  NEW.updated_at := clock_timestamp();
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS bookings_set_updated_at ON public.bookings;
+
+CREATE TRIGGER bookings_set_updated_at
+BEFORE UPDATE ON public.bookings
+FOR EACH ROW
+EXECUTE FUNCTION public.set_bookings_updated_at();
+
+COMMENT ON FUNCTION public.set_bookings_updated_at() IS
+  'Stamps bookings.updated_at on every update (part of the booking change feed modification key)';
+
+COMMENT ON COLUMN public.booking_change_notifications.change_key IS 'Empty for created/cancelled; for modified, the new date|start_time|duration|bay|number_of_people|updated_at of the write';
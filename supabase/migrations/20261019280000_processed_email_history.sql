@@ -0,0 +1,33 @@
+-- Migration: History of re-submitted and reprocessed emails
+-- Description: Re-submitting a quarantined email or reprocessing one with
+--   staff overrides deleted its processed_emails record, so the earlier
+--   outcome (parse failure, error, no slots, overrides applied) was lost. The
+--   record is now copied to processed_email_history before it is cleared; the
+--   email's current outcome stays in processed_emails.
+-- Date: 2026-10-19
+
+CREATE TABLE IF NOT EXISTS public.processed_email_history (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  processed_email_id UUID NOT NULL,
+  gmail_message_id TEXT NOT NULL,
+  source_type TEXT NOT NULL,
+  email_subject TEXT,
+  email_date TIMESTAMPTZ,
+  booking_id TEXT,
+  action_taken TEXT NOT NULL,
+  error_message TEXT,
+  override_fields JSONB,
+  overridden_by TEXT,
+  processed_at TIMESTAMPTZ,
+  cleared_by TEXT,
+  cleared_at TIMESTAMPTZ DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_processed_email_history_gmail_id ON public.processed_email_history(gmail_message_id);
+
+COMMENT ON TABLE public.processed_email_history IS 'Earlier processed_emails records of emails that were re-submitted or reprocessed with overrides (oldest first by cleared_at)';
+COMMENT ON COLUMN public.processed_email_history.processed_email_id IS 'ID of the cleared processed_emails record';
+COMMENT ON COLUMN public.processed_email_history.cleared_by IS 'Staff member who reprocessed the email, or null for a re-submission';
+
+-- Service role bypasses RLS; enabling it with no policies blocks anon/authenticated.
+ALTER TABLE public.processed_email_history ENABLE ROW LEVEL SECURITY;